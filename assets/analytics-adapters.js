@@ -0,0 +1,157 @@
+/**
+ * Adapters that send the theme's analytics events to the shop's tags. Each tag is loaded by
+ * `snippets/analytics-head.liquid`; an adapter does nothing when its tag is missing, e.g. when it is
+ * blocked by the browser.
+ *
+ * @typedef {import('./analytics.js').AnalyticsAdapter} AnalyticsAdapter
+ * @typedef {import('./analytics.js').AnalyticsEvent} AnalyticsEvent
+ * @typedef {import('./analytics.js').AnalyticsItem} AnalyticsItem
+ */
+
+/**
+ * @param {AnalyticsItem} item
+ * @returns {Record<string, string | number>}
+ */
+function toGoogleItem(item) {
+  return {
+    item_id: item.sku || item.id,
+    item_name: item.name,
+    item_variant: item.variant ?? '',
+    item_brand: item.brand ?? '',
+    item_category: item.category ?? '',
+    price: item.price,
+    quantity: item.quantity,
+  };
+}
+
+/**
+ * GA4, through `gtag`.
+ * @param {string} measurementId - e.g. G-XXXXXXX
+ * @returns {AnalyticsAdapter}
+ */
+export function createGa4Adapter(measurementId) {
+  return {
+    name: 'ga4',
+    consent: 'analytics',
+    send(event) {
+      if (typeof window.gtag !== 'function') return;
+
+      window.gtag('event', event.name, {
+        send_to: measurementId,
+        currency: event.currency,
+        value: event.value,
+        items: event.items.map(toGoogleItem),
+        ...event.detail,
+      });
+    },
+  };
+}
+
+/**
+ * Google Ads remarketing, through `gtag`. Only product views and cart adds are sent.
+ * @param {string} conversionId - e.g. AW-XXXXXXX
+ * @returns {AnalyticsAdapter}
+ */
+export function createGoogleAdsAdapter(conversionId) {
+  return {
+    name: 'google-ads',
+    consent: 'marketing',
+    send(event) {
+      if (typeof window.gtag !== 'function') return;
+      if (event.name !== 'view_item' && event.name !== 'add_to_cart') return;
+
+      window.gtag('event', event.name, {
+        send_to: conversionId,
+        value: event.value,
+        currency: event.currency,
+        items: event.items.map((item) => ({ id: item.id, google_business_vertical: 'retail' })),
+      });
+    },
+  };
+}
+
+/** @type {Record<string, string>} Meta standard events */
+const META_EVENTS = {
+  view_item: 'ViewContent',
+  add_to_cart: 'AddToCart',
+  begin_personalisation: 'CustomizeProduct',
+};
+
+/**
+ * The Meta Pixel, through `fbq`. The personalisation funnel is not sent, apart from its start. The
+ * event id lets Meta de-duplicate it with the Conversions API.
+ * @returns {AnalyticsAdapter}
+ */
+export function createMetaPixelAdapter() {
+  return {
+    name: 'meta-pixel',
+    consent: 'marketing',
+    send(event) {
+      if (typeof window.fbq !== 'function') return;
+
+      const parameters = {
+        content_ids: event.items.map((item) => item.productId),
+        content_type: 'product',
+        contents: event.items.map((item) => ({ id: item.productId, quantity: item.quantity })),
+        value: event.value,
+        currency: event.currency,
+      };
+      const standardEvent = META_EVENTS[event.name];
+
+      if (standardEvent) {
+        window.fbq('track', standardEvent, parameters, { eventID: event.id });
+      } else if (event.name === 'remove_from_cart') {
+        window.fbq('trackCustom', 'RemoveFromCart', parameters, { eventID: event.id });
+      }
+    },
+  };
+}
+
+/**
+ * Triple Whale's Triple Pixel. Only cart adds are sent, with the cart they were added to.
+ * @returns {AnalyticsAdapter}
+ */
+export function createTriplePixelAdapter() {
+  return {
+    name: 'triple-pixel',
+    consent: 'marketing',
+    send(event) {
+      if (typeof window.TriplePixel !== 'function' || event.name !== 'add_to_cart') return;
+
+      for (const item of event.items) {
+        window.TriplePixel('AddToCart', { item: item.id, q: item.quantity, token: event.cartToken });
+      }
+    },
+  };
+}
+
+/**
+ * Klaviyo, through `_learnq`. Only cart adds are sent, as the Klaviyo app tracks product views.
+ * @returns {AnalyticsAdapter}
+ */
+export function createKlaviyoAdapter() {
+  return {
+    name: 'klaviyo',
+    consent: 'marketing',
+    send(event) {
+      if (event.name !== 'add_to_cart') return;
+
+      window._learnq = window._learnq || [];
+      for (const item of event.items) {
+        window._learnq.push([
+          'track',
+          'Added to Cart',
+          {
+            ProductID: item.productId,
+            SKU: item.sku || item.id,
+            ProductName: item.name,
+            Variant: item.variant ?? '',
+            Price: item.price,
+            Quantity: item.quantity,
+            $value: item.price * item.quantity,
+          },
+        ]);
+      }
+    },
+  };
+}
@@ -0,0 +1,458 @@
+import { ThemeEvents } from '@theme/events';
+import { DialogOpenEvent } from '@theme/dialog';
+import { cartStore } from '@theme/cart-store';
+
+/**
+ * One place for the shop's ecommerce tracking.
+ *
+ * The theme's events are mapped to a small schema (`view_item`, `add_to_cart`,
+ * `begin_personalisation` and `remove_from_cart`, and the personalisation funnel of
+ * `personalisation-analytics.js`) and sent to every registered adapter, e.g. GA4 or
+ * the Meta Pixel, see `analytics-adapters.js`. Cart adds and removals are read from the change to
+ * the cart, so they are tracked whichever component made them. The same event is sent once, however
+ * many theme events describe it, and an adapter is only called once the visitor has consented to
+ * its kind of tracking.
+ *
+ * @example
+ * analytics.register(createMetaPixelAdapter());
+ * analytics.track('begin_personalisation', { items, source: 'product-page' });
+ */
+
+/**
+ * @typedef {'view_item' | 'add_to_cart' | 'begin_personalisation' | 'remove_from_cart'
+ *   | 'personalisation_field_edited' | 'personalisation_validation_failed' | 'personalisation_saved'
+ *   | 'personalisation_cancelled'} AnalyticsEventName
+ */
+
+/**
+ * @typedef {Object} AnalyticsItem
+ * @property {string} id - The variant id
+ * @property {string} productId
+ * @property {string} name - The product title
+ * @property {string} [variant] - The variant title
+ * @property {string} [sku]
+ * @property {string} [brand]
+ * @property {string} [category]
+ * @property {number} price - In the currency's major unit, e.g. 12.5
+ * @property {number} quantity
+ */
+
+/**
+ * @typedef {Object} AnalyticsEvent
+ * @property {AnalyticsEventName} name
+ * @property {string} id - Unique per event, so adapters can de-duplicate with server-side events
+ * @property {string} currency
+ * @property {number} value - The price of the items, in the currency's major unit
+ * @property {AnalyticsItem[]} items
+ * @property {string} source - Where the event happened, e.g. `product-page` or `quick-add`
+ * @property {string} [cartToken]
+ * @property {Record<string, string | number>} [detail] - Parameters of the event beyond its items
+ */
+
+/**
+ * @typedef {Object} AnalyticsAdapter
+ * @property {string} name
+ * @property {'analytics' | 'marketing'} consent - The consent the visitor must give before the adapter is called
+ * @property {(event: AnalyticsEvent) => void} send
+ */
+
+/**
+ * @typedef {Object} TrackOptions
+ * @property {AnalyticsItem[]} [items]
+ * @property {string} [source]
+ * @property {Record<string, string | number>} [detail]
+ */
+
+/**
+ * The quantity of each variant in a cart, by variant ID, with one of its lines to describe it.
+ * @typedef {Map<string, { line: Record<string, any>, quantity: number }>} CartQuantities
+ */
+
+/** Events with the same name and items within this time are sent once. */
+const DEDUPE_WINDOW_MS = 1500;
+
+/** How long to wait for the product of a quick add dialog to load. */
+const QUICK_ADD_TIMEOUT_MS = 10000;
+
+const CONSENT_FEATURE = { name: 'consent-tracking-api', version: '0.1' };
+
+/** @type {Promise<CustomerPrivacy | null> | null} */
+let customerPrivacyRequest = null;
+
+/**
+ * Loads Shopify's Customer Privacy API, which knows what the visitor consented to.
+ * @returns {Promise<CustomerPrivacy | null>} Null when the API can't be loaded
+ */
+function loadCustomerPrivacy() {
+  customerPrivacyRequest ??= new Promise((resolve) => {
+    const shopify = window.Shopify;
+    if (shopify?.customerPrivacy) return resolve(shopify.customerPrivacy);
+    if (typeof shopify?.loadFeatures !== 'function') return resolve(null);
+
+    shopify.loadFeatures([CONSENT_FEATURE], (error) => {
+      if (error) console.warn('Failed to load the customer privacy API:', error);
+      resolve(error ? null : shopify.customerPrivacy ?? null);
+    });
+  });
+  return customerPrivacyRequest;
+}
+
+/**
+ * @param {CustomerPrivacy | null} privacy
+ * @param {AnalyticsAdapter['consent']} consent
+ * @returns {boolean}
+ */
+function isAllowed(privacy, consent) {
+  if (!privacy) return false;
+  return consent === 'marketing' ? privacy.marketingAllowed() : privacy.analyticsProcessingAllowed();
+}
+
+/**
+ * @returns {string}
+ */
+function createEventId() {
+  return crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Maps a line of the cart, from `/cart.js` or `snippets/analytics-events.liquid`.
+ * @param {Record<string, any>} line
+ * @param {number} quantity
+ * @returns {AnalyticsItem}
+ */
+function cartLineToItem(line, quantity) {
+  return {
+    id: String(line.variant_id),
+    productId: String(line.product_id),
+    name: line.product_title ?? '',
+    variant: line.variant_title ?? '',
+    sku: line.sku ?? '',
+    brand: line.vendor ?? '',
+    category: line.product_type ?? '',
+    price: (line.final_price ?? 0) / 100,
+    quantity,
+  };
+}
+
+/**
+ * Sums the quantities of cart lines by variant. Lines whose key changes, e.g. when their properties
+ * are edited, are then not reported as removed and added again. The free gift the cart threshold
+ * bar adds (`_free_gift`, see `cart-threshold-progress.js`) is left out, as the shopper did not add it.
+ * @param {Array<Record<string, any>>} lines
+ * @returns {CartQuantities}
+ */
+function getVariantQuantities(lines) {
+  /** @type {CartQuantities} */
+  const variants = new Map();
+  for (const line of lines) {
+    if (line.properties?._free_gift) continue;
+
+    const variantId = String(line.variant_id);
+    const quantity = (variants.get(variantId)?.quantity ?? 0) + line.quantity;
+    variants.set(variantId, { line, quantity });
+  }
+  return variants;
+}
+
+/** @type {WeakMap<Element, Record<string, any> | null>} */
+const productDataCache = new WeakMap();
+
+/**
+ * Reads the product rendered by `snippets/analytics-product.liquid`.
+ * @param {ParentNode} root
+ * @param {string} [productId]
+ * @returns {Record<string, any> | null}
+ */
+function getProductData(root, productId) {
+  const selector = productId
+    ? `script[data-analytics-product][data-product-id="${CSS.escape(productId)}"]`
+    : 'script[data-analytics-product]';
+  const script = root.querySelector(selector);
+  if (!script) return null;
+
+  if (!productDataCache.has(script)) {
+    try {
+      productDataCache.set(script, JSON.parse(script.textContent || ''));
+    } catch (error) {
+      console.error('Invalid analytics product data:', error);
+      productDataCache.set(script, null);
+    }
+  }
+  return productDataCache.get(script) ?? null;
+}
+
+/**
+ * Maps a variant of a product, the variant selected in its product form by default.
+ * @param {Record<string, any>} product
+ * @param {string | number} [variantId]
+ * @returns {AnalyticsItem | null}
+ */
+function productToItem(product, variantId) {
+  const variants = Array.isArray(product.variants) ? product.variants : [];
+  const variant = variants.find((candidate) => String(candidate.id) === String(variantId)) ?? variants[0];
+  if (!variant) return null;
+
+  return {
+    id: String(variant.id),
+    productId: String(product.id),
+    name: product.title ?? '',
+    variant: variant.title ?? '',
+    sku: variant.sku ?? '',
+    brand: product.vendor ?? '',
+    category: product.type ?? '',
+    price: (variant.price ?? 0) / 100,
+    quantity: 1,
+  };
+}
+
+/**
+ * Maps a product rendered on the page, see `snippets/analytics-product.liquid`.
+ * @param {string} productId
+ * @param {string | number} [variantId] - The first variant by default
+ * @returns {AnalyticsItem | null} Null when the product is not on the page
+ */
+export function getProductItem(productId, variantId) {
+  const product = getProductData(document, productId);
+  return product && productToItem(product, variantId);
+}
+
+/**
+ * Maps a line of the cart last seen by the cart store.
+ * @param {string} key - The line's key
+ * @returns {AnalyticsItem | null} Null when the line is not in the cart
+ */
+export function getCartLineItem(key) {
+  const line = cartStore.cart?.items.find((item) => item.key === key);
+  return line ? cartLineToItem(line, line.quantity) : null;
+}
+
+/**
+ * @param {ParentNode} root
+ * @param {string} productId
+ * @returns {string | undefined} The variant selected in the product's form
+ */
+function getSelectedVariantId(root, productId) {
+  const input = root.querySelector(
+    `product-form-component[data-product-id="${CSS.escape(productId)}"] input[name="id"]`
+  );
+  return input instanceof HTMLInputElement ? input.value : undefined;
+}
+
+class AnalyticsBus {
+  /** @type {AnalyticsAdapter[]} */
+  #adapters = [];
+
+  /** @type {Map<string, number>} When each event was last sent, by name and items */
+  #recentEvents = new Map();
+
+  /** @type {CartQuantities | null} The cart last seen */
+  #cartVariants = null;
+
+  /** Cart changes are compared one after the other. */
+  #cartDiff = Promise.resolve();
+
+  constructor() {
+    this.#cartVariants = this.#readRenderedCart();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    document.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    // Dialog events don't bubble
+    document.addEventListener(DialogOpenEvent.eventName, this.#onDialogOpen, { capture: true });
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.#trackPageView(), { once: true });
+    } else {
+      queueMicrotask(() => this.#trackPageView());
+    }
+  }
+
+  /**
+   * Sends the events to an adapter from now on. An adapter is registered once per name.
+   * @param {AnalyticsAdapter} adapter
+   */
+  register(adapter) {
+    if (this.#adapters.some(({ name }) => name === adapter.name)) return;
+    this.#adapters.push(adapter);
+  }
+
+  /**
+   * Sends an event to the adapters the visitor consented to, unless it was just sent.
+   * @param {AnalyticsEventName} name
+   * @param {TrackOptions} options
+   * @returns {AnalyticsEvent | null} The event, or null when it was not sent
+   */
+  track(name, { items = [], source = 'theme', detail }) {
+    // Ecommerce events are about items, funnel events may only have details
+    if (items.length === 0 && !detail) return null;
+
+    const key = `${name}:${items.map((item) => `${item.id}x${item.quantity}`).join(',')}:${JSON.stringify(detail ?? {})}`;
+    const now = Date.now();
+    const lastSent = this.#recentEvents.get(key);
+    if (lastSent !== undefined && now - lastSent < DEDUPE_WINDOW_MS) return null;
+
+    this.#recentEvents.set(key, now);
+    for (const [recentKey, sentAt] of this.#recentEvents) {
+      if (now - sentAt >= DEDUPE_WINDOW_MS) this.#recentEvents.delete(recentKey);
+    }
+
+    /** @type {AnalyticsEvent} */
+    const event = {
+      name,
+      id: createEventId(),
+      currency: window.Shopify?.currency?.active ?? '',
+      value: Math.round(items.reduce((total, item) => total + item.price * item.quantity, 0) * 100) / 100,
+      items,
+      source,
+      cartToken: cartStore.cart?.token,
+      ...(detail && { detail }),
+    };
+
+    this.#send(event);
+    return event;
+  }
+
+  /**
+   * @param {AnalyticsEvent} event
+   */
+  async #send(event) {
+    const privacy = await loadCustomerPrivacy();
+
+    for (const adapter of this.#adapters) {
+      if (!isAllowed(privacy, adapter.consent)) continue;
+
+      try {
+        adapter.send(event);
+      } catch (error) {
+        console.error(`Analytics adapter ${adapter.name} failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * @returns {CartQuantities | null} The cart the page was rendered with
+   */
+  #readRenderedCart() {
+    const script = document.querySelector('script[data-analytics-cart]');
+    if (!script) return null;
+
+    try {
+      const cart = JSON.parse(script.textContent || '');
+      return getVariantQuantities(cart.items ?? []);
+    } catch (error) {
+      console.error('Invalid analytics cart data:', error);
+      return null;
+    }
+  }
+
+  #trackPageView() {
+    // e.g. `product` or `product.personalised`
+    if (Theme.template?.name.split('.')[0] !== 'product') return;
+
+    const product = getProductData(document);
+    if (!product) return;
+
+    const item = productToItem(product, getSelectedVariantId(document, String(product.id)));
+    if (item) this.track('view_item', { items: [item], source: 'product-page' });
+  }
+
+  /**
+   * @param {Event} event
+   */
+  #onVariantUpdate = (event) => {
+    const { resource, data } = /** @type {CustomEvent} */ (event).detail ?? {};
+    const productId = data?.newProduct?.id ?? data?.productId;
+    if (!resource?.id || !productId) return;
+
+    const product = getProductData(document, String(productId));
+    const item = product && productToItem(product, resource.id);
+    if (item && String(item.id) === String(resource.id)) {
+      this.track('view_item', { items: [item], source: 'variant-picker' });
+    }
+  };
+
+  /**
+   * @param {Event} event
+   */
+  #onDialogOpen = (event) => {
+    const dialog = event.target;
+    if (!(dialog instanceof HTMLElement)) return;
+
+    // The personalise dialogs report their own opening, see `personalisation-analytics.js`
+    if (dialog.localName === 'quick-add-dialog') this.#trackQuickAdd(dialog);
+  };
+
+  /**
+   * The quick add dialog opens before its product has loaded.
+   * @param {HTMLElement} dialog
+   */
+  #trackQuickAdd(dialog) {
+    const track = () => {
+      const product = getProductData(dialog);
+      if (!product) return false;
+
+      const item = productToItem(product, getSelectedVariantId(dialog, String(product.id)));
+      if (item) this.track('view_item', { items: [item], source: 'quick-add' });
+      return true;
+    };
+
+    if (track()) return;
+
+    const observer = new MutationObserver(() => {
+      if (track()) observer.disconnect();
+    });
+    observer.observe(dialog, { childList: true, subtree: true });
+    setTimeout(() => observer.disconnect(), QUICK_ADD_TIMEOUT_MS);
+  }
+
+  /**
+   * @param {Event} event
+   */
+  #onCartUpdate = (event) => {
+    const data = /** @type {CustomEvent} */ (event).detail?.data ?? {};
+    if (data.didError) return;
+
+    const source = data.source || 'cart';
+    this.#cartDiff = this.#cartDiff.then(() => this.#trackCartChange(source));
+  };
+
+  /**
+   * Tracks what was added to or removed from the cart since it was last seen.
+   * @param {string} source
+   */
+  async #trackCartChange(source) {
+    let cart;
+    try {
+      cart = await cartStore.get();
+    } catch (error) {
+      console.error('Failed to read the cart for analytics:', error);
+      return;
+    }
+
+    const variants = getVariantQuantities(cart.items ?? []);
+    const previousVariants = this.#cartVariants;
+    this.#cartVariants = variants;
+
+    // Without the cart the page was rendered with, there is nothing to compare to
+    if (!previousVariants) return;
+
+    /** @type {AnalyticsItem[]} */
+    const added = [];
+    /** @type {AnalyticsItem[]} */
+    const removed = [];
+
+    for (const [variantId, { line, quantity }] of variants) {
+      const change = quantity - (previousVariants.get(variantId)?.quantity ?? 0);
+      if (change > 0) added.push(cartLineToItem(line, change));
+      if (change < 0) removed.push(cartLineToItem(line, -change));
+    }
+
+    for (const [variantId, { line, quantity }] of previousVariants) {
+      if (!variants.has(variantId)) removed.push(cartLineToItem(line, quantity));
+    }
+
+    this.track('add_to_cart', { items: added, source });
+    this.track('remove_from_cart', { items: removed, source });
+  }
+}
+
+export const analytics = new AnalyticsBus();
@@ -1,5 +1,17 @@
 import { DialogComponent, DialogOpenEvent, DialogCloseEvent } from '@theme/dialog';
 import { Component } from '@theme/component';
+import {
+  PERSONALISATION_FIELDS,
+  getFieldMaxLength,
+  getFieldsForTags,
+  getPersonalisationField,
+  hasFieldTag,
+  resolvePersonalisationField,
+} from '@theme/personalisation-schema';
+import { renderFieldError, validatePersonalisationField } from '@theme/personalisation-validation';
+import { getColorSwatch, getFontDisplayName, getFontFamily } from '@theme/personalisation-palette';
+import { getSetItems, saveSetItems } from '@theme/build-your-set-storage';
+import { PersonalisationFunnel } from '@theme/personalisation-analytics';
 
 /**
  * A custom element that manages the personalisation modal for Build Your Set.
@@ -9,18 +21,13 @@ import { Component } from '@theme/component';
  */
 export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
   requiredRefs = ['dialog', 'saveButton', 'closeButton', 'cancelButton', 'formContainer'];
-  static FONT_OPTIONS = [
-    { value: 'Ballantines', label: 'Ballantines', display: 'Ballantines' },
-    { value: 'Cormorant Garamond', label: 'Cormorant Garamond', display: 'Cormorant Garamond' },
-    { value: 'Jester', label: 'Jester', display: 'Jester' },
-    { value: 'Arial Rounded Bold', label: 'Arial Rounded Bold', display: 'Arial Rounded Bold' },
-    { value: 'Poppins', label: 'Poppins', display: 'Poppins' },
-    { value: 'Rochester', label: 'Rochester', display: 'Rochester' },
-    { value: 'QTCoronation', label: 'QTCoronation', display: 'QTCoronation' }
-  ];
+
+  /** Reports opens, edits, failed validation, saves and cancels. */
+  #funnel = new PersonalisationFunnel();
 
   connectedCallback() {
     super.connectedCallback();
+    this.addEventListener('change', this.#handleFieldChange);
     this.productData = null;
     this.productIndex = null;
     this.personalisationData = {};
@@ -30,6 +37,56 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
     this._savedScrollPosition = 0; // Store scroll position before opening modal
   }
 
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.removeEventListener('change', this.#handleFieldChange);
+  }
+
+  /**
+   * Reports the fields the shopper edits to the personalisation funnel
+   * @param {Event} event - Change event of a field
+   */
+  #handleFieldChange = (event) => {
+    const input = event.target;
+    if (!(input instanceof HTMLInputElement || input instanceof HTMLTextAreaElement || input instanceof HTMLSelectElement)) {
+      return;
+    }
+
+    const field = resolvePersonalisationField(input.dataset.fieldName || input.name);
+    if (field) this.#funnel.fieldEdited(field.key, input.value);
+  };
+
+  /**
+   * The products being personalised, for the personalisation funnel
+   * @returns {import('@theme/analytics').AnalyticsItem[]}
+   */
+  #getFunnelItems() {
+    /** @type {Array<Record<string, any>>} */
+    const products = (this.isAllProductsMode ? this.allProducts : [this.productData]) ?? [];
+
+    return products.filter(Boolean).map((product) => ({
+      id: String(product.variant_id),
+      productId: String(product.product_id),
+      name: product.product_name ?? '',
+      variant: product.variant_title ?? '',
+      price: product.price_value ?? 0,
+      quantity: product.quantity ?? 1,
+    }));
+  }
+
+  /**
+   * Reports a save to the personalisation funnel
+   * @param {Record<string, string>} personalisations - Values keyed by field name
+   */
+  #reportSaved(personalisations) {
+    /** @type {Record<string, string>} */
+    const personalisation = {};
+    for (const [name, value] of Object.entries(personalisations)) {
+      personalisation[resolvePersonalisationField(name)?.key ?? name] = value;
+    }
+    this.#funnel.saved(personalisation);
+  }
+
   /**
    * Opens the modal for personalizing all products at once
    * @param {Array} products - Array of all products that need personalization
@@ -334,54 +391,17 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
     // Clear existing fields
     this.refs.formContainer.innerHTML = '';
 
-    // Use exact tag matching - be strict about which tags exist
+    // Tag driven fields come from the shared personalisation schema (same matching as personalise-modal.liquid)
+    const enabledFields = getFieldsForTags(tags);
+    const isEnabled = (/** @type {string} */ key) => enabledFields.some((field) => field.key === key);
+    const tabFields = enabledFields.filter((field) => field.tab);
+    const show_name_tabs = tabFields.length > 0;
     const tagsLowercase = tags.map(t => String(t).toLowerCase().trim());
-    const hasTag = (tagPattern) => {
-      const patternLower = String(tagPattern).toLowerCase().trim();
-      // Check for exact match first, then check if tag starts with pattern (for tags like color_red, font_arial)
-      return tagsLowercase.some(t => {
-        if (t === patternLower) return true;
-        // For patterns like "personalized_textcolor", also check if tag starts with it
-        if (patternLower.includes('_') && t.startsWith(patternLower + '_')) return true;
-        return false;
-      });
-    };
-    
-    // Determine field flags (same logic as original modal)
-    // Note: show_personalized is only used as a general flag, not to show specific fields
-    const show_personalized = hasTag('cust_personalized');
-    const personalized_name = hasTag('personalized_name');
-    const personalized_dob = hasTag('personalized_dob');
-    const personalized_textbox = hasTag('personalise_textbox');
-    const has_baby_name = tagsLowercase.includes('baby_name');
-    const has_kid_name = tagsLowercase.includes('kid_name');
-    const has_mum_name = tagsLowercase.includes('mum_name');
-    const show_name_tabs = has_baby_name || has_kid_name || has_mum_name;
-    
-    // Determine max length from personalise_N tag (personalise_1, personalise_2, personalise_5, etc.)
-    let dynamic_max = 9;
-    for (const tag of tagsLowercase) {
-      if (tag.startsWith('personalise_')) {
-        const suffix = tag.split('_').pop();
-        const num = parseInt(suffix, 10);
-        if (!isNaN(num) && num >= 1 && num <= 50) {
-          dynamic_max = num;
-          break;
-        }
-      }
-    }
     
     const collectedFontField = Array.isArray(collectedFields)
       ? collectedFields.find((field) => field?.field_type === 'font' && Array.isArray(field.options) && field.options.length > 0)
       : null;
     const font_family_feild = !!collectedFontField;
-    const has_school_year = hasTag('school_year');
-    const has_name1 = hasTag('name1');
-    const has_name2 = hasTag('name2');
-    const has_name3 = hasTag('name3');
-    const has_name4 = hasTag('name4');
-    const has_optional_fields = tagsLowercase.includes('optional_fields');
-    const has_create_20 = tagsLowercase.includes('create_20');
     
     // Generate fields based on tags (same order as original modal)
     let fieldsHTML = '';
@@ -391,65 +411,43 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
       fieldsHTML += `
         <div class="personalise-name-tabs" data-name-tabs>
           <div class="personalise-name-tabs__tablist" role="tablist">
-            ${has_baby_name ? `
-              <button type="button" role="tab" class="personalise-name-tabs__tab is-active" aria-selected="true" data-tab="baby">
-                <span class="personalise-name-tabs__tab-text">Baby</span>
+            ${tabFields.map((field, index) => {
+              const tab = field.tab ?? '';
+              return `
+              <button type="button" role="tab" class="personalise-name-tabs__tab ${index === 0 ? 'is-active' : ''}" aria-selected="${index === 0}" data-tab="${tab}">
+                <span class="personalise-name-tabs__tab-text">${tab.charAt(0).toUpperCase() + tab.slice(1)}</span>
               </button>
-            ` : ''}
-            ${has_kid_name ? `
-              <button type="button" role="tab" class="personalise-name-tabs__tab ${!has_baby_name ? 'is-active' : ''}" aria-selected="${!has_baby_name}" data-tab="kid">
-                <span class="personalise-name-tabs__tab-text">Kid</span>
-              </button>
-            ` : ''}
-            ${has_mum_name ? `
-              <button type="button" role="tab" class="personalise-name-tabs__tab ${!has_baby_name && !has_kid_name ? 'is-active' : ''}" aria-selected="${!has_baby_name && !has_kid_name}" data-tab="mum">
-                <span class="personalise-name-tabs__tab-text">Mum</span>
-              </button>
-            ` : ''}
+            `;
+            }).join('')}
           </div>
           <div class="personalise-name-tabs__panels">
-            ${has_baby_name ? `
-              <div role="tabpanel" class="personalise-name-tabs__panel is-active" data-panel="baby">
-                <h3 class="personalise-name-tabs__panel-title">Baby's Name (Free Personalisation)</h3>
-                <div class="personalise-name-tabs__input-wrapper">
-                  <input type="text" class="personalise-name-tabs__input" name="properties[Baby's Name]" placeholder="Enter the Name or Initials" maxlength="9" data-field-name="properties[Baby's Name]" value="${this.personalisationData["properties[Baby's Name]"] || ''}" />
-                  <span class="personalise-name-tabs__counter"><span data-count="baby">${(this.personalisationData["properties[Baby's Name]"] || '').length}</span>/9</span>
-                </div>
-                <p class="personalise-modal__info-text">Maximum 9 characters. No special characters.</p>
-              </div>
-            ` : ''}
-            ${has_kid_name ? `
-              <div role="tabpanel" class="personalise-name-tabs__panel ${!has_baby_name ? 'is-active' : ''}" data-panel="kid">
-                <h3 class="personalise-name-tabs__panel-title">Kid's Name (Free Personalisation)</h3>
-                <div class="personalise-name-tabs__input-wrapper">
-                  <input type="text" class="personalise-name-tabs__input" name="properties[Kid's Name]" placeholder="Enter the Name or Initials" maxlength="9" data-field-name="properties[Kid's Name]" value="${this.personalisationData["properties[Kid's Name]"] || ''}" />
-                  <span class="personalise-name-tabs__counter"><span data-count="kid">${(this.personalisationData["properties[Kid's Name]"] || '').length}</span>/9</span>
-                </div>
-                <p class="personalise-modal__info-text">Maximum 9 characters. No special characters.</p>
-              </div>
-            ` : ''}
-            ${has_mum_name ? `
-              <div role="tabpanel" class="personalise-name-tabs__panel ${!has_baby_name && !has_kid_name ? 'is-active' : ''}" data-panel="mum">
-                <h3 class="personalise-name-tabs__panel-title">Mum's Name (Free Personalisation)</h3>
+            ${tabFields.map((field, index) => {
+              const value = this.personalisationData[field.sessionKey] || '';
+              return `
+              <div role="tabpanel" class="personalise-name-tabs__panel ${index === 0 ? 'is-active' : ''}" data-panel="${field.tab}">
+                <h3 class="personalise-name-tabs__panel-title">${field.label}</h3>
                 <div class="personalise-name-tabs__input-wrapper">
-                  <input type="text" class="personalise-name-tabs__input" name="properties[Mum's Name]" placeholder="Enter the Name or Initials" maxlength="9" data-field-name="properties[Mum's Name]" value="${this.personalisationData["properties[Mum's Name]"] || ''}" />
-                  <span class="personalise-name-tabs__counter"><span data-count="mum">${(this.personalisationData["properties[Mum's Name]"] || '').length}</span>/9</span>
+                  <input type="text" class="personalise-name-tabs__input" name="${field.sessionKey}" placeholder="${field.placeholder}" maxlength="${field.maxLength}" data-field-name="${field.sessionKey}" value="${this.#escapeAttribute(value)}" />
+                  <span class="personalise-name-tabs__counter"><span data-count="${field.tab}">${value.length}</span>/${field.maxLength}</span>
                 </div>
-                <p class="personalise-modal__info-text">Maximum 9 characters. No special characters.</p>
+                <p class="personalise-modal__info-text">${field.info}</p>
               </div>
-            ` : ''}
+            `;
+            }).join('')}
           </div>
         </div>
       `;
     }
     
     // Regular name field (only if personalized_name or personalized_textbox tag exists, and not using tabs)
-    // Don't use show_personalized (cust_personalized) alone - it's too general
-    if ((personalized_name || personalized_textbox) && !show_name_tabs) {
+    // Don't use cust_personalized alone - it's too general
+    const nameField = getPersonalisationField('name');
+    if (nameField && (isEnabled('name') || isEnabled('textbox')) && !show_name_tabs) {
+      const dynamic_max = getFieldMaxLength(nameField, tags);
       fieldsHTML += `
         <div class="personalise-modal__field">
           <label for="build-your-set-personalise-name" class="personalise-modal__label">
-            Name (Free Personalisation)
+            ${nameField.label}
           </label>
           <div class="personalise-modal__input-wrapper">
             <input
@@ -457,7 +455,7 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
               id="build-your-set-personalise-name"
               name="personalise-name"
               class="personalise-modal__input"
-              placeholder="Enter the Name or Initials"
+              placeholder="${nameField.placeholder}"
               maxlength="${dynamic_max}"
               value="${this.personalisationData['personalise-name'] || ''}"
               data-field-name="personalise-name"
@@ -466,19 +464,15 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
               <span data-count="personalise-name">${(this.personalisationData['personalise-name'] || '').length}</span>/${dynamic_max}
             </span>
           </div>
-          <p class="personalise-modal__info-text">Maximum ${dynamic_max} characters. No special characters.</p>
+          <p class="personalise-modal__info-text">${(nameField.info ?? '').replace('{{ max }}', String(dynamic_max))}</p>
         </div>
       `;
     }
     
     // Textbox (Enter the names here) - at top, above Color and Font
-    if (personalized_textbox) {
-      fieldsHTML += `
-        <div class="personalise-modal__field">
-          <label class="personalise-modal__label">Enter the names here:</label>
-          <input type="text" class="personalise-modal__input" name="properties[Personalisation:]" placeholder="(e.g. Sarah,Jane,Robert)" maxlength="500" data-field-name="properties[Personalisation:]" value="${this.personalisationData['properties[Personalisation:]'] || ''}" />
-        </div>
-      `;
+    const textboxField = getPersonalisationField('textbox');
+    if (textboxField && isEnabled('textbox')) {
+      fieldsHTML += this.#renderFieldHTML(textboxField, tags);
     }
     
     // Color selection
@@ -502,7 +496,7 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
     }
 
     // Fallback: if we have saved color but no options (e.g. personalization_fields missing), show at least the saved color
-    const has_text_color = hasTag('personalized_textcolor');
+    const has_text_color = tagsLowercase.some((tag) => tag === 'personalized_textcolor' || tag.startsWith('personalized_textcolor_'));
     const savedColorVal = (this.personalisationData['personalise-color'] || this.personalisationData['properties[Text Color]'] || '').toString().trim();
     if (colorOptions.length === 0 && savedColorVal && has_text_color) {
       colorOptions = [{ value: savedColorVal, label: savedColorVal, display: savedColorVal.toLowerCase() }];
@@ -510,16 +504,9 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
 
     if (colorOptions.length > 0) {
         const savedColor = (this.personalisationData['personalise-color'] || this.personalisationData['properties[Text Color]'] || '').toString().trim();
-        // const colorMap = {
-        //   black: '#000000', white: '#ffffff', blue: '#DEE8EF', gold: '#DEB035',
-        //   green: '#E4EFDB', grey: '#E8EBEC', gray: '#E8EBEC', multicolour: '#8B4789',
-        //   orange: '#F8CF89', pink: '#F7DDE2', purple: '#F0D9E6', red: '#BC3725',
-        //   silver: '#DEEBF7', yellow: '#F9F3DB'
-        // };
         const colorHTML = colorOptions.map((option) => {
           const checked = savedColor && option.value.toLowerCase() === savedColor.toLowerCase() ? 'checked' : '';
-          const colorKey = option.display.toLowerCase();
-          const swatchColor = (option.display.match(/^#([0-9a-f]{3}){1,2}$/i) ? option.display : colorKey);
+          const swatchColor = (option.display.match(/^#([0-9a-f]{3}){1,2}$/i) ? option.display : getColorSwatch(option.display));
           return `
             <label
               class="personalise-modal__color-button variant-option__button-label variant-option__button-label--image-thumbnail"
@@ -569,7 +556,7 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
           const selectedClass = isSelected ? 'personalise-modal__font-button--selected' : '';
           return `
             <button type="button" class="personalise-modal__font-button ${selectedClass}" data-font="${option.value}" data-field-name="personalise-font" data-field-value="${option.value}">
-              <span style="font-family: ${option.value};">${option.display}</span>
+              <span style="font-family: ${getFontFamily(option.value)};">${getFontDisplayName(option.display)}</span>
             </button>
           `;
         }).join('');
@@ -586,90 +573,10 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
       }
     }
     
-    // School Year
-    if (has_school_year) {
-      fieldsHTML += `
-        <div class="personalise-modal__field">
-          <label class="personalise-modal__label">School Year</label>
-          <input type="text" class="personalise-modal__input" name="properties[School Year]" maxlength="20" data-field-name="properties[School Year]" value="${this.personalisationData['properties[School Year]'] || ''}" />
-        </div>
-      `;
-    }
-    
-    // Name 1-4
-    if (has_name1) {
-      fieldsHTML += `
-        <div class="personalise-modal__field">
-          <label class="personalise-modal__label">Name 1</label>
-          <input type="text" class="personalise-modal__input" name="properties[Name 1]" maxlength="8" data-field-name="properties[Name 1]" value="${this.personalisationData['properties[Name 1]'] || ''}" />
-          <p class="personalise-modal__info-text">English or Arabic. Maximum 8 characters.*</p>
-        </div>
-      `;
-    }
-    if (has_name2) {
-      fieldsHTML += `
-        <div class="personalise-modal__field">
-          <label class="personalise-modal__label">Name 2</label>
-          <input type="text" class="personalise-modal__input" name="properties[Name 2]" maxlength="8" data-field-name="properties[Name 2]" value="${this.personalisationData['properties[Name 2]'] || ''}" />
-          <p class="personalise-modal__info-text">English or Arabic. Maximum 8 characters.*</p>
-        </div>
-      `;
-    }
-    if (has_name3) {
-      fieldsHTML += `
-        <div class="personalise-modal__field">
-          <label class="personalise-modal__label">Name 3</label>
-          <input type="text" class="personalise-modal__input" name="properties[Name 3]" maxlength="8" data-field-name="properties[Name 3]" value="${this.personalisationData['properties[Name 3]'] || ''}" />
-          <p class="personalise-modal__info-text">English or Arabic. Maximum 8 characters.</p>
-        </div>
-      `;
-    }
-    if (has_name4) {
-      fieldsHTML += `
-        <div class="personalise-modal__field">
-          <label class="personalise-modal__label">Name 4</label>
-          <input type="text" class="personalise-modal__input" name="properties[Name 4]" maxlength="8" data-field-name="properties[Name 4]" value="${this.personalisationData['properties[Name 4]'] || ''}" />
-          <p class="personalise-modal__info-text">English or Arabic. Maximum 8 characters.*</p>
-        </div>
-      `;
-    }
-    
-    // Date of Birth
-    if (personalized_dob) {
-      fieldsHTML += `
-        <div class="personalise-modal__field">
-          <label class="personalise-modal__label">Date of Birth + AED 10 (optional)</label>
-          <input type="text" class="personalise-modal__input" name="properties[Date of Birth]" placeholder="dd-mm-yyyy" pattern="\\d{2}-\\d{2}-\\d{4}" data-field-name="properties[Date of Birth]" value="${this.personalisationData['properties[Date of Birth]'] || ''}" />
-        </div>
-      `;
-    }
-    
-    // Optional fields (DOB, Time, Weight)
-    if (has_optional_fields) {
-      fieldsHTML += `
-        <div class="personalise-modal__field">
-          <label class="personalise-modal__label">Date of Birth (optional)</label>
-          <input type="date" class="personalise-modal__input" name="optionalDob" data-field-name="optionalDob" value="${this.personalisationData['optionalDob'] || ''}" />
-        </div>
-        <div class="personalise-modal__field">
-          <label class="personalise-modal__label">Time of Birth (optional)</label>
-          <input type="text" class="personalise-modal__input" name="properties[Time]" placeholder="HH:MM AM/PM" data-field-name="properties[Time]" value="${this.personalisationData['properties[Time]'] || ''}" />
-        </div>
-        <div class="personalise-modal__field">
-          <label class="personalise-modal__label">Weight (kg) (optional)</label>
-          <input type="text" class="personalise-modal__input" name="properties[Weight]" data-field-name="properties[Weight]" value="${this.personalisationData['properties[Weight]'] || ''}" />
-        </div>
-      `;
-    }
-    
-    // Message (create_20)
-    if (has_create_20) {
-      fieldsHTML += `
-        <div class="personalise-modal__field">
-          <label class="personalise-modal__label">Enter the text here:</label>
-          <textarea class="personalise-modal__input personalise-modal__input--textarea" name="properties[Message]" maxlength="50" rows="3" data-field-name="properties[Message]">${this.personalisationData['properties[Message]'] || ''}</textarea>
-        </div>
-      `;
+    // Remaining tag driven fields (School Year, Name 1-4, Date of Birth, optional fields, Message)
+    for (const field of enabledFields) {
+      if (field.tab || field.key === 'name' || field.key === 'textbox') continue;
+      fieldsHTML += this.#renderFieldHTML(field, tags);
     }
     
     // Don't fallback to collectedFields - they might contain incorrect data
@@ -698,6 +605,49 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
     });
   }
 
+  /**
+   * Renders a text, textarea or date field from the personalisation schema.
+   * @param {import('@theme/personalisation-schema').PersonalisationField} field
+   * @param {string[]} tags - Product tags, used to resolve the field max length
+   * @returns {string}
+   */
+  #renderFieldHTML(field, tags) {
+    const name = field.sessionKey;
+    const value = this.#escapeAttribute(this.personalisationData[name] || '');
+    const maxLength = getFieldMaxLength(field, tags);
+    const attributes = [
+      `name="${name}"`,
+      field.placeholder ? `placeholder="${field.placeholder}"` : '',
+      maxLength ? `maxlength="${maxLength}"` : '',
+      field.pattern && field.type === 'text' ? `pattern="${field.pattern.source}"` : '',
+      `data-field-name="${name}"`
+    ].filter(Boolean).join(' ');
+
+    const input = field.type === 'textarea'
+      ? `<textarea class="personalise-modal__input personalise-modal__input--textarea" ${attributes} rows="3">${value}</textarea>`
+      : `<input type="${field.type}" class="personalise-modal__input" ${attributes} value="${value}" />`;
+    const info = field.info
+      ? `<p class="personalise-modal__info-text">${field.info.replace('{{ max }}', String(maxLength))}</p>`
+      : '';
+
+    return `
+        <div class="personalise-modal__field">
+          <label class="personalise-modal__label">${field.label}</label>
+          ${input}
+          ${info}
+        </div>
+      `;
+  }
+
+  /**
+   * Escapes a value for use inside a double-quoted attribute or textarea.
+   * @param {string} value
+   * @returns {string}
+   */
+  #escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
   /**
    * Sets up name tabs functionality
    */
@@ -845,13 +795,7 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
           </div>
         `;
       } else if (fieldType === 'radio' && field.options) {
-        // Radio button group (for color selection) - use color map for swatch display
-        // const colorMap = {
-        //   black: '#000000', white: '#ffffff', blue: '#DEE8EF', gold: '#DEB035',
-        //   green: '#E4EFDB', grey: '#E8EBEC', gray: '#E8EBEC', multicolour: '#8B4789',
-        //   orange: '#F8CF89', pink: '#F7DDE2', purple: '#F0D9E6', red: '#BC3725',
-        //   silver: '#DEEBF7', yellow: '#F9F3DB'
-        // };
+        // Radio button group (for color selection) - swatches come from the personalisation palette
         // const savedVal = (this.personalisationData[fieldName] || this.personalisationData['properties[Text Color]'] || '').toString().trim();
         const radioHTML = field.options.map((option, optIndex) => {
           const optionValue = typeof option === 'string' ? option : option.value;
@@ -859,9 +803,8 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
           const checked = savedVal && String(optionValue).toLowerCase() === savedVal.toLowerCase() ? 'checked' : '';
           const radioId = `build-your-set-${fieldName}-${optIndex}`;
           const displayVal = typeof option === 'object' ? option.display : null;
-          const colorKey = String(optionValue).toLowerCase();
           const swatchColor = (displayVal && displayVal !== 'transparent' && displayVal !== 'rgba(0, 0, 0, 0)' ? displayVal : null) ||
-            (optionValue.match(/^#([0-9a-f]{3}){1,2}$/i) ? optionValue : colorKey);
+            (optionValue.match(/^#([0-9a-f]{3}){1,2}$/i) ? optionValue : getColorSwatch(optionValue));
           return `
             <label class="personalise-modal__color-button variant-option__button-label variant-option__button-label--image-thumbnail" data-color="${optionValue}" title="${optionLabel}">
               <input
@@ -898,7 +841,7 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
         const fontButtonsHTML = field.options.map((option, optIndex) => {
           const optionValue = typeof option === 'string' ? option : option.value;
           const optionLabel = typeof option === 'string' ? option : (option.label || optionValue);
-          const optionDisplay = typeof option === 'string' ? option : (option.display || optionLabel);
+          const optionDisplay = getFontDisplayName(typeof option === 'string' ? option : (option.display || optionLabel));
           const isSelected = savedFont && String(optionValue).trim() === savedFont.trim();
           const selectedClass = isSelected ? 'personalise-modal__font-button--selected' : '';
           
@@ -910,7 +853,7 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
               data-field-name="${fieldName}"
               data-field-value="${optionValue}"
             >
-              <span style="font-family: ${optionValue};">${optionDisplay}</span>
+              <span style="font-family: ${getFontFamily(optionValue)};">${optionDisplay}</span>
             </button>
           `;
         }).join('');
@@ -1054,6 +997,7 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
           btn.classList.remove('personalise-modal__font-button--selected');
         });
         button.classList.add('personalise-modal__font-button--selected');
+        this.#funnel.fieldEdited('font', fieldValue);
         
         // Update save button state after font selection
         this.updateSaveButton();
@@ -1223,12 +1167,16 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
       }
     });
     
+    // Validate entered values and show inline errors (empty fields are only reported on save)
+    const hasInvalidField = Object.keys(this.#validateFields()).length > 0;
+    
     // Disable save button if any required field is missing:
     // 1. Name input exists but is empty (for personalized_name products)
     // 2. Any baby/kid/mum name input exists but is empty
     // 3. Font field exists but no font is selected
     // 4. Color field exists but no color is selected
     // 5. Any other required field is missing
+    // 6. Any entered value is invalid
     if (nameInput && !hasName) {
       this.refs.saveButton.disabled = true;
     } else if (babyNameRequired || kidNameRequired || mumNameRequired) {
@@ -1237,7 +1185,7 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
       this.refs.saveButton.disabled = true;
     } else if (colorRequired) {
       this.refs.saveButton.disabled = true;
-    } else if (hasMissingRequiredField) {
+    } else if (hasMissingRequiredField || hasInvalidField) {
       this.refs.saveButton.disabled = true;
     } else {
       // All required fields have values, enable save button
@@ -1245,11 +1193,55 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
     }
   }
 
+  /**
+   * Validates the rendered personalisation fields and shows their inline errors.
+   * @param {Object} [options]
+   * @param {boolean} [options.requireValues] - Whether empty required fields are reported
+   * @returns {Record<string, string>} Error messages keyed by field key
+   */
+  #validateFields({ requireValues = false } = {}) {
+    const container = this.refs.formContainer;
+    /** @type {Record<string, string>} */
+    const errors = {};
+    if (!(container instanceof HTMLElement)) return errors;
+
+    const data = this.collectPersonalisationData();
+    const hasFontField = !!container.querySelector('.personalise-modal__font-grid');
+
+    for (const field of PERSONALISATION_FIELDS) {
+      const selector = `[data-field-name="${field.sessionKey}"]`;
+      if (!container.querySelector(selector)) continue;
+
+      let anchor;
+      if (field.type === 'font') {
+        anchor = container.querySelector('.personalise-modal__font-grid');
+      } else if (field.type === 'color') {
+        anchor = container.querySelector('.personalise-modal__color-grid');
+      } else {
+        anchor = container.querySelector(`input${selector}, textarea${selector}`);
+      }
+
+      // The rendered maxlength already reflects the product's personalise_N tag
+      const maxLength = anchor instanceof HTMLInputElement && anchor.maxLength > 0 ? anchor.maxLength : undefined;
+      const error = validatePersonalisationField(field, data[field.sessionKey], {
+        font: hasFontField ? data['personalise-font'] : null,
+        maxLength,
+        requireValue: requireValues,
+      });
+
+      if (error) errors[field.key] = error;
+      if (anchor) renderFieldError(anchor, error);
+    }
+
+    return errors;
+  }
+
   /**
    * Collects personalization data from form fields
-   * @returns {Object} Personalization data object
+   * @returns {Record<string, string>} Personalization data object
    */
   collectPersonalisationData() {
+    /** @type {Record<string, string>} */
     const data = {};
     // Collect from all inputs, textareas, selects, and hidden inputs (for font buttons)
     const inputs = this.refs.formContainer.querySelectorAll('input, textarea, select');
@@ -1273,6 +1265,15 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
    * Handles save button click
    */
   handleSave() {
+    // Block saving while any field is invalid or a required field is empty
+    const errors = this.#validateFields({ requireValues: true });
+    if (Object.keys(errors).length > 0) {
+      this.#funnel.validationFailed(errors);
+      const firstInvalid = this.querySelector('[aria-invalid="true"]');
+      if (firstInvalid instanceof HTMLElement) firstInvalid.focus();
+      return;
+    }
+
     // Collect personalization data
     const personalisations = this.collectPersonalisationData();
 
@@ -1299,65 +1300,17 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
             const value = personalisations[key];
             if (value && value.toString().trim()) {
               // Determine if this field is relevant to this product
+              const field = resolvePersonalisationField(key);
+              const personalizationFields = product.personalization_fields || [];
               let isRelevant = false;
 
-              // Name field
-              if (key === 'personalise-name' && (tagsLowercase.includes('personalized_name') || tagsLowercase.includes('cust_personalized'))) {
-                isRelevant = true;
-              }
-              // Color field (metafield only)
-              else if (key === 'personalise-color' && (product.personalization_fields || []).some(field => field?.field_type === 'text_color')) {
-                isRelevant = true;
-              }
-              // Font field (metafield-driven)
-              else if (
-                key === 'personalise-font' &&
-                ((product.personalization_fields || []).some(field => field?.field_type === 'font'))
-              ) {
-                isRelevant = true;
-              }
-              // Date of Birth
-              else if (key === 'properties[Date of Birth]' && tagsLowercase.some(t => t.includes('personalized_dob'))) {
-                isRelevant = true;
-              }
-              // Textbox
-              else if (key === 'properties[Personalisation:]' && tagsLowercase.some(t => t.includes('personalise_textbox'))) {
-                isRelevant = true;
-              }
-              // Baby/Kid/Mum names
-              else if (key === "properties[Baby's Name]" && tagsLowercase.includes('baby_name')) {
-                isRelevant = true;
-              }
-              else if (key === "properties[Kid's Name]" && tagsLowercase.includes('kid_name')) {
-                isRelevant = true;
-              }
-              else if (key === "properties[Mum's Name]" && tagsLowercase.includes('mum_name')) {
-                isRelevant = true;
-              }
-              // Name 1-4
-              else if (key === 'properties[Name 1]' && tagsLowercase.includes('name1')) {
-                isRelevant = true;
-              }
-              else if (key === 'properties[Name 2]' && tagsLowercase.includes('name2')) {
-                isRelevant = true;
-              }
-              else if (key === 'properties[Name 3]' && tagsLowercase.includes('name3')) {
-                isRelevant = true;
-              }
-              else if (key === 'properties[Name 4]' && tagsLowercase.includes('name4')) {
-                isRelevant = true;
-              }
-              // School Year
-              else if (key === 'properties[School Year]' && tagsLowercase.includes('school_year')) {
-                isRelevant = true;
-              }
-              // Message
-              else if (key === 'properties[Message]' && tagsLowercase.includes('create_20')) {
-                isRelevant = true;
-              }
-              // Optional fields
-              else if ((key === 'optionalDob' || key === 'properties[Time]' || key === 'properties[Weight]') && tagsLowercase.includes('optional_fields')) {
-                isRelevant = true;
+              // Color and font are metafield-driven
+              if (field?.type === 'color') {
+                isRelevant = personalizationFields.some((/** @type {{ field_type?: string } | null} */ f) => f?.field_type === 'text_color');
+              } else if (field?.type === 'font') {
+                isRelevant = personalizationFields.some((/** @type {{ field_type?: string } | null} */ f) => f?.field_type === 'font');
+              } else if (field) {
+                isRelevant = hasFieldTag(productTags, field) || (field.key === 'name' && tagsLowercase.includes('cust_personalized'));
               }
 
               if (isRelevant) {
@@ -1379,7 +1332,7 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
 
       if (updated) {
         try {
-          sessionStorage.setItem('build-your-set-session-cart', JSON.stringify(sessionCart));
+          saveSetItems(sessionCart);
           
           // Dispatch event to update sticky bar
           document.dispatchEvent(new CustomEvent('build-your-set-updated', {
@@ -1395,6 +1348,8 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
             }));
           });
 
+          this.#reportSaved(personalisations);
+
           // Hide dialog
           this.hideDialog();
         } catch (error) {
@@ -1407,14 +1362,14 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
         return;
       }
 
-      // Update product data in session storage
+      // Update product data in the stored set
       const sessionCart = this.getSessionCart();
       if (sessionCart && sessionCart[this.productIndex]) {
         sessionCart[this.productIndex].personalizations = personalisations;
         
-        // Save back to session storage
+        // Save back to the stored set
         try {
-          sessionStorage.setItem('build-your-set-session-cart', JSON.stringify(sessionCart));
+          saveSetItems(sessionCart);
           
           // Dispatch event to update sticky bar
           document.dispatchEvent(new CustomEvent('build-your-set-updated', {
@@ -1433,6 +1388,8 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
             }
           }));
 
+          this.#reportSaved(personalisations);
+
           // Close the dialog
           this.hideDialog();
         } catch (error) {
@@ -1443,16 +1400,12 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
   }
 
   /**
-   * Gets session cart from session storage
+   * Gets the products of the set in progress
    * @returns {Array|null} Session cart array or null
    */
   getSessionCart() {
-    try {
-      const stored = sessionStorage.getItem('build-your-set-session-cart');
-      return stored ? JSON.parse(stored) : null;
-    } catch (error) {
-      return null;
-    }
+    const items = getSetItems();
+    return items.length ? items : null;
   }
 
   showDialog() {
@@ -1488,6 +1441,7 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
 
         dialog.showModal();
         this.dispatchEvent(new DialogOpenEvent());
+        this.#funnel.opened({ context: 'build-your-set', items: this.#getFunnelItems() });
         
         // Initialize save button state after dialog opens
         // Wait a bit for form fields to be generated
@@ -1539,6 +1493,9 @@ export class BuildYourSetPersonaliseDialogComponent extends DialogComponent {
     const { dialog } = this.refs;
     if (!dialog || !dialog.open) return;
 
+    // Nothing is reported when the modal was just saved
+    this.#funnel.closed();
+
     // Restore scroll position smoothly without causing jump
     const savedScrollPosition = this._savedScrollPosition || 0;
     
@@ -0,0 +1,219 @@
+/**
+ * Rules a build-your-set set must meet before it can be added to the cart.
+ *
+ * Rules are configured on the section (min/max items, duplicate products, discount tiers) and its
+ * "Set slot" blocks, and can be overridden per page with the `custom.build_your_set_rules`
+ * metafield; `snippets/build-your-set-rules.liquid` renders both as JSON. Discount tiers only drive
+ * the messaging: the discount itself is an automatic discount set up in Shopify admin.
+ */
+
+/**
+ * @typedef {Object} SetSlot
+ * @property {string} label - Shown to the shopper, e.g. "Blanket"
+ * @property {number} min - Products the set needs from this slot
+ * @property {number} max - Most products the set can have from this slot, 0 for no limit
+ * @property {string[]} tags - Products with one of these tags fill the slot
+ * @property {string[]} productIds - These products fill the slot
+ */
+
+/**
+ * @typedef {Object} DiscountTier
+ * @property {number} count - Items needed for the discount
+ * @property {number} percent - Discount, e.g. 15 for 15%
+ */
+
+/**
+ * @typedef {Object} SetRules
+ * @property {number} minItems - 0 for no minimum
+ * @property {number} maxItems - 0 for no limit
+ * @property {boolean} allowDuplicateProducts - Whether two variants of one product can be in a set
+ * @property {SetSlot[]} slots
+ * @property {DiscountTier[]} tiers - Sorted by item count
+ */
+
+/**
+ * @typedef {Object} SlotProgress
+ * @property {string} label
+ * @property {number} min
+ * @property {number} max
+ * @property {number} count - Items of the set filling the slot
+ * @property {boolean} filled - Whether the slot has its required items and is not over its limit
+ */
+
+/**
+ * @typedef {Object} SetRulesResult
+ * @property {boolean} satisfied - Whether the set can be added to the cart
+ * @property {number} itemCount
+ * @property {number} targetCount - Items needed for the set to be complete
+ * @property {SlotProgress[]} slots
+ * @property {string[]} problems - What the shopper has to change, most important first
+ * @property {DiscountTier | null} tier - Discount the set qualifies for
+ * @property {(DiscountTier & { itemsNeeded: number }) | null} nextTier - Next discount and the
+ *   items missing for it
+ * @property {string} message - Headline for the shopper
+ * @property {string} discountMessage - Discount messaging, empty without tiers
+ */
+
+/** @type {SetRules} */
+const DEFAULT_RULES = {
+  minItems: 2,
+  maxItems: 0,
+  allowDuplicateProducts: true,
+  slots: [],
+  tiers: [],
+};
+
+/**
+ * @param {unknown} value
+ * @returns {number}
+ */
+function toCount(value) {
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+/**
+ * @param {unknown} values
+ * @returns {string[]}
+ */
+function toStrings(values) {
+  return Array.isArray(values) ? values.map((value) => String(value).trim()).filter(Boolean) : [];
+}
+
+/**
+ * @param {any} slot
+ * @returns {SetSlot}
+ */
+function normalizeSlot(slot) {
+  return {
+    label: String(slot?.label || 'Slot'),
+    min: toCount(slot?.min),
+    max: toCount(slot?.max),
+    tags: toStrings(slot?.tags).map((tag) => tag.toLowerCase()),
+    productIds: toStrings(slot?.productIds),
+  };
+}
+
+/**
+ * Reads the rules rendered by `snippets/build-your-set-rules.liquid`, applying the page override.
+ * @param {string | null | undefined} json
+ * @returns {SetRules}
+ */
+export function parseSetRules(json) {
+  /** @type {any} */
+  let data = {};
+  try {
+    data = json ? JSON.parse(json) : {};
+  } catch (error) {
+    console.error('Build Your Set: Invalid set rules, using the defaults:', error);
+  }
+
+  const override = data?.override && typeof data.override === 'object' ? data.override : {};
+  const rules = { ...DEFAULT_RULES, ...data?.settings, ...override };
+
+  return {
+    minItems: toCount(rules.minItems),
+    maxItems: toCount(rules.maxItems),
+    allowDuplicateProducts: rules.allowDuplicateProducts !== false,
+    slots: Array.isArray(rules.slots) ? rules.slots.map(normalizeSlot) : [],
+    tiers: (Array.isArray(rules.tiers) ? rules.tiers : [])
+      .map((/** @type {any} */ tier) => ({ count: toCount(tier?.count), percent: Number(tier?.percent) || 0 }))
+      .filter((/** @type {DiscountTier} */ tier) => tier.count > 0 && tier.percent > 0)
+      .sort((/** @type {DiscountTier} */ a, /** @type {DiscountTier} */ b) => a.count - b.count),
+  };
+}
+
+/**
+ * @param {SetSlot} slot
+ * @param {import('@theme/build-your-set-storage').SetItem} item
+ * @returns {boolean}
+ */
+function fillsSlot(slot, item) {
+  if (slot.productIds.includes(String(item.product_id))) return true;
+  return (item.product_tags ?? []).some((tag) => slot.tags.includes(String(tag).toLowerCase()));
+}
+
+/**
+ * @param {number} count
+ * @returns {string}
+ */
+function itemsLabel(count) {
+  return count === 1 ? 'item' : 'items';
+}
+
+/**
+ * Checks a set against the rules.
+ * @param {import('@theme/build-your-set-storage').SetItem[]} items
+ * @param {SetRules} rules
+ * @returns {SetRulesResult}
+ */
+export function evaluateSetRules(items, rules) {
+  const itemCount = items.reduce((sum, item) => sum + (item.quantity || 1), 0);
+  /** @type {string[]} */
+  const problems = [];
+
+  const slots = rules.slots.map((slot) => {
+    const count = items
+      .filter((item) => fillsSlot(slot, item))
+      .reduce((sum, item) => sum + (item.quantity || 1), 0);
+    const filled = count >= slot.min && (!slot.max || count <= slot.max);
+    return { label: slot.label, min: slot.min, max: slot.max, count, filled };
+  });
+  const slotsNeeded = slots.reduce((sum, slot) => sum + slot.min, 0);
+  const targetCount = Math.max(rules.minItems, slotsNeeded);
+
+  if (rules.maxItems && itemCount > rules.maxItems) {
+    const extra = itemCount - rules.maxItems;
+    problems.push(`Remove ${extra} ${itemsLabel(extra)} - a set has at most ${rules.maxItems}`);
+  }
+
+  if (!rules.allowDuplicateProducts) {
+    const seen = new Set();
+    for (const item of items) {
+      if (seen.has(String(item.product_id))) {
+        problems.push(`${item.product_name || 'A product'} is in your set twice - choose a different product`);
+        break;
+      }
+      seen.add(String(item.product_id));
+    }
+  }
+
+  for (const slot of slots) {
+    if (slot.count < slot.min) {
+      problems.push(`Choose ${slot.min - slot.count} more from ${slot.label}`);
+    } else if (slot.max && slot.count > slot.max) {
+      problems.push(`Choose at most ${slot.max} from ${slot.label}`);
+    }
+  }
+
+  if (itemCount < rules.minItems) {
+    const missing = rules.minItems - itemCount;
+    problems.push(`Add ${missing} more ${itemsLabel(missing)} to complete your set`);
+  }
+
+  const reachableTiers = rules.tiers.filter((tier) => !rules.maxItems || tier.count <= rules.maxItems);
+  const tier = [...reachableTiers].reverse().find((candidate) => itemCount >= candidate.count) ?? null;
+  const next = reachableTiers.find((candidate) => itemCount < candidate.count);
+  const nextTier = next ? { ...next, itemsNeeded: next.count - itemCount } : null;
+
+  let discountMessage = '';
+  if (nextTier) {
+    discountMessage = `Add ${nextTier.itemsNeeded} more to save ${nextTier.percent}%`;
+  } else if (tier) {
+    discountMessage = `You're saving ${tier.percent}% on your set`;
+  }
+
+  const satisfied = problems.length === 0 && itemCount > 0;
+
+  return {
+    satisfied,
+    itemCount,
+    targetCount,
+    slots,
+    problems,
+    tier,
+    nextTier,
+    message: problems[0] ?? (satisfied ? 'Your set is complete' : 'Add products to start your set'),
+    discountMessage,
+  };
+}
@@ -2,6 +2,21 @@ import { Component } from '@theme/component';
 import { ThemeEvents, CartAddEvent } from '@theme/events';
 import { fetchConfig } from '@theme/utilities';
 import { sectionRenderer } from '@theme/section-renderer';
+import { personalisationToSessionData, resolvePersonalisationField } from '@theme/personalisation-schema';
+import { getColorSwatch, getFontDisplayName } from '@theme/personalisation-palette';
+import {
+  clearSet,
+  createShareUrl,
+  getSetItems,
+  markSetResumed,
+  readSharedSet,
+  removeSharedSetFromUrl,
+  saveSetItems,
+  shouldPromptToResume,
+} from '@theme/build-your-set-storage';
+import { evaluateSetRules, parseSetRules } from '@theme/build-your-set-rules';
+import { addSetToCart, SetAddError } from '@theme/cart-set-add';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * Component for managing the build-your-set sticky bar
@@ -12,16 +27,37 @@ export class BuildYourSetStickyBarComponent extends Component {
   /** @type {boolean} */
   #isAddingToCart = false;
 
+  /**
+   * Set waiting for the shopper to choose between it and the stored set, when a shared link is
+   * opened while a set is in progress.
+   * @type {import('@theme/build-your-set-storage').SetItem[] | null}
+   */
+  #pendingSharedSet = null;
+
+  /** @type {'resume' | 'shared' | null} */
+  #prompt = null;
+
+  /** @type {import('@theme/build-your-set-rules').SetRules | null} */
+  #rules = null;
+
+  /**
+   * Why products of the set could not be added to the cart, by their index in the set.
+   * @type {Map<number, string>}
+   */
+  #failures = new Map();
+
+  /** @type {string | null} */
+  #failureMessage = null;
+
   connectedCallback() {
     super.connectedCallback();
     
-    // Keep sticky bar hidden by default - only show if session has items
-    // Don't check session immediately, wait for session clearing to complete
-    // The session is cleared in DOMContentLoaded, so wait for that
-    
-    // Wait for DOMContentLoaded to complete (session clearing happens there)
-    const initStickyBar = () => {
-      // Check session - only show if items exist
+    // Keep sticky bar hidden by default - only show if the stored set has items
+    const initStickyBar = async () => {
+      if (shouldPromptToResume()) this.#prompt = 'resume';
+      await this.#loadSharedSet();
+
+      // Check the stored set - only show if items exist
       const sessionCart = this.getSessionCart();
       
       // If no items, ensure it stays hidden
@@ -55,21 +91,7 @@ export class BuildYourSetStickyBarComponent extends Component {
         
         if (typeof index === 'number' && productId) {
           // Convert personalisation object to the format stored in session
-          const personalizations = {};
-          if (personalisation.name) personalizations['personalise-name'] = personalisation.name;
-          if (personalisation.font) personalizations['personalise-font'] = personalisation.font;
-          if (personalisation.color) personalizations['personalise-color'] = personalisation.color;
-          if (personalisation.dob) personalizations['properties[Date of Birth]'] = personalisation.dob;
-          if (personalisation.schoolYear) personalizations['properties[School Year]'] = personalisation.schoolYear;
-          if (personalisation.name1) personalizations['properties[Name 1]'] = personalisation.name1;
-          if (personalisation.name2) personalizations['properties[Name 2]'] = personalisation.name2;
-          if (personalisation.name3) personalizations['properties[Name 3]'] = personalisation.name3;
-          if (personalisation.name4) personalizations['properties[Name 4]'] = personalisation.name4;
-          if (personalisation.textbox) personalizations['properties[Personalisation:]'] = personalisation.textbox;
-          if (personalisation.message) personalizations['properties[Message]'] = personalisation.message;
-          if (personalisation.babyName) personalizations["properties[Baby's Name]"] = personalisation.babyName;
-          if (personalisation.kidName) personalizations["properties[Kid's Name]"] = personalisation.kidName;
-          if (personalisation.mumName) personalizations["properties[Mum's Name]"] = personalisation.mumName;
+          const personalizations = personalisationToSessionData(personalisation);
           
           console.log('Build Your Set: Personalization saved, updating session', { productId, index, personalizations });
           this.updateProductPersonalization(index, personalizations);
@@ -124,14 +146,12 @@ export class BuildYourSetStickyBarComponent extends Component {
       }
     };
     
-    // Wait for DOMContentLoaded to finish (where session is cleared)
+    // Wait for DOMContentLoaded so the section script has set up the product grid
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => {
-        // Wait a bit more to ensure session clearing script has run
         setTimeout(initStickyBar, 100);
       });
     } else {
-      // DOMContentLoaded already fired, wait a bit then check
       setTimeout(initStickyBar, 100);
     }
   }
@@ -189,25 +209,199 @@ export class BuildYourSetStickyBarComponent extends Component {
     this.style.setProperty('opacity', '1', 'important');
     this.style.setProperty('pointer-events', 'auto', 'important');
     
+    this.#renderPrompt(sessionCart);
     this.renderProducts(sessionCart);
     this.updateTotalPrice(sessionCart);
+    this.#renderRules(sessionCart);
+    this.#renderFailures(sessionCart);
+  }
+
+  /**
+   * Gets the set rules rendered with the section.
+   * @returns {import('@theme/build-your-set-rules').SetRules}
+   */
+  get setRules() {
+    const { rules } = this.refs;
+    this.#rules ??= parseSetRules(rules instanceof HTMLElement ? rules.textContent : null);
+    return this.#rules;
+  }
+
+  /**
+   * Shows the progress of the set against the rules, and only enables "Add All to Cart" once the
+   * set meets them.
+   * @param {import('@theme/build-your-set-storage').SetItem[]} sessionCart - Array of product items
+   * @returns {import('@theme/build-your-set-rules').SetRulesResult}
+   */
+  #renderRules(sessionCart) {
+    const result = evaluateSetRules(sessionCart, this.setRules);
+    const { title, progress, progressBar, slots, discountMessage, addAllButton } = this.refs;
+
+    if (title instanceof HTMLElement) title.textContent = result.message;
+
+    if (progress instanceof HTMLElement && progressBar instanceof HTMLElement) {
+      const percent = result.targetCount ? Math.min(100, (result.itemCount / result.targetCount) * 100) : 100;
+      progressBar.style.width = `${result.satisfied ? 100 : percent}%`;
+      progress.hidden = result.targetCount === 0;
+    }
+
+    if (slots instanceof HTMLElement) {
+      slots.replaceChildren(
+        ...result.slots.map((slot) => {
+          const element = document.createElement('li');
+          element.className = 'build-your-set-sticky-bar__slot';
+          element.classList.toggle('build-your-set-sticky-bar__slot--filled', slot.filled);
+          const target = slot.min || slot.max;
+          element.textContent = target ? `${slot.label} ${slot.count}/${target}` : `${slot.label} ${slot.count}`;
+          return element;
+        })
+      );
+      slots.hidden = result.slots.length === 0;
+    }
+
+    if (discountMessage instanceof HTMLElement) {
+      discountMessage.textContent = result.discountMessage;
+      discountMessage.hidden = !result.discountMessage;
+    }
+
+    if (addAllButton instanceof HTMLButtonElement && !this.#isAddingToCart) {
+      addAllButton.disabled = !result.satisfied;
+    }
+
+    this.classList.toggle('build-your-set-sticky-bar--complete', result.satisfied);
+    return result;
   }
 
   /**
-   * Gets products from sessionStorage
+   * Gets the products of the set in progress
    * @returns {Array} Array of product items
    */
   getSessionCart() {
-    const storageKey = 'build-your-set-session-cart';
-    const sessionCartJson = sessionStorage.getItem(storageKey);
-    if (!sessionCartJson) return [];
+    return getSetItems();
+  }
+
+  /**
+   * Loads a set shared in the URL. It replaces an empty set straight away; when a set is already
+   * in progress the shopper chooses which one to keep.
+   */
+  async #loadSharedSet() {
+    const sharedSet = await readSharedSet();
+    removeSharedSetFromUrl();
+    if (!sharedSet || sharedSet.length === 0) return;
+
+    if (this.getSessionCart().length === 0) {
+      saveSetItems(sharedSet);
+      markSetResumed();
+      this.#prompt = null;
+      return;
+    }
+
+    this.#pendingSharedSet = sharedSet;
+    this.#prompt = 'shared';
+  }
+
+  /**
+   * Shows the resume or shared set prompt in place of the products while the shopper decides.
+   * @param {Array<Object>} sessionCart - Array of product items
+   */
+  #renderPrompt(sessionCart) {
+    const { resumePrompt, resumeText, resumeButton, discardButton } = this.refs;
+    const prompt = sessionCart.length > 0 ? this.#prompt : null;
+
+    this.classList.toggle('build-your-set-sticky-bar--prompt', !!prompt);
+    if (!(resumePrompt instanceof HTMLElement)) return;
+
+    resumePrompt.hidden = !prompt;
+    if (!prompt) return;
+    if (
+      !(resumeText instanceof HTMLElement) ||
+      !(resumeButton instanceof HTMLElement) ||
+      !(discardButton instanceof HTMLElement)
+    ) {
+      return;
+    }
+
+    const count = (/** @type {number} */ length) => `${length} ${length === 1 ? 'item' : 'items'}`;
+
+    if (prompt === 'shared' && this.#pendingSharedSet) {
+      resumeText.textContent = `A set with ${count(this.#pendingSharedSet.length)} was shared with you. You already have a set with ${count(sessionCart.length)} in progress.`;
+      resumeButton.textContent = 'Use Shared Set';
+      discardButton.textContent = 'Keep My Set';
+    } else {
+      resumeText.textContent = `Welcome back! Your set has ${count(sessionCart.length)}. Would you like to carry on where you left off?`;
+      resumeButton.textContent = 'Resume My Set';
+      discardButton.textContent = 'Start Over';
+    }
+  }
+
+  /**
+   * Accepts the prompt: resumes the stored set, or replaces it with the shared one.
+   */
+  acceptPrompt() {
+    if (this.#prompt === 'shared' && this.#pendingSharedSet) {
+      saveSetItems(this.#pendingSharedSet);
+    } else {
+      // Saving again restarts the expiry
+      saveSetItems(this.getSessionCart());
+    }
+    this.#closePrompt();
+  }
+
+  /**
+   * Declines the prompt: drops the stored set, or ignores the shared one.
+   */
+  declinePrompt() {
+    const prompt = this.#prompt;
+    this.#closePrompt();
+
+    if (prompt === 'shared') {
+      this.updateDisplay();
+    } else {
+      this.handleStartOver();
+    }
+  }
+
+  /**
+   * Hides the prompt and remembers the answer for this tab.
+   */
+  #closePrompt() {
+    this.#prompt = null;
+    this.#pendingSharedSet = null;
+    markSetResumed();
+    this.updateDisplay();
+  }
+
+  /**
+   * Shares a link to the set, or copies it when the browser cannot share.
+   */
+  async shareSet() {
+    const { shareButton } = this.refs;
+    const sessionCart = this.getSessionCart();
+    if (sessionCart.length === 0 || !(shareButton instanceof HTMLElement)) return;
+
+    const url = createShareUrl(sessionCart);
+    const originalText = shareButton.textContent;
+    let message = null;
 
     try {
-      return JSON.parse(sessionCartJson);
-    } catch (e) {
-      console.error('Build Your Set: Error parsing session cart:', e);
-      return [];
+      if (navigator.share) {
+        await navigator.share({ title: document.title, url });
+      } else {
+        await navigator.clipboard.writeText(url);
+        message = 'Link Copied';
+      }
+    } catch (error) {
+      // Closing the share sheet rejects with an AbortError
+      if (error instanceof Error && error.name === 'AbortError') return;
+      console.error('Build Your Set: Error sharing set:', error);
+      message = 'Could Not Share';
     }
+
+    if (!message) return;
+
+    shareButton.textContent = message;
+    setTimeout(() => {
+      shareButton.textContent = originalText;
+    }, 2000);
   }
 
   /**
@@ -228,12 +422,7 @@ export class BuildYourSetStickyBarComponent extends Component {
       let personalisationHtml = '';
       const hasPersonalizations = item.personalizations && Object.keys(item.personalizations).length > 0;
       const colorKeys = ['personalise-color', 'color', 'properties[Text Color]'];
-      const colorMap = {
-        black: '#000000', white: '#ffffff', blue: '#DEE8EF', gold: '#DEB035',
-        green: '#E4EFDB', grey: '#E8EBEC', gray: '#E8EBEC', multicolour: '#8B4789',
-        orange: '#F8CF89', pink: '#F7DDE2', purple: '#F0D9E6', red: '#BC3725',
-        silver: '#DEEBF7', yellow: '#F9F3DB'
-      };
+      const fontKeys = ['personalise-font', 'font', 'properties[Text Font]'];
       const escapeHtml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
       if (hasPersonalizations) {
         const parts = [];
@@ -244,10 +433,11 @@ export class BuildYourSetStickyBarComponent extends Component {
             const val = value.toString().trim();
             const isColor = colorKeys.includes(key);
             if (isColor) {
-              const colorKey = val.toLowerCase();
-              const bgColor = colorMap[colorKey] || val;
+              const bgColor = escapeHtml(getColorSwatch(val));
               const titleEscaped = escapeHtml(val);
               parts.push(`<span class="personalise-summary__color"><span class="personalise-summary__swatch" style="background-color: ${bgColor}" title="${titleEscaped}"></span></span>`);
+            } else if (fontKeys.includes(key)) {
+              parts.push(escapeHtml(getFontDisplayName(val)));
             } else {
               parts.push(escapeHtml(val));
             }
@@ -438,10 +628,9 @@ export class BuildYourSetStickyBarComponent extends Component {
     // Update personalizations for the product
     sessionCart[index].personalizations = personalizations;
 
-    // Save updated cart to session storage
-    const storageKey = 'build-your-set-session-cart';
+    // Save the updated set
     try {
-      sessionStorage.setItem(storageKey, JSON.stringify(sessionCart));
+      saveSetItems(sessionCart);
       
       // Update display
       this.updateDisplay();
@@ -481,18 +670,24 @@ export class BuildYourSetStickyBarComponent extends Component {
     // Remove the product at the specified index
     sessionCart.splice(index, 1);
 
-    // Save updated cart to session storage
-    const storageKey = 'build-your-set-session-cart';
+    // Failures are kept by index, so those of the products after it move up by one
+    this.#failures = new Map(
+      [...this.#failures]
+        .filter(([failedIndex]) => failedIndex !== index)
+        .map(([failedIndex, reason]) => [failedIndex > index ? failedIndex - 1 : failedIndex, reason])
+    );
+
+    // Save the updated set
     try {
       if (sessionCart.length === 0) {
-        // If cart is empty, remove the key entirely
-        sessionStorage.removeItem(storageKey);
+        // If the set is empty, remove it entirely
+        clearSet();
         // Hide sticky bar
         this.style.display = 'none';
         this.style.visibility = 'hidden';
         this.setAttribute('hidden', '');
       } else {
-        sessionStorage.setItem(storageKey, JSON.stringify(sessionCart));
+        saveSetItems(sessionCart);
       }
 
       // Update display
@@ -574,9 +769,8 @@ export class BuildYourSetStickyBarComponent extends Component {
    * Handles start over button click
    */
   handleStartOver() {
-    const storageKey = 'build-your-set-session-cart';
     try {
-      sessionStorage.removeItem(storageKey);
+      clearSet();
       
       // Update display immediately
       requestAnimationFrame(() => {
@@ -611,6 +805,9 @@ export class BuildYourSetStickyBarComponent extends Component {
 
     if (!this.refs.addAllButton) return;
 
+    // The button is disabled until the set meets the rules; check again in case another tab changed it
+    if (!this.#renderRules(sessionCart).satisfied) return;
+
     // Set flag to prevent duplicates
     this.#isAddingToCart = true;
 
@@ -622,14 +819,19 @@ export class BuildYourSetStickyBarComponent extends Component {
       buttonText.textContent = 'Adding...';
     }
 
+    this.#failures.clear();
+    this.#failureMessage = null;
+    this.#renderFailures(sessionCart);
+
     try {
       // Get cart section IDs that need to be updated
       const cartSectionIds = this.#getCartSectionIds();
       
-      // Add each product to cart (one at a time to avoid conflicts)
-      for (const item of sessionCart) {
-        await this.addProductToCart(item);
-      }
+      // Add the whole set in one request, so a failure leaves nothing of it in the cart
+      await addSetToCart(
+        sessionCart.map((item) => this.#toSetLineItem(item)),
+        { name: 'Build Your Set' }
+      );
 
       // Fetch updated cart with sections after all products are added
       const cartData = await this.#fetchCartWithSections(cartSectionIds);
@@ -637,9 +839,8 @@ export class BuildYourSetStickyBarComponent extends Component {
       // Calculate total items added
       const totalItemsAdded = sessionCart.reduce((sum, item) => sum + (item.quantity || 1), 0);
 
-      // Clear session after successful add
-      const storageKey = 'build-your-set-session-cart';
-      sessionStorage.removeItem(storageKey);
+      // Clear the set after successful add
+      clearSet();
       
       // Force update display immediately to hide sticky bar
       // Use multiple methods to ensure it updates
@@ -658,7 +859,7 @@ export class BuildYourSetStickyBarComponent extends Component {
       document.dispatchEvent(
         new CartAddEvent(cartData, this.id, {
           source: 'build-your-set-sticky-bar',
-          itemCount: totalItemsAdded,
+          itemCount: cartData.item_count ?? totalItemsAdded,
           sections: cartData.sections || {}
         })
       );
@@ -670,16 +871,15 @@ export class BuildYourSetStickyBarComponent extends Component {
           if (buttonText) {
             buttonText.textContent = originalText;
           }
-          if (this.refs.addAllButton) {
-            this.refs.addAllButton.disabled = false;
-          }
           this.#isAddingToCart = false;
+          this.#renderRules(this.getSessionCart());
         }, 2000);
       } else {
         this.#isAddingToCart = false;
       }
     } catch (error) {
       console.error('Build Your Set: Error adding products to cart:', error);
+      this.#reportFailures(sessionCart, error);
       if (buttonText) {
         buttonText.textContent = 'Error - Try Again';
       }
@@ -687,10 +887,8 @@ export class BuildYourSetStickyBarComponent extends Component {
         if (buttonText) {
           buttonText.textContent = originalText;
         }
-        if (this.refs.addAllButton) {
-          this.refs.addAllButton.disabled = false;
-        }
         this.#isAddingToCart = false;
+        this.#renderRules(this.getSessionCart());
       }, 2000);
     }
   }
@@ -723,164 +921,120 @@ export class BuildYourSetStickyBarComponent extends Component {
   /**
    * Fetches cart with sections
    * @param {Array<string>} sectionIds - Section IDs to fetch
-   * @returns {Promise<Object>} Cart data with sections
+   * @returns {Promise<{ item_count?: number, sections: Record<string, string> }>} Cart data with sections
    */
   async #fetchCartWithSections(sectionIds) {
     try {
-      let url = '/cart.js';
-      if (sectionIds && sectionIds.length > 0) {
-        const sectionsParam = sectionIds.join(',');
-        url = `/cart.js?sections=${sectionsParam}`;
-      }
-      
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        }
-      });
-
-      if (!response.ok) {
-        console.warn('Build Your Set: Failed to fetch cart sections, continuing without sections');
-        const cartData = await fetch('/cart.js', {
-          method: 'GET',
-          headers: {
-            'Accept': 'application/json',
-            'X-Requested-With': 'XMLHttpRequest'
-          }
-        }).then(r => r.ok ? r.json() : {});
-        return { ...cartData, sections: {} };
-      }
+      const cart = await cartStore.refresh({ sections: sectionIds });
+      return { ...cart, sections: cart.sections || {} };
+    } catch (error) {
+      console.warn('Build Your Set: Error fetching cart sections, continuing without sections:', error);
+    }
 
-      const data = await response.json();
-      // Shopify returns sections in a 'sections' property when using ?sections= parameter
-      return {
-        ...data,
-        sections: data.sections || {}
-      };
+    try {
+      const cart = await cartStore.get();
+      return { ...cart, sections: {} };
     } catch (error) {
-      console.warn('Build Your Set: Error fetching cart sections:', error);
-      // Fallback: fetch cart without sections
-      try {
-        const response = await fetch('/cart.js', {
-          method: 'GET',
-          headers: {
-            'Accept': 'application/json',
-            'X-Requested-With': 'XMLHttpRequest'
-          }
-        });
-        if (response.ok) {
-          const cartData = await response.json();
-          return { ...cartData, sections: {} };
-        }
-      } catch (e) {
-        console.error('Build Your Set: Error fetching cart:', e);
-      }
+      console.error('Build Your Set: Error fetching cart:', error);
       return { sections: {} };
     }
   }
 
   /**
-   * Adds a single product to cart with personalizations
-   * @param {Object} item - Product item from session
-   * @returns {Promise} Promise that resolves when product is added
+   * Records why the set could not be added, so the sticky bar can show it.
+   * @param {import('@theme/build-your-set-storage').SetItem[]} sessionCart - The products that were being added
+   * @param {unknown} error
    */
-  async addProductToCart(item) {
-    const formData = new FormData();
-    
-    // Ensure variant_id is a string (Shopify expects string)
-    const variantId = String(item.variant_id);
-    formData.append('id', variantId);
-    formData.append('quantity', String(item.quantity || 1));
-
-    // Add personalizations as item properties
-    if (item.personalizations && Object.keys(item.personalizations).length > 0) {
-      // Map of personalization keys to Shopify property names
-      const propertyKeyMap = {
-        'name': 'Name',
-        'personalise-name': 'Name',
-        'babyName': "Baby's Name",
-        "Baby's Name": "Baby's Name",
-        'kidName': "Kid's Name",
-        "Kid's Name": "Kid's Name",
-        'mumName': "Mum's Name",
-        "Mum's Name": "Mum's Name",
-        'font': 'Text Font',
-        'personalise-font': 'Text Font',
-        'color': 'Text Color',
-        'personalise-color': 'Text Color',
-        'dob': 'Date of Birth',
-        'schoolYear': 'School Year',
-        'name1': 'Name 1',
-        'name2': 'Name 2',
-        'name3': 'Name 3',
-        'name4': 'Name 4',
-        'textbox': 'Personalisation:',
-        'message': 'Message',
-        'time': 'Time',
-        'weight': 'Weight',
-        'optionalDob': 'Personalise Date of Birth'
-      };
-      
-      Object.keys(item.personalizations).forEach(key => {
-        const value = item.personalizations[key];
-        if (value && value.toString().trim() && value !== 'null' && value !== 'undefined') {
-          let propertyKey;
-          
-          // If key already has properties[ format, use it as is
-          if (key.startsWith('properties[') && key.endsWith(']')) {
-            propertyKey = key;
-          } else {
-            // Map the key to the correct Shopify property name
-            const mappedKey = propertyKeyMap[key] || key;
-            propertyKey = `properties[${mappedKey}]`;
-          }
-          
-          formData.append(propertyKey, String(value));
-        }
-      });
+  #reportFailures(sessionCart, error) {
+    const failures = error instanceof SetAddError ? error.failures : [];
+    for (const failure of failures) {
+      if (sessionCart[failure.index]) this.#failures.set(failure.index, failure.message);
     }
 
-    try {
-      // Use FormData - don't set Content-Type header, let browser set it with boundary
-      const response = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: formData
-      });
+    this.#failureMessage =
+      this.#failures.size > 0
+        ? 'Some products could not be added, so nothing was added to your cart:'
+        : error instanceof Error
+          ? error.message
+          : 'Your set could not be added to the cart. Please try again.';
 
-      const responseText = await response.text();
-      let data;
-      
-      try {
-        data = JSON.parse(responseText);
-      } catch (parseError) {
-        console.error('Build Your Set: Failed to parse cart API response:', responseText);
-        throw new Error(`Invalid response from cart API: ${response.status} ${response.statusText}`);
-      }
+    this.updateDisplay();
+  }
 
-      if (!response.ok || data.status === 422 || data.errors) {
-        const errorMessage = data.description || data.message || (data.errors ? JSON.stringify(data.errors) : null) || `Failed to add product ${item.product_id} to cart`;
-        console.error('Build Your Set: Cart API error response:', {
-          status: response.status,
-          statusText: response.statusText,
-          data: data,
-          variant_id: variantId,
-          quantity: item.quantity,
-          personalizations: item.personalizations
-        });
-        throw new Error(typeof errorMessage === 'string' ? errorMessage : JSON.stringify(errorMessage));
-      }
+  /**
+   * Shows why the set could not be added, next to the products that failed and in a report above
+   * the actions. The report goes away once the shopper removes the products that failed.
+   * @param {import('@theme/build-your-set-storage').SetItem[]} sessionCart - Array of product items
+   */
+  #renderFailures(sessionCart) {
+    const { failureReport, productsContainer } = this.refs;
+    if (!(failureReport instanceof HTMLElement)) return;
 
-      return data;
-    } catch (error) {
-      console.error(`Build Your Set: Error adding product ${item.product_id} to cart:`, error);
-      throw error;
+    const failedItems = sessionCart
+      .map((item, index) => ({ item, index, reason: this.#failures.get(index) }))
+      .filter(({ reason }) => reason);
+
+    if (this.#failures.size > 0 && failedItems.length === 0) {
+      this.#failures.clear();
+      this.#failureMessage = null;
+    }
+
+    failureReport.hidden = !this.#failureMessage;
+    if (!this.#failureMessage) {
+      failureReport.replaceChildren();
+      return;
     }
+
+    const heading = document.createElement('p');
+    heading.textContent = this.#failureMessage;
+    const list = document.createElement('ul');
+    list.replaceChildren(
+      ...failedItems.map(({ item, reason }) => {
+        const entry = document.createElement('li');
+        entry.textContent = `${item.product_name || 'Product'}: ${reason}`;
+        return entry;
+      })
+    );
+    failureReport.replaceChildren(heading, ...(failedItems.length ? [list] : []));
+
+    if (!(productsContainer instanceof HTMLElement)) return;
+
+    for (const { index } of failedItems) {
+      productsContainer
+        .querySelector(`.build-your-set-sticky-bar__product[data-product-index="${index}"]`)
+        ?.classList.add('build-your-set-sticky-bar__product--failed');
+    }
+  }
+
+  /**
+   * Gets the cart line of a product of the set, with its personalisation as line item properties.
+   * @param {import('@theme/build-your-set-storage').SetItem} item - Product item from session
+   * @returns {import('@theme/cart-set-add').SetLineItem}
+   */
+  #toSetLineItem(item) {
+    /** @type {Record<string, string>} */
+    const properties = {};
+
+    const { personalizations } = item;
+    if (personalizations && Object.keys(personalizations).length > 0) {
+      Object.keys(personalizations).forEach(key => {
+        const value = personalizations[key];
+        if (value && value.toString().trim() && value !== 'null' && value !== 'undefined') {
+          // Keys already in properties[...] format are used as they are
+          const match = key.match(/^properties\[(.*)\]$/);
+          // Map personalisation and session keys to the Shopify property name
+          const propertyKey = match?.[1] ?? (resolvePersonalisationField(key)?.property || key);
+          properties[propertyKey] = String(value);
+        }
+      });
+    }
+
+    return {
+      id: String(item.variant_id),
+      quantity: item.quantity || 1,
+      properties,
+      title: item.product_name,
+    };
   }
 }
 
@@ -0,0 +1,320 @@
+import { formatCurrency } from '@theme/utilities';
+
+/**
+ * Storage of the build-your-set set in progress.
+ *
+ * The set lives in localStorage so it survives reloads and is shared by every tab; tabs tell each
+ * other about changes over a BroadcastChannel and re-dispatch them as `build-your-set-updated` /
+ * `build-your-set-cleared`, the same events the page dispatches for its own changes. A stored set
+ * carries a version (sets stored in an older shape are dropped) and expires after
+ * `SET_EXPIRY_MS` without changes.
+ *
+ * A set can also be shared as a link: `?set=` holds the handle, variant, quantity and
+ * personalisation of each item, and everything shown in the sticky bar is read back from the
+ * product JSON, so nothing from the link is trusted beyond those values.
+ */
+
+/** localStorage key of the set. */
+export const SET_STORAGE_KEY = 'build-your-set';
+
+/** Version of the stored set. Bump it when the shape of an item changes. */
+export const SET_STORAGE_VERSION = 1;
+
+/** How long a set is kept without changes. */
+export const SET_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** How long a set can go without changes before a returning shopper is asked to resume it. */
+export const RESUME_PROMPT_AFTER_MS = 30 * 60 * 1000;
+
+/** URL parameter holding a shared set. */
+export const SHARE_PARAMETER = 'set';
+
+/** Where sets were kept before they moved to localStorage, read once to carry them over. */
+const LEGACY_SESSION_KEY = 'build-your-set-session-cart';
+
+/** sessionStorage key set once the shopper has answered the resume prompt in this tab. */
+const RESUMED_SESSION_KEY = 'build-your-set-resumed';
+
+const CHANNEL_NAME = 'build-your-set';
+
+/**
+ * @typedef {Object} SetItem
+ * @property {string} product_id
+ * @property {string} variant_id
+ * @property {number} [quantity]
+ * @property {string} [product_name]
+ * @property {string} [product_handle]
+ * @property {string} [product_url]
+ * @property {string} [variant_title]
+ * @property {string} [price]
+ * @property {number} [price_value]
+ * @property {string} [featured_image]
+ * @property {string[]} [product_tags]
+ * @property {boolean} [needs_personalization]
+ * @property {Record<string, string>} [personalizations]
+ */
+
+/**
+ * @typedef {Object} StoredSet
+ * @property {number} version
+ * @property {number} updatedAt - When the set last changed, in ms since the epoch
+ * @property {SetItem[]} items
+ */
+
+/** @type {BroadcastChannel | null} */
+const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+/**
+ * Tells listeners in this tab that another tab changed the set.
+ * @param {number} productCount
+ */
+function dispatchExternalChange(productCount) {
+  const type = productCount > 0 ? 'build-your-set-updated' : 'build-your-set-cleared';
+  document.dispatchEvent(
+    new CustomEvent(type, { bubbles: true, cancelable: true, detail: { productCount, external: true } })
+  );
+}
+
+if (channel) {
+  channel.addEventListener('message', (event) => dispatchExternalChange(Number(event.data?.productCount) || 0));
+} else {
+  // Browsers without BroadcastChannel still get the storage event
+  window.addEventListener('storage', (event) => {
+    if (event.key === SET_STORAGE_KEY) dispatchExternalChange(getSetItems().length);
+  });
+}
+
+/**
+ * @returns {StoredSet | null}
+ */
+function readStoredSet() {
+  try {
+    const json = localStorage.getItem(SET_STORAGE_KEY);
+    if (!json) return migrateLegacySet();
+
+    const stored = JSON.parse(json);
+    if (
+      stored?.version !== SET_STORAGE_VERSION ||
+      !Array.isArray(stored.items) ||
+      Date.now() - Number(stored.updatedAt) > SET_EXPIRY_MS
+    ) {
+      localStorage.removeItem(SET_STORAGE_KEY);
+      return null;
+    }
+
+    return stored;
+  } catch (error) {
+    console.error('Build Your Set: Error reading stored set:', error);
+    return null;
+  }
+}
+
+/**
+ * Moves a set stored in sessionStorage by an earlier version of the theme to localStorage.
+ * @returns {StoredSet | null}
+ */
+function migrateLegacySet() {
+  const json = sessionStorage.getItem(LEGACY_SESSION_KEY);
+  if (!json) return null;
+
+  sessionStorage.removeItem(LEGACY_SESSION_KEY);
+  const items = JSON.parse(json);
+  if (!Array.isArray(items) || items.length === 0) return null;
+
+  return writeStoredSet(items);
+}
+
+/**
+ * @param {SetItem[]} items
+ * @returns {StoredSet}
+ */
+function writeStoredSet(items) {
+  /** @type {StoredSet} */
+  const stored = { version: SET_STORAGE_VERSION, updatedAt: Date.now(), items };
+  localStorage.setItem(SET_STORAGE_KEY, JSON.stringify(stored));
+  return stored;
+}
+
+/**
+ * Gets the items of the set in progress.
+ * @returns {SetItem[]}
+ */
+export function getSetItems() {
+  return readStoredSet()?.items ?? [];
+}
+
+/**
+ * Stores the items of the set and tells other tabs. Listeners in this tab are notified by the
+ * caller, as before.
+ * @param {SetItem[]} items
+ */
+export function saveSetItems(items) {
+  if (items.length === 0) {
+    clearSet();
+    return;
+  }
+
+  writeStoredSet(items);
+  channel?.postMessage({ productCount: items.length });
+}
+
+/**
+ * Removes the set and tells other tabs.
+ */
+export function clearSet() {
+  localStorage.removeItem(SET_STORAGE_KEY);
+  sessionStorage.removeItem(LEGACY_SESSION_KEY);
+  channel?.postMessage({ productCount: 0 });
+}
+
+/**
+ * Whether to ask the shopper if they want to carry on with their set: it was left untouched for a
+ * while and they have not answered yet in this tab.
+ * @returns {boolean}
+ */
+export function shouldPromptToResume() {
+  const stored = readStoredSet();
+  if (!stored || stored.items.length === 0) return false;
+  if (sessionStorage.getItem(RESUMED_SESSION_KEY)) return false;
+
+  return Date.now() - stored.updatedAt > RESUME_PROMPT_AFTER_MS;
+}
+
+/**
+ * Records that the shopper answered the resume prompt, so this tab does not ask again.
+ */
+export function markSetResumed() {
+  sessionStorage.setItem(RESUMED_SESSION_KEY, 'true');
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function toBase64Url(value) {
+  const bytes = new TextEncoder().encode(value);
+  let binary = '';
+  bytes.forEach((byte) => (binary += String.fromCharCode(byte)));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function fromBase64Url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (character) => character.charCodeAt(0)));
+}
+
+/**
+ * Creates a link that opens the current page with the set.
+ * @param {SetItem[]} items
+ * @returns {string}
+ */
+export function createShareUrl(items) {
+  const shared = items
+    .filter((item) => item.product_handle && item.variant_id)
+    .map((item) => ({
+      h: item.product_handle,
+      v: String(item.variant_id),
+      q: item.quantity || 1,
+      ...(item.needs_personalization ? { n: 1 } : {}),
+      ...(item.personalizations && Object.keys(item.personalizations).length ? { p: item.personalizations } : {}),
+    }));
+
+  const url = new URL(window.location.href);
+  url.searchParams.set(SHARE_PARAMETER, toBase64Url(JSON.stringify(shared)));
+  return url.toString();
+}
+
+/**
+ * @param {unknown} personalizations
+ * @returns {Record<string, string> | undefined}
+ */
+function readSharedPersonalizations(personalizations) {
+  if (!personalizations || typeof personalizations !== 'object') return undefined;
+
+  const entries = Object.entries(personalizations).filter(([, value]) => typeof value === 'string');
+  return entries.length ? Object.fromEntries(entries) : undefined;
+}
+
+/**
+ * @param {string} handle
+ * @returns {string} The product's URL in the storefront's current language and market
+ */
+function getProductUrl(handle) {
+  const root = Theme.routes.root.endsWith('/') ? Theme.routes.root : `${Theme.routes.root}/`;
+  return `${root}products/${encodeURIComponent(handle)}`;
+}
+
+/**
+ * Reads a set shared in the URL, fetching each product so the set shows current titles, prices
+ * and images.
+ * @param {URL} [url]
+ * @returns {Promise<SetItem[] | null>} The items, or null when the URL holds no set
+ */
+export async function readSharedSet(url = new URL(window.location.href)) {
+  const parameter = url.searchParams.get(SHARE_PARAMETER);
+  if (!parameter) return null;
+
+  /** @type {any[]} */
+  let shared;
+  try {
+    shared = JSON.parse(fromBase64Url(parameter));
+  } catch (error) {
+    console.warn('Build Your Set: Ignoring an invalid shared set', error);
+    return null;
+  }
+  if (!Array.isArray(shared)) return null;
+
+  const items = await Promise.all(
+    shared.map(async (entry) => {
+      if (typeof entry?.h !== 'string' || !/^\d+$/.test(String(entry.v))) return null;
+
+      try {
+        const response = await fetch(`${getProductUrl(entry.h)}.js`);
+        if (!response.ok) return null;
+
+        const product = await response.json();
+        const variant = product.variants.find((/** @type {any} */ variant) => String(variant.id) === String(entry.v));
+        if (!variant || !variant.available) return null;
+
+        const image = variant.featured_image?.src || product.featured_image || '';
+
+        /** @type {SetItem} */
+        const item = {
+          product_id: String(product.id),
+          variant_id: String(variant.id),
+          quantity: Math.max(1, parseInt(entry.q, 10) || 1),
+          product_name: product.title,
+          product_handle: product.handle,
+          product_url: getProductUrl(product.handle),
+          variant_title: variant.title,
+          price: formatCurrency(variant.price),
+          price_value: variant.price / 100,
+          featured_image: image.startsWith('//') ? `https:${image}` : image,
+          product_tags: product.tags,
+          needs_personalization: entry.n === 1,
+          personalizations: readSharedPersonalizations(entry.p),
+        };
+        return item;
+      } catch (error) {
+        return null;
+      }
+    })
+  );
+
+  return /** @type {SetItem[]} */ (items.filter(Boolean));
+}
+
+/**
+ * Removes a shared set from the address bar, so reloading does not load it again.
+ */
+export function removeSharedSetFromUrl() {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has(SHARE_PARAMETER)) return;
+
+  url.searchParams.delete(SHARE_PARAMETER);
+  history.replaceState(history.state, '', url.toString());
+}
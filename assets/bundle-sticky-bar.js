@@ -1,5 +1,8 @@
 import { Component } from '@theme/component';
-import { ThemeEvents } from '@theme/events';
+import { CartUpdateEvent } from '@theme/events';
+import { addSetToCart, SetAddError } from '@theme/cart-set-add';
+import { cartStore } from '@theme/cart-store';
+import { personalisationToProperties } from '@theme/personalisation-schema';
 
 /**
  * Component for managing the bundle sticky bar
@@ -7,20 +10,15 @@ import { ThemeEvents } from '@theme/events';
 export class BundleStickyBarComponent extends Component {
   requiredRefs = ['productsContainer', 'startOverButton', 'addAllButton', 'totalPrice'];
 
+  /** @type {boolean} */
+  #isAddingToCart = false;
+
   connectedCallback() {
     super.connectedCallback();
     this.updateDisplay();
     
     // Listen for bundle updates
     document.addEventListener('bundle-updated', this.updateDisplay.bind(this));
-    
-    // Set up button handlers
-    if (this.refs.startOverButton) {
-      this.refs.startOverButton.addEventListener('click', this.handleStartOver.bind(this));
-    }
-    if (this.refs.addAllButton) {
-      this.refs.addAllButton.addEventListener('click', this.handleAddAllToCart.bind(this));
-    }
   }
 
   /**
@@ -163,20 +161,28 @@ export class BundleStickyBarComponent extends Component {
   };
 
   /**
-   * Handles add all to cart button click
+   * Handles add all to cart button click. The bundle is added as one set: when an item fails,
+   * nothing is added and the sticky bar lists the items that failed.
    */
   handleAddAllToCart = async () => {
     const bundleItems = this.getBundleItems();
-    if (bundleItems.length === 0) return;
-
-    // Add each item to cart with personalisation
-    for (const item of bundleItems) {
-      try {
-        await this.#addItemToCart(item);
-      } catch (error) {
-        console.error('Error adding item to cart:', error);
-        // Continue with other items even if one fails
-      }
+    const { addAllButton } = this.refs;
+    if (bundleItems.length === 0 || this.#isAddingToCart || !(addAllButton instanceof HTMLButtonElement)) return;
+
+    this.#isAddingToCart = true;
+    addAllButton.disabled = true;
+    this.#renderFailures(null);
+
+    try {
+      // Add the whole bundle in one request, so a failure leaves nothing of it in the cart
+      await addSetToCart(bundleItems.map((item) => this.#toSetLineItem(item)), { name: 'Bundle' });
+    } catch (error) {
+      console.error('Error adding bundle to cart:', error);
+      this.#renderFailures(error, bundleItems);
+      return;
+    } finally {
+      this.#isAddingToCart = false;
+      addAllButton.disabled = false;
     }
 
     // Clear bundle after adding to cart
@@ -184,87 +190,78 @@ export class BundleStickyBarComponent extends Component {
     this.updateDisplay();
     document.dispatchEvent(new CustomEvent('bundle-updated'));
 
-    // Trigger cart update event
-    document.dispatchEvent(new CustomEvent(ThemeEvents.cartUpdate, { bubbles: true }));
+    await this.#dispatchCartUpdate();
   };
 
   /**
-   * Adds a single item to cart
-   * @param {Object} item - The bundle item to add
+   * Tells the cart drawer, cart page and cart icon about the added bundle, with their sections
+   * rendered for the new cart.
    */
-  async #addItemToCart(item) {
-    const formData = new FormData();
-    formData.append('id', item.variantId);
-    formData.append('quantity', item.quantity || 1);
-
-    // Add personalisation properties if they exist
-    if (item.personalisation) {
-      if (item.personalisation.name) {
-        formData.append('properties[Name]', item.personalisation.name);
-      }
-      if (item.personalisation.font) {
-        formData.append('properties[Text Font]', item.personalisation.font);
-      }
-      if (item.personalisation.color) {
-        formData.append('properties[Text Color]', item.personalisation.color);
-      }
-      if (item.personalisation.dob) {
-        formData.append('properties[Date of Birth]', item.personalisation.dob);
-      }
-      if (item.personalisation.schoolYear) {
-        formData.append('properties[School Year]', item.personalisation.schoolYear);
-      }
-      if (item.personalisation.name1) {
-        formData.append('properties[Name 1]', item.personalisation.name1);
-      }
-      if (item.personalisation.name2) {
-        formData.append('properties[Name 2]', item.personalisation.name2);
-      }
-      if (item.personalisation.name3) {
-        formData.append('properties[Name 3]', item.personalisation.name3);
-      }
-      if (item.personalisation.name4) {
-        formData.append('properties[Name 4]', item.personalisation.name4);
-      }
-      if (item.personalisation.textbox) {
-        formData.append('properties[Personalisation:]', item.personalisation.textbox);
-      }
-      if (item.personalisation.message) {
-        formData.append('properties[Message]', item.personalisation.message);
-      }
-      if (item.personalisation.optionalDob) {
-        formData.append('properties[Personalise Date of Birth]', item.personalisation.optionalDob);
-      }
-      if (item.personalisation.time) {
-        formData.append('properties[Time]', item.personalisation.time);
-      }
-      if (item.personalisation.weight) {
-        formData.append('properties[Weight]', item.personalisation.weight);
-      }
-      if (item.personalisation.babyName) {
-        formData.append('properties[Baby\'s Name]', item.personalisation.babyName);
-      }
-      if (item.personalisation.kidName) {
-        formData.append('properties[Kid\'s Name]', item.personalisation.kidName);
-      }
-      if (item.personalisation.mumName) {
-        formData.append('properties[Mum\'s Name]', item.personalisation.mumName);
-      }
+  async #dispatchCartUpdate() {
+    /** @type {string[]} */
+    const sectionIds = [];
+    for (const cartItems of document.querySelectorAll('cart-items-component')) {
+      if (cartItems instanceof HTMLElement && cartItems.dataset.sectionId) sectionIds.push(cartItems.dataset.sectionId);
     }
 
-    const response = await fetch(Theme.routes.cart_add_url, {
-      method: 'POST',
-      body: formData,
-      headers: {
-        'Accept': 'application/json',
-      },
-    });
+    let cart;
+    try {
+      cart = await cartStore.refresh({ sections: sectionIds });
+    } catch (error) {
+      console.error('Could not fetch the cart after adding the bundle:', error);
+      return;
+    }
+
+    document.dispatchEvent(
+      new CartUpdateEvent(cart, this.id, {
+        source: 'bundle-sticky-bar',
+        itemCount: cart.item_count,
+        sections: cart.sections ?? {},
+      })
+    );
+  }
+
+  /**
+   * Shows which items could not be added, or hides the report.
+   * @param {unknown} error - The error of the failed add, null to hide the report
+   * @param {Array<Record<string, any>>} [bundleItems] - The items that were being added
+   */
+  #renderFailures(error, bundleItems = []) {
+    const { failureReport } = this.refs;
+    if (!(failureReport instanceof HTMLElement)) return;
+
+    failureReport.hidden = !error;
+    failureReport.replaceChildren();
+    if (!error) return;
 
-    if (!response.ok) {
-      throw new Error(`Failed to add item to cart: ${response.statusText}`);
+    const failures = error instanceof SetAddError ? error.failures : [];
+    const heading = document.createElement('p');
+    heading.textContent = failures.length
+      ? 'Some products could not be added, so nothing was added to your cart:'
+      : error instanceof Error
+        ? error.message
+        : 'Your bundle could not be added to the cart. Please try again.';
+    failureReport.append(heading);
+
+    if (failures.length) {
+      const list = document.createElement('ul');
+      for (const failure of failures) {
+        const entry = document.createElement('li');
+        entry.textContent = `${bundleItems[failure.index]?.title || failure.title}: ${failure.message}`;
+        list.append(entry);
+      }
+      failureReport.append(list);
     }
+  }
 
-    return await response.json();
+  /**
+   * Gets the cart line of a bundle item, with its personalisation as line item properties.
+   * @param {Record<string, any>} item - The bundle item
+   * @returns {import('@theme/cart-set-add').SetLineItem}
+   */
+  #toSetLineItem(item) {
+    const properties = personalisationToProperties(item.personalisation ?? {});
+    return { id: item.variantId, quantity: item.quantity || 1, properties, title: item.title };
   }
 }
 
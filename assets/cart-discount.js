@@ -1,8 +1,8 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartMutations, CartMutationError } from '@theme/cart-mutation-queue';
 
 /**
  * A custom element that applies a discount to the cart.
@@ -11,6 +11,7 @@ import { cartPerformance } from '@theme/performance';
  * @property {HTMLElement} cartDiscountError - The error element.
  * @property {HTMLElement} cartDiscountErrorDiscountCode - The discount code error element.
  * @property {HTMLElement} cartDiscountErrorShipping - The shipping error element.
+ * @property {HTMLElement} [cartDiscountErrorRequest] - The error element for changes that could not be sent.
  */
 
 /**
@@ -19,26 +20,11 @@ import { cartPerformance } from '@theme/performance';
 class CartDiscount extends Component {
   requiredRefs = ['cartDiscountError', 'cartDiscountErrorDiscountCode', 'cartDiscountErrorShipping'];
 
-  /** @type {AbortController | null} */
-  #activeFetch = null;
-
-  #createAbortController() {
-    if (this.#activeFetch) {
-      this.#activeFetch.abort();
-    }
-
-    const abortController = new AbortController();
-    this.#activeFetch = abortController;
-    return abortController;
-  }
-
   /**
    * Handles updates to the cart note.
    * @param {SubmitEvent} event - The submit event on our form.
    */
   applyDiscount = async (event) => {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-
     event.preventDefault();
     event.stopPropagation();
 
@@ -49,31 +35,23 @@ class CartDiscount extends Component {
     if (!(discountCode instanceof HTMLInputElement) || typeof this.dataset.sectionId !== 'string') return;
 
     const discountCodeValue = discountCode.value;
-
-    const abortController = this.#createAbortController();
+    const sectionId = this.dataset.sectionId;
 
     try {
-      const existingDiscounts = this.#existingDiscounts();
+      let existingDiscounts = this.#existingDiscounts();
       if (existingDiscounts.includes(discountCodeValue)) return;
 
-      cartDiscountError.classList.add('hidden');
-      cartDiscountErrorDiscountCode.classList.add('hidden');
-      cartDiscountErrorShipping.classList.add('hidden');
-
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
+      this.#hideErrors();
 
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
+      const data = await cartMutations.enqueue({
+        url: Theme.routes.cart_update_url,
+        // Codes are read when the change is sent, so discount changes queued before it are kept
+        body: () => {
+          existingDiscounts = this.#existingDiscounts();
+          return { discount: [...existingDiscounts, discountCodeValue].join(','), sections: [sectionId] };
+        },
       });
 
-      const data = await response.json();
-
       if (
         data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
           return discount.code === discountCodeValue && discount.applicable === false;
@@ -109,10 +87,10 @@ class CartDiscount extends Component {
       }
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, newHtml);
+      morphSection(sectionId, newHtml);
     } catch (error) {
+      this.#handleRequestError(error);
     } finally {
-      this.#activeFetch = null;
       cartPerformance.measureFromEvent('discount-update:user-action', event);
     }
   };
@@ -140,31 +118,32 @@ class CartDiscount extends Component {
     const discountCode = pill.dataset.discountCode;
     if (!discountCode) return;
 
-    const existingDiscounts = this.#existingDiscounts();
-    const index = existingDiscounts.indexOf(discountCode);
-    if (index === -1) return;
-
-    existingDiscounts.splice(index, 1);
+    if (!this.#existingDiscounts().includes(discountCode)) return;
 
-    const abortController = this.#createAbortController();
+    const sectionId = this.dataset.sectionId;
+    this.#hideErrors();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
+      const data = await cartMutations.enqueue({
+        url: Theme.routes.cart_update_url,
+        body: () => ({
+          discount: this.#existingDiscounts()
+            .filter((code) => code !== discountCode)
+            .join(','),
+          sections: [sectionId],
+        }),
+        apply: () => {
+          pill.hidden = true;
+        },
+        rollback: () => {
+          pill.hidden = false;
+        },
       });
 
-      const data = await response.json();
-
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+      morphSection(sectionId, data.sections[sectionId]);
     } catch (error) {
-    } finally {
-      this.#activeFetch = null;
+      this.#handleRequestError(error);
     }
   };
 
@@ -180,6 +159,31 @@ class CartDiscount extends Component {
     target.classList.remove('hidden');
   }
 
+  /**
+   * Shows why a discount change could not be applied. The change has been rolled back.
+   * @param {unknown} error
+   */
+  #handleRequestError(error) {
+    console.error(error);
+
+    const { cartDiscountError, cartDiscountErrorRequest } = this.refs;
+    if (!cartDiscountErrorRequest) return;
+
+    cartDiscountErrorRequest.textContent =
+      error instanceof CartMutationError ? error.message : 'Your discount could not be updated. Please try again.';
+    cartDiscountErrorRequest.classList.remove('hidden');
+    cartDiscountError.classList.remove('hidden');
+  }
+
+  #hideErrors() {
+    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping, cartDiscountErrorRequest } =
+      this.refs;
+    cartDiscountError.classList.add('hidden');
+    cartDiscountErrorDiscountCode.classList.add('hidden');
+    cartDiscountErrorShipping.classList.add('hidden');
+    cartDiscountErrorRequest?.classList.add('hidden');
+  }
+
   /**
    * Returns an array of existing discount codes.
    * @returns {string[]}
@@ -189,7 +193,8 @@ class CartDiscount extends Component {
     const discountCodes = [];
     const discountPills = this.querySelectorAll('.cart-discount__pill');
     for (const pill of discountPills) {
-      if (pill instanceof HTMLLIElement && typeof pill.dataset.discountCode === 'string') {
+      // Hidden pills are being removed
+      if (pill instanceof HTMLLIElement && !pill.hidden && typeof pill.dataset.discountCode === 'string') {
         discountCodes.push(pill.dataset.discountCode);
       }
     }
@@ -1,6 +1,10 @@
+import { cartStore } from '@theme/cart-store';
+import { getCartFingerprint, parseRecommendationRules, recommendForCart } from '@theme/cart-recommendation-strategy';
+
 /**
  * A custom element that manages product recommendations in the cart drawer.
- * Tries complementary products first, then falls back to related products.
+ * The products are picked for the whole cart by `cart-recommendation-strategy.js`, and picked again
+ * when the products in the cart change.
  */
 
 class CartDrawerRecommendations extends HTMLElement {
@@ -21,18 +25,6 @@ class CartDrawerRecommendations extends HTMLElement {
     { rootMargin: '0px 0px 200px 0px' }
   );
 
-  /**
-   * The cached recommendations
-   * @type {Record<string, string>}
-   */
-  #cachedRecommendations = {};
-
-  /**
-   * An abort controller for the active fetch (if there is one)
-   * @type {AbortController | null}
-   */
-  #activeFetch = null;
-
   /**
    * Whether recommendations have been loaded
    * @type {boolean}
@@ -52,10 +44,10 @@ class CartDrawerRecommendations extends HTMLElement {
   #lastAddedProductId = null;
 
   /**
-   * The product ID of the first item in cart (used for recommendations)
+   * The fingerprint of the cart the recommendations were picked for
    * @type {string | null}
    */
-  #firstProductId = null;
+  #cartFingerprint = null;
 
   /**
    * Stored recommendations content HTML to restore after morphing
@@ -81,8 +73,9 @@ class CartDrawerRecommendations extends HTMLElement {
     
     // Listen for cart updates to reload recommendations
     // Use bound function to ensure 'this' context is preserved
-    this.#boundHandleCartUpdate = this.#handleCartUpdate.bind(this);
-    document.addEventListener('cart:update', this.#boundHandleCartUpdate);
+    const handleCartUpdate = this.#handleCartUpdate.bind(this);
+    this.#boundHandleCartUpdate = handleCartUpdate;
+    document.addEventListener('cart:update', handleCartUpdate);
     
     // Check if we have a skeleton (page refresh scenario) - load immediately
     // Don't wait for intersection if skeleton exists, recommendations should load right away
@@ -152,10 +145,10 @@ class CartDrawerRecommendations extends HTMLElement {
       if (loading) {
         loading.remove();
       }
-      // Update first product ID if not set
-      if (!this.#firstProductId) {
-        this.#getFirstProductIdFromCart().then(id => {
-          this.#firstProductId = id;
+      // Update the cart fingerprint if not set
+      if (!this.#cartFingerprint) {
+        this.#getCartFingerprint().then((fingerprint) => {
+          this.#cartFingerprint = fingerprint;
         });
       }
     } else if (hasSkeleton && this.#storedContentHTML && this.#recommendationsLoaded) {
@@ -177,14 +170,13 @@ class CartDrawerRecommendations extends HTMLElement {
       // The cart:update event might have already fired before this element existed, so we MUST
       // check and load recommendations when connecting, even if no event was received.
       //
-      // First, try using data-product-id attribute (available immediately from HTML template)
+      // First, use the data-product-id attribute: the template only sets it when the cart has products
       const dataProductId = this.dataset.productId;
       
       if (dataProductId && !this.#recommendationsLoaded) {
-        this.#firstProductId = dataProductId.toString();
         this.#storedContentHTML = null;
         
-        // Load recommendations immediately using data attribute (no need to wait for cart API)
+        // Load recommendations immediately, the fingerprint is set once they are loaded
         // This handles both first product add and page refresh scenarios
         queueMicrotask(() => {
           requestAnimationFrame(() => {
@@ -200,23 +192,22 @@ class CartDrawerRecommendations extends HTMLElement {
             setTimeout(async () => {
               if (!this.#recommendationsLoaded && document.contains(this)) {
                 // Check if cart has products (element was just added because cart was empty, or page refresh)
-                const currentFirstProductId = await this.#getFirstProductIdFromCart();
+                const currentFingerprint = await this.#getCartFingerprint();
                 
                 // If cart has products, we need to load recommendations
                 // This handles the critical case when element was just added to DOM (cart went from empty to having products)
                 // and the cart:update event might have fired before the element existed
                 // Also handles page refresh case where skeleton exists but recommendations aren't loaded
-                if (currentFirstProductId) {
+                if (currentFingerprint) {
                   // Always load if we have a product and recommendations aren't loaded yet
                   // This covers both:
-                  // - First product case: this.#firstProductId is null, currentFirstProductId is set
-                  // - Product change case: this.#firstProductId !== currentFirstProductId
-                  // - Page refresh case: this.#firstProductId might be null, skeleton exists
-                  const shouldLoad = this.#firstProductId === null || this.#firstProductId !== currentFirstProductId;
+                  // - First product case: this.#cartFingerprint is null, currentFingerprint is set
+                  // - Products change case: this.#cartFingerprint !== currentFingerprint
+                  // - Page refresh case: this.#cartFingerprint might be null, skeleton exists
+                  const shouldLoad = this.#cartFingerprint === null || this.#cartFingerprint !== currentFingerprint;
                   
                   if (shouldLoad) {
-                    // Update first product ID
-                    this.#firstProductId = currentFirstProductId;
+                    this.#cartFingerprint = currentFingerprint;
                     this.#storedContentHTML = null;
                     
                     // Clear skeleton loading UI before loading new recommendations
@@ -273,9 +264,11 @@ class CartDrawerRecommendations extends HTMLElement {
    * STEP 1: Listen for cart:update event
    * STEP 2: Check if this is a product ADD (not quantity change)
    * STEP 3: If product add, fetch recommendations and show them
+   * @param {Event} event
    */
   #handleCartUpdate = async (event) => {
-    const eventSource = event?.detail?.data?.source;
+    const eventData = /** @type {CustomEvent} */ (event).detail?.data;
+    const eventSource = eventData?.source;
     if (eventSource === 'cart-drawer-gift-wrap' || eventSource === 'gift-wrap-handler') {
       return;
     }
@@ -286,24 +279,23 @@ class CartDrawerRecommendations extends HTMLElement {
     
     if (eventSource === 'cart-items-component') {
       // This is a quantity change or deletion from cart drawer
-      // Check if the first product in cart changed (it might have been deleted)
-      const currentFirstProductId = await this.#getFirstProductIdFromCart();
+      // Check if the products in cart changed (one might have been deleted)
+      const currentFingerprint = await this.#getCartFingerprint();
       
-      // If first product changed, reload recommendations (the product we base recommendations on changed)
+      // If the products changed, reload recommendations (the products we base recommendations on changed)
       // Only reload if:
-      // 1. We had a previous first product ID (not null)
+      // 1. We had a previous fingerprint (not null)
       // 2. Recommendations were already loaded (we have something to change)
-      // 3. The first product actually changed
-      const firstProductChanged = this.#firstProductId !== null && 
+      // 3. The products actually changed
+      const cartProductsChanged = this.#cartFingerprint !== null && 
                                   this.#recommendationsLoaded &&
-                                  currentFirstProductId !== null &&
-                                  currentFirstProductId !== this.#firstProductId;
+                                  currentFingerprint !== null &&
+                                  currentFingerprint !== this.#cartFingerprint;
       
-      if (firstProductChanged) {
-        // First product was deleted or changed - reload recommendations
-        this.#firstProductId = currentFirstProductId;
+      if (cartProductsChanged) {
+        // A product was deleted - reload recommendations
+        this.#cartFingerprint = currentFingerprint;
         this.#recommendationsLoaded = false;
-        this.#cachedRecommendations = {};
         this.#storedContentHTML = null;
         
         // Load new recommendations
@@ -319,10 +311,10 @@ class CartDrawerRecommendations extends HTMLElement {
         return;
       }
       
-      // This is just a quantity change - first product hasn't changed
-      // Update first product ID for next comparison (only if it was null)
-      if (this.#firstProductId === null) {
-        this.#firstProductId = currentFirstProductId;
+      // This is just a quantity change - the products haven't changed
+      // Update the fingerprint for next comparison (only if it was null)
+      if (this.#cartFingerprint === null) {
+        this.#cartFingerprint = currentFingerprint;
       }
       
       // Store content before morphing removes it (for quantity updates)
@@ -343,30 +335,19 @@ class CartDrawerRecommendations extends HTMLElement {
     
     // This is a PRODUCT ADD (source is 'product-form-component', 'quick-add-component', etc.)
     // Store product ID from event (most reliable - use this first!)
-    const productIdFromEvent = event?.detail?.data?.productId;
+    const productIdFromEvent = eventData?.productId;
     if (productIdFromEvent) {
       this.#lastAddedProductId = productIdFromEvent.toString();
     }
     
     // Reset state - we need fresh recommendations for the new product
+    // (recommendations of a cart seen before are cached, so this does not always fetch them again)
     this.#recommendationsLoaded = false;
-    this.#cachedRecommendations = {};
     this.#storedContentHTML = null;
     
-    // Update first product ID (new product becomes first in cart)
-    // For first product in empty cart, cart API might not be updated immediately
-    // So we use productId from event if available, otherwise fetch from cart
-    if (productIdFromEvent) {
-      // Use productId from event (most reliable, especially for first product)
-      this.#firstProductId = productIdFromEvent.toString();
-    } else {
-      // Fallback: fetch from cart (might be delayed for first product)
-      this.#firstProductId = await this.#getFirstProductIdFromCart();
-    }
-    
-    // Fetch recommendations and show them
-    // Wait a bit longer for first product to ensure cart API is updated
-    // But prioritize productId from event which should be immediately available
+    // Fetch recommendations and show them; the fingerprint is set once they are loaded
+    // Wait a bit to ensure cart API is updated, the product from the event is recommended for
+    // even if it is not
     queueMicrotask(() => {
       requestAnimationFrame(() => {
         requestAnimationFrame(() => {
@@ -381,66 +362,34 @@ class CartDrawerRecommendations extends HTMLElement {
   };
 
   /**
-   * Gets the product ID of the most recently added item in cart (used for recommendations)
-   * @returns {Promise<string | null>}
+   * Gets the fingerprint of the products in cart (see `cart-recommendation-strategy.js`)
+   * @returns {Promise<string | null>} Nothing when the cart has no products to recommend for
    */
-  async #getFirstProductIdFromCart() {
+  async #getCartFingerprint() {
     try {
-      const response = await fetch('/cart.js');
-      if (!response.ok) return null;
-
-      const cart = await response.json();
-      if (!cart.items || cart.items.length === 0) return null;
-
-      // Shopify's cart.js API: cart.items[0] is the MOST RECENTLY ADDED (newest, appears at top)
-      // cart.items[cart.items.length - 1] is the OLDEST (first added, appears at bottom)
-      // Use the first item (index 0) to get the most recently added product
-      const mostRecentItem = cart.items[0];
-      return mostRecentItem.product_id?.toString() || null;
+      const cart = await cartStore.get();
+      return getCartFingerprint(cart, this.#getRecommendationOptions());
     } catch (error) {
-      console.error('Failed to fetch cart for first product ID:', error);
+      console.error('Failed to fetch cart for recommendations:', error);
       return null;
     }
   }
 
   /**
-   * Gets the most recent cart item's product ID
-   * @returns {Promise<string | null>}
+   * Reads the recommendation options from the data attributes set by the template.
+   * @returns {import('./cart-recommendation-strategy').RecommendationOptions}
    */
-  async #getMostRecentProductId() {
-    // First, try using product ID from the cart update event (most reliable for new additions)
-    // This is used when a product is just added - we want recommendations for the NEW product
-    if (this.#lastAddedProductId) {
-      return this.#lastAddedProductId;
-    }
-
-    // Second, try using data-product-id attribute (set in HTML template, available immediately)
-    // This comes from Liquid template which should now use cart.items.first (most recent)
-    const dataProductId = this.dataset.productId;
-    if (dataProductId) {
-      return dataProductId.toString();
-    }
-
-    // Fallback: Get from cart API
-    // Shopify's cart.js API: cart.items[0] is the MOST RECENTLY ADDED (newest, appears at top)
-    try {
-      const response = await fetch('/cart.js');
-      if (!response.ok) return null;
-
-      const cart = await response.json();
-      if (!cart.items || cart.items.length === 0) return null;
-
-      // Use cart.items[0] which is the most recently added product (appears at top of cart)
-      const mostRecentProduct = cart.items[0];
-      return mostRecentProduct.product_id?.toString() || null;
-    } catch (error) {
-      console.error('Failed to fetch cart:', error);
-      return null;
-    }
+  #getRecommendationOptions() {
+    return {
+      limit: Number(this.dataset.maxProducts) || 4,
+      rules: parseRecommendationRules(this.dataset.rules),
+      excludedHandles: (this.dataset.excludedHandles || '').split(',').filter(Boolean),
+      priorityProductId: this.#lastAddedProductId,
+    };
   }
 
   /**
-   * Load the product recommendations with fallback logic
+   * Load the product recommendations picked for the cart
    */
   async #loadRecommendations() {
     if (this.#recommendationsLoaded) {
@@ -457,44 +406,20 @@ class CartDrawerRecommendations extends HTMLElement {
     // Ensure element is visible when starting to load
     this.classList.remove('hidden');
 
-    // Try to get product ID with retry in case cart isn't ready yet
-    // IMPORTANT: Use #lastAddedProductId if available (set by #handleCartUpdate from event)
-    let productId = await this.#getMostRecentProductId();
-    
-    // If no productId, wait a bit and retry (cart might be updating, especially for first product)
-    if (!productId) {
-      await new Promise(resolve => setTimeout(resolve, 300));
-      productId = await this.#getMostRecentProductId();
-    }
-    
-    // Clear stored product ID AFTER we successfully got a productId
-    // Keep it if we still don't have one (might need it for next retry)
-    if (productId) {
-      this.#lastAddedProductId = null;
-    }
-    
-    if (!productId) {
-      // Clear skeleton if no product ID found
-      const loading = this.querySelector('.cart-drawer-recommendations__loading');
-      if (loading) {
-        loading.remove();
-      }
-      this.classList.add('hidden');
-      this.#isLoading = false;
-      return;
+    /** @type {import('./cart-recommendation-strategy').RecommendedProduct[]} */
+    let products = [];
+    try {
+      const cart = await cartStore.get();
+      products = await recommendForCart(cart, this.#getRecommendationOptions());
+    } catch (error) {
+      console.error('Cart drawer recommendations: Failed to load recommendations:', error);
     }
 
-    const maxProducts = this.dataset.maxProducts || '4';
+    // The product from the event is in the cart by now
+    this.#lastAddedProductId = null;
 
-    // Try complementary first
-    let result = await this.#fetchRecommendationsJSON(productId, maxProducts, 'complementary');
-
-    // If no complementary products, fallback to related
-    if (!result.success || !this.#hasProducts(result.data)) {
-      result = await this.#fetchRecommendationsJSON(productId, maxProducts, 'related');
-    }
-
-    const hasProducts = result.success && this.#hasProducts(result.data);
+    const hasProducts = products.length > 0;
+    const html = hasProducts ? this.#renderProductsFromJSON(products) : '';
     
     if (hasProducts) {
       // Remove skeleton before rendering (important for page refresh scenario)
@@ -503,11 +428,11 @@ class CartDrawerRecommendations extends HTMLElement {
         loading.remove();
       }
       
-      this.#renderRecommendations(result.data);
+      this.#renderRecommendations(html);
       this.#recommendationsLoaded = true;
       
-      // Update first product ID after loading recommendations
-      this.#firstProductId = await this.#getFirstProductIdFromCart();
+      // Update the fingerprint after loading recommendations
+      this.#cartFingerprint = await this.#getCartFingerprint();
       
       // Store the content HTML to restore it after morphing (quantity updates)
       const content = this.querySelector('.cart-drawer-recommendations__scroll-container') || 
@@ -538,7 +463,7 @@ class CartDrawerRecommendations extends HTMLElement {
               // If we don't have stored HTML yet, content was replaced before we could store it
               // Re-render immediately
               loading.remove();
-              this.#renderRecommendations(result.data);
+              this.#renderRecommendations(html);
             }
           }
         }
@@ -555,200 +480,6 @@ class CartDrawerRecommendations extends HTMLElement {
     this.#isLoading = false;
   }
 
-  /**
-   * Checks if the recommendations HTML contains products
-   * @param {string} html - The HTML response
-   * @returns {boolean}
-   */
-  #hasProducts(html) {
-    if (!html || !html.trim()) {
-      return false;
-    }
-    
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = html;
-    
-    // Check for scroll container or cart-items__table (from our JSON rendering)
-    const scrollContainer = tempDiv.querySelector('.cart-drawer-recommendations__scroll-container');
-    const table = tempDiv.querySelector('.cart-items__table');
-    if (scrollContainer || table) {
-      const rows = (scrollContainer || tempDiv).querySelectorAll('.cart-items__table-row');
-      return rows.length > 0;
-    }
-    
-    // Fallback: Check for resource-list (from Section Rendering API)
-    let resourceList = tempDiv.querySelector('.resource-list');
-    if (!resourceList) {
-      const recommendations = tempDiv.querySelector('product-recommendations');
-      if (recommendations) {
-        resourceList = recommendations.querySelector('.resource-list');
-      }
-    }
-    
-    if (!resourceList) {
-      return false;
-    }
-    
-    const items = resourceList.querySelectorAll('.resource-list__item, product-card');
-    const itemCount = items.length;
-    const hasRecommendations = resourceList.getAttribute('data-has-recommendations') !== 'false';
-    const hasProducts = itemCount > 0;
-    
-    return hasProducts && hasRecommendations;
-  }
-
-  /**
-   * Fetches recommendations from the Product Recommendations API
-   * @param {string} productId
-   * @param {string | undefined} sectionId
-   * @param {string} intent
-   * @param {string} baseUrl
-   * @returns {Promise<{ success: true, data: string } | { success: false, status: number }>}
-   */
-  async #fetchRecommendations(productId, sectionId, intent, baseUrl) {
-    // First, try with section_id (Section Rendering API - returns HTML)
-    // If that fails, fall back to JSON API (returns JSON, we'll render manually)
-    const sectionIdParam = sectionId || 'product-recommendations';
-    
-    // Parse the base URL to get the limit
-    let limit = '4';
-    try {
-      const urlObj = new URL(baseUrl, window.location.origin);
-      limit = urlObj.searchParams.get('limit') || '4';
-    } catch (e) {
-      // If baseUrl parsing fails, extract limit manually
-      const limitMatch = baseUrl.match(/[?&]limit=(\d+)/);
-      if (limitMatch) limit = limitMatch[1];
-    }
-    
-    // Build the recommendations API URL with section_id (for HTML response)
-    // Parse the base URL properly to avoid malformed URLs
-    let url;
-    try {
-      const urlObj = new URL(baseUrl, window.location.origin);
-      // Clear existing params and set new ones
-      urlObj.searchParams.set('product_id', productId);
-      urlObj.searchParams.set('limit', limit);
-      urlObj.searchParams.set('section_id', sectionIdParam);
-      urlObj.searchParams.set('intent', intent);
-      url = urlObj.toString();
-    } catch (e) {
-      // Fallback: manual URL construction
-      const basePath = baseUrl.split('?')[0] || '/recommendations/products.json';
-      url = `${basePath}?product_id=${productId}&limit=${limit}&section_id=${sectionIdParam}&intent=${intent}`;
-      if (!url.startsWith('http')) {
-        url = new URL(url, window.location.origin).toString();
-      }
-    }
-    
-    // Ensure URL is absolute
-    if (!url.startsWith('http')) {
-      url = new URL(url, window.location.origin).toString();
-    }
-    
-    const cacheKey = url;
-
-    // Check cache
-    if (this.#cachedRecommendations[cacheKey]) {
-      return { success: true, data: this.#cachedRecommendations[cacheKey] };
-    }
-
-    // Abort any active fetch
-    this.#activeFetch?.abort();
-    this.#activeFetch = new AbortController();
-
-    try {
-      const response = await fetch(url, { signal: this.#activeFetch.signal });
-      
-      if (!response.ok) {
-        // If 404, try fetching JSON directly (without section_id)
-        if (response.status === 404) {
-          return this.#fetchRecommendationsJSON(productId, limit, intent);
-        }
-        return { success: false, status: response.status };
-      }
-
-      const text = await response.text();
-      
-      // Check if response is JSON (could be sections object or error)
-      if (text.trim().startsWith('{')) {
-        try {
-          const json = JSON.parse(text);
-          
-          // Check if it's an error response
-          if (json.status || json.message) {
-            return { success: false, status: json.status || 422 };
-          }
-          
-          // Check if it's a sections object (Section Rendering API format)
-          if (json.sections && json.sections[sectionIdParam]) {
-            this.#cachedRecommendations[cacheKey] = json.sections[sectionIdParam];
-            return { success: true, data: json.sections[sectionIdParam] };
-          }
-        } catch (e) {
-          // Not valid JSON, continue with HTML parsing
-        }
-      }
-      
-      // Assume it's HTML
-      this.#cachedRecommendations[cacheKey] = text;
-      return { success: true, data: text };
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        return { success: false, status: 0 };
-      }
-      console.error('Cart drawer recommendations: Fetch error:', error);
-      return { success: false, status: 0 };
-    } finally {
-      this.#activeFetch = null;
-    }
-  }
-
-  /**
-   * Fetches recommendations as JSON (fallback when section_id doesn't work)
-   * @param {string} productId
-   * @param {string} limit
-   * @param {string} intent
-   * @returns {Promise<{ success: true, data: string } | { success: false, status: number }>}
-   */
-  async #fetchRecommendationsJSON(productId, limit, intent) {
-    // Fetch JSON directly from recommendations API (no section_id)
-    const jsonUrl = new URL('/recommendations/products.json', window.location.origin);
-    jsonUrl.searchParams.set('product_id', productId);
-    jsonUrl.searchParams.set('limit', limit);
-    jsonUrl.searchParams.set('intent', intent);
-    
-    const url = jsonUrl.toString();
-    const cacheKey = `json:${url}`;
-
-    // Check cache
-    if (this.#cachedRecommendations[cacheKey]) {
-      return { success: true, data: this.#cachedRecommendations[cacheKey] };
-    }
-
-    try {
-      const response = await fetch(url, { signal: this.#activeFetch?.signal });
-      if (!response.ok) {
-        return { success: false, status: response.status };
-      }
-
-      const json = await response.json();
-      
-      // Check if we got products
-      if (!json.products || json.products.length === 0) {
-        return { success: false, status: 404 };
-      }
-
-      // Render products manually
-      const html = this.#renderProductsFromJSON(json.products);
-      this.#cachedRecommendations[cacheKey] = html;
-      return { success: true, data: html };
-    } catch (error) {
-      console.error('Cart drawer recommendations: JSON fetch error:', error);
-      return { success: false, status: 0 };
-    }
-  }
-
   /**
    * Formats money using Shopify's money format (simplified version)
    * @param {number} moneyValueInCents - The money value in cents
@@ -763,6 +494,7 @@ class CartDrawerRecommendations extends HTMLElement {
     const moneyFormatTemplate = (moneyFormatElement instanceof HTMLTemplateElement && moneyFormatElement.content?.textContent) || '{{amount}}';
     
     // Get currency decimals (default 2 for most currencies)
+    /** @type {Record<string, number>} */
     const CURRENCY_DECIMALS = {
       BHD: 3, BIF: 0, BYR: 0, CLF: 4, CLP: 0, DJF: 0, GNF: 0, ISK: 0, 
       IQD: 3, JOD: 3, JPY: 0, KMF: 0, KRW: 0, KWD: 3, LYD: 3, OMR: 3, 
@@ -783,7 +515,7 @@ class CartDrawerRecommendations extends HTMLElement {
 
   /**
    * Renders product cards from JSON product data
-   * @param {Array} products - Array of product objects from API
+   * @param {Array<Record<string, any>>} products - Array of product objects from API
    * @returns {string} HTML string
    */
   #renderProductsFromJSON(products) {
@@ -1025,7 +757,7 @@ class CartDrawerRecommendations extends HTMLElement {
       this.classList.remove('hidden');
     } else if (resourceList && resourceList.innerHTML.trim()) {
       // Fallback: Insert resource-list (from Section Rendering API)
-      const resourceListClone = resourceList.cloneNode(true);
+      const resourceListClone = /** @type {Element} */ (resourceList.cloneNode(true));
       resourceListClone.classList.remove('resource-list--grid');
       
       const items = Array.from(resourceListClone.querySelectorAll('.resource-list__item'));
@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
 import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that displays a cart icon.
@@ -29,7 +30,6 @@ class CartIcon extends Component {
 
     document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
     window.addEventListener('pageshow', this.onPageShow);
-    this.ensureCartBubbleIsCorrect();
   }
 
   disconnectedCallback() {
@@ -76,14 +76,6 @@ class CartIcon extends Component {
 
     this.classList.toggle('header-actions__cart-icon--has-cart', itemCount > 0);
 
-    sessionStorage.setItem(
-      'cart-count',
-      JSON.stringify({
-        value: String(this.currentCartCount),
-        timestamp: Date.now(),
-      })
-    );
-
     if (!animate) return;
     await onAnimationEnd(this.refs.cartBubbleText);
 
@@ -93,33 +85,17 @@ class CartIcon extends Component {
   /**
    * Checks if the cart count is correct.
    */
-  ensureCartBubbleIsCorrect = () => {
+  ensureCartBubbleIsCorrect = async () => {
     // Ensure refs are available
     if (!this.refs.cartBubbleCount) return;
 
-    const sessionStorageCount = sessionStorage.getItem('cart-count');
-
-    // If no session storage data, nothing to check
-    if (sessionStorageCount === null) return;
-
-    const visibleCount = this.refs.cartBubbleCount.textContent;
-
     try {
-      const { value, timestamp } = JSON.parse(sessionStorageCount);
-
-      // Check if the stored count matches what's visible
-      if (value === visibleCount) return;
-
-      // Only update if timestamp is recent (within 10 seconds)
-      if (Date.now() - timestamp < 10000) {
-        const count = parseInt(value, 10);
-
-        if (count >= 0) {
-          this.renderCartBubble(count, false, false);
-        }
+      const cart = await cartStore.refresh();
+      if (cart.item_count !== this.currentCartCount) {
+        this.renderCartBubble(cart.item_count, false, false);
       }
-    } catch (_) {
-      // no-op
+    } catch (error) {
+      console.error('Failed to check the cart count:', error);
     }
   };
 }
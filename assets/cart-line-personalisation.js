@@ -0,0 +1,202 @@
+import { PERSONALISATION_FIELDS, hasPersonalisationValue } from '@theme/personalisation-schema';
+import { getColorDisplayName, getFontDisplayName } from '@theme/personalisation-palette';
+import { PROOF_PROPERTY } from '@theme/personalisation-proof';
+import { cartStore } from '@theme/cart-store';
+import { cartMutations } from '@theme/cart-mutation-queue';
+
+/**
+ * Edits the personalisation of a cart line.
+ *
+ * Lines are addressed by key rather than by index: the cart can change between opening the modal
+ * and saving (another tab, a gift wrap being added), and an index would then point at another line.
+ * Only personalisation properties are replaced, so gift wrap linkage (`_gift_wrap_instance_id`,
+ * gift messages) and other properties stay on the line. A line's key is derived from its
+ * properties, so after the edit the line gets a new key, and when the new properties match another
+ * line of the same variant Shopify combines the two.
+ *
+ * A proof image can only be uploaded with `/cart/add.js`, so a line saved with a new proof is
+ * replaced instead: it is added again with its properties and the proof, then the old line is
+ * removed.
+ */
+
+/** Properties replaced when a line's personalisation is edited. */
+const REPLACED_PROPERTIES = new Set([
+  ...PERSONALISATION_FIELDS.map((field) => field.property),
+  PROOF_PROPERTY,
+]);
+
+/**
+ * @typedef {Object} CartLine
+ * @property {string} key
+ * @property {number} variant_id
+ * @property {number} quantity
+ * @property {Record<string, string> | null} properties
+ */
+
+/**
+ * @typedef {Object} PersonalisationChange
+ * @property {string} label - The property name shown on the cart line
+ * @property {string} before - Value before the edit, empty when the field was not set
+ * @property {string} after - Value after the edit, empty when the field is cleared
+ */
+
+/**
+ * Gets the value of a field as the shopper sees it, so colours and fonts saved under another name
+ * do not show up as changes.
+ * @param {import('./personalisation-schema').PersonalisationField} field
+ * @param {unknown} value
+ * @returns {string}
+ */
+function getDisplayValue(field, value) {
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+  if (field.type === 'color') return getColorDisplayName(text);
+  if (field.type === 'font') return getFontDisplayName(text);
+  return text;
+}
+
+/**
+ * @typedef {Object} LinePersonalisationResult
+ * @property {Record<string, any>} cart - The cart returned by `/cart/change.js`, with `sections`
+ * @property {CartLine | undefined} line - The edited line in the new cart
+ * @property {boolean} merged - Whether the edited line was combined with another line
+ */
+
+/**
+ * Lists the personalisation fields whose values differ between two sets of line item properties.
+ * @param {Record<string, string> | null | undefined} before - Properties of the line
+ * @param {Record<string, string> | null | undefined} after - Properties after the edit
+ * @returns {PersonalisationChange[]} Changes, in the order the fields are displayed
+ */
+export function getPersonalisationChanges(before, after) {
+  /** @type {PersonalisationChange[]} */
+  const changes = [];
+
+  for (const field of PERSONALISATION_FIELDS) {
+    const beforeValue = getDisplayValue(field, before?.[field.property]);
+    const afterValue = getDisplayValue(field, after?.[field.property]);
+    if (beforeValue !== afterValue) changes.push({ label: field.property, before: beforeValue, after: afterValue });
+  }
+
+  return changes;
+}
+
+/**
+ * Replaces the personalisation of a line while keeping its other properties.
+ * @param {Record<string, string> | null | undefined} currentProperties - Properties of the line
+ * @param {Record<string, string>} personalisationProperties - New personalisation properties
+ * @returns {Record<string, string>}
+ */
+export function mergeLineProperties(currentProperties, personalisationProperties) {
+  /** @type {Record<string, string>} */
+  const properties = {};
+
+  for (const [name, value] of Object.entries(currentProperties ?? {})) {
+    if (!REPLACED_PROPERTIES.has(name) && hasPersonalisationValue(value)) properties[name] = value;
+  }
+  for (const [name, value] of Object.entries(personalisationProperties)) {
+    if (hasPersonalisationValue(value)) properties[name] = value;
+  }
+
+  return properties;
+}
+
+/**
+ * @param {Record<string, string> | null | undefined} a
+ * @param {Record<string, string> | null | undefined} b
+ * @returns {boolean}
+ */
+function hasSameProperties(a, b) {
+  const entries = (/** @type {Record<string, string> | null | undefined} */ properties) =>
+    Object.entries(properties ?? {})
+      .filter(([, value]) => hasPersonalisationValue(value))
+      .map(([name, value]) => `${name}\u0000${value}`)
+      .sort()
+      .join('\u0001');
+
+  return entries(a) === entries(b);
+}
+
+/**
+ * Fetches a cart line by key.
+ * @param {string} key
+ * @returns {Promise<CartLine | undefined>}
+ */
+export async function getCartLine(key) {
+  let cart;
+  try {
+    cart = await cartStore.refresh();
+  } catch (error) {
+    throw new Error('Your cart could not be loaded. Please check your connection and try again.');
+  }
+
+  const line = cart.items.find((item) => item.key === key);
+  return line ? /** @type {CartLine} */ (line) : undefined;
+}
+
+/**
+ * Replaces the personalisation of a cart line.
+ * @param {Object} options
+ * @param {string} options.key - Key of the line to edit
+ * @param {Record<string, string>} options.properties - New personalisation properties
+ * @param {File | null} [options.proof] - Proof image of the new personalisation
+ * @param {string[]} [options.sections] - Sections to render with the new cart
+ * @returns {Promise<LinePersonalisationResult>}
+ * @throws {Error} With a message that can be shown to the shopper
+ */
+export async function changeLinePersonalisation({ key, properties, proof = null, sections = [] }) {
+  const currentLine = await getCartLine(key);
+  if (!currentLine) throw new Error('This item is no longer in your cart. Please refresh the page.');
+
+  const lineProperties = mergeLineProperties(currentLine.properties, properties);
+  if (proof) return replaceLine(currentLine, lineProperties, proof, sections);
+
+  const cart = await cartMutations.enqueue({
+    url: Theme.routes.cart_change_url,
+    body: {
+      id: key,
+      quantity: currentLine.quantity,
+      properties: lineProperties,
+      sections: sections.join(','),
+      sections_url: window.location.pathname,
+    },
+  });
+
+  const line = cart.items?.find(
+    (/** @type {CartLine} */ item) =>
+      item.variant_id === currentLine.variant_id && hasSameProperties(item.properties, lineProperties)
+  );
+
+  return { cart, line, merged: !!line && line.quantity > currentLine.quantity };
+}
+
+/**
+ * Adds a line again with new properties and a proof, then removes the old line. The uploaded proof
+ * makes the new line unique, so it is never combined with another one.
+ * @param {CartLine} currentLine
+ * @param {Record<string, string>} properties - All properties of the new line
+ * @param {File} proof
+ * @param {string[]} sections
+ * @returns {Promise<LinePersonalisationResult>}
+ */
+async function replaceLine(currentLine, properties, proof, sections) {
+  const body = new FormData();
+  body.append('id', String(currentLine.variant_id));
+  body.append('quantity', String(currentLine.quantity));
+  for (const [name, value] of Object.entries(properties)) body.append(`properties[${name}]`, value);
+  body.append(`properties[${PROOF_PROPERTY}]`, proof);
+
+  const addedLine = await cartMutations.enqueue({ url: Theme.routes.cart_add_url, body });
+  const cart = await cartMutations.enqueue({
+    url: Theme.routes.cart_change_url,
+    body: {
+      id: currentLine.key,
+      quantity: 0,
+      sections: sections.join(','),
+      sections_url: window.location.pathname,
+    },
+  });
+
+  const line = cart.items?.find((/** @type {CartLine} */ item) => item.key === addedLine.key);
+  return { cart, line, merged: false };
+}
@@ -0,0 +1,235 @@
+import { fetchConfig } from '@theme/utilities';
+import { cartStore } from '@theme/cart-store';
+
+/**
+ * Sends cart changes (quantities, note, discount codes, line properties) one at a time.
+ *
+ * A change is applied to the page straight away and then queued. Changes are sent in order and
+ * never overlap, so a slow response cannot overwrite a newer change. When the network fails, or
+ * Shopify is briefly unavailable, a change that sets the cart to a state (`/cart/change.js` and
+ * `/cart/update.js`) is retried with a growing delay. Adds are not retried, as an add whose response
+ * was lost may have gone through, and sending it again would add the items twice. While the browser
+ * is offline the queue waits for the connection to come back. When a change cannot be applied, its
+ * page change is rolled back and the promise rejects with a `CartMutationError` whose message can be
+ * shown to the shopper. Full carts in responses are handed to the cart store.
+ *
+ * @example
+ * const cart = await cartMutations.enqueue({
+ *   url: Theme.routes.cart_update_url,
+ *   body: { note },
+ *   key: 'note',
+ *   rollback: () => (textarea.value = savedNote),
+ * });
+ */
+
+/** Attempts for a change before it is given up on. */
+const MAX_ATTEMPTS = 5;
+
+/** Delay before the first retry, doubled for each one after it. */
+const RETRY_DELAY = 1000;
+
+const MAX_RETRY_DELAY = 16000;
+
+/**
+ * @typedef {Object} CartMutation
+ * @property {string} url - Cart API route, e.g. `Theme.routes.cart_change_url`
+ * @property {Record<string, any> | FormData | (() => Record<string, any>)} body - Request body, or a
+ *   function returning it when the change is sent, so e.g. the sections to render are read at that
+ *   time. A `FormData` body is sent as multipart, so it can carry file line item properties
+ * @property {string} [key] - A queued change with the same key that has not been sent yet is
+ *   replaced by this one, e.g. so only the last version of a note is sent
+ * @property {() => void} [apply] - Applies the change to the page
+ * @property {() => void} [rollback] - Undoes `apply` when the change cannot be applied
+ */
+
+/**
+ * @typedef {Object} QueuedMutation
+ * @property {CartMutation} mutation
+ * @property {Array<() => void>} rollbacks - Of every change merged into this one, newest first
+ * @property {Array<{ resolve: (data: any) => void, reject: (error: Error) => void }>} waiters
+ */
+
+/**
+ * Thrown when a cart change could not be applied. The page change has been rolled back.
+ */
+export class CartMutationError extends Error {
+  /**
+   * @param {string} message - Can be shown to the shopper
+   * @param {Object} [options]
+   * @param {Record<string, any> | null} [options.data] - The response body, when there was one
+   */
+  constructor(message, { data = null } = {}) {
+    super(message);
+    this.name = 'CartMutationError';
+    this.data = data;
+  }
+}
+
+/**
+ * Reads the error message of a failed cart request.
+ * @param {Record<string, any> | null} data - The response body
+ * @returns {string | null}
+ */
+function getCartErrorMessage(data) {
+  const message = data?.description || data?.errors || data?.message;
+  if (!message) return null;
+  return typeof message === 'string' ? message : Object.values(message).flat().join(' ');
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+function waitForConnection() {
+  if (navigator.onLine) return Promise.resolve();
+  return new Promise((resolve) => window.addEventListener('online', () => resolve(), { once: true }));
+}
+
+/**
+ * Thrown inside the queue for failures that are worth another attempt.
+ */
+class RetryableError extends Error {}
+
+/**
+ * @param {CartMutation} mutation
+ * @returns {boolean} Whether sending the change twice leaves the cart as sending it once does
+ */
+function isIdempotent(mutation) {
+  return mutation.url === Theme.routes.cart_change_url || mutation.url === Theme.routes.cart_update_url;
+}
+
+class CartMutationQueue {
+  /** @type {QueuedMutation[]} */
+  #queue = [];
+
+  #running = false;
+
+  /**
+   * Changes waiting to be sent, not counting the one being sent.
+   * @returns {number}
+   */
+  get pending() {
+    return this.#queue.length;
+  }
+
+  /**
+   * Applies a change to the page and queues it for the cart.
+   * @param {CartMutation} mutation
+   * @returns {Promise<Record<string, any>>} The response body
+   * @throws {CartMutationError} When the change could not be applied
+   */
+  enqueue(mutation) {
+    mutation.apply?.();
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      const queued = mutation.key ? this.#queue.find((entry) => entry.mutation.key === mutation.key) : undefined;
+
+      if (queued) {
+        // The replaced change's waiters get the result of this one; rolling back restores the page as
+        // it was before the first of them.
+        queued.mutation = mutation;
+        if (mutation.rollback) queued.rollbacks.unshift(mutation.rollback);
+        queued.waiters.push(waiter);
+      } else {
+        this.#queue.push({ mutation, rollbacks: mutation.rollback ? [mutation.rollback] : [], waiters: [waiter] });
+      }
+
+      this.#run();
+    });
+  }
+
+  async #run() {
+    if (this.#running) return;
+    this.#running = true;
+
+    try {
+      let entry;
+      while ((entry = this.#queue.shift())) {
+        try {
+          const data = await this.#send(entry.mutation);
+          if (Array.isArray(data?.items) && 'item_count' in data) cartStore.set(/** @type {any} */ (data));
+          for (const waiter of entry.waiters) waiter.resolve(data);
+        } catch (error) {
+          for (const rollback of entry.rollbacks) {
+            try {
+              rollback();
+            } catch (rollbackError) {
+              console.error('Failed to roll back a cart change:', rollbackError);
+            }
+          }
+
+          const mutationError =
+            error instanceof CartMutationError
+              ? error
+              : new CartMutationError('Your cart could not be updated. Please check your connection and try again.');
+          for (const waiter of entry.waiters) waiter.reject(mutationError);
+        }
+      }
+    } finally {
+      this.#running = false;
+    }
+  }
+
+  /**
+   * Sends a change, retrying network failures and temporary server errors when it is idempotent.
+   * @param {CartMutation} mutation
+   * @returns {Promise<Record<string, any>>}
+   */
+  async #send(mutation) {
+    for (let attempt = 1; ; attempt++) {
+      await waitForConnection();
+
+      try {
+        return await this.#request(mutation);
+      } catch (error) {
+        if (!(error instanceof RetryableError) || !isIdempotent(mutation) || attempt >= MAX_ATTEMPTS) throw error;
+
+        console.warn(`Cart change failed, retrying (attempt ${attempt + 1} of ${MAX_ATTEMPTS}):`, error);
+        await wait(Math.min(RETRY_DELAY * 2 ** (attempt - 1), MAX_RETRY_DELAY));
+      }
+    }
+  }
+
+  /**
+   * @param {CartMutation} mutation
+   * @returns {Promise<Record<string, any>>}
+   */
+  async #request(mutation) {
+    const body = typeof mutation.body === 'function' ? mutation.body() : mutation.body;
+
+    let response;
+    try {
+      const config =
+        body instanceof FormData
+          ? fetchConfig('javascript', { body })
+          : fetchConfig('json', { body: JSON.stringify(body) });
+      response = await fetch(mutation.url, config);
+    } catch (error) {
+      throw new RetryableError('Network error');
+    }
+
+    if (response.status === 429 || response.status >= 500) {
+      throw new RetryableError(`Cart responded with ${response.status}`);
+    }
+
+    const data = await response.json().catch(() => null);
+    const message = getCartErrorMessage(data);
+
+    if (!response.ok || message || data?.status >= 400) {
+      throw new CartMutationError(message || 'Your cart could not be updated. Please try again.', { data });
+    }
+
+    return data;
+  }
+}
+
+/** The queue every cart change on the page goes through. */
+export const cartMutations = new CartMutationQueue();
@@ -1,41 +1,56 @@
 import { Component } from '@theme/component';
-import { debounce, fetchConfig } from '@theme/utilities';
+import { debounce } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartMutations, CartMutationError } from '@theme/cart-mutation-queue';
 
 /**
  * A custom element that displays a cart note.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} [cartNoteError] - Shown when the note could not be saved.
+ *
+ * @extends {Component<Refs>}
  */
 class CartNote extends Component {
-  /** @type {AbortController | null} */
-  #activeFetch = null;
+  /** The note as last saved to the cart. */
+  #savedNote = '';
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const textarea = this.querySelector('textarea[name="note"]');
+    if (textarea instanceof HTMLTextAreaElement) this.#savedNote = textarea.value;
+  }
 
   /**
    * Handles updates to the cart note.
    * @param {InputEvent} event - The input event in our text-area.
    */
   updateCartNote = debounce(async (event) => {
-    if (!(event.target instanceof HTMLTextAreaElement)) return;
-
-    const note = event.target.value;
-    if (this.#activeFetch) {
-      this.#activeFetch.abort();
-    }
+    const textarea = event.target;
+    if (!(textarea instanceof HTMLTextAreaElement)) return;
 
-    const abortController = new AbortController();
-    this.#activeFetch = abortController;
+    const note = textarea.value;
+    const { cartNoteError } = this.refs;
+    if (cartNoteError) cartNoteError.hidden = true;
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ note }),
-      });
-
-      await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
+      await cartMutations.enqueue({
+        url: Theme.routes.cart_update_url,
+        body: { note },
+        key: 'note',
+        rollback: () => {
+          textarea.value = this.#savedNote;
+        },
       });
+      this.#savedNote = note;
     } catch (error) {
+      if (cartNoteError) {
+        cartNoteError.textContent =
+          error instanceof CartMutationError ? error.message : 'Your note could not be saved. Please try again.';
+        cartNoteError.hidden = false;
+      }
     } finally {
-      this.#activeFetch = null;
       cartPerformance.measureFromEvent('note-update:user-action', event);
     }
   }, 200);
@@ -0,0 +1,350 @@
+import { cartStore } from '@theme/cart-store';
+import { WRAP_SOURCE_PROPERTY } from '@theme/gift-wrap-linkage';
+
+/**
+ * Picks the products recommended for a cart.
+ *
+ * Recommendations are merged across every product in the cart, most recently added first, taking
+ * turns so one product does not crowd out the others. Each product's complementary products are
+ * used, or its related products when it has none. Merchant rules (theme settings > Cart >
+ * Recommendation rules) come first: a cart product with a rule's tag brings in products of the
+ * rule's collection, e.g. `baby_name | personalised-blankets`.
+ *
+ * Products already in the cart, gift wraps, products the shopper removed from the cart during the
+ * visit and products that are sold out are never recommended. Results are cached per cart
+ * fingerprint, so changing a quantity does not fetch them again.
+ *
+ * @example
+ * const products = await recommendForCart(cart, { limit: 4, rules: parseRecommendationRules(text) });
+ */
+
+/**
+ * @typedef {Object} RecommendationRule
+ * @property {string} tag - Product tag of a cart product, compared case-insensitively
+ * @property {string} collection - Handle of the collection whose products are recommended
+ */
+
+/**
+ * @typedef {Object} RecommendedProduct
+ * @property {number} id
+ * @property {string} handle
+ * @property {string} title
+ * @property {string} [url]
+ * @property {number} [price] - In cents
+ * @property {number | null} [compare_at_price] - In cents
+ * @property {string | null} [featured_image]
+ * @property {boolean} [available]
+ * @property {Array<{ id: number, available: boolean, url?: string }>} [variants]
+ * @property {string[] | string} [tags]
+ */
+
+/**
+ * @typedef {Object} RecommendationOptions
+ * @property {number} limit - Products to recommend
+ * @property {RecommendationRule[]} [rules]
+ * @property {string[]} [excludedHandles] - E.g. the gift wrap products
+ * @property {string | null} [priorityProductId] - A product just added, whose recommendations come
+ *   first even when the cart has not caught up with it yet
+ */
+
+/** Cart products recommendations are looked up for. */
+const MAX_SEED_PRODUCTS = 5;
+
+const REMOVED_PRODUCTS_STORAGE_KEY = 'cart-recommendations:removed';
+
+/** @type {Map<string, Promise<RecommendedProduct[]>>} Recommendations by cart fingerprint */
+const recommendationsCache = new Map();
+
+/** @type {Map<string, Promise<RecommendedProduct[]>>} Responses by URL */
+const responseCache = new Map();
+
+/** @type {Map<string, Promise<string[]>>} Tags of cart products by handle */
+const tagsCache = new Map();
+
+/**
+ * Reads the rules of the `cart_recommendation_rules` setting: one per line, `tag | collection handle`.
+ * @param {string | undefined} text
+ * @returns {RecommendationRule[]}
+ */
+export function parseRecommendationRules(text) {
+  return (text ?? '')
+    .split('\n')
+    .map((line) => line.split('|').map((column) => column.trim()))
+    .filter(([tag, collection]) => tag && collection)
+    .map(([tag = '', collection = '']) => ({ tag: tag.toLowerCase(), collection }));
+}
+
+/**
+ * @param {Record<string, any>} item - A cart line
+ * @returns {boolean}
+ */
+function isGiftWrapLine(item) {
+  return Boolean(item.properties?.[WRAP_SOURCE_PROPERTY]);
+}
+
+/**
+ * @returns {Set<string>}
+ */
+function getRemovedProductIds() {
+  try {
+    return new Set(JSON.parse(sessionStorage.getItem(REMOVED_PRODUCTS_STORAGE_KEY) || '[]'));
+  } catch (error) {
+    return new Set();
+  }
+}
+
+/**
+ * Remembers the products that left the cart between two carts, so they are not recommended again
+ * during the visit. A product added back is forgotten.
+ * @param {Record<string, any> | null} previousCart
+ * @param {Record<string, any>} cart
+ */
+function trackRemovedProducts(previousCart, cart) {
+  if (!previousCart) return;
+
+  const inCart = new Set(cart.items.map((/** @type {Record<string, any>} */ item) => String(item.product_id)));
+  const removed = getRemovedProductIds();
+
+  for (const item of previousCart.items) {
+    const productId = String(item.product_id);
+    if (!inCart.has(productId) && !isGiftWrapLine(item)) removed.add(productId);
+  }
+  for (const productId of inCart) removed.delete(productId);
+
+  try {
+    sessionStorage.setItem(REMOVED_PRODUCTS_STORAGE_KEY, JSON.stringify([...removed]));
+  } catch (error) {
+    // Storage can be full or unavailable, e.g. in private browsing; removed products are then
+    // only excluded while they stay out of the cart
+  }
+}
+
+/** @type {Record<string, any> | null} */
+let previousCart = null;
+
+cartStore.subscribe((cart) => {
+  trackRemovedProducts(previousCart, cart);
+  previousCart = cart;
+});
+
+/**
+ * Identifies the products of a cart, so carts that only differ in quantities share recommendations.
+ * @param {Record<string, any>} cart
+ * @param {Partial<Pick<RecommendationOptions, 'limit' | 'priorityProductId'>>} [options]
+ * @returns {string | null} Nothing when the cart has no product to recommend for
+ */
+export function getCartFingerprint(cart, { limit = 0, priorityProductId = null } = {}) {
+  const productIds = [
+    ...new Set(
+      cart.items
+        .filter((/** @type {Record<string, any>} */ item) => !isGiftWrapLine(item))
+        .map((/** @type {Record<string, any>} */ item) => String(item.product_id))
+    ),
+  ];
+  if (priorityProductId && !productIds.includes(priorityProductId)) productIds.unshift(priorityProductId);
+  if (productIds.length === 0) return null;
+
+  return [productIds.sort().join(','), [...getRemovedProductIds()].sort().join(','), limit].join('|');
+}
+
+/**
+ * @param {string} url
+ * @param {(product: Record<string, any>) => RecommendedProduct} [normalise]
+ * @returns {Promise<RecommendedProduct[]>}
+ */
+function fetchProducts(url, normalise = (product) => /** @type {RecommendedProduct} */ (product)) {
+  let request = responseCache.get(url);
+  if (!request) {
+    request = fetch(url, { headers: { Accept: 'application/json' } })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((json) => (Array.isArray(json?.products) ? json.products.map(normalise) : []))
+      .catch((error) => {
+        responseCache.delete(url);
+        console.error('Cart recommendations: fetch error:', error);
+        return [];
+      });
+    responseCache.set(url, request);
+  }
+  return request;
+}
+
+/**
+ * @param {string} productId
+ * @param {'complementary' | 'related'} intent
+ * @param {number} limit
+ * @returns {Promise<RecommendedProduct[]>}
+ */
+function fetchRecommendations(productId, intent, limit) {
+  const url = new URL('/recommendations/products.json', window.location.origin);
+  url.searchParams.set('product_id', productId);
+  url.searchParams.set('limit', String(limit));
+  url.searchParams.set('intent', intent);
+  return fetchProducts(url.toString());
+}
+
+/**
+ * @param {string} productId
+ * @param {number} limit
+ * @returns {Promise<RecommendedProduct[]>}
+ */
+async function fetchProductRecommendations(productId, limit) {
+  const complementary = await fetchRecommendations(productId, 'complementary', limit);
+  return complementary.length > 0 ? complementary : fetchRecommendations(productId, 'related', limit);
+}
+
+/**
+ * @param {string} handle - A collection handle
+ * @param {number} limit
+ * @returns {Promise<RecommendedProduct[]>}
+ */
+function fetchCollectionProducts(handle, limit) {
+  const url = new URL(`/collections/${encodeURIComponent(handle)}/products.json`, window.location.origin);
+  url.searchParams.set('limit', String(limit));
+  return fetchProducts(url.toString(), normaliseCollectionProduct);
+}
+
+/**
+ * Gives a product of a collection's `products.json`, which has prices as decimal strings on its
+ * variants, the shape of the recommendations API.
+ * @param {Record<string, any>} product
+ * @returns {RecommendedProduct}
+ */
+function normaliseCollectionProduct(product) {
+  /** @type {Array<Record<string, any>>} */
+  const variants = product.variants ?? [];
+  const variant = variants.find((candidate) => candidate.available) ?? variants[0];
+  const toCents = (/** @type {string | null | undefined} */ price) =>
+    price ? Math.round(parseFloat(price) * 100) : null;
+  const url = `/products/${product.handle}`;
+
+  return /** @type {RecommendedProduct} */ ({
+    ...product,
+    url,
+    price: toCents(variant?.price) ?? 0,
+    compare_at_price: toCents(variant?.compare_at_price),
+    featured_image: product.images?.[0]?.src ?? null,
+    available: variants.some((candidate) => candidate.available),
+    variants: variants.map((candidate) => ({ ...candidate, url: `${url}?variant=${candidate.id}` })),
+  });
+}
+
+/**
+ * Gets the tags of a cart product, which cart lines do not include.
+ * @param {string} handle - A product handle
+ * @returns {Promise<string[]>}
+ */
+function getProductTags(handle) {
+  let request = tagsCache.get(handle);
+  if (!request) {
+    request = fetch(`/products/${encodeURIComponent(handle)}.js`, { headers: { Accept: 'application/json' } })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((product) => normaliseTags(product?.tags))
+      .catch(() => {
+        tagsCache.delete(handle);
+        return [];
+      });
+    tagsCache.set(handle, request);
+  }
+  return request;
+}
+
+/**
+ * @param {string[] | string | undefined} tags - An array, or comma separated as in `products.json`
+ * @returns {string[]}
+ */
+function normaliseTags(tags) {
+  const list = Array.isArray(tags) ? tags : (tags ?? '').split(',');
+  return list.map((tag) => tag.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * @param {RecommendedProduct} product
+ * @returns {boolean}
+ */
+function isAvailable(product) {
+  if (typeof product.available === 'boolean') return product.available;
+  return product.variants?.some((variant) => variant.available) ?? false;
+}
+
+/**
+ * Takes products from each list in turn, so every list is represented.
+ * @param {RecommendedProduct[][]} lists
+ * @returns {RecommendedProduct[]}
+ */
+function interleave(lists) {
+  /** @type {RecommendedProduct[]} */
+  const merged = [];
+  const length = Math.max(0, ...lists.map((list) => list.length));
+  for (let index = 0; index < length; index++) {
+    for (const list of lists) {
+      const product = list[index];
+      if (product) merged.push(product);
+    }
+  }
+  return merged;
+}
+
+/**
+ * @param {Record<string, any>} cart
+ * @param {RecommendationOptions} options
+ * @returns {Promise<RecommendedProduct[]>}
+ */
+async function pickRecommendations(cart, { limit, rules = [], excludedHandles = [], priorityProductId = null }) {
+  /** @type {Array<Record<string, any>>} */
+  const items = cart.items.filter((/** @type {Record<string, any>} */ item) => !isGiftWrapLine(item));
+
+  // Cart lines are listed most recently added first
+  const seedIds = [
+    ...new Set([priorityProductId, ...items.map((item) => String(item.product_id))].filter((id) => id != null)),
+  ];
+
+  const handles = [...new Set(items.map((item) => String(item.handle || '')).filter(Boolean))];
+  const matchedCollections = rules.length
+    ? await Promise.all(handles.map(getProductTags)).then((tagLists) => {
+        const tags = new Set(tagLists.flat());
+        return [...new Set(rules.filter((rule) => tags.has(rule.tag)).map((rule) => rule.collection))];
+      })
+    : [];
+
+  const [ruleLists, recommendationLists] = await Promise.all([
+    Promise.all(matchedCollections.map((handle) => fetchCollectionProducts(handle, limit * 2))),
+    Promise.all(seedIds.slice(0, MAX_SEED_PRODUCTS).map((productId) => fetchProductRecommendations(productId, limit))),
+  ]);
+
+  const excludedIds = new Set([...seedIds, ...getRemovedProductIds()]);
+  const excluded = new Set(excludedHandles);
+
+  /** @type {Set<number>} */
+  const seen = new Set();
+
+  return [...interleave(ruleLists), ...interleave(recommendationLists)]
+    .filter((product) => {
+      if (seen.has(product.id)) return false;
+      seen.add(product.id);
+
+      return (
+        !excludedIds.has(String(product.id)) &&
+        !excluded.has(product.handle) &&
+        isAvailable(product)
+      );
+    })
+    .slice(0, limit);
+}
+
+/**
+ * Gets the products to recommend for a cart.
+ * @param {Record<string, any>} cart
+ * @param {RecommendationOptions} options
+ * @returns {Promise<RecommendedProduct[]>} Nothing when there is nothing to recommend
+ */
+export function recommendForCart(cart, options) {
+  const fingerprint = getCartFingerprint(cart, options);
+  if (!fingerprint) return Promise.resolve([]);
+
+  let recommendations = recommendationsCache.get(fingerprint);
+  if (!recommendations) {
+    recommendations = pickRecommendations(cart, options);
+    recommendationsCache.set(fingerprint, recommendations);
+  }
+  return recommendations;
+}
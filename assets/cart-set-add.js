@@ -0,0 +1,183 @@
+import { fetchConfig } from '@theme/utilities';
+import { cartStore } from '@theme/cart-store';
+import { CartUpdateEvent } from '@theme/events';
+
+/**
+ * Adds several products to the cart as one set: either every product is added or none is.
+ *
+ * The products go in one `/cart/add.js` request with an `items[]` list, and each line is tagged with
+ * the same hidden `_set_id` property. When the request fails, any line Shopify added before failing
+ * is found by that property and removed again. To tell the shopper which products failed, each
+ * product is then tried on its own (tagged the same way, and removed again afterwards), since the
+ * batched request only reports the first error.
+ */
+
+/** Hidden property shared by every line of a set. */
+export const SET_ID_PROPERTY = '_set_id';
+
+/** Hidden property with the name the cart shows for a set. */
+export const SET_NAME_PROPERTY = '_set_name';
+
+/**
+ * @typedef {Object} SetLineItem
+ * @property {string | number} id - Variant ID
+ * @property {number} [quantity]
+ * @property {Record<string, string>} [properties]
+ * @property {string} [title] - Shown in the failure report
+ */
+
+/**
+ * @typedef {Object} SetItemFailure
+ * @property {number} index - Index of the item in the list that was added
+ * @property {string} title
+ * @property {string} message - Why the item could not be added
+ */
+
+/**
+ * Thrown when a set could not be added. The cart is left as it was before, unless the lines added
+ * before the failure could not be removed again, in which case the message says so.
+ */
+export class SetAddError extends Error {
+  /**
+   * @param {string} message
+   * @param {SetItemFailure[]} failures - The items that could not be added, empty when the cause is
+   *   not specific to an item (e.g. the network)
+   */
+  constructor(message, failures) {
+    super(message);
+    this.name = 'SetAddError';
+    this.failures = failures;
+  }
+}
+
+/**
+ * @returns {string} A new set ID
+ */
+export function createSetId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Reads the error message of a failed cart request.
+ * @param {Record<string, any> | null} data - The response body
+ * @returns {string | null}
+ */
+function getCartErrorMessage(data) {
+  const message = data?.description || data?.errors || data?.message;
+  if (!message) return null;
+  return typeof message === 'string' ? message : Object.values(message).flat().join(' ');
+}
+
+/**
+ * @param {string} url
+ * @param {Record<string, any>} body
+ * @returns {Promise<{ ok: boolean, data: Record<string, any> | null }>}
+ * @throws {Error} When the cart could not be reached
+ */
+async function postCart(url, body) {
+  let response;
+  try {
+    response = await fetch(url, fetchConfig('json', { body: JSON.stringify(body) }));
+  } catch (error) {
+    throw new Error('Your cart could not be reached. Please check your connection and try again.');
+  }
+
+  const data = await response.json().catch(() => null);
+  return { ok: response.ok && !getCartErrorMessage(data), data };
+}
+
+/**
+ * Removes every line of a set from the cart.
+ * @param {string} setId
+ * @throws {Error} When the lines could not be removed
+ */
+export async function removeSetFromCart(setId) {
+  const cart = await cartStore.refresh();
+  /** @type {Record<string, number>} */
+  const updates = {};
+  for (const line of cart.items) {
+    if (line.properties?.[SET_ID_PROPERTY] === setId) updates[line.key] = 0;
+  }
+  if (Object.keys(updates).length === 0) return;
+
+  const { ok, data } = await postCart(Theme.routes.cart_update_url, { updates });
+  if (!ok) throw new Error(getCartErrorMessage(data) || 'The set could not be removed from the cart.');
+
+  // Hands the cart to the store and tells the cart drawer and icon the lines are gone
+  document.dispatchEvent(
+    new CartUpdateEvent(data ?? {}, 'cart-set-add', { source: 'cart-set-add', itemCount: data?.item_count })
+  );
+}
+
+/**
+ * Tries each item on its own to find out which ones cannot be added.
+ * @param {Array<Record<string, any>>} lines - The lines of the failed request
+ * @param {SetLineItem[]} items
+ * @returns {Promise<SetItemFailure[]>}
+ */
+async function findFailedItems(lines, items) {
+  /** @type {SetItemFailure[]} */
+  const failures = [];
+
+  for (const [index, line] of lines.entries()) {
+    const { ok, data } = await postCart(Theme.routes.cart_add_url, { items: [line] });
+    if (!ok) {
+      failures.push({
+        index,
+        title: items[index]?.title || 'Product',
+        message: getCartErrorMessage(data) || 'This product could not be added.',
+      });
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Adds items to the cart as one set.
+ * @param {SetLineItem[]} items
+ * @param {Object} [options]
+ * @param {string} [options.setId] - Defaults to a new set ID
+ * @param {string} [options.name] - Shown as the heading of the set in the cart
+ * @returns {Promise<{ setId: string, items: Array<Record<string, any>> }>} The set ID and the added lines
+ * @throws {SetAddError} When the set could not be added; the cart is left as it was unless the message
+ *   says otherwise
+ */
+export async function addSetToCart(items, { setId = createSetId(), name } = {}) {
+  const lines = items.map((item) => ({
+    id: Number(item.id),
+    quantity: item.quantity || 1,
+    properties: {
+      ...item.properties,
+      [SET_ID_PROPERTY]: setId,
+      ...(name ? { [SET_NAME_PROPERTY]: name } : {}),
+    },
+  }));
+
+  /** @type {string | null} */
+  let message = null;
+  /** @type {SetItemFailure[]} */
+  let failures = [];
+
+  try {
+    const { ok, data } = await postCart(Theme.routes.cart_add_url, { items: lines });
+    if (ok) return { setId, items: data?.items ?? [] };
+
+    message = getCartErrorMessage(data);
+    failures = await findFailedItems(lines, items);
+  } catch (error) {
+    message = error instanceof Error ? error.message : null;
+  }
+
+  try {
+    await removeSetFromCart(setId);
+  } catch (error) {
+    console.error('Could not remove a partly added set from the cart:', error);
+    throw new SetAddError(
+      'Your set could not be added, and some of its products may still be in your cart. Please check your cart before trying again.',
+      failures
+    );
+  }
+
+  throw new SetAddError(message || 'Your set could not be added to the cart. Please try again.', failures);
+}
@@ -0,0 +1,201 @@
+import { ThemeEvents } from '@theme/events';
+
+/**
+ * The cart as the page knows it, shared by every component instead of each fetching `/cart.js`.
+ *
+ * The store keeps the last cart it saw. Cart events that carry a full cart (e.g. the response of
+ * `/cart/change.js`) replace it; events without one (e.g. after `/cart/add.js`, which only returns
+ * the added lines) mark it stale, so the next read fetches the cart again. Concurrent reads share
+ * one request.
+ *
+ * @example
+ * const cart = await cartStore.get();
+ * const unsubscribe = cartStore.subscribe((cart) => console.log(cart.item_count));
+ */
+
+/**
+ * A line of the cart, with the fields components read typed and the rest of `/cart.js` untyped.
+ * @typedef {{
+ *   key: string,
+ *   product_id: number,
+ *   variant_id: number,
+ *   quantity: number,
+ *   properties: Record<string, string> | null,
+ * } & Record<string, any>} CartLine
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {number} item_count
+ * @property {CartLine[]} items
+ * @property {number} total_price
+ * @property {string} [token]
+ * @property {Record<string, string>} [sections] - Only on carts fetched with sections
+ */
+
+/**
+ * @callback CartSubscriber
+ * @param {Cart} cart
+ */
+
+/**
+ * @param {unknown} resource
+ * @returns {resource is Cart}
+ */
+function isCart(resource) {
+  return (
+    typeof resource === 'object' &&
+    resource !== null &&
+    'item_count' in resource &&
+    Array.isArray(/** @type {Record<string, unknown>} */ (resource).items)
+  );
+}
+
+class CartStore {
+  /** @type {Cart | null} */
+  #cart = null;
+
+  /** Whether the cart changed since it was last read. */
+  #stale = true;
+
+  /** Counts cart changes, so a response that started before a change does not overwrite it. */
+  #version = 0;
+
+  /** @type {Map<string, Promise<Cart>>} Requests in flight, by sections requested */
+  #requests = new Map();
+
+  /** @type {Set<CartSubscriber>} */
+  #subscribers = new Set();
+
+  constructor() {
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    window.addEventListener('pageshow', this.#onPageShow);
+  }
+
+  /**
+   * The last cart seen, which may be out of date. Use `get()` to read the current cart.
+   * @returns {Cart | null}
+   */
+  get cart() {
+    return this.#cart;
+  }
+
+  /**
+   * Gets the cart, fetching it only when it may have changed since it was last read.
+   * @returns {Promise<Cart>}
+   */
+  async get() {
+    if (this.#cart && !this.#stale) return this.#cart;
+    return this.refresh();
+  }
+
+  /**
+   * Fetches the cart, sharing the request with any other read in flight.
+   * @param {Object} [options]
+   * @param {string[]} [options.sections] - Sections to render with the cart
+   * @returns {Promise<Cart>} The cart, with `sections` when sections were requested
+   */
+  refresh({ sections = [] } = {}) {
+    const sectionsParam = sections.join(',');
+    const pending = this.#requests.get(sectionsParam);
+    if (pending) return pending;
+
+    const request = this.#fetch(sectionsParam).finally(() => {
+      if (this.#requests.get(sectionsParam) === request) this.#requests.delete(sectionsParam);
+    });
+    this.#requests.set(sectionsParam, request);
+    return request;
+  }
+
+  /**
+   * Replaces the cart with one returned by the cart API, and tells subscribers.
+   * @param {Cart} cart
+   */
+  set(cart) {
+    const { sections, ...state } = cart;
+    this.#cart = /** @type {Cart} */ (state);
+    this.#stale = false;
+
+    for (const subscriber of this.#subscribers) {
+      try {
+        subscriber(this.#cart);
+      } catch (error) {
+        console.error('Cart store subscriber failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Calls back with the cart now, when it is known, and whenever it changes.
+   * @param {CartSubscriber} subscriber
+   * @returns {() => void} Stops the updates
+   */
+  subscribe(subscriber) {
+    this.#subscribers.add(subscriber);
+    if (this.#cart && !this.#stale) subscriber(this.#cart);
+
+    return () => this.#subscribers.delete(subscriber);
+  }
+
+  /**
+   * @param {string} sectionsParam
+   * @returns {Promise<Cart>}
+   */
+  async #fetch(sectionsParam) {
+    const version = this.#version;
+    const url = sectionsParam
+      ? `${Theme.routes.cart_url}.js?sections=${encodeURIComponent(sectionsParam)}`
+      : `${Theme.routes.cart_url}.js`;
+    const response = await fetch(url, { headers: { Accept: 'application/json' } });
+    if (!response.ok) throw new Error('Your cart could not be loaded.');
+
+    /** @type {Cart} */
+    const cart = await response.json();
+    if (version === this.#version) this.set(cart);
+    return cart;
+  }
+
+  /**
+   * Keeps the store in step with cart changes made anywhere on the page.
+   * @param {Event} event
+   */
+  #onCartUpdate = (event) => {
+    const resource = /** @type {CustomEvent} */ (event).detail?.resource;
+
+    this.#invalidateRequests();
+
+    if (isCart(resource)) {
+      this.set(resource);
+      return;
+    }
+
+    this.#stale = true;
+    if (this.#subscribers.size > 0) this.#refreshInBackground();
+  };
+
+  /**
+   * A page restored from the back/forward cache may show a cart changed on another page.
+   * @param {PageTransitionEvent} event
+   */
+  #onPageShow = (event) => {
+    if (!event.persisted) return;
+
+    this.#invalidateRequests();
+    this.#stale = true;
+    if (this.#subscribers.size > 0) this.#refreshInBackground();
+  };
+
+  /**
+   * Requests in flight may have started before the cart changed: later reads start a new one.
+   */
+  #invalidateRequests() {
+    this.#version += 1;
+    this.#requests.clear();
+  }
+
+  #refreshInBackground() {
+    this.refresh().catch((error) => console.error('Failed to refresh the cart:', error));
+  }
+}
+
+export const cartStore = new CartStore();
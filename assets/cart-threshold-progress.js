@@ -0,0 +1,206 @@
+import { Component } from '@theme/component';
+import { CartUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { cartMutations } from '@theme/cart-mutation-queue';
+import { formatCurrency } from '@theme/utilities';
+
+/**
+ * Spend progress of the cart towards rewards, e.g. free shipping, free gift wrap and a free gift.
+ *
+ * Tiers are set in the theme settings, in the shop's currency, and rendered by
+ * `snippets/cart-threshold-progress.liquid`. The bar is rendered again from the cart store whenever the
+ * cart changes, with thresholds converted to the cart's currency. When the free gift tier has a
+ * variant, it can be added to the cart once the tier is reached, and is removed when the cart drops
+ * below it. A gift the shopper removes is not added again to the same cart.
+ */
+
+/** Marks the free gift lines added by the bar, so they are not counted towards the tiers. */
+export const FREE_GIFT_PROPERTY = '_free_gift';
+
+const FREE_GIFT_STORAGE_KEY = 'cart-threshold-progress:free-gift-cart';
+
+/**
+ * @typedef {Object} Tier
+ * @property {number} threshold - In the cart's currency, in cents
+ * @property {string} reward - `shipping`, `gift_wrap` or `gift`
+ * @property {string} label - e.g. "Free UK shipping"
+ * @property {HTMLElement} marker
+ */
+
+/**
+ * Whether a cart line is a free gift added by the bar.
+ * @param {Record<string, any>} item
+ * @returns {boolean}
+ */
+function isFreeGiftLine(item) {
+  return Boolean(item.properties?.[FREE_GIFT_PROPERTY]);
+}
+
+/**
+ * The cart total counted towards the tiers, without the free gift.
+ * @param {Record<string, any>} cart
+ * @returns {number}
+ */
+function getQualifyingTotal(cart) {
+  /** @type {Array<Record<string, any>>} */
+  const items = cart.items ?? [];
+  const giftTotal = items.filter(isFreeGiftLine).reduce((total, item) => total + (item.final_line_price ?? 0), 0);
+  return Math.max(0, (cart.total_price ?? 0) - giftTotal);
+}
+
+/**
+ * A custom element that shows the spend progress of the cart towards its reward tiers.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} message - What to spend for the next reward.
+ * @property {HTMLElement} fill - The filled part of the bar.
+ * @property {HTMLElement[]} tiers - A marker per tier, with its threshold in the shop's currency.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartThresholdProgressComponent extends Component {
+  requiredRefs = ['message', 'fill', 'tiers'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /** Whether a free gift change is being sent. */
+  #updatingGift = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // Until the cart store knows the cart, render the cart the bar was rendered with
+    const { cartTotal, cartCurrency } = this.dataset;
+    if (!cartStore.cart) {
+      this.#render({ total_price: Number(cartTotal) || 0, currency: cartCurrency, items: [] });
+    }
+
+    this.#unsubscribe = cartStore.subscribe(this.#update);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * @param {Record<string, any>} cart
+   */
+  #update = (cart) => {
+    this.#render(cart);
+    this.#updateFreeGift(cart);
+  };
+
+  /**
+   * Reads the tiers, converted to the cart's currency, from the lowest threshold.
+   * @param {string} [currency] - The cart's currency
+   * @returns {Tier[]}
+   */
+  #getTiers(currency) {
+    const { shopCurrency } = this.dataset;
+    const rate = currency && shopCurrency && currency !== shopCurrency ? Number(window.Shopify?.currency?.rate) || 1 : 1;
+
+    return this.refs.tiers
+      .map((marker) => ({
+        threshold: Math.round(Number(marker.dataset.threshold) * rate),
+        reward: marker.dataset.reward ?? '',
+        label: marker.dataset.label ?? '',
+        marker,
+      }))
+      .filter((tier) => tier.threshold > 0)
+      .sort((a, b) => a.threshold - b.threshold);
+  }
+
+  /**
+   * @param {Record<string, any>} cart
+   */
+  #render(cart) {
+    const { message, fill } = this.refs;
+    const tiers = this.#getTiers(cart.currency);
+    const lastTier = tiers[tiers.length - 1];
+    if (!lastTier) return;
+
+    const total = getQualifyingTotal(cart);
+    const nextTier = tiers.find((tier) => total < tier.threshold);
+
+    for (const tier of tiers) {
+      tier.marker.style.setProperty('--tier-position', `${(tier.threshold / lastTier.threshold) * 100}%`);
+      tier.marker.classList.toggle('cart-threshold-progress__tier--reached', total >= tier.threshold);
+    }
+
+    const progress = Math.min(100, Math.round((total / lastTier.threshold) * 100));
+    fill.style.width = `${progress}%`;
+    fill.setAttribute('aria-valuenow', String(progress));
+
+    message.classList.toggle('cart-threshold-progress__message--complete', !nextTier);
+    if (nextTier) {
+      const amount = formatCurrency(nextTier.threshold - total, cart.currency || this.dataset.shopCurrency);
+      message.textContent = (Theme.translations?.cart_threshold_add_more || 'Add {{ amount }} more for {{ reward }}')
+        .replace('{{ amount }}', amount)
+        .replace('{{ reward }}', nextTier.label);
+    } else {
+      const unlocked = Theme.translations?.cart_threshold_unlocked || 'Congratulations! You have unlocked {{ reward }}';
+      message.textContent = unlocked.replace('{{ reward }}', lastTier.label);
+    }
+  }
+
+  /**
+   * Adds the free gift when its tier is reached, and removes it when the cart drops below it.
+   * @param {Record<string, any>} cart
+   */
+  async #updateFreeGift(cart) {
+    if (!this.hasAttribute('auto-add-free-gift') || this.#updatingGift || !cart.token) return;
+
+    const giftTier = this.#getTiers(cart.currency).find((tier) => tier.reward === 'gift');
+    const variantId = Number(giftTier?.marker.dataset.variantId);
+    if (!giftTier || !variantId) return;
+
+    const giftLine = (cart.items ?? []).find(isFreeGiftLine);
+    const reached = getQualifyingTotal(cart) >= giftTier.threshold;
+
+    /** @type {Record<string, any> | null} */
+    let body = null;
+    if (reached && !giftLine) {
+      // A gift added to this cart before has been removed by the shopper
+      if (sessionStorage.getItem(FREE_GIFT_STORAGE_KEY) === cart.token) return;
+
+      sessionStorage.setItem(FREE_GIFT_STORAGE_KEY, cart.token);
+      body = { items: [{ id: variantId, quantity: 1, properties: { [FREE_GIFT_PROPERTY]: 'true' } }] };
+    } else if (!reached && giftLine) {
+      sessionStorage.removeItem(FREE_GIFT_STORAGE_KEY);
+      body = { id: giftLine.key, quantity: 0 };
+    }
+    if (!body) return;
+
+    const sections = Array.from(document.querySelectorAll('cart-items-component[data-section-id]'))
+      .map((element) => (element instanceof HTMLElement ? element.dataset.sectionId : ''))
+      .filter(Boolean);
+
+    this.#updatingGift = true;
+    try {
+      const data = await cartMutations.enqueue({
+        url: 'items' in body ? Theme.routes.cart_add_url : Theme.routes.cart_change_url,
+        body: { ...body, sections: sections.join(','), sections_url: window.location.pathname },
+      });
+
+      // `/cart/add.js` returns only the added lines, so the cart store fetches the cart again
+      const added = 'items' in body;
+      this.dispatchEvent(
+        new CartUpdateEvent(added ? {} : data, 'cart-threshold-progress', {
+          itemCount: added ? cart.item_count + 1 : data.item_count,
+          source: 'cart-threshold-progress',
+          sections: data.sections,
+        })
+      );
+    } catch (error) {
+      console.error('Failed to update the free gift:', error);
+    } finally {
+      this.#updatingGift = false;
+    }
+  }
+}
+
+if (!customElements.get('cart-threshold-progress')) {
+  customElements.define('cart-threshold-progress', CartThresholdProgressComponent);
+}
@@ -1,5 +1,5 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import { debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
@@ -9,6 +9,11 @@ import {
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { changeLinePersonalisation } from '@theme/cart-line-personalisation';
+import { cartMutations, CartMutationError } from '@theme/cart-mutation-queue';
+import { getLinkedUpdates, readLinkedLines } from '@theme/gift-wrap-linkage';
+import { assignLineToRecipient } from '@theme/gift-recipients';
+import { getProductCartQuantity } from '@theme/quantity-rules';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
 
@@ -25,6 +30,9 @@ import { cartPerformance } from '@theme/performance';
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  /** Counts the quantity changes sent, so only the response to the latest one renders the cart. */
+  #quantityChangeCount = 0;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -33,6 +41,11 @@ class CartItemsComponent extends Component {
     document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
   }
 
+  updatedCallback() {
+    super.updatedCallback();
+    this.#syncSetToggles();
+  }
+
   disconnectedCallback() {
     super.disconnectedCallback();
 
@@ -61,7 +74,7 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
+    const lineItemRow = this.#getLineRow(line);
 
     if (!lineItemRow) return;
 
@@ -80,7 +93,7 @@ class CartItemsComponent extends Component {
       action: 'clear',
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+    const cartItemRowToRemove = this.#getLineRow(line);
 
     if (!cartItemRowToRemove) return;
 
@@ -114,41 +127,33 @@ class CartItemsComponent extends Component {
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
 
-    this.#disableCartItems();
-
     const { line, quantity } = config;
     const { cartTotal } = this.refs;
+    const key = this.#getLineRow(line)?.dataset.key;
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
-
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
+    // Gift wrap lines follow the quantity of the lines they wrap, so they change in the same request
+    const updates = key ? getLinkedUpdates(readLinkedLines(this.refs.cartItemRows ?? []), key, quantity) : {};
+    const hasLinkedUpdates = Object.keys(updates).length > 1;
+    const quantityChange = ++this.#quantityChangeCount;
 
     cartTotal?.shimmer();
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
+    cartMutations
+      .enqueue({
+        url: hasLinkedUpdates ? Theme.routes.cart_update_url : Theme.routes.cart_change_url,
+        // Lines are sent by key, as a removal queued before this change would shift the line numbers
+        body: () => ({
+          ...(hasLinkedUpdates ? { updates } : key ? { id: key, quantity } : { line, quantity }),
+          sections: this.#getSectionsToUpdate().join(','),
+          sections_url: window.location.pathname,
+        }),
+        key: key && `line:${key}`,
       })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
-
+      .then((parsedResponseText) => {
         resetShimmer(this);
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
-        }
+        // A newer quantity change will render the cart, so the inputs keep the shopper's values
+        if (quantityChange !== this.#quantityChangeCount) return;
 
         const newSectionHTML = new DOMParser().parseFromString(
           parsedResponseText.sections[this.sectionId],
@@ -174,15 +179,343 @@ class CartItemsComponent extends Component {
 
         this.#updateCartQuantitySelectorButtonStates();
       })
+      .catch(async (error) => {
+        console.error(error);
+        resetShimmer(this);
+
+        const message =
+          error instanceof CartMutationError ? error.message : 'Your cart could not be updated. Please try again.';
+
+        // Render the cart as it is now: this brings back removed rows and any change made before this one
+        await sectionRenderer.renderSection(this.sectionId, { cache: false });
+
+        this.#handleCartError(key, line, message);
+      })
       .catch((error) => {
         console.error(error);
       })
       .finally(() => {
-        this.#enableCartItems();
         cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
       });
   }
 
+  /**
+   * Opens the personalise modal for a cart line.
+   * @param {MouseEvent} event - The click event of the edit personalisation button.
+   */
+  editPersonalisation(event) {
+    event.preventDefault();
+
+    const button = event.target;
+    if (!(button instanceof HTMLElement)) return;
+
+    const { cartKey, productId, variantId, lineProperties } = button.dataset;
+    if (!cartKey) return;
+
+    /** @type {Record<string, string>} */
+    let properties = {};
+    try {
+      properties = JSON.parse(lineProperties || '{}') ?? {};
+    } catch (error) {
+      console.error(error);
+    }
+
+    this.hideLineMessage(cartKey);
+
+    // Each personalised product in the cart has its own modal so its variant colours are right
+    const selector = `personalise-dialog#personalise-dialog-cart-${productId}`;
+    const dialog = this.querySelector(selector) ?? document.querySelector(selector);
+
+    if (!dialog) {
+      this.showLineMessage(cartKey, 'This personalisation cannot be edited here. Please remove the item and add it again.');
+      return;
+    }
+
+    // Read by the personalise modal to load the line and save back to it
+    /** @type {any} */ (window).cartPersonalizationContext = {
+      key: cartKey,
+      productId,
+      variantId,
+      properties,
+      cartItems: this,
+    };
+
+    customElements.whenDefined('personalise-dialog').then(() => /** @type {any} */ (dialog).showDialog());
+  }
+
+  /**
+   * Replaces the personalisation of a line, keeping its other properties (gift wrap linkage, gift
+   * messages). Lets the shopper know when the new personalisation combined the line with another one.
+   * @param {string} key - The line key.
+   * @param {Record<string, string>} properties - The personalisation properties.
+   * @param {File | null} [proof] - The proof image of the new personalisation.
+   * @returns {Promise<void>}
+   * @throws {Error} When the cart could not be updated, with a message that can be shown to the shopper.
+   */
+  async updateLinePersonalisation(key, properties, proof = null) {
+    this.#disableCartItems();
+
+    try {
+      const { cart, line, merged } = await changeLinePersonalisation({
+        key,
+        properties,
+        proof,
+        sections: this.#getSectionsToUpdate(),
+      });
+
+      this.#updateQuantitySelectors(cart);
+
+      this.dispatchEvent(
+        new CartUpdateEvent(cart, this.sectionId, {
+          itemCount: cart.item_count,
+          source: 'cart-items-component',
+          sections: cart.sections,
+        })
+      );
+
+      await morphSection(this.sectionId, cart.sections[this.sectionId]);
+
+      this.#updateCartQuantitySelectorButtonStates();
+
+      if (merged && line) {
+        this.showLineMessage(
+          line.key,
+          `This item now matches another item in your cart, so they have been combined (quantity ${line.quantity}).`
+        );
+      }
+    } finally {
+      this.#enableCartItems();
+    }
+  }
+
+  /**
+   * Assigns a line to a gift recipient.
+   * @param {Event} event - The change event of the recipient picker of a line.
+   * @returns {Promise<void>}
+   */
+  async assignGiftRecipient(event) {
+    const select = event.target;
+    if (!(select instanceof HTMLSelectElement)) return;
+
+    const { cartKey } = select.dataset;
+    if (!cartKey) return;
+
+    this.hideLineMessage(cartKey);
+    this.#disableCartItems();
+
+    try {
+      const cart = await assignLineToRecipient({
+        key: cartKey,
+        recipientId: select.value,
+        sections: this.#getSectionsToUpdate(),
+      });
+
+      this.dispatchEvent(
+        new CartUpdateEvent(cart, this.sectionId, {
+          itemCount: cart.item_count,
+          source: 'cart-items-component',
+          sections: cart.sections,
+        })
+      );
+
+      await morphSection(this.sectionId, cart.sections[this.sectionId]);
+
+      this.#updateCartQuantitySelectorButtonStates();
+    } catch (error) {
+      console.error(error);
+      select.value = select.querySelector('option[selected]')?.getAttribute('value') ?? '';
+      this.showLineMessage(
+        cartKey,
+        error instanceof Error && error.message ? error.message : 'This item could not be updated. Please try again.'
+      );
+    } finally {
+      this.#enableCartItems();
+    }
+  }
+
+  /**
+   * Shows or hides the lines of a set.
+   * @param {MouseEvent} event - The click event of the set toggle.
+   */
+  toggleSet(event) {
+    const set = this.#getSet(event);
+    if (!set) return;
+
+    set.toggleAttribute('data-set-collapsed');
+    this.#syncSetToggles();
+  }
+
+  /**
+   * Changes the quantity of every line of a set, keeping their proportions.
+   * @param {MouseEvent} event - The click event of a set quantity button.
+   * @returns {Promise<void>}
+   */
+  async changeSetQuantity(event) {
+    const set = this.#getSet(event);
+    const button = event.target;
+    if (!set || !(button instanceof HTMLElement)) return;
+
+    const setQuantity = Number(set.dataset.setQuantity) || 1;
+    const quantity = Number(button.dataset.quantity);
+    if (!quantity || quantity < 1) return;
+
+    /** @type {Record<string, number>} */
+    const updates = {};
+    for (const row of this.#getSetRows(set)) {
+      const lineQuantity = Number(row.dataset.quantity) || setQuantity;
+      updates[/** @type {string} */ (row.dataset.key)] = Math.max(1, Math.round((lineQuantity * quantity) / setQuantity));
+    }
+
+    await this.#updateSet(set, updates);
+  }
+
+  /**
+   * Removes every line of a set.
+   * @param {MouseEvent} event - The click event of the remove set button.
+   * @returns {Promise<void>}
+   */
+  async removeSet(event) {
+    const set = this.#getSet(event);
+    if (!set) return;
+
+    /** @type {Record<string, number>} */
+    const updates = {};
+    for (const row of this.#getSetRows(set)) {
+      updates[/** @type {string} */ (row.dataset.key)] = 0;
+    }
+
+    await this.#updateSet(set, updates);
+  }
+
+  /**
+   * Applies quantity updates to the lines of a set in one request, so the set never ends up half
+   * changed.
+   * @param {HTMLElement} set - The row group of the set.
+   * @param {Record<string, number>} updates - New quantities by line key.
+   * @returns {Promise<void>}
+   */
+  async #updateSet(set, updates) {
+    const error = set.querySelector('.cart-items__set-error');
+    if (error instanceof HTMLElement) error.hidden = true;
+
+    this.#disableCartItems();
+    this.refs.cartTotal?.shimmer();
+
+    try {
+      const cart = await cartMutations.enqueue({
+        url: Theme.routes.cart_update_url,
+        body: () => ({
+          updates,
+          sections: this.#getSectionsToUpdate().join(','),
+          sections_url: window.location.pathname,
+        }),
+      });
+
+      this.#updateQuantitySelectors(cart);
+
+      this.dispatchEvent(
+        new CartUpdateEvent(cart, this.sectionId, {
+          itemCount: cart.item_count,
+          source: 'cart-items-component',
+          sections: cart.sections,
+        })
+      );
+
+      await morphSection(this.sectionId, cart.sections[this.sectionId]);
+
+      this.#updateCartQuantitySelectorButtonStates();
+    } catch (caught) {
+      console.error(caught);
+      resetShimmer(this);
+
+      if (error instanceof HTMLElement) {
+        error.textContent =
+          caught instanceof CartMutationError ? caught.message : 'Your set could not be updated. Please try again.';
+        error.hidden = false;
+      }
+    } finally {
+      this.#enableCartItems();
+    }
+  }
+
+  /**
+   * Gets the row group of the set a button belongs to.
+   * @param {MouseEvent} event - The click event of a button in the set header.
+   * @returns {HTMLElement | null}
+   */
+  #getSet(event) {
+    event.preventDefault();
+
+    const set = event.target instanceof Element ? event.target.closest('.cart-items__set') : null;
+    return set instanceof HTMLElement ? set : null;
+  }
+
+  /**
+   * Gets the line rows of a set.
+   * @param {HTMLElement} set - The row group of the set.
+   * @returns {HTMLTableRowElement[]}
+   */
+  #getSetRows(set) {
+    return this.refs.cartItemRows.filter((row) => set.contains(row) && row.dataset.key);
+  }
+
+  /**
+   * Matches the set toggles to whether their set is collapsed, which survives re-renders.
+   */
+  #syncSetToggles() {
+    for (const set of this.querySelectorAll('.cart-items__set')) {
+      set
+        .querySelector('.cart-items__set-toggle')
+        ?.setAttribute('aria-expanded', String(!set.hasAttribute('data-set-collapsed')));
+    }
+  }
+
+  /**
+   * Gets the row of a line. Rows are not in cart order when lines are grouped into sets, so they are
+   * looked up by line number rather than by position.
+   * @param {number} line - The line number, starting at 1.
+   * @returns {HTMLTableRowElement | undefined}
+   */
+  #getLineRow(line) {
+    return this.refs.cartItemRows?.find((row) => row.dataset.line === String(line));
+  }
+
+  /**
+   * Shows a message under a cart line.
+   * @param {string} key - The line key.
+   * @param {string} message - The message.
+   */
+  showLineMessage(key, message) {
+    const container = this.#getLineMessageContainer(key);
+    const text = container?.querySelector('.cart-item__error-text');
+
+    if (!container || !text) return;
+
+    text.textContent = message;
+    container.classList.remove('hidden');
+  }
+
+  /**
+   * Hides the message under a cart line.
+   * @param {string} key - The line key.
+   */
+  hideLineMessage(key) {
+    this.#getLineMessageContainer(key)?.classList.add('hidden');
+  }
+
+  /**
+   * Gets the message container of a line. Looked up by key because the refs of a line are indexed
+   * by position, which changes when lines are edited or combined.
+   * @param {string} key - The line key.
+   * @returns {HTMLElement | null}
+   */
+  #getLineMessageContainer(key) {
+    const row = this.querySelector(`.cart-items__table-row[data-key="${CSS.escape(key)}"]`);
+    const container = row?.querySelector('.cart-items__error');
+
+    return container instanceof HTMLElement ? container : null;
+  }
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -192,27 +525,25 @@ class CartItemsComponent extends Component {
   };
 
   /**
-   * Handles the cart error.
-   * @param {number} line - The line.
-   * @param {Object} parsedResponseText - The parsed response text.
-   * @param {string} parsedResponseText.errors - The errors.
+   * Handles the cart error. The cart has been rendered again by then, so the line is looked up by
+   * key: its position may have changed.
+   * @param {string | undefined} key - The line key.
+   * @param {number} line - The line, used when the row has no key.
+   * @param {string} message - The error message.
    */
-  #handleCartError = (line, parsedResponseText) => {
-    const quantitySelector = this.refs.quantitySelectors[line - 1];
-    const quantityInput = quantitySelector?.querySelector('input');
-
-    if (!quantityInput) throw new Error('Quantity input not found');
-
-    quantityInput.value = quantityInput.defaultValue;
+  #handleCartError = (key, line, message) => {
+    const row = key ? this.querySelector(`.cart-items__table-row[data-key="${CSS.escape(key)}"]`) : this.#getLineRow(line);
+    if (!row) return;
 
-    const cartItemError = this.refs[`cartItemError-${line}`];
-    const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
+    const quantityInput = row.querySelector('.quantity-selector input');
+    if (quantityInput instanceof HTMLInputElement) quantityInput.value = quantityInput.defaultValue;
 
-    if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
-    if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
+    const container = row.querySelector('.cart-items__error');
+    const text = container?.querySelector('.cart-item__error-text');
+    if (!container || !text) return;
 
-    cartItemError.textContent = parsedResponseText.errors;
-    cartItemErrorContainer.classList.remove('hidden');
+    text.textContent = message;
+    container.classList.remove('hidden');
   };
 
   /**
@@ -238,6 +569,22 @@ class CartItemsComponent extends Component {
     }
   };
 
+  /**
+   * Gets the ids of every cart items section on the page, so they all render the new cart.
+   * @returns {string[]}
+   */
+  #getSectionsToUpdate() {
+    const sectionsToUpdate = new Set([this.sectionId]);
+
+    for (const item of document.querySelectorAll('cart-items-component')) {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sectionsToUpdate.add(item.dataset.sectionId);
+      }
+    }
+
+    return Array.from(sectionsToUpdate);
+  }
+
   /**
    * Disables the cart items.
    */
@@ -253,27 +600,30 @@ class CartItemsComponent extends Component {
   }
 
   /**
-   * Updates quantity selectors for all matching variants in the cart.
+   * Updates the cart quantities of the page's quantity selectors, for their variant and its product.
    * @param {Object} updatedCart - The updated cart object.
-   * @param {Array<{variant_id: number, quantity: number}>} [updatedCart.items] - The cart items.
+   * @param {Array<{variant_id: number, product_id: number, quantity: number}>} [updatedCart.items] - The cart items.
    */
   #updateQuantitySelectors(updatedCart) {
     if (!updatedCart.items) return;
 
-    for (const item of updatedCart.items) {
-      const variantId = item.variant_id.toString();
-      const selectors = document.querySelectorAll(`quantity-selector-component[data-variant-id="${variantId}"]`);
+    for (const selector of document.querySelectorAll('quantity-selector-component[data-product-id]')) {
+      if (!(selector instanceof HTMLElement)) continue;
+
+      const input = selector.querySelector('input[data-cart-quantity]');
+      if (!input) continue;
 
-      for (const selector of selectors) {
-        const input = selector.querySelector('input[data-cart-quantity]');
-        if (!input) continue;
+      const { variantId, productId = '' } = selector.dataset;
+      const variantQuantity = updatedCart.items
+        .filter((item) => item.variant_id.toString() === variantId)
+        .reduce((total, item) => total + item.quantity, 0);
 
-        input.setAttribute('data-cart-quantity', item.quantity.toString());
+      input.setAttribute('data-cart-quantity', variantQuantity.toString());
+      input.setAttribute('data-product-cart-quantity', getProductCartQuantity(updatedCart, productId).toString());
 
-        // Update the quantity selector's internal state
-        if ('updateCartQuantity' in selector && typeof selector.updateCartQuantity === 'function') {
-          selector.updateCartQuantity();
-        }
+      // Update the quantity selector's internal state
+      if ('updateCartQuantity' in selector && typeof selector.updateCartQuantity === 'function') {
+        selector.updateCartQuantity();
       }
     }
   }
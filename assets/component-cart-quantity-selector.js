@@ -1,4 +1,5 @@
 import { QuantitySelectorComponent } from '@theme/component-quantity-selector';
+import { getAddableQuantity } from '@theme/quantity-rules';
 
 /**
  * A custom element that allows the user to select a quantity in the cart.
@@ -10,12 +11,14 @@ import { QuantitySelectorComponent } from '@theme/component-quantity-selector';
 class CartQuantitySelectorComponent extends QuantitySelectorComponent {
   /**
    * Gets the effective maximum value for cart quantity selector
-   * Cart page: uses absolute max (how much can be in cart total)
+   * Cart page: uses absolute max (how much can be in cart total), less the product's other lines
+   * when it has a cart max
    * @returns {number | null} The effective max, or null if no max
    */
   getEffectiveMax() {
-    const { max } = this.getCurrentValues();
-    return max; // Cart uses absolute max, not max minus cart quantity
+    const { productCartQuantity } = this.getCurrentValues();
+    // Cart uses absolute max, not max minus cart quantity
+    return getAddableQuantity(this.quantityRule, { variant: 0, product: productCartQuantity });
   }
 
   /**
@@ -1,6 +1,13 @@
 import { Component } from '@theme/component';
 import { QuantitySelectorUpdateEvent } from '@theme/events';
 import { parseIntOrDefault } from '@theme/utilities';
+import {
+  getAddableQuantity,
+  isAlignedQuantity,
+  readQuantityRule,
+  snapQuantity,
+  withMinimum,
+} from '@theme/quantity-rules';
 
 /**
  * A custom element that allows the user to select a quantity.
@@ -12,6 +19,10 @@ import { parseIntOrDefault } from '@theme/utilities';
  * from its own quantity selectors to prevent conflicts between different cart
  * update strategies.
  *
+ * Min, max and step come from the quantity rule rendered on the input (see `@theme/quantity-rules`);
+ * `data-cart-max` limits the product across its variants, with `data-product-cart-quantity` of it
+ * in the cart outside this selector.
+ *
  * @typedef {Object} Refs
  * @property {HTMLInputElement} quantityInput
  * @property {HTMLButtonElement} minusButton
@@ -25,6 +36,9 @@ export class QuantitySelectorComponent extends Component {
   serverDisabledPlus = false;
   initialized = false;
 
+  /** @type {number} Minimum set with `applyMinimum`, kept when the constraints change with the variant */
+  #appliedMinimum = 0;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -49,9 +63,13 @@ export class QuantitySelectorComponent extends Component {
   /**
    * Updates cart quantity and refreshes component state
    * @param {number} cartQty - The quantity currently in cart for this variant
+   * @param {number} [productCartQty] - The quantity currently in cart for the product, across its variants
    */
-  setCartQuantity(cartQty) {
+  setCartQuantity(cartQty, productCartQty) {
     this.refs.quantityInput.setAttribute('data-cart-quantity', cartQty.toString());
+    if (productCartQty !== undefined) {
+      this.refs.quantityInput.setAttribute('data-product-cart-quantity', productCartQty.toString());
+    }
     this.updateCartQuantity();
   }
 
@@ -60,18 +78,41 @@ export class QuantitySelectorComponent extends Component {
    * @returns {{canAdd: boolean, maxQuantity: number|null, cartQuantity: number, quantityToAdd: number}} Validation result
    */
   canAddToCart() {
-    const { max, cartQuantity, value } = this.getCurrentValues();
+    const { max, cartMax, cartQuantity, productCartQuantity, value } = this.getCurrentValues();
     const quantityToAdd = value;
-    const wouldExceedMax = max !== null && cartQuantity + quantityToAdd > max;
+    const addable = getAddableQuantity(this.quantityRule, { variant: cartQuantity, product: productCartQuantity });
+    const wouldExceedMax = addable !== null && quantityToAdd > addable;
+
+    // Report the limit that applies: the product's cart maximum when it is the tighter one
+    const isCartMaxTighter = cartMax !== null && (max === null || cartMax - productCartQuantity < max - cartQuantity);
 
     return {
       canAdd: !wouldExceedMax,
-      maxQuantity: max,
+      maxQuantity: isCartMaxTighter ? cartMax : max,
       cartQuantity,
       quantityToAdd,
     };
   }
 
+  /**
+   * The quantity rule rendered on the input.
+   * @returns {import('./quantity-rules.js').QuantityRule}
+   */
+  get quantityRule() {
+    return readQuantityRule(this.refs.quantityInput);
+  }
+
+  /**
+   * Raises the minimum quantity, e.g. to the minimum of the section the product is sold in.
+   * @param {number} minimum
+   */
+  applyMinimum(minimum) {
+    this.#appliedMinimum = minimum;
+
+    const { quantityInput } = this.refs;
+    this.updateConstraints(quantityInput.min, quantityInput.max || null, quantityInput.step);
+  }
+
   /**
    * Gets the current quantity value
    * @returns {string} The current value
@@ -89,7 +130,8 @@ export class QuantitySelectorComponent extends Component {
   }
 
   /**
-   * Updates min/max/step constraints and snaps value to valid increment
+   * Updates min/max/step constraints and snaps value to valid increment.
+   * A minimum set with `applyMinimum` still applies.
    * @param {string} min - Minimum value
    * @param {string|null} max - Maximum value (null if no max)
    * @param {string} step - Step increment
@@ -97,28 +139,33 @@ export class QuantitySelectorComponent extends Component {
   updateConstraints(min, max, step) {
     const { quantityInput } = this.refs;
     const currentValue = parseInt(quantityInput.value) || 0;
-
-    quantityInput.min = min;
-    if (max) {
-      quantityInput.max = max;
+    const constraints = withMinimum(
+      {
+        min: parseIntOrDefault(min, 1),
+        max: parseIntOrDefault(max, null),
+        increment: Math.max(parseIntOrDefault(step, 1), 1),
+        cartMax: null,
+      },
+      this.#appliedMinimum
+    );
+
+    quantityInput.min = constraints.min.toString();
+    if (constraints.max !== null) {
+      quantityInput.max = constraints.max.toString();
     } else {
       quantityInput.removeAttribute('max');
     }
     quantityInput.step = step;
 
-    const newMin = parseIntOrDefault(min, 1);
-    const newStep = parseIntOrDefault(step, 1);
+    const rule = this.quantityRule;
     const effectiveMax = this.getEffectiveMax();
 
-    // Snap to valid increment if not already aligned
+    // Snap DOWN to closest valid increment if not already aligned, within bounds
     let newValue = currentValue;
-    if ((currentValue - newMin) % newStep !== 0) {
-      // Snap DOWN to closest valid increment
-      newValue = newMin + Math.floor((currentValue - newMin) / newStep) * newStep;
+    if (!isAlignedQuantity(currentValue, rule)) {
+      newValue = rule.min + Math.floor((currentValue - rule.min) / rule.increment) * rule.increment;
     }
-
-    // Ensure value is within bounds
-    newValue = Math.max(newMin, Math.min(effectiveMax ?? Infinity, newValue));
+    newValue = snapQuantity(newValue, rule, effectiveMax);
 
     if (newValue !== currentValue) {
       quantityInput.value = newValue.toString();
@@ -129,31 +176,35 @@ export class QuantitySelectorComponent extends Component {
 
   /**
    * Gets current values from DOM (fresh read every time)
-   * @returns {{min: number, max: number|null, step: number, value: number, cartQuantity: number}}
+   * @returns {{min: number, max: number|null, step: number, cartMax: number|null, value: number, cartQuantity: number, productCartQuantity: number}}
    */
   getCurrentValues() {
     const { quantityInput } = this.refs;
+    const { min, max, increment, cartMax } = readQuantityRule(quantityInput);
 
     return {
-      min: parseIntOrDefault(quantityInput.min, 1),
-      max: parseIntOrDefault(quantityInput.max, null),
-      step: parseIntOrDefault(quantityInput.step, 1),
+      min,
+      max,
+      step: increment,
+      cartMax,
       value: parseIntOrDefault(quantityInput.value, 0),
       cartQuantity: parseIntOrDefault(quantityInput.getAttribute('data-cart-quantity'), 0),
+      productCartQuantity: parseIntOrDefault(quantityInput.getAttribute('data-product-cart-quantity'), 0),
     };
   }
 
   /**
    * Gets the effective maximum value for this quantity selector
-   * Product page: max - cartQuantity (how many can be added)
+   * Product page: how many can be added, given the variant's max and the product's cart max
    * Override in subclass for different behavior
    * @returns {number | null} The effective max, or null if no max
    */
   getEffectiveMax() {
-    const { max, cartQuantity, min } = this.getCurrentValues();
-    if (max === null) return null;
+    const { cartQuantity, productCartQuantity, min } = this.getCurrentValues();
+    const addable = getAddableQuantity(this.quantityRule, { variant: cartQuantity, product: productCartQuantity });
+    if (addable === null) return null;
     // Product page: can only add what's left
-    return Math.max(max - cartQuantity, min);
+    return Math.max(addable, min);
   }
 
   /**
@@ -164,38 +215,13 @@ export class QuantitySelectorComponent extends Component {
     const { min, value } = this.getCurrentValues();
     const effectiveMax = this.getEffectiveMax();
 
-    // Check for qty_ tag minimum (from hidden element)
-    let qtyTagMin = null;
-    const tagsplitVal = this.querySelector?.('.tagsplit_val');
-    if (tagsplitVal) {
-      const tagValue = tagsplitVal.textContent?.trim();
-      if (tagValue) {
-        qtyTagMin = parseInt(tagValue, 10);
-      }
-    }
-
-    // Use qty_ tag minimum if available, otherwise use regular min
-    const effectiveMin = qtyTagMin !== null ? qtyTagMin : min;
-
     // Only manage buttons that weren't server-disabled
     if (!this.serverDisabledMinus) {
-      // Disable minus button if at or below effective minimum
-      minusButton.disabled = value <= effectiveMin;
-      
-      // Add 'intro' class for visual feedback when disabled (as per reference)
-      if (value <= effectiveMin) {
-        minusButton.classList.add('intro');
-      } else {
-        minusButton.classList.remove('intro');
-      }
+      minusButton.disabled = value <= min;
     }
 
     if (!this.serverDisabledPlus) {
       plusButton.disabled = effectiveMax !== null && value >= effectiveMax;
-      // Re-enable minus button when increasing (remove intro class)
-      if (value > effectiveMin) {
-        minusButton.classList.remove('intro');
-      }
     }
   }
 
@@ -208,7 +234,10 @@ export class QuantitySelectorComponent extends Component {
     const { min, step, value } = this.getCurrentValues();
     const effectiveMax = this.getEffectiveMax();
 
-    const newValue = Math.min(effectiveMax ?? Infinity, Math.max(min, value + step * stepMultiplier));
+    const newValue = this.#skipBelowRuleMin(
+      Math.min(effectiveMax ?? Infinity, Math.max(min, value + step * stepMultiplier)),
+      stepMultiplier
+    );
 
     quantityInput.value = newValue.toString();
     this.onQuantityChange();
@@ -223,11 +252,6 @@ export class QuantitySelectorComponent extends Component {
     if (!(event.target instanceof HTMLElement)) return;
     event.preventDefault();
     this.updateQuantity(1);
-    // Re-enable minus button when increasing (as per reference)
-    const { minusButton } = this.refs;
-    if (minusButton) {
-      minusButton.classList.remove('intro');
-    }
   }
 
   /**
@@ -261,14 +285,16 @@ export class QuantitySelectorComponent extends Component {
 
     event.preventDefault();
     const { quantityInput } = this.refs;
-    const { min, step } = this.getCurrentValues();
+    const { min } = this.getCurrentValues();
     const effectiveMax = this.getEffectiveMax();
 
     // Snap to bounds
-    const quantity = Math.min(effectiveMax ?? Infinity, Math.max(min, parseInt(event.target.value) || 0));
+    const quantity = this.#skipBelowRuleMin(
+      Math.min(effectiveMax ?? Infinity, Math.max(min, parseInt(event.target.value) || 0))
+    );
 
     // Validate step increment
-    if ((quantity - min) % step !== 0) {
+    if (!isAlignedQuantity(quantity, this.quantityRule)) {
       // Set the invalid value and trigger native HTML validation
       quantityInput.value = quantity.toString();
       quantityInput.reportValidity();
@@ -280,6 +306,21 @@ export class QuantitySelectorComponent extends Component {
     this.updateButtonStates();
   }
 
+  /**
+   * Where the input allows 0 below the rule's minimum (`data-min`), e.g. in the quick order list where
+   * 0 removes the item, moves a quantity between the two to 0 or to the rule's minimum.
+   * @param {number} quantity
+   * @param {number} [direction] - Negative to move down to 0
+   * @returns {number}
+   */
+  #skipBelowRuleMin(quantity, direction = 1) {
+    const { min } = this.getCurrentValues();
+    const ruleMin = parseIntOrDefault(this.refs.quantityInput.dataset.min, min);
+    if (min !== 0 || quantity <= 0 || quantity >= ruleMin) return quantity;
+
+    return direction < 0 ? 0 : ruleMin;
+  }
+
   /**
    * Handles the quantity change event.
    */
@@ -26,6 +26,8 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered when a product form offers its item to a selection instead of the cart */
+  static selectionAdd = 'selection:add';
 }
 
 /**
@@ -115,6 +117,30 @@ export class CartAddEvent extends Event {
   static eventName = ThemeEvents.cartUpdate;
 }
 
+/**
+ * Event fired by a product form before it adds to the cart, so a builder on the page (e.g. party
+ * favours) can collect the item instead. The form adds to the cart as usual unless the event is
+ * cancelled.
+ * @extends {Event}
+ */
+export class SelectionAddEvent extends Event {
+  /**
+   * Creates a new SelectionAddEvent
+   * @param {Object} item - The item the form would add
+   * @param {string} item.productId - The id of the product
+   * @param {string} item.variantId - The id of the variant
+   * @param {number} item.quantity - The quantity chosen
+   * @param {Record<string, string>} item.properties - The line item properties, e.g. personalisation
+   * @param {import('./quantity-rules.js').QuantityRule} [item.quantityRule] - The quantity rule of the variant
+   */
+  constructor(item) {
+    super(ThemeEvents.selectionAdd, { bubbles: true, cancelable: true });
+    this.detail = {
+      item,
+    };
+  }
+}
+
 /**
  * Event class for cart updates
  * @extends {Event}
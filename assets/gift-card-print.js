@@ -0,0 +1,384 @@
+import { Component } from '@theme/component';
+import { QRCode } from '@theme/qr-code-generator';
+
+/**
+ * Prints a gift card, or downloads it as a PNG or PDF, so an e-gift card can be given as a present.
+ *
+ * The card is drawn on a canvas at A6 landscape, 300 dpi: the card art, the balance, the code, the
+ * expiry date, the QR code, and the recipient and message entered with `gift-card-recipient-form`.
+ * Printing prints the same image, so the printed and downloaded cards match. The PDF is written here,
+ * a single page holding the image, so no library is loaded.
+ */
+
+/** A6 landscape at 300 dpi */
+const CARD_WIDTH = 1748;
+const CARD_HEIGHT = 1240;
+
+/** A6 landscape in PDF points */
+const PDF_WIDTH = 419.53;
+const PDF_HEIGHT = 297.64;
+
+const PADDING = 96;
+
+/**
+ * @typedef {Object} GiftCardDetails
+ * @property {string} shopName
+ * @property {string} balance - Formatted, with the currency
+ * @property {string} code - Formatted in groups
+ * @property {string} expiry - e.g. "Expires March 1, 2027", empty when the card does not expire
+ * @property {string} qrIdentifier
+ * @property {string} recipient
+ * @property {string} message
+ * @property {string} instructions - How to use the card
+ * @property {string} image - URL of the card art
+ */
+
+/**
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    // Images on the Shopify CDN allow CORS, so the canvas can still be exported
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Failed to load ${src}`));
+    image.src = src;
+  });
+}
+
+/**
+ * Splits text into the lines that fit a width, keeping the shopper's line breaks.
+ * @param {CanvasRenderingContext2D} context
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {string[]}
+ */
+function wrapText(context, text, maxWidth) {
+  const lines = [];
+
+  for (const paragraph of text.split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && context.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} type
+ * @param {number} [quality]
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The card could not be exported'))), type, quality);
+  });
+}
+
+/**
+ * Writes a single page PDF showing a JPEG over the whole page.
+ * @param {Uint8Array} jpeg
+ * @param {number} width - Of the image, in pixels
+ * @param {number} height - Of the image, in pixels
+ * @returns {Blob}
+ */
+function createPdf(jpeg, width, height) {
+  const encoder = new TextEncoder();
+  const content = `q ${PDF_WIDTH} 0 0 ${PDF_HEIGHT} 0 0 cm /Card Do Q`;
+
+  /** @type {(string | Uint8Array)[][]} */
+  const objects = [
+    ['<< /Type /Catalog /Pages 2 0 R >>'],
+    ['<< /Type /Pages /Kids [3 0 R] /Count 1 >>'],
+    [
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_WIDTH} ${PDF_HEIGHT}] ` +
+        '/Resources << /XObject << /Card 4 0 R >> >> /Contents 5 0 R >>',
+    ],
+    [
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB ` +
+        `/BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+      jpeg,
+      '\nendstream',
+    ],
+    [`<< /Length ${content.length} >>\nstream\n${content}\nendstream`],
+  ];
+
+  /** @type {Uint8Array[]} */
+  const parts = [];
+  let length = 0;
+  const write = (/** @type {string | Uint8Array} */ part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+
+  write('%PDF-1.4\n');
+  const offsets = objects.map((object, index) => {
+    const offset = length;
+    write(`${index + 1} 0 obj\n`);
+    object.forEach(write);
+    write('\nendobj\n');
+    return offset;
+  });
+
+  const xrefOffset = length;
+  write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  for (const offset of offsets) write(`${String(offset).padStart(10, '0')} 00000 n \n`);
+  write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  // The parts are all backed by plain `ArrayBuffer`s, which the `Uint8Array` type does not record
+  return new Blob(/** @type {BlobPart[]} */ (parts), { type: 'application/pdf' });
+}
+
+/**
+ * A custom element with the print and download buttons of a gift card.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLImageElement} printImage - The card image printed by the page's print styles.
+ * @property {HTMLElement} [printError] - Shown when the card could not be made.
+ *
+ * @extends {Component<Refs>}
+ */
+class GiftCardPrintComponent extends Component {
+  requiredRefs = ['printImage'];
+
+  /** @type {Promise<HTMLCanvasElement> | null} */
+  #card = null;
+
+  /**
+   * Prints the card on its own page.
+   */
+  async print() {
+    const canvas = await this.#getCard();
+    if (!canvas) return;
+
+    const { printImage } = this.refs;
+    printImage.src = canvas.toDataURL('image/png');
+    await printImage.decode().catch(() => {});
+
+    // The print styles show only the card while this class is set
+    document.body.classList.add('gift-card--print-card');
+    window.addEventListener('afterprint', () => document.body.classList.remove('gift-card--print-card'), {
+      once: true,
+    });
+    window.print();
+  }
+
+  /**
+   * Downloads the card as a PNG.
+   */
+  async downloadPng() {
+    const canvas = await this.#getCard();
+    if (!canvas) return;
+
+    this.#download(await canvasToBlob(canvas, 'image/png'), 'png');
+  }
+
+  /**
+   * Downloads the card as a PDF, one A6 page.
+   */
+  async downloadPdf() {
+    const canvas = await this.#getCard();
+    if (!canvas) return;
+
+    const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 0.92)).arrayBuffer());
+    this.#download(createPdf(jpeg, canvas.width, canvas.height), 'pdf');
+  }
+
+  /**
+   * Draws the card once, and shows an error when it cannot be drawn.
+   * @returns {Promise<HTMLCanvasElement | null>}
+   */
+  async #getCard() {
+    const { printError } = this.refs;
+    if (printError) printError.hidden = true;
+
+    this.#card ??= this.#drawCard();
+
+    try {
+      return await this.#card;
+    } catch (error) {
+      console.error('Failed to draw the gift card:', error);
+      this.#card = null;
+      if (printError) printError.hidden = false;
+      return null;
+    }
+  }
+
+  /**
+   * @returns {GiftCardDetails}
+   */
+  #getDetails() {
+    const { dataset } = this;
+
+    return {
+      shopName: dataset.shopName ?? '',
+      balance: dataset.balance ?? '',
+      code: dataset.code ?? '',
+      expiry: dataset.expiry ?? '',
+      qrIdentifier: dataset.qrIdentifier ?? '',
+      recipient: dataset.recipient ?? '',
+      message: dataset.message ?? '',
+      instructions: dataset.instructions ?? '',
+      image: dataset.image ?? '',
+    };
+  }
+
+  /**
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async #drawCard() {
+    const details = this.#getDetails();
+    const canvas = document.createElement('canvas');
+    canvas.width = CARD_WIDTH;
+    canvas.height = CARD_HEIGHT;
+
+    const context = canvas.getContext('2d');
+    if (!context) throw new Error('Canvas is not supported');
+
+    await document.fonts.ready;
+    const bodyStyle = getComputedStyle(document.body);
+    const fontFamily = bodyStyle.fontFamily || 'sans-serif';
+    const foreground = bodyStyle.color || '#000000';
+
+    const [art, qrCode] = await Promise.all([
+      details.image ? loadImage(details.image).catch(() => null) : Promise.resolve(null),
+      this.#drawQRCode(details.qrIdentifier, foreground),
+    ]);
+
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+    context.fillStyle = foreground;
+    context.textBaseline = 'top';
+
+    const columnWidth = (CARD_WIDTH - PADDING * 3) / 2;
+    const rightColumn = PADDING * 2 + columnWidth;
+
+    // Left: the card art, the balance, the code and the expiry date
+    let y = PADDING;
+    if (art) {
+      const scale = Math.min(columnWidth / art.naturalWidth, 420 / art.naturalHeight);
+      context.drawImage(art, PADDING, y, art.naturalWidth * scale, art.naturalHeight * scale);
+      y += art.naturalHeight * scale + 64;
+    } else {
+      context.font = `600 64px ${fontFamily}`;
+      context.fillText(details.shopName, PADDING, y, columnWidth);
+      y += 120;
+    }
+
+    context.font = `600 120px ${fontFamily}`;
+    context.fillText(details.balance, PADDING, y, columnWidth);
+    y += 168;
+
+    context.font = `400 36px ${fontFamily}`;
+    for (const line of wrapText(context, details.instructions, columnWidth)) {
+      context.fillText(line, PADDING, y, columnWidth);
+      y += 48;
+    }
+    y += 16;
+
+    context.font = `600 60px ${fontFamily}`;
+    context.fillText(details.code, PADDING, y, columnWidth);
+    y += 96;
+
+    if (details.expiry) {
+      context.font = `400 36px ${fontFamily}`;
+      context.fillText(details.expiry, PADDING, y, columnWidth);
+    }
+
+    // Right: the recipient and their message, above the QR code
+    y = PADDING;
+    if (details.recipient) {
+      context.font = `600 56px ${fontFamily}`;
+      context.fillText(`For ${details.recipient}`, rightColumn, y, columnWidth);
+      y += 96;
+    }
+
+    const qrSize = 360;
+    const qrTop = CARD_HEIGHT - PADDING - qrSize;
+    if (details.message) {
+      context.font = `italic 400 44px ${fontFamily}`;
+      const maxLines = Math.floor((qrTop - 48 - y) / 60);
+      const lines = wrapText(context, details.message, columnWidth);
+      for (const [index, line] of lines.slice(0, maxLines).entries()) {
+        const text = index === maxLines - 1 && lines.length > maxLines ? `${line}…` : line;
+        context.fillText(text, rightColumn, y, columnWidth);
+        y += 60;
+      }
+    }
+
+    if (qrCode) context.drawImage(qrCode, CARD_WIDTH - PADDING - qrSize, qrTop, qrSize, qrSize);
+
+    // Frame, to cut the card out along
+    context.strokeStyle = 'rgb(0 0 0 / 0.15)';
+    context.lineWidth = 4;
+    context.strokeRect(2, 2, CARD_WIDTH - 4, CARD_HEIGHT - 4);
+
+    // A card art that does not allow CORS taints the canvas: draw the card without it
+    try {
+      context.getImageData(0, 0, 1, 1);
+    } catch {
+      this.dataset.image = '';
+      return this.#drawCard();
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Draws the QR code of the card, as sharp as the canvas.
+   * @param {string} text
+   * @param {string} color
+   * @returns {Promise<HTMLImageElement | null>}
+   */
+  async #drawQRCode(text, color) {
+    if (!text) return null;
+
+    const qrCode = new QRCode(document.createElement('div'), {
+      text,
+      width: 360,
+      height: 360,
+      colorDark: color,
+      quietZone: 2,
+      useSVG: true,
+    });
+
+    const url = URL.createObjectURL(new Blob([qrCode.toSVG()], { type: 'image/svg+xml' }));
+    try {
+      return await loadImage(url);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * @param {Blob} blob
+   * @param {'png' | 'pdf'} extension
+   */
+  #download(blob, extension) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.dataset.fileName || 'gift-card'}.${extension}`;
+    document.body.append(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+if (!customElements.get('gift-card-print')) {
+  customElements.define('gift-card-print', GiftCardPrintComponent);
+}
@@ -1,6 +1,80 @@
 import { Component } from '@theme/component';
 import { ThemeEvents, CartErrorEvent, CartAddEvent } from '@theme/events';
 
+/** Shopify sends a scheduled gift card up to 90 days after the order. */
+const MAX_SEND_ON_DAYS = 90;
+
+const RECENT_RECIPIENTS_STORAGE_KEY = 'gift-card-recipient-form:recent-recipients';
+const MAX_RECENT_RECIPIENTS = 5;
+
+const EMAIL_PATTERN = /^[a-zA-Z0-9._%+\-]+@[a-zA-Z0-9.\-]+\.[a-zA-Z]{2,}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {Object} RecentRecipient
+ * @property {string} email
+ * @property {string} name
+ */
+
+/**
+ * Formats a date as YYYY-MM-DD in the shopper's time zone
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Reads a YYYY-MM-DD date as midnight in the shopper's time zone
+ * @param {string} value
+ * @returns {Date | null} Null when the value is not a real date
+ */
+function parseDate(value) {
+  if (!DATE_PATTERN.test(value)) return null;
+
+  const [year = 0, month = 1, day = 1] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return formatDate(date) === value ? date : null;
+}
+
+/**
+ * Reads the recipients used before, most recent first
+ * @returns {RecentRecipient[]}
+ */
+function readRecentRecipients() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECENT_RECIPIENTS_STORAGE_KEY) || '[]');
+    if (!Array.isArray(stored)) return [];
+
+    return stored
+      .filter((recipient) => recipient && typeof recipient.email === 'string' && EMAIL_PATTERN.test(recipient.email))
+      .map((recipient) => ({ email: recipient.email, name: typeof recipient.name === 'string' ? recipient.name : '' }))
+      .slice(0, MAX_RECENT_RECIPIENTS);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * @param {RecentRecipient[]} recipients
+ */
+function writeRecentRecipients(recipients) {
+  try {
+    if (recipients.length > 0) {
+      localStorage.setItem(RECENT_RECIPIENTS_STORAGE_KEY, JSON.stringify(recipients));
+    } else {
+      localStorage.removeItem(RECENT_RECIPIENTS_STORAGE_KEY);
+    }
+  } catch (error) {
+    // Storage can be full or blocked, e.g. in private browsing
+    console.warn('Failed to store recent gift card recipients:', error);
+  }
+}
+
 /**
  * @typedef {Object} GiftCardRecipientFormRefs
  * @property {HTMLInputElement} myEmailButton - Button for selecting my email option
@@ -18,9 +92,25 @@ import { ThemeEvents, CartErrorEvent, CartAddEvent } from '@theme/events';
  * @property {HTMLDivElement} [sendOnError] - Send on error message container (optional)
  * @property {HTMLSpanElement} [characterCount] - Character count display element (optional)
  * @property {HTMLDivElement} [liveRegion] - Live region for screen reader announcements (optional)
+ * @property {HTMLElement} [timezoneNote] - Names the time zone the send on date is in (optional)
+ * @property {HTMLDivElement} [validationSummary] - Lists the errors of the form before it is added to the cart (optional)
+ * @property {HTMLUListElement} [validationSummaryList] - The errors of the validation summary (optional)
+ * @property {HTMLDivElement} [recentRecipients] - Recipients used before on this device (optional)
+ * @property {HTMLDivElement} [recentRecipientsList] - A button per recent recipient (optional)
+ * @property {HTMLElement} [previewTo] - Recipient of the email preview (optional)
+ * @property {HTMLElement} [previewName] - Greeting name of the email preview (optional)
+ * @property {HTMLElement} [previewMessage] - Message of the email preview (optional)
+ * @property {HTMLElement} [previewSendOn] - When the email of the preview is sent (optional)
  */
 
 /**
+ * Collects who a gift card is emailed to, and when.
+ *
+ * The send on date is picked in the shopper's time zone, from today to 90 days later, and its offset
+ * is sent with it so Shopify emails the card on that day. The form shows a preview of the email, is
+ * validated by the product form before the card is added to the cart, and remembers the recipients
+ * used on this device.
+ *
  * @extends {Component<GiftCardRecipientFormRefs>}
  */
 class GiftCardRecipientForm extends Component {
@@ -31,12 +121,18 @@ class GiftCardRecipientForm extends Component {
 
   #currentMode = GiftCardRecipientForm.DeliveryMode.SELF;
 
+  /**
+   * The recipient of the card being added to the cart, remembered once it is added
+   * @type {RecentRecipient | null}
+   */
+  #pendingRecipient = null;
+
   // Store bound event handlers for cleanup
   /** @type {(() => void) | null} */
   #updateCharacterCountBound = null;
   /** @type {((event: Event) => void) | null} */
   #displayCartErrorBound = null;
-  /** @type {(() => void) | null} */
+  /** @type {((event: Event) => void) | null} */
   #cartAddEventBound = null;
 
   requiredRefs = [
@@ -68,7 +164,7 @@ class GiftCardRecipientForm extends Component {
     // @ts-ignore - #displayCartErrorBound is guaranteed to be non-null here
     document.addEventListener(ThemeEvents.cartError, this.#displayCartErrorBound);
 
-    this.#cartAddEventBound = () => this.#handleCartAdd();
+    this.#cartAddEventBound = (event) => this.#handleCartAdd(event);
     document.addEventListener(ThemeEvents.cartUpdate, this.#cartAddEventBound);
   }
 
@@ -102,6 +198,7 @@ class GiftCardRecipientForm extends Component {
     this.#clearRecipientFields();
     this.#disableRecipientFields();
     this.#setDateConstraints();
+    this.#updateTimezoneNote();
   }
 
   /**
@@ -140,6 +237,8 @@ class GiftCardRecipientForm extends Component {
       this.#enableRecipientFields();
 
       this.#updateCharacterCount();
+      this.#renderRecentRecipients();
+      this.updatePreview();
 
       // Announce to screen readers
       if (this.refs.liveRegion) {
@@ -207,6 +306,7 @@ class GiftCardRecipientForm extends Component {
 
     this.#updateCharacterCount();
     this.#clearErrorMessages();
+    this.updatePreview();
   }
 
   /**
@@ -258,8 +358,8 @@ class GiftCardRecipientForm extends Component {
     // Enable and set timezone offset
     if (this.refs.timezoneOffset) {
       this.refs.timezoneOffset.disabled = false;
-      this.refs.timezoneOffset.value = new Date().getTimezoneOffset().toString();
     }
+    this.#updateTimezoneOffset();
 
     // Set date constraints when enabling fields
     this.#setDateConstraints();
@@ -284,34 +384,222 @@ class GiftCardRecipientForm extends Component {
 
   /**
    * Set date constraints for the send on date picker
-   * Prevents selecting past dates and limits to 90 days in the future
+   * Prevents selecting past dates and limits to 90 days in the future, in the shopper's time zone
    */
   #setDateConstraints() {
     const today = new Date();
-    const maxDate = new Date();
-    maxDate.setDate(today.getDate() + 90);
-
-    // Format dates as YYYY-MM-DD
-    /**
-     * @param {Date} date
-     * @returns {string}
-     */
-    const formatDate = (date) => {
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      return `${year}-${month}-${day}`;
-    };
+    const maxDate = new Date(today.getFullYear(), today.getMonth(), today.getDate() + MAX_SEND_ON_DAYS);
 
     this.refs.recipientSendOn.setAttribute('min', formatDate(today));
     this.refs.recipientSendOn.setAttribute('max', formatDate(maxDate));
   }
 
+  /**
+   * Set the offset of the send on date, so Shopify sends the card on that day in the shopper's time zone.
+   * The offset of the chosen day is used, as it changes with daylight saving time.
+   */
+  #updateTimezoneOffset() {
+    const { timezoneOffset, recipientSendOn } = this.refs;
+    if (!timezoneOffset || timezoneOffset.disabled) return;
+
+    const sendOn = parseDate(recipientSendOn.value);
+    timezoneOffset.value = (sendOn ?? new Date()).getTimezoneOffset().toString();
+  }
+
+  /**
+   * Name the time zone of the send on date
+   */
+  #updateTimezoneNote() {
+    const { timezoneNote } = this.refs;
+    if (!timezoneNote) return;
+
+    const { timeZone } = Intl.DateTimeFormat().resolvedOptions();
+    if (timeZone) timezoneNote.textContent = `Dates are in your time zone (${timeZone.replace(/_/g, ' ')}).`;
+  }
+
+  /**
+   * Refresh the date limits when the picker is opened, as the day may have changed since the page loaded
+   */
+  handleSendOnFocus() {
+    this.#setDateConstraints();
+  }
+
+  /**
+   * Check the send on date as soon as it is picked or typed
+   */
+  handleSendOnChange() {
+    this.#setDateConstraints();
+    this.#updateTimezoneOffset();
+    this.updatePreview();
+
+    const error = this.#getSendOnError();
+    if (error) {
+      this.#displayErrorMessage(error, { send_on: error });
+    } else {
+      this.#clearErrorMessages();
+    }
+  }
+
+  /**
+   * @returns {string | null} Why the send on date is not allowed, if it isn't
+   */
+  #getSendOnError() {
+    const { value, min, max } = this.refs.recipientSendOn;
+    if (!value) return null;
+
+    if (!parseDate(value)) return 'Enter a date like 2025-12-24';
+    if (min && value < min) return 'Choose today or a later date';
+    if (max && value > max) return `Choose a date within ${MAX_SEND_ON_DAYS} days`;
+
+    return null;
+  }
+
+  /**
+   * Checks the recipient details before the card is added to the cart, and lists the errors above the
+   * fields when there are any. Called by the product form.
+   * @returns {boolean} Whether the card can be added to the cart
+   */
+  validate() {
+    if (this.#currentMode !== GiftCardRecipientForm.DeliveryMode.RECIPIENT) return true;
+
+    this.#setDateConstraints();
+
+    const { recipientEmail, recipientName, recipientMessage } = this.refs;
+    const email = recipientEmail.value.trim();
+    const name = recipientName.value.trim();
+
+    /** @type {Record<string, string>} */
+    const errors = {};
+
+    if (!email) {
+      errors.email = "Enter the recipient's email";
+    } else if (!EMAIL_PATTERN.test(email)) {
+      errors.email = 'Enter an email like name@example.com';
+    }
+
+    if (recipientName.maxLength > 0 && name.length > recipientName.maxLength) {
+      errors.name = `Enter a name of up to ${recipientName.maxLength} characters`;
+    }
+
+    if (recipientMessage.maxLength > 0 && recipientMessage.value.length > recipientMessage.maxLength) {
+      errors.message = `Enter a message of up to ${recipientMessage.maxLength} characters`;
+    }
+
+    const sendOnError = this.#getSendOnError();
+    if (sendOnError) errors.send_on = sendOnError;
+
+    if (Object.keys(errors).length > 0) {
+      this.#pendingRecipient = null;
+      this.#displayErrorMessage('Please check the recipient details', errors);
+      this.refs.validationSummary?.focus();
+      return false;
+    }
+
+    this.#clearErrorMessages();
+    this.#updateTimezoneOffset();
+    this.#pendingRecipient = { email, name };
+    return true;
+  }
+
+  /**
+   * Update the email preview with the recipient details
+   */
+  updatePreview() {
+    const { previewTo, previewName, previewMessage, previewSendOn, recipientEmail, recipientName, recipientMessage } =
+      this.refs;
+
+    if (previewTo) previewTo.textContent = recipientEmail.value.trim() || 'The recipient';
+    if (previewName) previewName.textContent = recipientName.value.trim() || 'there';
+
+    if (previewMessage) {
+      const message = recipientMessage.value.trim();
+      previewMessage.textContent = message;
+      previewMessage.hidden = !message;
+    }
+
+    if (previewSendOn) {
+      const sendOn = parseDate(this.refs.recipientSendOn.value);
+      previewSendOn.textContent = sendOn
+        ? new Intl.DateTimeFormat(window.Shopify?.locale || undefined, { dateStyle: 'long' }).format(sendOn)
+        : 'Right after checkout';
+    }
+  }
+
+  /**
+   * Render a button per recipient used before
+   */
+  #renderRecentRecipients() {
+    const { recentRecipients, recentRecipientsList } = this.refs;
+    if (!recentRecipients || !recentRecipientsList) return;
+
+    const recipients = readRecentRecipients();
+
+    recentRecipientsList.replaceChildren(
+      ...recipients.map((recipient, index) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'recipient-form__recent-button';
+        button.dataset.index = String(index);
+        button.setAttribute('on:click', '/useRecentRecipient');
+        button.textContent = recipient.name || recipient.email;
+        if (recipient.name) button.title = recipient.email;
+        return button;
+      })
+    );
+
+    recentRecipients.hidden = recipients.length === 0;
+  }
+
+  /**
+   * Fill in a recipient used before
+   * @param {Event} event - Click event of a recent recipient button
+   */
+  useRecentRecipient(event) {
+    if (!(event.target instanceof HTMLElement)) return;
+
+    const recipient = readRecentRecipients()[Number(event.target.dataset.index)];
+    if (!recipient) return;
+
+    this.refs.recipientEmail.value = recipient.email;
+    this.refs.recipientName.value = recipient.name;
+
+    this.#clearErrorMessages();
+    this.updatePreview();
+    this.refs.recipientMessage.focus();
+  }
+
+  /**
+   * Forget the recipients used before on this device
+   */
+  forgetRecentRecipients() {
+    writeRecentRecipients([]);
+    this.#renderRecentRecipients();
+
+    if (this.refs.liveRegion) {
+      this.refs.liveRegion.textContent = 'Recent recipients forgotten';
+    }
+    this.refs.recipientEmail.focus();
+  }
+
+  /**
+   * Remember a recipient, most recent first
+   * @param {RecentRecipient} recipient
+   */
+  #rememberRecipient(recipient) {
+    const email = recipient.email.toLowerCase();
+    const others = readRecentRecipients().filter((stored) => stored.email.toLowerCase() !== email);
+
+    writeRecentRecipients([recipient, ...others].slice(0, MAX_RECENT_RECIPIENTS));
+    this.#renderRecentRecipients();
+  }
+
   /**
    * Handles cart error events
    * @param {CartErrorEvent} event - The cart error event
    */
   #displayCartError(event) {
+    this.#pendingRecipient = null;
+
     if (event.detail?.data) {
       const { message, errors, description } = event.detail.data;
 
@@ -332,6 +620,9 @@ class GiftCardRecipientForm extends Component {
   #displayErrorMessage(title, body) {
     this.#clearErrorMessages();
 
+    /** @type {{ id: string, message: string }[]} */
+    const summary = [];
+
     if (typeof body === 'object' && body !== null) {
       /** @type {Record<string, {inputRef: string, errorRef: string}>} */
       const fieldMap = {
@@ -364,10 +655,17 @@ class GiftCardRecipientForm extends Component {
           inputElement.setAttribute('aria-invalid', 'true');
           const errorId = `RecipientForm-${field}-error-${this.dataset.sectionId || 'default'}`;
           inputElement.setAttribute('aria-describedby', errorId);
+
+          summary.push({
+            id: inputElement.id,
+            message: Array.isArray(errorMessages) ? errorMessages.join(', ') : String(errorMessages),
+          });
         }
       }
     }
 
+    this.#renderValidationSummary(summary);
+
     // Announce errors to screen readers
     if (this.refs.liveRegion) {
       this.refs.liveRegion.textContent =
@@ -375,6 +673,28 @@ class GiftCardRecipientForm extends Component {
     }
   }
 
+  /**
+   * List the errors above the fields, each linking to its field
+   * @param {{ id: string, message: string }[]} errors
+   */
+  #renderValidationSummary(errors) {
+    const { validationSummary, validationSummaryList } = this.refs;
+    if (!validationSummary || !validationSummaryList) return;
+
+    validationSummaryList.replaceChildren(
+      ...errors.map(({ id, message }) => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${id}`;
+        link.textContent = message;
+        item.append(link);
+        return item;
+      })
+    );
+
+    validationSummary.hidden = errors.length === 0;
+  }
+
   /**
    * Clear all error messages and reset ARIA attributes
    */
@@ -399,14 +719,27 @@ class GiftCardRecipientForm extends Component {
       field.removeAttribute('aria-describedby');
     }
 
+    this.#renderValidationSummary([]);
+
     // Clear live region announcement
     if (this.refs.liveRegion) {
       this.refs.liveRegion.textContent = '';
     }
   }
 
-  #handleCartAdd() {
+  /**
+   * Remembers the recipient once the card is in the cart
+   * @param {Event} event - The cart update event
+   */
+  #handleCartAdd(event) {
     this.#clearErrorMessages();
+
+    const recipient = this.#pendingRecipient;
+    if (!recipient || event.target !== this.closest('product-form-component')) return;
+    if (event instanceof CartAddEvent && event.detail.data?.didError) return;
+
+    this.#pendingRecipient = null;
+    this.#rememberRecipient(recipient);
   }
 }
 
@@ -0,0 +1,244 @@
+import { Component } from '@theme/component';
+import { debounce } from '@theme/utilities';
+import { CartUpdateEvent } from '@theme/events';
+import { cartMutations, CartMutationError } from '@theme/cart-mutation-queue';
+import { getCartLine } from '@theme/cart-line-personalisation';
+
+/**
+ * Gift recipients of the cart, so one order can hold gifts for several people.
+ *
+ * Recipients are kept in the `Gift recipients` cart attribute, one per line, so they can be read on
+ * the order: `id | name | Gift receipt or Prices shown | address | message`. Lines are assigned to a
+ * recipient with the `_gift_recipient` property, holding the recipient's id. Ids are not reused, so a
+ * line assigned to a removed recipient is simply unassigned. `snippets/cart-gift-recipients.liquid`
+ * reads the same format.
+ */
+
+export const RECIPIENTS_ATTRIBUTE = 'Gift recipients';
+
+export const RECIPIENT_PROPERTY = '_gift_recipient';
+
+const COLUMN_SEPARATOR = ' | ';
+
+const MAX_NAME_LENGTH = 60;
+
+const MAX_ADDRESS_LENGTH = 200;
+
+const MAX_MESSAGE_LENGTH = 300;
+
+/**
+ * @typedef {Object} GiftRecipient
+ * @property {string} id
+ * @property {string} name
+ * @property {string} address - Where the gift goes, when it is not the order's shipping address
+ * @property {string} message
+ * @property {boolean} giftReceipt - Whether prices are left off the gift's packing slip
+ */
+
+/**
+ * Keeps a value on one line of the attribute, and out of the column separators.
+ * @param {string} value
+ * @param {number} maxLength
+ * @param {{ allowSeparator?: boolean }} [options]
+ * @returns {string}
+ */
+function cleanValue(value, maxLength, { allowSeparator = false } = {}) {
+  let text = value.replace(/\s+/g, ' ');
+  if (!allowSeparator) text = text.replace(/\|/g, '/');
+  return text.trim().slice(0, maxLength);
+}
+
+/**
+ * Writes recipients in the format of the `Gift recipients` attribute.
+ * @param {GiftRecipient[]} recipients
+ * @returns {string}
+ */
+export function serializeRecipients(recipients) {
+  return recipients
+    .map((recipient) =>
+      [
+        recipient.id,
+        cleanValue(recipient.name, MAX_NAME_LENGTH) || `Recipient ${recipient.id}`,
+        recipient.giftReceipt ? 'Gift receipt' : 'Prices shown',
+        cleanValue(recipient.address, MAX_ADDRESS_LENGTH),
+        // The message is the last column, so it may hold the separator
+        cleanValue(recipient.message, MAX_MESSAGE_LENGTH, { allowSeparator: true }),
+      ].join(COLUMN_SEPARATOR)
+    )
+    .join('\n');
+}
+
+/**
+ * Replaces the `_gift_recipient` property of a cart line, keeping its other properties. A line's key
+ * is derived from its properties, so the line gets a new key, and it is combined with a line of the
+ * same variant already assigned to the recipient.
+ * @param {Object} options
+ * @param {string} options.key - Key of the line
+ * @param {string} options.recipientId - The recipient, or an empty string to unassign the line
+ * @param {string[]} [options.sections] - Sections to render with the new cart
+ * @returns {Promise<Record<string, any>>} The cart returned by `/cart/change.js`, with `sections`
+ * @throws {Error} With a message that can be shown to the shopper
+ */
+export async function assignLineToRecipient({ key, recipientId, sections = [] }) {
+  const line = await getCartLine(key);
+  if (!line) throw new Error('This item is no longer in your cart. Please refresh the page.');
+
+  /** @type {Record<string, string>} */
+  const properties = {};
+  for (const [name, value] of Object.entries(line.properties ?? {})) {
+    if (name !== RECIPIENT_PROPERTY && value != null && value !== '') properties[name] = value;
+  }
+  if (recipientId) properties[RECIPIENT_PROPERTY] = recipientId;
+
+  return cartMutations.enqueue({
+    url: Theme.routes.cart_change_url,
+    body: {
+      id: key,
+      quantity: line.quantity,
+      properties,
+      sections: sections.join(','),
+      sections_url: window.location.pathname,
+    },
+  });
+}
+
+/**
+ * A custom element that edits the gift recipients of the cart.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement[]} [recipients] - A row per recipient.
+ * @property {HTMLElement} [recipientsError] - Shown when the recipients could not be saved.
+ *
+ * @extends {Component<Refs>}
+ */
+class GiftRecipientsComponent extends Component {
+  /**
+   * Saves the recipients as they are entered.
+   */
+  saveRecipients = debounce(() => {
+    const recipients = this.#readRecipients();
+
+    // Renaming does not render the cart, so the recipient pickers of the lines are renamed here
+    for (const recipient of recipients) {
+      for (const option of document.querySelectorAll(`[data-gift-recipient-select] option[value="${recipient.id}"]`)) {
+        option.textContent = cleanValue(recipient.name, MAX_NAME_LENGTH) || `Recipient ${recipient.id}`;
+      }
+    }
+
+    this.#save(recipients);
+  }, 400);
+
+  /**
+   * Adds a recipient, named after its id until the shopper names it.
+   */
+  addRecipient() {
+    const id = String(Number(this.dataset.nextRecipientId) || 1);
+
+    this.#save(
+      [...this.#readRecipients(), { id, name: `Recipient ${id}`, address: '', message: '', giftReceipt: true }],
+      { render: true }
+    );
+  }
+
+  /**
+   * Removes a recipient. Its items stay in the cart, unassigned.
+   * @param {MouseEvent} event - The click event of the remove button of a recipient.
+   */
+  removeRecipient(event) {
+    const row = event.target instanceof Element ? event.target.closest('[data-recipient-id]') : null;
+    if (!(row instanceof HTMLElement)) return;
+
+    const { recipientId } = row.dataset;
+
+    this.#save(
+      this.#readRecipients().filter((recipient) => recipient.id !== recipientId),
+      {
+        render: true,
+        apply: () => {
+          row.hidden = true;
+        },
+        rollback: () => {
+          row.hidden = false;
+        },
+      }
+    );
+  }
+
+  /**
+   * Reads the recipients from their rows. Hidden rows are being removed.
+   * @returns {GiftRecipient[]}
+   */
+  #readRecipients() {
+    return (this.refs.recipients ?? [])
+      .filter((row) => !row.hidden && row.dataset.recipientId)
+      .map((row) => {
+        const field = (/** @type {string} */ name) => row.querySelector(`[name="${name}"]`);
+        const name = field('recipient_name');
+        const address = field('recipient_address');
+        const message = field('recipient_message');
+        const giftReceipt = field('recipient_gift_receipt');
+
+        return {
+          id: /** @type {string} */ (row.dataset.recipientId),
+          name: name instanceof HTMLInputElement ? name.value : '',
+          address: address instanceof HTMLInputElement ? address.value : '',
+          message: message instanceof HTMLTextAreaElement ? message.value : '',
+          giftReceipt: giftReceipt instanceof HTMLInputElement && giftReceipt.checked,
+        };
+      });
+  }
+
+  /**
+   * Saves the recipients to the cart.
+   * @param {GiftRecipient[]} recipients
+   * @param {Object} [options]
+   * @param {boolean} [options.render] - Renders the cart with the new recipients, for the recipient
+   *   pickers of the lines
+   * @param {() => void} [options.apply] - Applies the change to the page
+   * @param {() => void} [options.rollback] - Undoes `apply` when the change cannot be saved
+   * @returns {Promise<void>}
+   */
+  async #save(recipients, { render = false, apply, rollback } = {}) {
+    const { recipientsError } = this.refs;
+    if (recipientsError) recipientsError.hidden = true;
+
+    const sections = Array.from(document.querySelectorAll('cart-items-component[data-section-id]'))
+      .map((element) => (element instanceof HTMLElement ? element.dataset.sectionId : ''))
+      .filter(Boolean);
+
+    try {
+      const cart = await cartMutations.enqueue({
+        url: Theme.routes.cart_update_url,
+        body: {
+          attributes: { [RECIPIENTS_ATTRIBUTE]: serializeRecipients(recipients) },
+          ...(render ? { sections: sections.join(','), sections_url: window.location.pathname } : {}),
+        },
+        key: render ? undefined : 'gift-recipients',
+        apply,
+        rollback,
+      });
+
+      // Cart items components render the sections of the event
+      if (render) {
+        this.dispatchEvent(
+          new CartUpdateEvent(cart, 'gift-recipients', {
+            itemCount: cart.item_count,
+            source: 'gift-recipients-component',
+            sections: cart.sections,
+          })
+        );
+      }
+    } catch (error) {
+      console.error(error);
+      if (recipientsError) {
+        recipientsError.textContent =
+          error instanceof CartMutationError ? error.message : 'Your recipients could not be saved. Please try again.';
+        recipientsError.hidden = false;
+      }
+    }
+  }
+}
+
+if (!customElements.get('gift-recipients-component')) {
+  customElements.define('gift-recipients-component', GiftRecipientsComponent);
+}
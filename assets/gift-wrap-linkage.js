@@ -0,0 +1,135 @@
+/**
+ * Links gift wrap lines in the cart to the lines they wrap.
+ *
+ * A wrapped line and its wrap lines share a wrap instance id in the `_gift_wrap_instance_id`
+ * property. Wraps chosen on the product page (`_gift_wrap_source: 'product_page'`) wrap each item,
+ * so their quantity follows the wrapped lines. Wraps chosen in the cart drawer wrap a group of
+ * items once. Either way, a wrap is removed with the last line it wraps.
+ *
+ * @example
+ * const updates = getLinkedUpdates(readLinkedLines(rows), key, 0);
+ * // { [key]: 0, [wrapKey]: 0 }
+ */
+
+export const WRAP_INSTANCE_PROPERTY = '_gift_wrap_instance_id';
+
+/** Used for the wrap instance id by older carts. */
+const LEGACY_WRAP_INSTANCE_PROPERTY = 'Gift Wrap Instance';
+
+export const WRAP_SOURCE_PROPERTY = '_gift_wrap_source';
+
+/** Source of wraps added with a product, one per item. */
+export const PER_ITEM_SOURCE = 'product_page';
+
+/**
+ * @typedef {Object} WrapSelection
+ * @property {string[]} variantIds - Variants of the selected wrap options
+ * @property {string[]} labels - Labels of the selected wrap options
+ * @property {string} message - The gift message
+ */
+
+/**
+ * @typedef {Object} LinkedLine
+ * @property {string} key - The line key
+ * @property {number} quantity
+ * @property {string} instanceId - The wrap instance the line belongs to, empty when it has none
+ * @property {string} source - The wrap source, only set on wrap lines
+ */
+
+/** @type {Map<string, WrapSelection>} Wrap selections by product id */
+const selections = new Map();
+
+/**
+ * @returns {string}
+ */
+export function createWrapInstanceId() {
+  return `gw_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * @param {Record<string, any> | null | undefined} properties - Line item properties
+ * @returns {string}
+ */
+export function getWrapInstanceId(properties) {
+  return String(properties?.[WRAP_INSTANCE_PROPERTY] || properties?.[LEGACY_WRAP_INSTANCE_PROPERTY] || '');
+}
+
+/**
+ * Gets the wrap options checked for a product form, including options outside the form that are
+ * associated with it through their `form` attribute.
+ * @param {HTMLFormElement} form
+ * @returns {HTMLInputElement[]}
+ */
+export function getSelectedWrapOptions(form) {
+  return /** @type {HTMLInputElement[]} */ (
+    Array.from(form.elements).filter(
+      (element) =>
+        element instanceof HTMLInputElement && element.matches('[data-gift-wrap-option]') && element.checked && element.value
+    )
+  );
+}
+
+/**
+ * Remembers the wrap selection of a product, so it survives the product form being re-rendered
+ * (e.g. when a variant is picked) before it is submitted.
+ * @param {string} productId
+ * @param {WrapSelection} selection
+ */
+export function rememberWrapSelection(productId, selection) {
+  selections.set(productId, selection);
+}
+
+/**
+ * @param {string} productId
+ * @returns {WrapSelection | undefined}
+ */
+export function getRememberedWrapSelection(productId) {
+  return selections.get(productId);
+}
+
+/**
+ * Reads the wrap linkage of the cart rows rendered by `cart-products-line`.
+ * @param {HTMLElement[]} rows
+ * @returns {LinkedLine[]}
+ */
+export function readLinkedLines(rows) {
+  return rows
+    .filter((row) => row.dataset.key)
+    .map((row) => ({
+      key: /** @type {string} */ (row.dataset.key),
+      quantity: Number(row.dataset.quantity) || 0,
+      instanceId: row.dataset.giftWrapInstance || '',
+      source: row.dataset.giftWrapSource || '',
+    }));
+}
+
+/**
+ * Works out the quantity updates a change to one line makes to the wrap lines linked to it.
+ * @param {LinkedLine[]} lines - The lines of the cart
+ * @param {string} key - The key of the changed line
+ * @param {number} quantity - Its new quantity
+ * @returns {Record<string, number>} New quantities by line key, including the changed line
+ */
+export function getLinkedUpdates(lines, key, quantity) {
+  /** @type {Record<string, number>} */
+  const updates = { [key]: quantity };
+
+  const line = lines.find((candidate) => candidate.key === key);
+  if (!line?.instanceId || line.source) return updates;
+
+  const wrappedQuantity = lines
+    .filter((candidate) => candidate.instanceId === line.instanceId && !candidate.source)
+    .reduce((total, candidate) => total + (candidate.key === key ? quantity : candidate.quantity), 0);
+
+  for (const wrap of lines) {
+    if (wrap.instanceId !== line.instanceId || !wrap.source) continue;
+
+    if (wrappedQuantity === 0) {
+      updates[wrap.key] = 0;
+    } else if (wrap.source === PER_ITEM_SOURCE && wrap.quantity !== wrappedQuantity) {
+      updates[wrap.key] = wrappedQuantity;
+    }
+  }
+
+  return updates;
+}
@@ -11,6 +11,7 @@ declare global {
     locale: string;
     shop: string;
     loadFeatures(features: ShopifyFeature[], callback?: LoadCallback): void;
+    customerPrivacy?: CustomerPrivacy;
     ModelViewerUI?: ModelViewer;
     visualPreviewMode: boolean;
   }
@@ -23,6 +24,7 @@ declare global {
       cart_update_url: string;
       cart_url: string;
       predictive_search_url: string;
+      root: string;
       search_url: string;
     };
     utilities: {
@@ -33,10 +35,32 @@ declare global {
     template: {
       name: string;
     };
+    personalisation?: {
+      colors: import('./personalisation-palette.js').PaletteColor[];
+      fonts: import('./personalisation-palette.js').PaletteFont[];
+    };
   }
 
   interface Window {
     Shopify: Shopify;
+    /** The cart line the personalise modal edits, set by the cart items component */
+    cartPersonalizationContext?: {
+      key: string;
+      productId: string;
+      variantId: string;
+      properties: Record<string, string>;
+      cartItems?: HTMLElement;
+    } | null;
+    gtag?: (...args: any[]) => void;
+    fbq?: (...args: any[]) => void;
+    TriplePixel?: (...args: any[]) => void;
+    _learnq?: any[];
+  }
+
+  // Refer to https://shopify.dev/docs/api/customer-privacy
+  interface CustomerPrivacy {
+    analyticsProcessingAllowed(): boolean;
+    marketingAllowed(): boolean;
   }
 
   declare const Shopify: Shopify;
@@ -41,7 +41,7 @@ const MORPH_OPTIONS = {
   },
   onBeforeUpdate(oldNode, newNode) {
     if (oldNode instanceof Element && newNode instanceof Element) {
-      const attributes = ['product-grid-view', 'data-current-checked', 'data-previous-checked'];
+      const attributes = ['product-grid-view', 'data-current-checked', 'data-previous-checked', 'data-set-collapsed'];
 
       for (const attribute of attributes) {
         const oldValue = oldNode.getAttribute(attribute);
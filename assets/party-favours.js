@@ -0,0 +1,603 @@
+import { Component } from '@theme/component';
+import { DialogComponent } from '@theme/dialog';
+import { CartAddEvent, ThemeEvents } from '@theme/events';
+import { addSetToCart, SetAddError } from '@theme/cart-set-add';
+import { cartStore } from '@theme/cart-store';
+import { sectionRenderer } from '@theme/section-renderer';
+import { getProductItem } from '@theme/analytics';
+import { withMinimum } from '@theme/quantity-rules';
+import { formatCurrency } from '@theme/utilities';
+
+/** @typedef {import('@theme/component-quantity-selector').QuantitySelectorComponent} QuantitySelectorComponent */
+
+/**
+ * A favour picked for the party.
+ * @typedef {Object} SelectionItem
+ * @property {string} key - Variant and properties; picking the same again adds to its quantity
+ * @property {string} productId
+ * @property {string} variantId
+ * @property {string} title
+ * @property {string} variantTitle - Empty for products without options
+ * @property {string} image
+ * @property {number} price - Of one, in cents
+ * @property {number} quantity
+ * @property {number} minimum - Of the product, across all its items in the selection
+ * @property {number} increment
+ * @property {Record<string, string>} properties - e.g. the personalisation
+ */
+
+/**
+ * @typedef {Object} SelectionCheck
+ * @property {number} count - Favours in the selection
+ * @property {number} total - Price of the selection, in cents
+ * @property {string[]} problems - What must change before it can be added to the cart
+ */
+
+/**
+ * @param {SelectionItem[]} items
+ * @param {number} selectionMinimum - Favours needed across the selection, 0 for none
+ * @returns {SelectionCheck}
+ */
+export function checkSelection(items, selectionMinimum) {
+  let count = 0;
+  let total = 0;
+
+  /** @type {Map<string, { title: string, quantity: number, minimum: number }>} */
+  const products = new Map();
+  for (const item of items) {
+    count += item.quantity;
+    total += item.price * item.quantity;
+
+    const product = products.get(item.productId) ?? { title: item.title, quantity: 0, minimum: 0 };
+    product.quantity += item.quantity;
+    product.minimum = Math.max(product.minimum, item.minimum);
+    products.set(item.productId, product);
+  }
+
+  const problems = [];
+  if (count < selectionMinimum) {
+    problems.push(`Add ${selectionMinimum - count} more favours, any mix (${selectionMinimum} minimum in total)`);
+  }
+  for (const product of products.values()) {
+    if (product.quantity < product.minimum) {
+      problems.push(`Add ${product.minimum - product.quantity} more ${product.title} (${product.minimum} minimum)`);
+    }
+  }
+
+  return { count, total, problems };
+}
+
+/**
+ * @typedef {Object} Refs
+ * @property {HTMLElement} [collectionSlider]
+ * @property {HTMLButtonElement[]} [collectionItems]
+ * @property {HTMLButtonElement} [previousArrow]
+ * @property {HTMLButtonElement} [nextArrow]
+ * @property {HTMLElement[]} [productGrids]
+ * @property {HTMLElement} selection
+ * @property {HTMLElement} selectionProgress
+ * @property {HTMLProgressElement} [selectionMeter]
+ * @property {HTMLUListElement} selectionList
+ * @property {HTMLElement} selectionProblems
+ * @property {HTMLElement} selectionTotal
+ * @property {HTMLButtonElement} addSelectionButton
+ * @property {HTMLElement} selectionError
+ */
+
+/**
+ * Party favours builder: the shopper browses a choice of collections and picks favours, each with its
+ * own variant, quantity and personalisation, then adds the whole selection to the cart in one go.
+ *
+ * Favours are picked with the product forms in the section or in the quick add dialog opened from it:
+ * the form offers its item with a `SelectionAddEvent`, which this component takes instead of the cart.
+ * Each product needs the section's minimum quantity (or its own quantity rule, when higher), and the
+ * selection may need a minimum across all products, e.g. "any 20 favours, mix and match". The
+ * selection is kept in sessionStorage until it is added, as a set (see `@theme/cart-set-add`).
+ *
+ * @extends {Component<Refs>}
+ */
+class PartyFavoursComponent extends Component {
+  requiredRefs = [
+    'selection',
+    'selectionProgress',
+    'selectionList',
+    'selectionProblems',
+    'selectionTotal',
+    'addSelectionButton',
+    'selectionError',
+  ];
+
+  /** @type {SelectionItem[]} */
+  #items = [];
+
+  /** Whether the open quick add dialog was opened from this section */
+  #isQuickAddFromSection = false;
+
+  #isAdding = false;
+
+  /** @type {AbortController | null} */
+  #abortController = null;
+
+  /** @type {ResizeObserver | null} */
+  #resizeObserver = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#abortController = new AbortController();
+    const { signal } = this.#abortController;
+
+    document.addEventListener(ThemeEvents.selectionAdd, this.#handleSelectionAdd, { signal });
+    document.addEventListener('click', this.#trackQuickAdd, { capture: true, signal });
+    this.addEventListener('click', this.#handlePaginationClick, { signal });
+
+    const { collectionSlider } = this.refs;
+    if (collectionSlider) {
+      collectionSlider.addEventListener('scroll', this.#updateArrows, { passive: true, signal });
+      this.#resizeObserver = new ResizeObserver(this.#updateArrows);
+      this.#resizeObserver.observe(collectionSlider);
+    }
+
+    this.#items = this.#readSelection();
+    this.#applyMinimum(this);
+    this.#renderSelection();
+    this.#updateArrows();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController?.abort();
+    this.#resizeObserver?.disconnect();
+  }
+
+  /** Favours needed of each product */
+  get minimumQuantity() {
+    return Number(this.dataset.minimumQuantity) || 0;
+  }
+
+  /** Favours needed across the selection, 0 for none */
+  get selectionMinimum() {
+    return Number(this.dataset.selectionMinimum) || 0;
+  }
+
+  /**
+   * Shows the products of a collection.
+   * @param {string} handle - The collection's handle
+   */
+  selectCollection(handle) {
+    const collectionHandle = String(handle);
+
+    for (const item of this.refs.collectionItems ?? []) {
+      const isSelected = item.dataset.collectionHandle === collectionHandle;
+      item.classList.toggle('active', isSelected);
+      item.setAttribute('aria-pressed', String(isSelected));
+    }
+
+    for (const grid of this.refs.productGrids ?? []) {
+      grid.hidden = grid.dataset.collectionHandle !== collectionHandle;
+    }
+  }
+
+  /**
+   * Scrolls the collection slider by one collection.
+   * @param {number} direction - 1 for next, -1 for previous
+   */
+  scrollCollections(direction) {
+    const { collectionSlider, collectionItems } = this.refs;
+    const item = collectionItems?.[0];
+    if (!collectionSlider || !item) return;
+
+    const gap = parseFloat(getComputedStyle(collectionSlider).columnGap) || 0;
+    collectionSlider.scrollBy({ left: Number(direction) * (item.offsetWidth + gap), behavior: 'smooth' });
+  }
+
+  /**
+   * Steps the quantity of a favour by its increment.
+   * @param {number} direction - 1 to increase, -1 to decrease
+   * @param {Event} event
+   */
+  changeItemQuantity(direction, event) {
+    const item = this.#getEventItem(event);
+    if (!item) return;
+
+    item.quantity = Math.max(item.quantity + Number(direction) * item.increment, item.increment);
+    this.#saveSelection();
+  }
+
+  /**
+   * @param {Event} event
+   */
+  removeItem(event) {
+    const item = this.#getEventItem(event);
+    if (!item) return;
+
+    this.#items = this.#items.filter((entry) => entry !== item);
+    this.#saveSelection();
+  }
+
+  clearSelection() {
+    this.#items = [];
+    this.#saveSelection();
+  }
+
+  /**
+   * Adds the selection to the cart as one set, so a failure leaves none of it in the cart.
+   */
+  async addSelectionToCart() {
+    if (this.#isAdding || this.#items.length === 0) return;
+    if (checkSelection(this.#items, this.selectionMinimum).problems.length > 0) return;
+
+    this.#isAdding = true;
+    this.#renderError(null);
+    this.#renderSelection();
+
+    const items = this.#items;
+    try {
+      await addSetToCart(
+        items.map(({ variantId, quantity, properties, title }) => ({ id: variantId, quantity, properties, title })),
+        { name: 'Party favours' }
+      );
+    } catch (error) {
+      console.error('Party favours: the selection could not be added to the cart', error);
+      this.#renderError(error, items);
+      return;
+    } finally {
+      this.#isAdding = false;
+      this.#renderSelection();
+    }
+
+    this.clearSelection();
+
+    /** @type {string[]} */
+    const sections = [];
+    for (const element of document.querySelectorAll('cart-items-component')) {
+      if (element instanceof HTMLElement && element.dataset.sectionId) sections.push(element.dataset.sectionId);
+    }
+
+    /** @type {{ item_count?: number, sections?: Record<string, string> }} */
+    let cart = {};
+    try {
+      cart = await cartStore.refresh({ sections });
+    } catch (error) {
+      console.warn('Party favours: the cart could not be refreshed', error);
+    }
+
+    document.dispatchEvent(
+      new CartAddEvent(cart, this.id, {
+        source: 'party-favours',
+        itemCount: cart.item_count ?? items.reduce((count, item) => count + item.quantity, 0),
+        sections: cart.sections || {},
+      })
+    );
+  }
+
+  /**
+   * Takes the items offered by product forms in the section, or in the quick add dialog opened from it.
+   * @param {Event} event
+   */
+  #handleSelectionAdd = (event) => {
+    const form = event.target;
+    if (!(form instanceof Element) || !('detail' in event)) return;
+
+    const isInQuickAdd = this.#isQuickAddFromSection && Boolean(form.closest('#quick-add-dialog'));
+    if (!isInQuickAdd && !this.contains(form)) return;
+
+    event.preventDefault();
+    this.#addItem(/** @type {import('@theme/events').SelectionAddEvent} */ (event).detail.item);
+
+    const dialog = isInQuickAdd ? document.getElementById('quick-add-dialog') : null;
+    if (dialog instanceof DialogComponent) dialog.closeDialog();
+  };
+
+  /**
+   * Notes whether the quick add dialog is being opened from this section, as its product form is
+   * outside of it.
+   * @param {MouseEvent} event
+   */
+  #trackQuickAdd = (event) => {
+    const quickAdd = event.target instanceof Element ? event.target.closest('quick-add-component') : null;
+    if (quickAdd) this.#isQuickAddFromSection = this.contains(quickAdd);
+  };
+
+  /**
+   * Loads pages of a collection's products in place.
+   * @param {MouseEvent} event
+   */
+  #handlePaginationClick = (event) => {
+    const link = event.target instanceof Element ? event.target.closest('[data-pagination-wrapper] a[href]') : null;
+    const grid = link?.closest('.party-favours-product-grid-wrapper');
+    if (!(link instanceof HTMLAnchorElement) || !(grid instanceof HTMLElement)) return;
+
+    event.preventDefault();
+    this.#loadPage(grid, new URL(link.href).searchParams.get('page') || '1');
+  };
+
+  /**
+   * @param {HTMLElement} grid - The product grid of a collection
+   * @param {string} page
+   */
+  async #loadPage(grid, page) {
+    const { collectionHandle } = grid.dataset;
+    const { sectionId } = this.dataset;
+    if (!collectionHandle || !sectionId) return;
+
+    const url = new URL(`/collections/${collectionHandle}`, window.location.origin);
+    if (page !== '1') url.searchParams.set('page', page);
+
+    grid.setAttribute('aria-busy', 'true');
+    try {
+      const html = await sectionRenderer.getSectionHTML(sectionId, true, url);
+      const fetchedGrid = Array.from(
+        new DOMParser().parseFromString(html, 'text/html').querySelectorAll('.party-favours-product-grid-wrapper')
+      ).find((element) => element instanceof HTMLElement && element.dataset.collectionHandle === collectionHandle);
+      if (!fetchedGrid) throw new Error(`No products of ${collectionHandle} in the response`);
+
+      grid.replaceChildren(...fetchedGrid.childNodes);
+      this.#applyMinimum(grid);
+      grid.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (error) {
+      console.error('Party favours: the page could not be loaded', error);
+    } finally {
+      grid.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Applies the section's minimum to the quantity selectors of the products.
+   * @param {HTMLElement} root
+   */
+  #applyMinimum(root) {
+    if (this.minimumQuantity <= 0) return;
+
+    /** @type {NodeListOf<QuantitySelectorComponent>} */
+    const selectors = root.querySelectorAll('quantity-selector-component');
+    // A selector whose script has not loaded yet is not upgraded and has no `applyMinimum`
+    for (const selector of selectors) selector.applyMinimum?.(this.minimumQuantity);
+  }
+
+  #updateArrows = () => {
+    const { collectionSlider, previousArrow, nextArrow } = this.refs;
+    if (!collectionSlider || !previousArrow || !nextArrow) return;
+
+    const maxScroll = collectionSlider.scrollWidth - collectionSlider.clientWidth;
+    const hasOverflow = maxScroll > 1;
+    collectionSlider.classList.toggle('party-favours-collection-slider--has-overflow', hasOverflow);
+
+    previousArrow.disabled = !hasOverflow || collectionSlider.scrollLeft <= 5;
+    nextArrow.disabled = !hasOverflow || collectionSlider.scrollLeft >= maxScroll - 5;
+    previousArrow.classList.toggle('party-favours-collection-arrow--hidden', previousArrow.disabled);
+    nextArrow.classList.toggle('party-favours-collection-arrow--hidden', nextArrow.disabled);
+  };
+
+  /**
+   * @param {import('@theme/events').SelectionAddEvent['detail']['item']} offer
+   */
+  #addItem({ productId, variantId, quantity, properties, quantityRule }) {
+    const rule = withMinimum(quantityRule ?? { min: 1, max: null, increment: 1, cartMax: null }, this.minimumQuantity);
+    const key = `${variantId}:${JSON.stringify(Object.entries(properties).sort())}`;
+    const existing = this.#items.find((item) => item.key === key);
+
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      const product = getProductItem(productId, variantId);
+      const card = this.querySelector(`.product-grid__item[data-product-id="${CSS.escape(productId)}"]`);
+      const image = card?.querySelector('img');
+
+      this.#items.push({
+        key,
+        productId,
+        variantId,
+        title: product?.name || 'Party favour',
+        variantTitle: product?.variant && product.variant !== 'Default Title' ? product.variant : '',
+        image: image?.currentSrc || image?.src || '',
+        price: Math.round((product?.price ?? 0) * 100),
+        quantity: Math.max(quantity, rule.min),
+        minimum: rule.min,
+        increment: rule.increment,
+        properties,
+      });
+    }
+
+    this.#saveSelection();
+  }
+
+  /**
+   * @param {Event} event
+   * @returns {SelectionItem | undefined}
+   */
+  #getEventItem(event) {
+    const target = event.target instanceof Element ? event.target.closest('[data-item-key]') : null;
+    if (!(target instanceof HTMLElement)) return;
+
+    return this.#items.find((item) => item.key === target.dataset.itemKey);
+  }
+
+  get #storageKey() {
+    return `party-favours:${this.dataset.sectionId || this.id}`;
+  }
+
+  /**
+   * @returns {SelectionItem[]}
+   */
+  #readSelection() {
+    try {
+      const items = JSON.parse(sessionStorage.getItem(this.#storageKey) || '[]');
+      return Array.isArray(items) ? items.filter((item) => item?.variantId && item.quantity > 0) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  #saveSelection() {
+    if (this.#items.length > 0) {
+      sessionStorage.setItem(this.#storageKey, JSON.stringify(this.#items));
+    } else {
+      sessionStorage.removeItem(this.#storageKey);
+    }
+
+    this.#renderSelection();
+  }
+
+  #renderSelection() {
+    const { selection, selectionProgress, selectionMeter, selectionList, selectionProblems, selectionTotal } =
+      this.refs;
+    const { count, total, problems } = checkSelection(this.#items, this.selectionMinimum);
+
+    // Keep focus on the control that was used, as the list is rendered again
+    const focused = document.activeElement;
+    const focusedAction = focused instanceof HTMLElement && selectionList.contains(focused) ? focused.dataset.action : '';
+    const focusedKey = focused?.closest('[data-item-key]')?.getAttribute('data-item-key');
+
+    selection.hidden = this.#items.length === 0;
+    selectionProgress.textContent = this.selectionMinimum
+      ? `${count} of ${this.selectionMinimum} favours picked`
+      : `${count} ${count === 1 ? 'favour' : 'favours'} picked`;
+    if (selectionMeter) {
+      selectionMeter.max = this.selectionMinimum || 1;
+      selectionMeter.value = Math.min(count, selectionMeter.max);
+      selectionMeter.hidden = !this.selectionMinimum;
+    }
+
+    selectionList.replaceChildren(...this.#items.map((item) => this.#renderItem(item)));
+    selectionTotal.textContent = formatCurrency(total);
+
+    selectionProblems.hidden = problems.length === 0;
+    selectionProblems.replaceChildren(
+      ...problems.map((problem) => {
+        const entry = document.createElement('li');
+        entry.textContent = problem;
+        return entry;
+      })
+    );
+
+    this.refs.addSelectionButton.disabled = this.#isAdding || this.#items.length === 0 || problems.length > 0;
+
+    if (focusedAction && focusedKey) {
+      const control = Array.from(selectionList.querySelectorAll(`[data-action="${focusedAction}"]`)).find(
+        (element) => element.closest('[data-item-key]')?.getAttribute('data-item-key') === focusedKey
+      );
+      if (control instanceof HTMLElement) control.focus();
+    }
+  }
+
+  /**
+   * @param {SelectionItem} item
+   * @returns {HTMLLIElement}
+   */
+  #renderItem(item) {
+    const entry = document.createElement('li');
+    entry.className = 'party-favours-selection__item';
+    entry.dataset.itemKey = item.key;
+
+    if (item.image) {
+      const image = document.createElement('img');
+      image.className = 'party-favours-selection__image';
+      image.src = item.image;
+      image.alt = '';
+      image.width = 56;
+      image.height = 56;
+      image.loading = 'lazy';
+      entry.append(image);
+    }
+
+    const details = document.createElement('div');
+    details.className = 'party-favours-selection__details';
+    details.append(createText('p', 'party-favours-selection__title', item.title));
+    if (item.variantTitle) details.append(createText('p', 'party-favours-selection__variant', item.variantTitle));
+
+    const personalisation = Object.entries(item.properties)
+      .filter(([name]) => !name.startsWith('_'))
+      .map(([name, value]) => `${name.replace(/:$/, '')}: ${value}`);
+    if (personalisation.length > 0) {
+      details.append(createText('p', 'party-favours-selection__personalisation', personalisation.join(' · ')));
+    }
+    entry.append(details);
+
+    const quantity = document.createElement('div');
+    quantity.className = 'party-favours-selection__quantity';
+    quantity.append(
+      createButton('decrease', '−', `Decrease quantity of ${item.title}`, 'changeItemQuantity/-1'),
+      createText('span', 'party-favours-selection__count', String(item.quantity)),
+      createButton('increase', '+', `Increase quantity of ${item.title}`, 'changeItemQuantity/1')
+    );
+    const decrease = quantity.querySelector('[data-action="decrease"]');
+    if (decrease instanceof HTMLButtonElement) decrease.disabled = item.quantity <= item.increment;
+
+    entry.append(
+      quantity,
+      createText('span', 'party-favours-selection__price', formatCurrency(item.price * item.quantity)),
+      createButton('remove', '×', `Remove ${item.title}`, 'removeItem')
+    );
+
+    return entry;
+  }
+
+  /**
+   * Shows why the selection could not be added, or hides the report.
+   * @param {unknown} error - The error of the failed add, null to hide the report
+   * @param {SelectionItem[]} [items] - The items that were being added
+   */
+  #renderError(error, items = []) {
+    const { selectionError } = this.refs;
+
+    selectionError.hidden = !error;
+    selectionError.replaceChildren();
+    if (!error) return;
+
+    const failures = error instanceof SetAddError ? error.failures : [];
+    selectionError.append(
+      createText(
+        'p',
+        '',
+        failures.length
+          ? 'Some favours could not be added, so nothing was added to your cart:'
+          : 'Your favours could not be added to the cart. Please try again.'
+      )
+    );
+
+    if (failures.length) {
+      const list = document.createElement('ul');
+      for (const failure of failures) {
+        list.append(createText('li', '', `${items[failure.index]?.title || failure.title}: ${failure.message}`));
+      }
+      selectionError.append(list);
+    }
+  }
+}
+
+/**
+ * @param {string} tagName
+ * @param {string} className
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+function createText(tagName, className, text) {
+  const element = document.createElement(tagName);
+  if (className) element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * @param {string} action - Identifies the button, to keep focus on it when the list is rendered again
+ * @param {string} text
+ * @param {string} label
+ * @param {string} handler - Method of the component, with its data
+ * @returns {HTMLButtonElement}
+ */
+function createButton(action, text, label, handler) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `party-favours-selection__button party-favours-selection__button--${action}`;
+  button.dataset.action = action;
+  button.textContent = text;
+  button.setAttribute('aria-label', label);
+  button.setAttribute('on:click', `/${handler}`);
+  return button;
+}
+
+if (!customElements.get('party-favours-component')) {
+  customElements.define('party-favours-component', PartyFavoursComponent);
+}
@@ -0,0 +1,140 @@
+import { analytics } from '@theme/analytics';
+import { PERSONALISATION_FIELDS, hasPersonalisationValue } from '@theme/personalisation-schema';
+
+/**
+ * The personalisation funnel of a personalise dialog: opened, fields edited, validation failed, and
+ * saved or cancelled, with the time spent in the dialog. Events carry the context the dialog was
+ * opened from (`product-page`, `quick-add`, `bundle-add`, `build-your-set` or `cart-edit`), so drop
+ * off can be compared between them, and are sent through `@theme/analytics`.
+ *
+ * Only the chosen font and colour are reported; what the shopper typed (e.g. a child's name) never
+ * leaves the page.
+ *
+ * @typedef {import('./analytics.js').AnalyticsItem} AnalyticsItem
+ */
+
+/** Fields whose value is a choice from a list, reported with the value chosen. */
+const CHOICE_FIELDS = new Set(['font', 'color']);
+
+export class PersonalisationFunnel {
+  /** @type {string} */
+  #context = '';
+
+  /** @type {AnalyticsItem[]} */
+  #items = [];
+
+  /** @type {number | null} When the dialog was opened, null while it is closed */
+  #openedAt = null;
+
+  /** @type {Set<string>} */
+  #editedFields = new Set();
+
+  #lastField = '';
+
+  /**
+   * @param {Object} options
+   * @param {string} options.context - Where the dialog was opened from
+   * @param {AnalyticsItem[]} options.items - What is being personalised
+   */
+  opened({ context, items }) {
+    this.#context = context;
+    this.#items = items;
+    this.#openedAt = performance.now();
+    this.#editedFields.clear();
+    this.#lastField = '';
+
+    // Leaving the page with the dialog open abandons the personalisation
+    window.addEventListener('pagehide', this.#onPageHide);
+
+    this.#track('begin_personalisation', {});
+  }
+
+  /**
+   * Reports the first edit of a text field, and every choice of a font or colour.
+   * @param {string} fieldKey - See `PERSONALISATION_FIELDS`
+   * @param {string} [value] - The value chosen, for font and colour
+   */
+  fieldEdited(fieldKey, value) {
+    if (this.#openedAt === null) return;
+
+    const isChoice = CHOICE_FIELDS.has(fieldKey);
+    this.#lastField = fieldKey;
+    if (this.#editedFields.has(fieldKey) && !isChoice) return;
+
+    this.#editedFields.add(fieldKey);
+    this.#track('personalisation_field_edited', { field: fieldKey, ...(isChoice && value && { value }) });
+  }
+
+  /**
+   * @param {Record<string, string>} errors - Error messages keyed by field key
+   */
+  validationFailed(errors) {
+    if (this.#openedAt === null) return;
+
+    const fields = Object.keys(errors);
+    if (fields.length === 0) return;
+
+    this.#track('personalisation_validation_failed', { fields: fields.join(','), error_count: fields.length });
+  }
+
+  /**
+   * @param {Record<string, any>} personalisation - The saved personalisation, keyed by field key
+   */
+  saved(personalisation) {
+    if (this.#openedAt === null) return;
+
+    const completed = PERSONALISATION_FIELDS.filter((field) => hasPersonalisationValue(personalisation[field.key]));
+    this.#track('personalisation_saved', {
+      ...this.#getTimeSpent(),
+      fields_completed: completed.length,
+      ...(personalisation.font && { font: String(personalisation.font) }),
+      ...(personalisation.color && { color: String(personalisation.color) }),
+    });
+    this.#end();
+  }
+
+  /**
+   * Reports the dialog closing without saving. Does nothing when it was saved.
+   * @param {string} [reason] - e.g. `closed` or `left_page`
+   */
+  closed(reason = 'closed') {
+    if (this.#openedAt === null) return;
+
+    this.#track('personalisation_cancelled', {
+      ...this.#getTimeSpent(),
+      reason,
+      fields_edited: this.#editedFields.size,
+      ...(this.#lastField && { last_field: this.#lastField }),
+    });
+    this.#end();
+  }
+
+  #onPageHide = () => {
+    this.closed('left_page');
+  };
+
+  #end() {
+    this.#openedAt = null;
+    window.removeEventListener('pagehide', this.#onPageHide);
+  }
+
+  /**
+   * @returns {{ time_spent_seconds: number }}
+   */
+  #getTimeSpent() {
+    const milliseconds = this.#openedAt === null ? 0 : performance.now() - this.#openedAt;
+    return { time_spent_seconds: Math.round(milliseconds / 100) / 10 };
+  }
+
+  /**
+   * @param {import('./analytics.js').AnalyticsEventName} name
+   * @param {Record<string, string | number>} detail
+   */
+  #track(name, detail) {
+    analytics.track(name, {
+      items: this.#items,
+      source: this.#context,
+      detail: { context: this.#context, ...detail },
+    });
+  }
+}
@@ -0,0 +1,164 @@
+import { resolvePersonalisationField } from '@theme/personalisation-schema';
+
+/**
+ * Text zones of the personalisation preview.
+ *
+ * `cb_personalization_position` accepts either a single point for the name
+ * (`{ "x": 50, "y": 30, "font_size": 20 }`) or a list of named zones, one per field:
+ *
+ * ```json
+ * [
+ *   { "name": "top", "field": "Name 1", "x": 50, "y": 70, "font_size": 24, "rotation": -8 },
+ *   { "name": "bottom", "field": "name2", "x": 50, "y": 30, "max_width": 40, "align": "left" }
+ * ]
+ * ```
+ *
+ * The list may also be wrapped as `{ "zones": [...] }`. `x`, `y` and `max_width` are percentages of
+ * the image (`y` measured from the bottom), `font_size` is in px at the displayed image size and
+ * `rotation` is in degrees. `field` takes a field key or line item property name and defaults to
+ * the zone name. `cb_dob_personalization_poisition` is still read as the zone of the date of birth.
+ */
+
+/** Values used when a zone leaves out its position or font size. */
+export const DEFAULT_ZONE_POSITION = Object.freeze({ x: 20, y: 20, fontSize: 20 });
+
+/** Smallest font size auto-shrink goes down to, in px. */
+export const MIN_ZONE_FONT_SIZE = 8;
+
+/** @typedef {'left' | 'center' | 'right'} ZoneAlignment */
+
+/**
+ * @typedef {Object} TextZone
+ * @property {string} name - Zone name, unique within the product
+ * @property {string} field - Key of the personalisation field shown in the zone. `name` shows the
+ *   active name tab on Baby/Kid/Mum products and `dob` falls back to the optional date of birth
+ * @property {number} x - Anchor, as a percentage of the image width from the left
+ * @property {number} y - Anchor, as a percentage of the image height from the bottom
+ * @property {number} fontSize - Font size in px at the displayed image size
+ * @property {number} rotation - Clockwise rotation around the anchor, in degrees
+ * @property {number | null} maxWidth - Widest the text may be, as a percentage of the image width
+ * @property {ZoneAlignment} align - Which side of the text sits on the anchor
+ * @property {boolean} autoShrink - Whether text wider than `maxWidth` is drawn smaller (otherwise
+ *   it is condensed to fit)
+ * @property {number} minFontSize - Smallest font size auto-shrink may use, in px
+ */
+
+/**
+ * @template {number | null} T
+ * @param {unknown} value
+ * @param {T} fallback
+ * @returns {number | T}
+ */
+function toNumber(value, fallback) {
+  if (value == null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * @param {unknown} json - A metafield value, as JSON or already parsed
+ * @returns {any}
+ */
+function parsePosition(json) {
+  if (!json || json === 'null') return null;
+  if (typeof json !== 'string') return json;
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @param {Record<string, any>} zone - The zone as written in the metafield
+ * @param {string} defaultField - Field used when the zone names none
+ * @returns {TextZone | null} The zone, or null when its field does not exist
+ */
+function normaliseZone(zone, defaultField) {
+  const fieldName = String(zone.field ?? zone.name ?? defaultField);
+  const field = resolvePersonalisationField(fieldName);
+  if (!field) return null;
+
+  const fontSize = toNumber(zone.font_size, DEFAULT_ZONE_POSITION.fontSize);
+
+  return {
+    name: String(zone.name ?? field.key),
+    field: field.key,
+    x: toNumber(zone.x, DEFAULT_ZONE_POSITION.x),
+    y: toNumber(zone.y, DEFAULT_ZONE_POSITION.y),
+    fontSize,
+    rotation: toNumber(zone.rotation, 0),
+    maxWidth: toNumber(zone.max_width, null),
+    align: zone.align === 'left' || zone.align === 'right' ? zone.align : 'center',
+    autoShrink: zone.auto_shrink !== false && zone.auto_shrink !== 'false',
+    minFontSize: Math.min(fontSize, toNumber(zone.min_font_size, MIN_ZONE_FONT_SIZE)),
+  };
+}
+
+/**
+ * Reads the text zones of a product.
+ * @param {unknown} positionJson - The `cb_personalization_position` value
+ * @param {unknown} [dobPositionJson] - The `cb_dob_personalization_poisition` value
+ * @returns {TextZone[]}
+ */
+export function parseTextZones(positionJson, dobPositionJson) {
+  const position = parsePosition(positionJson);
+  /** @type {unknown[] | null} */
+  const list = Array.isArray(position) ? position : Array.isArray(position?.zones) ? position.zones : null;
+
+  /** @type {(TextZone | null)[]} */
+  const zones = list
+    ? list
+        .filter((zone) => zone !== null && typeof zone === 'object')
+        .map((zone) => normaliseZone(/** @type {Record<string, any>} */ (zone), 'name'))
+    : position && typeof position === 'object'
+      ? [normaliseZone(position, 'name')]
+      : [];
+
+  const dobPosition = parsePosition(dobPositionJson);
+  if (dobPosition && typeof dobPosition === 'object' && !Array.isArray(dobPosition)) {
+    if (!zones.some((zone) => zone?.field === 'dob')) zones.push(normaliseZone({ name: 'dob', ...dobPosition }, 'dob'));
+  }
+
+  return /** @type {TextZone[]} */ (zones.filter(Boolean));
+}
+
+/**
+ * Works out the font size that fits text into a zone.
+ * @param {TextZone} zone
+ * @param {number} textWidth - Width of the text at `zone.fontSize`, in px
+ * @param {number | null} maxWidth - Widest the text may be, in px
+ * @returns {{ fontSize: number, condense: number }} The font size, and the horizontal scale still
+ *   needed to fit (1 when the text fits)
+ */
+export function fitTextToZone(zone, textWidth, maxWidth) {
+  if (!maxWidth || !textWidth || textWidth <= maxWidth) return { fontSize: zone.fontSize, condense: 1 };
+
+  const fontSize = zone.autoShrink
+    ? Math.max(zone.minFontSize, Math.floor(((zone.fontSize * maxWidth) / textWidth) * 2) / 2)
+    : zone.fontSize;
+  const width = (textWidth * fontSize) / zone.fontSize;
+
+  return { fontSize, condense: width > maxWidth ? maxWidth / width : 1 };
+}
+
+/**
+ * Gets the CSS that places an overlay on its zone anchor. The overlay is positioned with `left` and
+ * `bottom` at the anchor.
+ * @param {TextZone} zone
+ * @param {number} [condense] - Horizontal scale from `fitTextToZone`
+ * @returns {{ transform: string, transformOrigin: string, textAlign: ZoneAlignment }}
+ */
+export function getZoneStyle(zone, condense = 1) {
+  const offset = { left: '0', center: '-50%', right: '-100%' }[zone.align];
+  const transforms = [`translate(${offset}, 50%)`];
+  if (zone.rotation) transforms.push(`rotate(${zone.rotation}deg)`);
+  if (condense !== 1) transforms.push(`scaleX(${condense})`);
+
+  return {
+    transform: transforms.join(' '),
+    transformOrigin: `${zone.align} center`,
+    textAlign: zone.align,
+  };
+}
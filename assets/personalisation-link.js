@@ -0,0 +1,89 @@
+import {
+  PERSONALISATION_FIELDS,
+  hasPersonalisationValue,
+  propertiesToPersonalisation,
+  sanitizeFieldValue,
+} from '@theme/personalisation-schema';
+
+/**
+ * Links that open a product with its personalise modal filled in, e.g. a "reorder this personalised
+ * blanket" QR code on an order insert or a gift card.
+ *
+ * The link is the product URL with `?customize=true`, the variant, and a `p_<field key>` parameter
+ * per personalisation field (e.g. `p_name=Ava&p_font=Script&p_color=Pink`). The personalise modal of
+ * the product page reads the fields once, opens, and removes them from the address bar, so a reload
+ * does not overwrite what the shopper changed.
+ */
+
+const FIELD_PARAM_PREFIX = 'p_';
+
+/** Longest value of a field whose max length is set by a product tag, see `getFieldMaxLength`. */
+const MAX_DYNAMIC_LENGTH = 50;
+
+/**
+ * @typedef {Object} PersonalisationLinkOptions
+ * @property {string} url - The product URL, absolute or relative to the shop
+ * @property {string | number} [variantId]
+ * @property {Record<string, any>} [personalisation] - Personalisation data keyed by field key
+ * @property {Record<string, any>} [properties] - Line item properties, when there is no personalisation data
+ */
+
+/**
+ * Builds the link of a personalised product.
+ * @param {PersonalisationLinkOptions} options
+ * @returns {string} An absolute URL
+ */
+export function buildPersonalisationUrl({ url, variantId, personalisation, properties }) {
+  const link = new URL(url, window.location.origin);
+  const data = personalisation ?? propertiesToPersonalisation(properties ?? {});
+
+  link.searchParams.set('customize', 'true');
+  if (variantId) link.searchParams.set('variant', String(variantId));
+
+  for (const field of PERSONALISATION_FIELDS) {
+    const value = data[field.key];
+    if (hasPersonalisationValue(value)) link.searchParams.set(`${FIELD_PARAM_PREFIX}${field.key}`, String(value).trim());
+  }
+
+  return link.toString();
+}
+
+/**
+ * Reads the personalisation of a link. Values are cleaned as if they were typed into the modal, as
+ * anyone can make a link.
+ * @param {string | URL} [url] - The current page by default
+ * @returns {Record<string, string>} Personalisation data keyed by field key, empty when the link has none
+ */
+export function readPersonalisationFromUrl(url = window.location.href) {
+  const { searchParams } = new URL(url, window.location.origin);
+
+  /** @type {Record<string, string>} */
+  const personalisation = {};
+  if (searchParams.get('customize') !== 'true') return personalisation;
+
+  for (const field of PERSONALISATION_FIELDS) {
+    const value = searchParams.get(`${FIELD_PARAM_PREFIX}${field.key}`);
+    if (!hasPersonalisationValue(value)) continue;
+
+    // The modal validates the value against the product, e.g. its font's characters
+    const maxLength = field.dynamicMaxLength ? MAX_DYNAMIC_LENGTH : field.maxLength;
+    const cleaned = sanitizeFieldValue(field, String(value).trim()).slice(0, maxLength ?? undefined);
+    if (cleaned) personalisation[field.key] = cleaned;
+  }
+
+  return personalisation;
+}
+
+/**
+ * Removes the personalisation of a link from the address bar, keeping its other parameters.
+ */
+export function clearPersonalisationFromUrl() {
+  const url = new URL(window.location.href);
+  const params = PERSONALISATION_FIELDS.map((field) => `${FIELD_PARAM_PREFIX}${field.key}`).filter((key) =>
+    url.searchParams.has(key)
+  );
+  if (params.length === 0) return;
+
+  for (const key of params) url.searchParams.delete(key);
+  history.replaceState(history.state, '', url.toString());
+}
@@ -0,0 +1,125 @@
+/**
+ * Personalisation colour and font palette.
+ *
+ * The palette is configured in theme settings > Personalisation and rendered into
+ * `Theme.personalisation` by `snippets/personalisation-palette.liquid`, which also serves Liquid
+ * lookups for the cart. Colours and fonts are looked up by name or by one of their other names, so
+ * older spellings saved on products and cart lines (e.g. "QTCoronation") resolve to the same entry.
+ */
+
+/**
+ * @typedef {Object} PaletteColor
+ * @property {string} name - Display name, e.g. "Gold"
+ * @property {string} swatch - Colour of swatches in pickers and summaries
+ * @property {string} preview - Colour of the text on the preview image and proof
+ * @property {string[]} aliases - Other names the colour is saved under
+ */
+
+/**
+ * @typedef {Object} PaletteFont
+ * @property {string} name - Display name, e.g. "Coronation"
+ * @property {string} family - The font family declared by its font-face rule
+ * @property {string[]} aliases - Other names the font is saved under
+ */
+
+/**
+ * @returns {{ colors: PaletteColor[], fonts: PaletteFont[] }}
+ */
+function getPalette() {
+  const palette = typeof Theme !== 'undefined' ? Theme.personalisation : null;
+  return { colors: palette?.colors ?? [], fonts: palette?.fonts ?? [] };
+}
+
+/**
+ * @template {PaletteColor | PaletteFont} T
+ * @param {T[]} entries
+ * @param {string | null | undefined} name
+ * @returns {T | undefined}
+ */
+function findEntry(entries, name) {
+  const normalized = String(name ?? '').trim().toLowerCase();
+  if (!normalized) return undefined;
+
+  return entries.find(
+    (entry) =>
+      entry.name.toLowerCase() === normalized || entry.aliases.some((alias) => alias.toLowerCase() === normalized)
+  );
+}
+
+/**
+ * @returns {PaletteColor[]} Every colour in the palette
+ */
+export function getPaletteColors() {
+  return getPalette().colors;
+}
+
+/**
+ * @returns {PaletteFont[]} Every font in the palette
+ */
+export function getPaletteFonts() {
+  return getPalette().fonts;
+}
+
+/**
+ * @param {string | null | undefined} name - A colour name or other name
+ * @returns {PaletteColor | undefined}
+ */
+export function getPaletteColor(name) {
+  return findEntry(getPalette().colors, name);
+}
+
+/**
+ * @param {string | null | undefined} name - A font name or other name
+ * @returns {PaletteFont | undefined}
+ */
+export function getPaletteFont(name) {
+  return findEntry(getPalette().fonts, name);
+}
+
+/**
+ * Gets the swatch colour for a colour name. Names outside the palette (e.g. hex values saved by
+ * older carts) are returned as they are.
+ * @param {string | null | undefined} name
+ * @returns {string}
+ */
+export function getColorSwatch(name) {
+  return getPaletteColor(name)?.swatch ?? String(name ?? '').trim();
+}
+
+/**
+ * Gets the colour used for preview text. Names outside the palette are returned as they are.
+ * @param {string | null | undefined} name
+ * @returns {string}
+ */
+export function getColorPreview(name) {
+  return getPaletteColor(name)?.preview ?? String(name ?? '').trim();
+}
+
+/**
+ * Gets the display name of a colour, e.g. "Gold" for "gold".
+ * @param {string | null | undefined} name
+ * @returns {string}
+ */
+export function getColorDisplayName(name) {
+  return getPaletteColor(name)?.name ?? String(name ?? '').trim();
+}
+
+/**
+ * Gets the display name of a font, e.g. "Coronation" for "QTCoronation".
+ * @param {string | null | undefined} name
+ * @returns {string}
+ */
+export function getFontDisplayName(name) {
+  return getPaletteFont(name)?.name ?? String(name ?? '').trim();
+}
+
+/**
+ * Gets the CSS `font-family` value for a font name.
+ * @param {string | null | undefined} name
+ * @returns {string} The font stack, or an empty string when no font is given
+ */
+export function getFontFamily(name) {
+  const family = getPaletteFont(name)?.family ?? String(name ?? '').trim();
+  // Single quotes so the value can also go inside a style="" attribute
+  return family ? `'${family.replace(/['"]/g, '')}', sans-serif` : '';
+}
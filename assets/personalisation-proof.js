@@ -0,0 +1,153 @@
+/**
+ * Renders the personalisation preview into a PNG proof that is attached to the cart line.
+ *
+ * The personalise modal shows the shopper's text as HTML overlays on top of the
+ * `cb_personalization_image` metafield image. Once the item is added that preview is gone, so the
+ * image and the text (with its anchor, size, font and colour) are drawn onto a canvas. The PNG is
+ * sent with the add to cart request as a file line item property: Shopify uploads it and stores its
+ * URL in the hidden `_personalisation_proof` property, which the cart, the order in the admin and
+ * the order notifications can show.
+ */
+
+/** Hidden property holding the URL of the proof, set by Shopify when the file is uploaded. */
+export const PROOF_PROPERTY = '_personalisation_proof';
+
+/** Widest proof rendered, in px. */
+export const PROOF_MAX_WIDTH = 1000;
+
+/**
+ * @typedef {'left' | 'center' | 'right'} ProofAlignment
+ */
+
+/**
+ * @typedef {Object} ProofLayer
+ * @property {string} text - The text to draw
+ * @property {number} x - Anchor, as a percentage of the image width from the left
+ * @property {number} y - Anchor (vertical centre of the text), as a percentage of the image height
+ *   from the bottom
+ * @property {number} fontSize - Font size in px at the displayed image width
+ * @property {string} fontFamily - CSS font-family, e.g. `"Playball", sans-serif`
+ * @property {string} color - CSS colour
+ * @property {number} [rotation] - Clockwise rotation around the anchor, in degrees
+ * @property {ProofAlignment} [align] - Which side of the text sits on the anchor
+ * @property {number} [condense] - Horizontal scale the text is condensed by to fit its zone
+ */
+
+/**
+ * @typedef {Object} ProofOptions
+ * @property {string} imageUrl - The image the text is laid out on
+ * @property {number} width - Natural width of the image
+ * @property {number} height - Natural height of the image
+ * @property {number} displayWidth - Width the image was displayed at when the shopper approved it
+ * @property {ProofLayer[]} layers - Text layers, drawn in order
+ */
+
+/**
+ * Loads an image so it can be drawn onto a canvas that is exported afterwards. Shopify's CDN allows
+ * anonymous cross-origin requests, so the canvas is not tainted.
+ * @param {string} url
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Could not load ${url}`));
+    image.src = url;
+  });
+}
+
+/**
+ * Waits for the font of every layer so the canvas does not fall back to the default face.
+ * @param {string[]} fonts - CSS font shorthands
+ */
+async function loadFonts(fonts) {
+  if (!document.fonts) return;
+
+  try {
+    await Promise.all(fonts.map((font) => document.fonts.load(font)));
+  } catch (error) {
+    // A font that fails to load is drawn with its fallback, same as the preview
+  }
+}
+
+/**
+ * Draws the image with the text layers over it, as they were shown in the preview.
+ * @param {ProofOptions} options
+ * @returns {Promise<File | null>} The PNG, or null when there is nothing to draw or the image could
+ *   not be drawn
+ */
+export async function renderPersonalisationProof({ imageUrl, width, height, displayWidth, layers }) {
+  const visibleLayers = layers.filter((layer) => layer.text && layer.text.trim() !== '');
+  if (!visibleLayers.length || !imageUrl || !width || !height || !displayWidth) return null;
+
+  const scale = Math.min(1, PROOF_MAX_WIDTH / width);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+
+  const context = canvas.getContext('2d');
+  if (!context) return null;
+
+  // Overlay font sizes are px at the displayed size, so scale them to the canvas
+  const fontScale = canvas.width / displayWidth;
+  const fonts = visibleLayers.map((layer) => `${layer.fontSize * fontScale}px ${layer.fontFamily || 'sans-serif'}`);
+
+  try {
+    const [image] = await Promise.all([loadImage(imageUrl), loadFonts(fonts)]);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  } catch (error) {
+    console.warn('Personalisation proof: the image could not be drawn', error);
+    return null;
+  }
+
+  context.textBaseline = 'middle';
+
+  visibleLayers.forEach((layer, index) => {
+    context.save();
+    context.translate((canvas.width * layer.x) / 100, canvas.height * (1 - layer.y / 100));
+    if (layer.rotation) context.rotate((layer.rotation * Math.PI) / 180);
+    if (layer.condense && layer.condense !== 1) context.scale(layer.condense, 1);
+
+    context.font = fonts[index] ?? '';
+    context.fillStyle = layer.color || '#000000';
+    context.textAlign = layer.align ?? 'center';
+    context.fillText(layer.text.trim(), 0, 0);
+    context.restore();
+  });
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+  if (!(blob instanceof Blob)) return null;
+
+  return new File([blob], 'personalisation-proof.png', { type: 'image/png' });
+}
+
+/**
+ * Attaches a proof to a product form as the file of its proof input, so it is uploaded with the
+ * add to cart request.
+ * @param {HTMLFormElement} form
+ * @param {File | null} proof - Null removes the proof of an earlier save
+ */
+export function setFormProof(form, proof) {
+  const name = `properties[${PROOF_PROPERTY}]`;
+  /** @type {HTMLInputElement | null} */
+  let input = form.querySelector(`input[type="file"][name="${name}"]`);
+
+  if (!proof) {
+    input?.remove();
+    return;
+  }
+
+  if (!(input instanceof HTMLInputElement)) {
+    input = document.createElement('input');
+    input.type = 'file';
+    input.name = name;
+    input.hidden = true;
+    form.append(input);
+  }
+
+  const transfer = new DataTransfer();
+  transfer.items.add(proof);
+  input.files = transfer.files;
+}
@@ -0,0 +1,407 @@
+/**
+ * Declarative schema for every personalisation field the theme supports.
+ *
+ * The personalise modal, the build-your-set modal and sticky bar, and the product form all read
+ * from this list, so adding a field (e.g. a pet's name) only requires a new entry here plus its
+ * markup in `snippets/personalise-modal.liquid`.
+ */
+
+/**
+ * @typedef {Object} PersonalisationField
+ * @property {string} key - Key used in personalisation data objects (e.g. `window.currentPersonalisation`)
+ * @property {string} property - Line item property name sent to the cart
+ * @property {string} sessionKey - Field name used in the build-your-set session cart
+ * @property {'text' | 'textarea' | 'date' | 'font' | 'color'} type - The input type
+ * @property {string} label - Default label used when the field is rendered from script
+ * @property {number | null} maxLength - Maximum number of characters, null when unlimited
+ * @property {boolean} [dynamicMaxLength] - Whether the max length can be overridden by a `personalise_N` tag
+ * @property {boolean} [required] - Whether the field must have a value when it is shown
+ * @property {RegExp | null} allowedCharacters - Single character pattern, characters outside it are stripped
+ * @property {string} [allowedCharactersDescription] - Description of `allowedCharacters` used in error messages
+ * @property {boolean} [fontCharacters] - Whether the value is printed in the chosen font and limited to its characters
+ * @property {RegExp | null} pattern - Pattern a complete value must match
+ * @property {'date' | 'time'} [format] - Format of the value, dates are stored as dd-mm-yyyy
+ * @property {{ min: number, max: number, unit?: string }} [range] - Numeric range of the value
+ * @property {string | null} tag - Product tag that enables the field, null for metafield driven fields
+ * @property {'contains' | 'exact'} tagMatch - How the tag is matched against product tags
+ * @property {string} [ref] - Ref of the input inside the personalise modal
+ * @property {string} [selector] - Selector of the input inside the personalise modal
+ * @property {string} [tab] - Name tab the field belongs to (`data-name-input` value)
+ * @property {string} [placeholder] - Placeholder used when the field is rendered from script
+ * @property {string} [info] - Helper text used when the field is rendered from script, `{{ max }}` is replaced
+ *   with the max length
+ */
+
+const NAME_CHARACTERS = /[a-zA-Z0-9\s]/;
+const ENGLISH_OR_ARABIC_CHARACTERS = /[a-zA-Z0-9\s\u0600-\u06FF]/;
+const DATE_PATTERN = /^\d{2}-\d{2}-\d{4}$/;
+const TIME_PATTERN = /^(0?[1-9]|1[0-2]):[0-5]\d\s?(AM|PM)$/i;
+
+/**
+ * @param {Partial<PersonalisationField> & Pick<PersonalisationField, 'key' | 'property' | 'label'>} field
+ * @returns {PersonalisationField}
+ */
+function defineField(field) {
+  return Object.freeze({
+    sessionKey: `properties[${field.property}]`,
+    type: 'text',
+    maxLength: null,
+    allowedCharacters: null,
+    pattern: null,
+    tag: null,
+    tagMatch: 'contains',
+    selector: `[name="properties[${field.property}]"]`,
+    ...field,
+  });
+}
+
+/**
+ * All personalisation fields, in the order they are displayed and added to a cart line.
+ * @type {readonly PersonalisationField[]}
+ */
+export const PERSONALISATION_FIELDS = Object.freeze([
+  .../** @type {Array<[key: string, property: string, tag: string, tab: string]>} */ ([
+    ['babyName', "Baby's Name", 'baby_name', 'baby'],
+    ['kidName', "Kid's Name", 'kid_name', 'kid'],
+    ['mumName', "Mum's Name", 'mum_name', 'mum'],
+  ]).map(([key, property, tag, tab]) =>
+    defineField({
+      key,
+      property,
+      label: `${property} (Free Personalisation)`,
+      placeholder: 'Enter the Name or Initials',
+      info: 'Maximum 9 characters. No special characters.',
+      maxLength: 9,
+      required: true,
+      allowedCharacters: NAME_CHARACTERS,
+      fontCharacters: true,
+      tag,
+      tagMatch: 'exact',
+      ref: `${key}Input`,
+      selector: `[data-name-input="${tab}"]`,
+      tab,
+    })
+  ),
+  defineField({
+    key: 'name',
+    property: 'Name',
+    sessionKey: 'personalise-name',
+    label: 'Name (Free Personalisation)',
+    placeholder: 'Enter the Name or Initials',
+    info: 'Maximum {{ max }} characters. No special characters.',
+    maxLength: 9,
+    dynamicMaxLength: true,
+    required: true,
+    allowedCharacters: NAME_CHARACTERS,
+    fontCharacters: true,
+    tag: 'personalized_name',
+    ref: 'nameInput',
+    selector: '#personalise-name, input[name="personalise-name"]',
+  }),
+  defineField({
+    key: 'textbox',
+    property: 'Personalisation:',
+    label: 'Enter the names here:',
+    placeholder: '(e.g. Sarah,Jane,Robert)',
+    maxLength: 500,
+    tag: 'personalise_textbox',
+    ref: 'textboxInput',
+  }),
+  defineField({
+    key: 'color',
+    property: 'Text Color',
+    sessionKey: 'personalise-color',
+    type: 'color',
+    label: 'Text Colour',
+    required: true,
+    ref: 'colorGrid',
+    selector: '.personalise-modal__color-grid',
+  }),
+  defineField({
+    key: 'font',
+    property: 'Text Font',
+    sessionKey: 'personalise-font',
+    type: 'font',
+    label: 'Choose Your Font',
+    required: true,
+    ref: 'fontGrid',
+    selector: '.personalise-modal__font-grid',
+  }),
+  defineField({
+    key: 'schoolYear',
+    property: 'School Year',
+    label: 'School Year',
+    maxLength: 20,
+    tag: 'school_year',
+    ref: 'schoolYearInput',
+  }),
+  ...[1, 2, 3, 4].map((index) =>
+    defineField({
+      key: `name${index}`,
+      property: `Name ${index}`,
+      label: `Name ${index}`,
+      info: 'English or Arabic. Maximum 8 characters.*',
+      maxLength: 8,
+      allowedCharacters: ENGLISH_OR_ARABIC_CHARACTERS,
+      allowedCharactersDescription: 'English or Arabic letters, numbers and spaces',
+      tag: `name${index}`,
+      ref: `name${index}Input`,
+    })
+  ),
+  defineField({
+    key: 'dob',
+    property: 'Date of Birth',
+    label: 'Date of Birth + AED 10 (optional)',
+    placeholder: 'dd-mm-yyyy',
+    pattern: DATE_PATTERN,
+    format: 'date',
+    tag: 'personalized_dob',
+    ref: 'dobInput',
+  }),
+  defineField({
+    key: 'optionalDob',
+    property: 'Personalise Date of Birth',
+    sessionKey: 'optionalDob',
+    type: 'date',
+    label: 'Date of Birth (optional)',
+    pattern: DATE_PATTERN,
+    format: 'date',
+    tag: 'optional_fields',
+    tagMatch: 'exact',
+    ref: 'optionalDobInput',
+    selector: '#dob_field_val',
+  }),
+  defineField({
+    key: 'time',
+    property: 'Time',
+    label: 'Time of Birth (optional)',
+    placeholder: 'HH:MM AM/PM',
+    pattern: TIME_PATTERN,
+    format: 'time',
+    tag: 'optional_fields',
+    tagMatch: 'exact',
+    ref: 'timeInput',
+  }),
+  defineField({
+    key: 'weight',
+    property: 'Weight',
+    label: 'Weight (kg) (optional)',
+    range: { min: 0.3, max: 10, unit: 'kg' },
+    tag: 'optional_fields',
+    tagMatch: 'exact',
+    ref: 'weightInput',
+  }),
+  defineField({
+    key: 'message',
+    property: 'Message',
+    type: 'textarea',
+    label: 'Enter the text here:',
+    maxLength: 50,
+    tag: 'create_20',
+    tagMatch: 'exact',
+    ref: 'messageInput',
+    selector: 'textarea[name="properties[Message]"]',
+  }),
+]);
+
+/**
+ * Gets a field by its personalisation key.
+ * @param {string} key - The personalisation key (e.g. `babyName`)
+ * @returns {PersonalisationField | undefined}
+ */
+export function getPersonalisationField(key) {
+  return PERSONALISATION_FIELDS.find((field) => field.key === key);
+}
+
+/**
+ * Resolves a field from any of the names it is known by: its key, its session key, its property
+ * name or its `properties[...]` input name.
+ * @param {string} name - The name to resolve
+ * @returns {PersonalisationField | undefined}
+ */
+export function resolvePersonalisationField(name) {
+  const propertyName = name.match(/^properties\[(.+)\]$/)?.[1] ?? name;
+
+  return PERSONALISATION_FIELDS.find(
+    (field) => field.key === name || field.sessionKey === name || field.property === propertyName
+  );
+}
+
+/**
+ * Gets the form input name of a field.
+ * @param {PersonalisationField} field
+ * @returns {string} The input name (e.g. `properties[Text Font]`)
+ */
+export function getPropertyInputName(field) {
+  return `properties[${field.property}]`;
+}
+
+/**
+ * Checks whether a form input name carries a personalisation property.
+ * @param {string} inputName - The input name (e.g. `properties[Name]`)
+ * @returns {boolean}
+ */
+export function isPersonalisationInputName(inputName) {
+  return PERSONALISATION_FIELDS.some((field) => getPropertyInputName(field) === inputName);
+}
+
+/**
+ * Checks whether a personalisation value should be stored.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function hasPersonalisationValue(value) {
+  return typeof value === 'string' ? value.trim() !== '' : value != null;
+}
+
+/**
+ * Creates an empty personalisation data object with every field key present.
+ * @returns {Record<string, string | null>}
+ */
+export function createEmptyPersonalisation() {
+  /** @type {Record<string, string | null>} */
+  const personalisation = {};
+
+  for (const field of PERSONALISATION_FIELDS) {
+    personalisation[field.key] = field.key === 'name' ? '' : null;
+  }
+
+  return personalisation;
+}
+
+/**
+ * Converts personalisation data into line item properties, skipping empty values.
+ * @param {Record<string, any>} personalisation - Personalisation data keyed by field key
+ * @returns {Record<string, string>} Properties keyed by property name
+ */
+export function personalisationToProperties(personalisation) {
+  /** @type {Record<string, string>} */
+  const properties = {};
+
+  for (const field of PERSONALISATION_FIELDS) {
+    const value = personalisation?.[field.key];
+    if (hasPersonalisationValue(value)) properties[field.property] = String(value).trim();
+  }
+
+  return properties;
+}
+
+/**
+ * Converts line item properties into personalisation data. Only fields with a value are returned.
+ * @param {Record<string, any>} properties - Properties keyed by property name
+ * @returns {Record<string, string>} Personalisation data keyed by field key
+ */
+export function propertiesToPersonalisation(properties) {
+  /** @type {Record<string, string>} */
+  const personalisation = {};
+
+  for (const field of PERSONALISATION_FIELDS) {
+    const value = properties?.[field.property];
+    if (hasPersonalisationValue(value)) personalisation[field.key] = value;
+  }
+
+  return personalisation;
+}
+
+/**
+ * Converts personalisation data into build-your-set session data, skipping empty values.
+ * @param {Record<string, any>} personalisation - Personalisation data keyed by field key
+ * @returns {Record<string, string>} Data keyed by session key
+ */
+export function personalisationToSessionData(personalisation) {
+  /** @type {Record<string, string>} */
+  const sessionData = {};
+
+  for (const field of PERSONALISATION_FIELDS) {
+    const value = personalisation?.[field.key];
+    if (hasPersonalisationValue(value)) sessionData[field.sessionKey] = value;
+  }
+
+  return sessionData;
+}
+
+/**
+ * Reads the personalisation inputs of a product form. Checked inputs win over unchecked ones so
+ * font and colour radios resolve to the selected option.
+ * @param {HTMLFormElement} form - The product form
+ * @returns {Record<string, string>} Personalisation data keyed by field key
+ */
+export function readPersonalisationFromForm(form) {
+  /** @type {Record<string, string>} */
+  const personalisation = {};
+
+  for (const field of PERSONALISATION_FIELDS) {
+    const name = getPropertyInputName(field);
+    const input =
+      /** @type {HTMLInputElement | null} */ (form.querySelector(`[name="${name}"]:checked`)) ||
+      /** @type {HTMLInputElement | null} */ (form.querySelector(`[name="${name}"]`));
+
+    if (input && hasPersonalisationValue(input.value)) personalisation[field.key] = input.value.trim();
+  }
+
+  return personalisation;
+}
+
+/**
+ * Checks whether a product has the tag that enables a field.
+ * @param {string[]} tags - The product tags
+ * @param {PersonalisationField} field
+ * @returns {boolean}
+ */
+export function hasFieldTag(tags, field) {
+  const { tag, tagMatch } = field;
+  if (!tag) return false;
+
+  return tags.some((productTag) => {
+    const normalized = String(productTag).toLowerCase().trim();
+    return tagMatch === 'exact' ? normalized === tag : normalized.includes(tag);
+  });
+}
+
+/**
+ * Gets the tag driven fields enabled by a set of product tags.
+ * @param {string[]} tags - The product tags
+ * @returns {PersonalisationField[]}
+ */
+export function getFieldsForTags(tags) {
+  return PERSONALISATION_FIELDS.filter((field) => hasFieldTag(tags, field));
+}
+
+/**
+ * Gets the max length of a field for a product, honouring `personalise_N` tags for fields with a
+ * dynamic max length.
+ * @param {PersonalisationField} field
+ * @param {string[]} [tags] - The product tags
+ * @returns {number | null}
+ */
+export function getFieldMaxLength(field, tags = []) {
+  if (!field.dynamicMaxLength) return field.maxLength;
+
+  let maxLength = field.maxLength;
+
+  // Mirrors the Liquid lookup: the last matching `personalise_*_N` tag wins
+  for (const tag of tags) {
+    const normalized = String(tag).toLowerCase().trim();
+    if (!normalized.includes('personalise_')) continue;
+
+    const length = Number(normalized.split('_').pop());
+    if (Number.isInteger(length) && length >= 1 && length <= 50) maxLength = length;
+  }
+
+  return maxLength;
+}
+
+/**
+ * Strips characters a field does not allow.
+ * @param {PersonalisationField} field
+ * @param {string} value
+ * @returns {string}
+ */
+export function sanitizeFieldValue(field, value) {
+  const { allowedCharacters } = field;
+  if (!allowedCharacters) return value;
+
+  return Array.from(value)
+    .filter((character) => allowedCharacters.test(character))
+    .join('');
+}
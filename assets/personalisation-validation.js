@@ -0,0 +1,278 @@
+import { PERSONALISATION_FIELDS, getFieldMaxLength, hasPersonalisationValue } from '@theme/personalisation-schema';
+import { getFontDisplayName } from '@theme/personalisation-palette';
+
+/**
+ * Client-side validation for personalisation values.
+ *
+ * Rules come from the field schema (max length, allowed characters, patterns and ranges) plus the
+ * character set of the chosen font, so the personalise modal, the build-your-set modal, the cart
+ * edit flow and the product form all reject the same values with the same messages.
+ */
+
+/**
+ * @typedef {import('@theme/personalisation-schema').PersonalisationField} PersonalisationField
+ */
+
+/**
+ * @typedef {Object} ValidationContext
+ * @property {string | null} [font] - The selected font, used to pick the allowed character set
+ * @property {string[]} [tags] - The product tags, used to resolve `personalise_N` max lengths
+ * @property {number} [maxLength] - Max length override (e.g. the `maxlength` of the rendered input)
+ * @property {boolean} [requireValue] - Whether an empty required field is reported
+ */
+
+/**
+ * @typedef {Object} FontCharacterSet
+ * @property {string[]} fonts - Font names the set applies to
+ * @property {RegExp} characters - Single character pattern
+ * @property {string} description - Human readable description used in error messages
+ */
+
+/**
+ * Characters each personalisation font can render. Fonts not listed fall back to the field's own
+ * allowed characters.
+ * @type {FontCharacterSet[]}
+ */
+export const FONT_CHARACTER_SETS = [
+  {
+    // Script and display faces ship without numerals
+    fonts: [
+      'Amsterdam',
+      'Ballantines',
+      'Black Jack',
+      'Coronation',
+      'QTCoronation',
+      'Miss Neally',
+      'Monotype Corsiva',
+      'Playball',
+      'Rochester',
+    ],
+    characters: /[a-zA-Z\s]/,
+    description: 'letters and spaces',
+  },
+];
+
+/**
+ * Error message templates. `{{ label }}`, `{{ max }}`, `{{ min }}`, `{{ unit }}`, `{{ font }}`,
+ * `{{ allowed }}` and `{{ characters }}` are replaced when the message is built.
+ */
+export const VALIDATION_MESSAGES = {
+  required: 'Please enter {{ label }}.',
+  requiredChoice: 'Please choose a {{ label }}.',
+  maxLength: 'Maximum {{ max }} characters.',
+  fontCharacters: '{{ font }} only supports {{ allowed }}. Remove {{ characters }}.',
+  characters: 'Only {{ allowed }} are allowed. Remove {{ characters }}.',
+  date: 'Enter a valid date as dd-mm-yyyy.',
+  futureDate: 'Date of birth cannot be in the future.',
+  time: 'Enter a time as HH:MM AM/PM.',
+  format: 'Please check the format of {{ label }}.',
+  number: 'Enter a number.',
+  range: 'Enter a value between {{ min }} and {{ max }} {{ unit }}.',
+};
+
+/**
+ * @param {string} template
+ * @param {Record<string, string | number>} values
+ * @returns {string}
+ */
+function formatMessage(template, values) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => String(values[key] ?? '')).trim();
+}
+
+/**
+ * Gets the character set for a font, by its name or its palette display name.
+ * @param {string | null | undefined} font - The font name
+ * @returns {FontCharacterSet | undefined}
+ */
+export function getFontCharacterSet(font) {
+  if (!font) return undefined;
+  const names = [font.trim().toLowerCase(), getFontDisplayName(font).toLowerCase()];
+
+  return FONT_CHARACTER_SETS.find((set) => set.fonts.some((name) => names.includes(name.toLowerCase())));
+}
+
+/**
+ * Normalises a date value to dd-mm-yyyy. Date inputs report YYYY-MM-DD.
+ * @param {string} value
+ * @returns {string}
+ */
+export function normaliseDateValue(value) {
+  const isoMatch = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return isoMatch ? `${isoMatch[3]}-${isoMatch[2]}-${isoMatch[1]}` : value;
+}
+
+/**
+ * Gets the label of a field used inside messages (its lower-cased property name).
+ * @param {PersonalisationField} field
+ * @returns {string}
+ */
+function getFieldLabel(field) {
+  return field.property.replace(/:$/, '').toLowerCase();
+}
+
+/**
+ * @param {string} value
+ * @param {RegExp} characters
+ * @returns {string} The distinct characters of the value not matched by the pattern, quoted
+ */
+function findInvalidCharacters(value, characters) {
+  const invalid = new Set(Array.from(value).filter((character) => !characters.test(character)));
+  return Array.from(invalid)
+    .map((character) => `"${character}"`)
+    .join(' ');
+}
+
+/**
+ * @param {string} value - A dd-mm-yyyy date
+ * @returns {Date | null} The date, or null when it does not exist (e.g. 31-02-2020)
+ */
+function parseDate(value) {
+  const [day = NaN, month = NaN, year = NaN] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return date;
+}
+
+/**
+ * Validates a single personalisation value.
+ * @param {PersonalisationField} field - The field being validated
+ * @param {unknown} value - The value entered by the shopper
+ * @param {ValidationContext} [context]
+ * @returns {string | null} The error message, or null when the value is valid
+ */
+export function validatePersonalisationField(field, value, context = {}) {
+  const { font = null, tags, requireValue = false } = context;
+  const label = getFieldLabel(field);
+
+  if (!hasPersonalisationValue(value)) {
+    if (!requireValue || !field.required) return null;
+
+    const template = field.type === 'font' || field.type === 'color' ? 'requiredChoice' : 'required';
+    return formatMessage(VALIDATION_MESSAGES[template], { label: field.type === 'color' ? 'colour' : label });
+  }
+
+  // Font and colour are picked from a fixed list of options
+  if (field.type === 'font' || field.type === 'color') return null;
+
+  let text = String(value).trim();
+
+  // A `personalise_N` max length can only be resolved when the product tags are known
+  const maxLength =
+    context.maxLength ?? (field.dynamicMaxLength && !tags ? null : getFieldMaxLength(field, tags));
+  if (maxLength && text.length > maxLength) {
+    return formatMessage(VALIDATION_MESSAGES.maxLength, { max: maxLength });
+  }
+
+  const fontCharacterSet = field.fontCharacters ? getFontCharacterSet(font) : undefined;
+  if (fontCharacterSet) {
+    const characters = findInvalidCharacters(text, fontCharacterSet.characters);
+    if (characters) {
+      return formatMessage(VALIDATION_MESSAGES.fontCharacters, {
+        font: font ?? '',
+        allowed: fontCharacterSet.description,
+        characters,
+      });
+    }
+  } else if (field.allowedCharacters) {
+    const characters = findInvalidCharacters(text, field.allowedCharacters);
+    if (characters) {
+      return formatMessage(VALIDATION_MESSAGES.characters, {
+        allowed: field.allowedCharactersDescription ?? 'letters, numbers and spaces',
+        characters,
+      });
+    }
+  }
+
+  if (field.format === 'date') {
+    text = normaliseDateValue(text);
+    const date = field.pattern?.test(text) ? parseDate(text) : null;
+    if (!date) return VALIDATION_MESSAGES.date;
+    if (date.getTime() > Date.now()) return VALIDATION_MESSAGES.futureDate;
+  } else if (field.pattern && !field.pattern.test(text)) {
+    return field.format === 'time' ? VALIDATION_MESSAGES.time : formatMessage(VALIDATION_MESSAGES.format, { label });
+  }
+
+  if (field.range) {
+    const { min, max, unit = '' } = field.range;
+    const number = Number(unit ? text.replace(new RegExp(`\\s*${unit}$`, 'i'), '') : text);
+    if (text === '' || !Number.isFinite(number)) return VALIDATION_MESSAGES.number;
+
+    if (number < min || number > max) {
+      return formatMessage(VALIDATION_MESSAGES.range, { min, max, unit });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validates personalisation data.
+ * @param {Record<string, any>} personalisation - Personalisation data keyed by field key
+ * @param {ValidationContext & { fields?: readonly PersonalisationField[] }} [context] - Fields to
+ *   validate (defaults to every field) and validation context
+ * @returns {{ valid: boolean, errors: Record<string, string> }} Error messages keyed by field key
+ */
+export function validatePersonalisation(personalisation, context = {}) {
+  const { fields = PERSONALISATION_FIELDS, ...fieldContext } = context;
+  const font = fieldContext.font ?? personalisation?.font ?? null;
+
+  /** @type {Record<string, string>} */
+  const errors = {};
+
+  for (const field of fields) {
+    const error = validatePersonalisationField(field, personalisation?.[field.key], { ...fieldContext, font });
+    if (error) errors[field.key] = error;
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Builds a single message summarising the errors of personalisation data, naming each field.
+ * @param {Record<string, string>} errors - Error messages keyed by field key
+ * @returns {string}
+ */
+export function summarisePersonalisationErrors(errors) {
+  return PERSONALISATION_FIELDS.filter((field) => errors[field.key])
+    .map((field) => `${field.property.replace(/:$/, '')}: ${errors[field.key]}`)
+    .join(' ');
+}
+
+/**
+ * Shows or clears the inline error of a personalisation input. The message is rendered after the
+ * input inside its field wrapper.
+ * @param {Element} input - The input, textarea or option grid of the field
+ * @param {string | null} message - The error message, or null to clear the error
+ */
+export function renderFieldError(input, message) {
+  const container =
+    input.closest('.personalise-modal__field, .personalise-name-tabs__panel') ?? input.parentElement;
+  if (!container) return;
+
+  let error = /** @type {HTMLElement | null} */ (container.querySelector('[data-personalisation-error]'));
+
+  if (input instanceof HTMLInputElement || input instanceof HTMLTextAreaElement) {
+    if (message) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+  }
+  container.classList.toggle('personalise-modal__field--invalid', !!message);
+
+  if (!message) {
+    error?.remove();
+    return;
+  }
+
+  if (!error) {
+    error = document.createElement('p');
+    error.className = 'personalise-modal__error';
+    error.setAttribute('data-personalisation-error', '');
+    error.setAttribute('aria-live', 'polite');
+    container.append(error);
+  }
+
+  error.textContent = message;
+}
@@ -2,8 +2,29 @@ import { DialogComponent, DialogOpenEvent, DialogCloseEvent } from '@theme/dialo
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
 import { morph } from '@theme/morph';
-import { morphSection, sectionRenderer, normalizeSectionId, buildSectionSelector } from '@theme/section-renderer';
+import { sectionRenderer, normalizeSectionId, buildSectionSelector } from '@theme/section-renderer';
 import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import {
+  PERSONALISATION_FIELDS,
+  createEmptyPersonalisation,
+  getPersonalisationField,
+  hasPersonalisationValue,
+  isPersonalisationInputName,
+  getPropertyInputName,
+  personalisationToProperties,
+  propertiesToPersonalisation,
+  readPersonalisationFromForm,
+  resolvePersonalisationField,
+  sanitizeFieldValue,
+} from '@theme/personalisation-schema';
+import { renderFieldError, validatePersonalisationField } from '@theme/personalisation-validation';
+import { fitTextToZone, getZoneStyle, parseTextZones } from '@theme/personalisation-layout';
+import { getColorPreview, getFontFamily } from '@theme/personalisation-palette';
+import { renderPersonalisationProof, setFormProof } from '@theme/personalisation-proof';
+import { getPersonalisationChanges } from '@theme/cart-line-personalisation';
+import { clearPersonalisationFromUrl, readPersonalisationFromUrl } from '@theme/personalisation-link';
+import { getCartLineItem, getProductItem } from '@theme/analytics';
+import { PersonalisationFunnel } from '@theme/personalisation-analytics';
 
 /**
  * A custom element that manages the personalisation modal.
@@ -13,6 +34,16 @@ import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
 export class PersonaliseDialogComponent extends DialogComponent {
   requiredRefs = ['dialog', 'saveButton', 'closeButton'];
   #previousScrollY = 0;
+  /** @type {Omit<import('@theme/personalisation-proof').ProofOptions, 'imageUrl'> | null} */
+  #previewLayout = null;
+  /** Changes to a cart line the shopper has been shown, saved on the next click. */
+  #confirmedCartChanges = '';
+  /** @type {string | null} */
+  #saveButtonText = null;
+  /** @type {Record<string, string>} Personalisation of a product link, filled in the first time the modal opens. */
+  #linkedPersonalisation = {};
+  /** Reports opens, edits, failed validation, saves and cancels. */
+  #funnel = new PersonalisationFunnel();
 
   connectedCallback() {
     super.connectedCallback();
@@ -20,25 +51,7 @@ export class PersonaliseDialogComponent extends DialogComponent {
     this.selectedColor = null;
     
     // Initialize personalisationData structure (fresh on each page load)
-    this.personalisationData = {
-      name: '',
-      font: null,
-      color: null,
-      dob: null,
-      schoolYear: null,
-      name1: null,
-      name2: null,
-      name3: null,
-      name4: null,
-      textbox: null,
-      message: null,
-      optionalDob: null,
-      time: null,
-      weight: null,
-      babyName: null,
-      kidName: null,
-      mumName: null
-    };
+    this.personalisationData = createEmptyPersonalisation();
     
     // Set up direct click handlers for close buttons to stop propagation
     setTimeout(() => {
@@ -62,6 +75,9 @@ export class PersonaliseDialogComponent extends DialogComponent {
     // Set up variant color change listener (when user selects color in modal)
     this.#setupVariantColorChangeListener();
 
+    // Personalised product link (e.g. a reorder QR code): read it before the modal auto-opens
+    this.#readLinkedPersonalisation();
+
     // If coming from collection page: auto-add ?customize=true to URL (product has personalisation + full-screen metafield)
     this.#maybeAddCustomizeParamFromCollection();
     // Auto-open personalisation when product page loads with ?customize=true (product has personalisation + full-screen metafield)
@@ -88,13 +104,27 @@ export class PersonaliseDialogComponent extends DialogComponent {
     history.replaceState({}, '', url.toString());
   }
 
+  /**
+   * Reads the personalisation of a personalised product link (see `personalisation-link.js`) and
+   * removes it from the URL, so a reload does not overwrite the shopper's changes
+   */
+  #readLinkedPersonalisation() {
+    if (this.dataset.context === 'cart-drawer') return;
+    if (this.hasAttribute('data-quick-add')) return;
+
+    this.#linkedPersonalisation = readPersonalisationFromUrl();
+    if (Object.keys(this.#linkedPersonalisation).length > 0) clearPersonalisationFromUrl();
+  }
+
   /**
    * Auto-opens the personalisation modal when product page is loaded with ?customize=true
-   * Only when: product has personalisation options, metafield cb_full_screen_personalisation is true, and not quick-add/cart context
+   * Only when: product has personalisation options, metafield cb_full_screen_personalisation is true (or the
+   * page was opened from a personalised product link), and not quick-add/cart context
    * @private
    */
   #maybeAutoOpenPersonalisation() {
-    if (this.dataset.autoOpenPersonalisation !== 'true') return;
+    const hasLinkedPersonalisation = Object.keys(this.#linkedPersonalisation).length > 0;
+    if (this.dataset.autoOpenPersonalisation !== 'true' && !hasLinkedPersonalisation) return;
     if (this.dataset.context === 'cart-drawer') return;
     if (this.hasAttribute('data-quick-add')) return;
 
@@ -859,6 +889,39 @@ export class PersonaliseDialogComponent extends DialogComponent {
     return null;
   }
 
+  /**
+   * Where the modal was opened from, for the personalisation funnel.
+   * @returns {string}
+   */
+  #getFunnelContext() {
+    if (window.cartPersonalizationContext?.key || this.dataset.context === 'cart-drawer') return 'cart-edit';
+    if (document.querySelector('bundle-add-dialog dialog[open]')) return 'bundle-add';
+    if (this.hasAttribute('data-quick-add')) {
+      return document.querySelector('#quick-add-modal-content[data-build-your-set]') ? 'build-your-set' : 'quick-add';
+    }
+    return 'product-page';
+  }
+
+  /**
+   * What is being personalised, for the personalisation funnel: the cart line being edited, or the
+   * product with the variant selected in its form.
+   * @returns {import('@theme/analytics').AnalyticsItem[]}
+   */
+  #getFunnelItems() {
+    const cartContext = window.cartPersonalizationContext;
+    const lineItem = cartContext?.key ? getCartLineItem(cartContext.key) : null;
+    if (lineItem) return [lineItem];
+
+    const variantInput = this.#getProductForm()?.querySelector('input[name="id"]');
+    const variantId =
+      cartContext?.variantId ??
+      (variantInput instanceof HTMLInputElement ? variantInput.value : undefined) ??
+      this._openingVariantId ??
+      undefined;
+    const item = getProductItem(this.dataset.productId ?? '', variantId);
+    return item ? [item] : [];
+  }
+
   /**
    * Syncs variant color selection and preview image when modal opens.
    * Handles both product form context (product page, quick-add) and cart drawer context.
@@ -926,6 +989,9 @@ export class PersonaliseDialogComponent extends DialogComponent {
         else this.updateCbPreviewOverlay();
       });
       input.addEventListener('change', () => {
+        const field = resolvePersonalisationField(input.getAttribute('name') ?? '');
+        if (field) this.#funnel.fieldEdited(field.key);
+
         this.updateSaveButton();
         if (input.name === 'properties[Date of Birth]' || input.id === 'dob_field_val') this.updateDobPreviewOverlay();
         else this.updateCbPreviewOverlay();
@@ -953,6 +1019,7 @@ export class PersonaliseDialogComponent extends DialogComponent {
         const colorName = colorButton.dataset.color;
         this.selectedColor = colorName;
         this.personalisationData.color = colorName;
+        this.#funnel.fieldEdited('color', radio.value || colorName);
       }
     }
     this.updateSaveButton();
@@ -1118,39 +1185,113 @@ export class PersonaliseDialogComponent extends DialogComponent {
    * @returns {Record<string, boolean>}
    */
   #getSupportedPersonalisationFields() {
-    const root = this;
-    return {
-      name: !!(root.querySelector('#personalise-name') || root.querySelector('input[name="personalise-name"]')),
-      font: !!(root.querySelector('.personalise-modal__font-grid') || root.refs?.fontGrid),
-      color: !!(root.querySelector('.personalise-modal__color-grid') || root.refs?.colorGrid),
-      dob: !!(root.querySelector('input[name="properties[Date of Birth]"]') || root.refs?.dobInput),
-      schoolYear: !!(root.querySelector('input[name="properties[School Year]"]') || root.refs?.schoolYearInput),
-      name1: !!(root.querySelector('input[name="properties[Name 1]"]') || root.refs?.name1Input),
-      name2: !!(root.querySelector('input[name="properties[Name 2]"]') || root.refs?.name2Input),
-      name3: !!(root.querySelector('input[name="properties[Name 3]"]') || root.refs?.name3Input),
-      name4: !!(root.querySelector('input[name="properties[Name 4]"]') || root.refs?.name4Input),
-      textbox: !!(root.querySelector('[name="properties[Personalisation:]"]') || root.refs?.textboxInput),
-      message: !!(root.querySelector('textarea[name="properties[Message]"]') || root.refs?.messageInput),
-      optionalDob: !!(root.querySelector('#dob_field_val') || root.querySelector('input[id="dob_field_val"]') || root.refs?.optionalDobInput),
-      time: !!(root.querySelector('input[name="properties[Time]"]') || root.refs?.timeInput),
-      weight: !!(root.querySelector('input[name="properties[Weight]"]') || root.refs?.weightInput),
-      babyName: !!(root.querySelector('[data-name-input="baby"]') || root.refs?.babyNameInput),
-      kidName: !!(root.querySelector('[data-name-input="kid"]') || root.refs?.kidNameInput),
-      mumName: !!(root.querySelector('[data-name-input="mum"]') || root.refs?.mumNameInput)
-    };
+    /** @type {Record<string, boolean>} */
+    const supported = {};
+    for (const field of PERSONALISATION_FIELDS) {
+      supported[field.key] = !!this.#getFieldInput(field);
+    }
+    return supported;
+  }
+
+  /**
+   * Gets the modal input (or option grid) of a personalisation field.
+   * @param {import('@theme/personalisation-schema').PersonalisationField} field
+   * @returns {HTMLElement | null}
+   */
+  #getFieldInput(field) {
+    const input =
+      (field.ref && this.refs?.[field.ref]) || (field.selector ? this.querySelector(field.selector) : null);
+    return input instanceof HTMLElement ? input : null;
+  }
+
+  /**
+   * Converts a date input value (YYYY-MM-DD) to the dd-mm-yyyy format stored on the line item.
+   * @param {string} value - The date input value
+   * @returns {string | null}
+   */
+  #formatDateInputValue(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    return `${day}-${month}-${date.getFullYear()}`;
+  }
+
+  /**
+   * Reads the current value of a personalisation field from the modal.
+   * @param {import('@theme/personalisation-schema').PersonalisationField} field
+   * @returns {string | null}
+   */
+  #readFieldValue(field) {
+    if (field.type === 'font') return this.personalisationData.font || this.selectedFont;
+    if (field.type === 'color') return this.personalisationData.color || this.selectedColor;
+
+    const input = this.#getFieldInput(field);
+    if (!(input instanceof HTMLInputElement || input instanceof HTMLTextAreaElement)) return null;
+    if (field.type === 'date') return this.#formatDateInputValue(input.value);
+    return input.value.trim();
+  }
+
+  /**
+   * Validates the fields this product supports and renders their inline errors.
+   * @param {Object} [options]
+   * @param {boolean} [options.requireValues] - Whether empty required fields are reported
+   * @returns {Record<string, string>} Error messages keyed by field key
+   */
+  #validateFields({ requireValues = false } = {}) {
+    const supported = this.#getSupportedPersonalisationFields();
+    const fontField = getPersonalisationField('font');
+    const font = fontField ? this.#readFieldValue(fontField) : null;
+    /** @type {Record<string, string>} */
+    const errors = {};
+
+    for (const field of PERSONALISATION_FIELDS) {
+      if (!supported[field.key]) continue;
+
+      const input = this.#getFieldInput(field);
+      // The rendered maxlength already reflects the product's personalise_N tag
+      const maxLength = input instanceof HTMLInputElement && input.maxLength > 0 ? input.maxLength : undefined;
+      const error = validatePersonalisationField(field, this.#readFieldValue(field), {
+        font: supported.font ? font : null,
+        maxLength,
+        requireValue: requireValues,
+      });
+
+      if (error) errors[field.key] = error;
+      if (input) renderFieldError(input, error);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Focuses the first field with an error, switching name tabs if needed.
+   * @param {Record<string, string>} errors - Error messages keyed by field key
+   */
+  #focusFirstInvalidField(errors) {
+    const field = PERSONALISATION_FIELDS.find(({ key }) => errors[key]);
+    if (!field) return;
+
+    if (field.tab) {
+      /** @type {HTMLElement | null} */ (this.querySelector(`[data-tab="${field.tab}"]`))?.click();
+    }
+
+    const input = this.#getFieldInput(field);
+    if (input instanceof HTMLElement) input.focus();
   }
 
   /**
    * Filters a personalisation object to only include fields the current product supports.
-   * @param {Object} data - Personalisation data object
-   * @returns {Object} Filtered object with only supported fields
+   * @param {Record<string, any> | null | undefined} data - Personalisation data object
+   * @returns {Record<string, any>} Filtered object with only supported fields
    */
   #filterToSupportedFields(data) {
     if (!data) return {};
     const supported = this.#getSupportedPersonalisationFields();
+    /** @type {Record<string, any>} */
     const filtered = {};
     for (const key of Object.keys(data)) {
-      if (supported[key] && data[key] != null && (!(typeof data[key] === 'string') || data[key].trim() !== '')) {
+      if (supported[key] && hasPersonalisationValue(data[key])) {
         filtered[key] = data[key];
       }
     }
@@ -1166,25 +1307,7 @@ export class PersonaliseDialogComponent extends DialogComponent {
       
       // Convert cart properties to personalisation data format
       const properties = window.cartPersonalizationContext.properties;
-      const personalisation = {
-        name: properties['Name'] || null,
-        name1: properties['Name 1'] || null,
-        name2: properties['Name 2'] || null,
-        name3: properties['Name 3'] || null,
-        name4: properties['Name 4'] || null,
-        babyName: properties['Baby\'s Name'] || null,
-        kidName: properties['Kid\'s Name'] || null,
-        mumName: properties['Mum\'s Name'] || null,
-        dob: properties['Date of Birth'] || null,
-        optionalDob: properties['Personalise Date of Birth'] || null,
-        schoolYear: properties['School Year'] || null,
-        color: properties['Text Color'] || null,
-        font: properties['Text Font'] || null,
-        textbox: properties['Personalisation:'] || null,
-        message: properties['Message'] || null,
-        time: properties['Time'] || null,
-        weight: properties['Weight'] || null
-      };
+      const personalisation = propertiesToPersonalisation(properties);
       
       // Filter out null/empty values and restrict to fields this product supports
       const filtered = this.#filterToSupportedFields(personalisation);
@@ -1197,6 +1320,17 @@ export class PersonaliseDialogComponent extends DialogComponent {
         return; // Exit early, we have the data from cart
       }
     }
+
+    // Personalised product link: fills the modal once, later opens read the form as usual
+    const linked = this.#filterToSupportedFields(this.#linkedPersonalisation);
+    this.#linkedPersonalisation = {};
+    if (Object.keys(linked).length > 0) {
+      this.personalisationData = {
+        ...this.personalisationData,
+        ...linked
+      };
+      return;
+    }
     
     // Find the product form - prefer form from same context as this dialog (avoids loading wrong product's data)
     let form = null;
@@ -1208,111 +1342,12 @@ export class PersonaliseDialogComponent extends DialogComponent {
       form = document.querySelector('form[data-type="add-to-cart-form"]');
     }
     
-    if (!form) {
+    if (!(form instanceof HTMLFormElement)) {
       return; // No form found
     }
     
     // Read personalisation data directly from form inputs
-    const personalisation = {};
-    
-    // Read name
-    const nameInput = form.querySelector('input[name="properties[Name]"]');
-    if (nameInput && nameInput.value.trim()) {
-      personalisation.name = nameInput.value.trim();
-    }
-    
-    // Read font
-    const fontInput = form.querySelector('input[name="properties[Text Font]"]:checked') || 
-                      form.querySelector('input[name="properties[Text Font]"]');
-    if (fontInput && fontInput.value.trim()) {
-      personalisation.font = fontInput.value.trim();
-    }
-    
-    // Read color
-    const colorInput = form.querySelector('input[name="properties[Text Color]"]:checked') || 
-                       form.querySelector('input[name="properties[Text Color]"]');
-    if (colorInput && colorInput.value.trim()) {
-      personalisation.color = colorInput.value.trim();
-    }
-    
-    // Read DOB
-    const dobInput = form.querySelector('input[name="properties[Date of Birth]"]');
-    if (dobInput && dobInput.value.trim()) {
-      personalisation.dob = dobInput.value.trim();
-    }
-    
-    // Read school year
-    const schoolYearInput = form.querySelector('input[name="properties[School Year]"]');
-    if (schoolYearInput && schoolYearInput.value.trim()) {
-      personalisation.schoolYear = schoolYearInput.value.trim();
-    }
-    
-    // Read name1-4
-    const name1Input = form.querySelector('input[name="properties[Name 1]"]');
-    if (name1Input && name1Input.value.trim()) {
-      personalisation.name1 = name1Input.value.trim();
-    }
-    
-    const name2Input = form.querySelector('input[name="properties[Name 2]"]');
-    if (name2Input && name2Input.value.trim()) {
-      personalisation.name2 = name2Input.value.trim();
-    }
-    
-    const name3Input = form.querySelector('input[name="properties[Name 3]"]');
-    if (name3Input && name3Input.value.trim()) {
-      personalisation.name3 = name3Input.value.trim();
-    }
-    
-    const name4Input = form.querySelector('input[name="properties[Name 4]"]');
-    if (name4Input && name4Input.value.trim()) {
-      personalisation.name4 = name4Input.value.trim();
-    }
-    
-    // Read textbox
-    const textboxInput = form.querySelector('[name="properties[Personalisation:]"]');
-    if (textboxInput && textboxInput.value.trim()) {
-      personalisation.textbox = textboxInput.value.trim();
-    }
-    
-    // Read message
-    const messageInput = form.querySelector('textarea[name="properties[Message]"]');
-    if (messageInput && messageInput.value.trim()) {
-      personalisation.message = messageInput.value.trim();
-    }
-    
-    // Read optional DOB
-    const optionalDobInput = form.querySelector('input[name="properties[Personalise Date of Birth]"]');
-    if (optionalDobInput && optionalDobInput.value.trim()) {
-      personalisation.optionalDob = optionalDobInput.value.trim();
-    }
-    
-    // Read time
-    const timeInput = form.querySelector('input[name="properties[Time]"]');
-    if (timeInput && timeInput.value.trim()) {
-      personalisation.time = timeInput.value.trim();
-    }
-    
-    // Read weight
-    const weightInput = form.querySelector('input[name="properties[Weight]"]');
-    if (weightInput && weightInput.value.trim()) {
-      personalisation.weight = weightInput.value.trim();
-    }
-    
-    // Read Baby/Kid/Mum names
-    const babyNameInput = form.querySelector('input[name="properties[Baby\'s Name]"]');
-    if (babyNameInput && babyNameInput.value.trim()) {
-      personalisation.babyName = babyNameInput.value.trim();
-    }
-    
-    const kidNameInput = form.querySelector('input[name="properties[Kid\'s Name]"]');
-    if (kidNameInput && kidNameInput.value.trim()) {
-      personalisation.kidName = kidNameInput.value.trim();
-    }
-    
-    const mumNameInput = form.querySelector('input[name="properties[Mum\'s Name]"]');
-    if (mumNameInput && mumNameInput.value.trim()) {
-      personalisation.mumName = mumNameInput.value.trim();
-    }
+    const personalisation = readPersonalisationFromForm(form);
     
     // Merge with existing personalisationData to preserve structure
     this.personalisationData = {
@@ -1327,11 +1362,12 @@ export class PersonaliseDialogComponent extends DialogComponent {
       // Try to get product ID to look up stored personalisation
       let productId = null;
       const productFormComponent = form?.closest('product-form-component');
-      if (productFormComponent) {
+      if (productFormComponent instanceof HTMLElement) {
         productId = productFormComponent.dataset?.productId;
       }
       
       // If not found, try to get from quick-add modal
+      const quickAddModal = document.getElementById('quick-add-modal-content');
       if (!productId && quickAddModal) {
         const quickAddFormComponent = quickAddModal.querySelector('product-form-component');
         productId = quickAddFormComponent?.dataset?.productId;
@@ -1388,6 +1424,8 @@ export class PersonaliseDialogComponent extends DialogComponent {
 
     if (dialog.open) return;
 
+    this.#resetCartChanges();
+
     // Capture variant from form at open time so we can use it if form hasn't been updated yet by variant picker
     if (variantIdFromButton) {
       this._openingVariantId = String(variantIdFromButton);
@@ -1419,6 +1457,7 @@ export class PersonaliseDialogComponent extends DialogComponent {
 
       dialog.showModal();
       this.dispatchEvent(new DialogOpenEvent());
+      this.#funnel.opened({ context: this.#getFunnelContext(), items: this.#getFunnelItems() });
       
       // Initialize save button state
       this.#initializeSaveButtonState();
@@ -1484,25 +1523,7 @@ export class PersonaliseDialogComponent extends DialogComponent {
       // But preserve cart context data if we're editing from cart
       this.selectedFont = null;
       this.selectedColor = null;
-      this.personalisationData = {
-        name: '',
-        font: null,
-        color: null,
-        dob: null,
-        schoolYear: null,
-        name1: null,
-        name2: null,
-        name3: null,
-        name4: null,
-        textbox: null,
-        message: null,
-        optionalDob: null,
-        time: null,
-        weight: null,
-        babyName: null,
-        kidName: null,
-        mumName: null
-      };
+      this.personalisationData = createEmptyPersonalisation();
       
       // CRITICAL: Also clear visual fields in the dialog to prevent showing old values
       // Wait for dialog to be available before clearing
@@ -1687,6 +1708,9 @@ export class PersonaliseDialogComponent extends DialogComponent {
    * This method name is unique and won't conflict with anything
    */
   closePersonaliseOnly = async () => {
+    // Nothing is reported when the modal was just saved
+    this.#funnel.closed();
+
     this._openingVariantId = null; // clear so next open doesn't use stale variant
     if (this._cbPreviewResizeHandler) {
       window.removeEventListener('resize', this._cbPreviewResizeHandler);
@@ -1696,25 +1720,7 @@ export class PersonaliseDialogComponent extends DialogComponent {
     this.selectedFont = null;
     this.selectedColor = null;
     // Reset personalisationData to initial state
-    this.personalisationData = {
-      name: '',
-      font: null,
-      color: null,
-      dob: null,
-      schoolYear: null,
-      name1: null,
-      name2: null,
-      name3: null,
-      name4: null,
-      textbox: null,
-      message: null,
-      optionalDob: null,
-      time: null,
-      weight: null,
-      babyName: null,
-      kidName: null,
-      mumName: null
-    };
+    this.personalisationData = createEmptyPersonalisation();
     
     // Get dialog directly - don't rely on refs if they might be stale
     const dialogElement = this.querySelector('dialog') || this.refs?.dialog;
@@ -1835,24 +1841,7 @@ export class PersonaliseDialogComponent extends DialogComponent {
     }
     
     // Check if any personalization field has data
-    const hasAnyData = 
-      this.personalisationData.name ||
-      this.personalisationData.font ||
-      this.personalisationData.color ||
-      this.personalisationData.dob ||
-      this.personalisationData.optionalDob ||
-      this.personalisationData.schoolYear ||
-      this.personalisationData.name1 ||
-      this.personalisationData.name2 ||
-      this.personalisationData.name3 ||
-      this.personalisationData.name4 ||
-      this.personalisationData.textbox ||
-      this.personalisationData.message ||
-      this.personalisationData.time ||
-      this.personalisationData.weight ||
-      this.personalisationData.babyName ||
-      this.personalisationData.kidName ||
-      this.personalisationData.mumName;
+    const hasAnyData = PERSONALISATION_FIELDS.some((field) => this.personalisationData[field.key]);
     
     if (!hasAnyData) {
       return; // No data to populate
@@ -1886,106 +1875,43 @@ export class PersonaliseDialogComponent extends DialogComponent {
     }
     
     // Load other fields
-    const dobInput = this.refs.dobInput || this.querySelector('input[name="properties[Date of Birth]"]');
-    if (dobInput && this.personalisationData.dob) dobInput.value = this.personalisationData.dob;
-    
-    const schoolYearInput = this.refs.schoolYearInput || this.querySelector('input[name="properties[School Year]"]');
-    if (schoolYearInput && this.personalisationData.schoolYear) schoolYearInput.value = this.personalisationData.schoolYear;
-    
-    const name1Input = this.refs.name1Input || this.querySelector('input[name="properties[Name 1]"]');
-    if (name1Input && this.personalisationData.name1) name1Input.value = this.personalisationData.name1;
-    
-    const name2Input = this.refs.name2Input || this.querySelector('input[name="properties[Name 2]"]');
-    if (name2Input && this.personalisationData.name2) name2Input.value = this.personalisationData.name2;
-    
-    const name3Input = this.refs.name3Input || this.querySelector('input[name="properties[Name 3]"]');
-    if (name3Input && this.personalisationData.name3) name3Input.value = this.personalisationData.name3;
-    
-    const name4Input = this.refs.name4Input || this.querySelector('input[name="properties[Name 4]"]');
-    if (name4Input && this.personalisationData.name4) name4Input.value = this.personalisationData.name4;
-    
-    const textboxInput = this.refs.textboxInput || this.querySelector('[name="properties[Personalisation:]"]');
-    if (textboxInput && this.personalisationData.textbox) textboxInput.value = this.personalisationData.textbox;
-    
-    const messageInput = this.refs.messageInput || this.querySelector('textarea[name="properties[Message]"]');
-    if (messageInput && this.personalisationData.message) messageInput.value = this.personalisationData.message;
-    
-    const optionalDobInput = this.refs.optionalDobInput || this.querySelector('#dob_field_val');
-    if (optionalDobInput && this.personalisationData.optionalDob) {
-      const dateParts = this.personalisationData.optionalDob.split('-');
-      if (dateParts.length === 3) {
-        optionalDobInput.value = `${dateParts[2]}-${dateParts[1]}-${dateParts[0]}`;
-      }
-    }
-    
-    const timeInput = this.refs.timeInput || this.querySelector('input[name="properties[Time]"]');
-    if (timeInput && this.personalisationData.time) timeInput.value = this.personalisationData.time;
-    
-    const weightInput = this.refs.weightInput || this.querySelector('input[name="properties[Weight]"]');
-    if (weightInput && this.personalisationData.weight) weightInput.value = this.personalisationData.weight;
-    
-    // Populate Baby/Kid/Mum name inputs
-    const babyNameInput = this.refs.babyNameInput || this.querySelector('[data-name-input="baby"]');
-    if (babyNameInput && this.personalisationData.babyName) {
-      babyNameInput.value = this.personalisationData.babyName;
-      // Update character counter
-      this.updateNameTabCharCounter('baby', babyNameInput.value.length);
-      // Update icon after DOM is ready - retry up to 5 times
-      let attempts = 0;
-      const maxAttempts = 5;
-      const updateBabyIcon = () => {
-        attempts++;
-        const hasValue = babyNameInput.value.trim().length > 0;
-        const icon = this.querySelector(`[data-tab-icon="baby"]`);
-        if (icon) {
-          this.updateNameTabIcon('baby', hasValue);
-        } else if (attempts < maxAttempts) {
-          setTimeout(updateBabyIcon, 100);
-        }
-      };
-      setTimeout(updateBabyIcon, 100);
-    }
-    
-    const kidNameInput = this.refs.kidNameInput || this.querySelector('[data-name-input="kid"]');
-    if (kidNameInput && this.personalisationData.kidName) {
-      kidNameInput.value = this.personalisationData.kidName;
-      // Update character counter
-      this.updateNameTabCharCounter('kid', kidNameInput.value.length);
-      // Update icon after DOM is ready - retry up to 5 times
-      let attempts = 0;
-      const maxAttempts = 5;
-      const updateKidIcon = () => {
-        attempts++;
-        const hasValue = kidNameInput.value.trim().length > 0;
-        const icon = this.querySelector(`[data-tab-icon="kid"]`);
-        if (icon) {
-          this.updateNameTabIcon('kid', hasValue);
-        } else if (attempts < maxAttempts) {
-          setTimeout(updateKidIcon, 100);
-        }
-      };
-      setTimeout(updateKidIcon, 100);
-    }
-    
-    const mumNameInput = this.refs.mumNameInput || this.querySelector('[data-name-input="mum"]');
-    if (mumNameInput && this.personalisationData.mumName) {
-      mumNameInput.value = this.personalisationData.mumName;
-      // Update character counter
-      this.updateNameTabCharCounter('mum', mumNameInput.value.length);
-      // Update icon after DOM is ready - retry up to 5 times
-      let attempts = 0;
-      const maxAttempts = 5;
-      const updateMumIcon = () => {
-        attempts++;
-        const hasValue = mumNameInput.value.trim().length > 0;
-        const icon = this.querySelector(`[data-tab-icon="mum"]`);
-        if (icon) {
-          this.updateNameTabIcon('mum', hasValue);
-        } else if (attempts < maxAttempts) {
-          setTimeout(updateMumIcon, 100);
+    for (const field of PERSONALISATION_FIELDS) {
+      const value = this.personalisationData[field.key];
+      if (field.key === 'name' || field.type === 'font' || field.type === 'color' || !value) continue;
+
+      const input = this.#getFieldInput(field);
+      if (!(input instanceof HTMLInputElement || input instanceof HTMLTextAreaElement)) continue;
+
+      if (field.type === 'date') {
+        // Stored as dd-mm-yyyy, the date input expects YYYY-MM-DD
+        const dateParts = value.split('-');
+        if (dateParts.length === 3) {
+          input.value = `${dateParts[2]}-${dateParts[1]}-${dateParts[0]}`;
         }
-      };
-      setTimeout(updateMumIcon, 100);
+        continue;
+      }
+
+      input.value = value;
+
+      if (field.tab) {
+        const { tab } = field;
+        // Update character counter
+        this.updateNameTabCharCounter(tab, input.value.length);
+        // Update icon after DOM is ready - retry up to 5 times
+        let attempts = 0;
+        const maxAttempts = 5;
+        const updateTabIcon = () => {
+          attempts++;
+          const hasValue = input.value.trim().length > 0;
+          const icon = this.querySelector(`[data-tab-icon="${tab}"]`);
+          if (icon) {
+            this.updateNameTabIcon(tab, hasValue);
+          } else if (attempts < maxAttempts) {
+            setTimeout(updateTabIcon, 100);
+          }
+        };
+        setTimeout(updateTabIcon, 100);
+      }
     }
     
     this.updateSaveButton();
@@ -2031,217 +1957,205 @@ export class PersonaliseDialogComponent extends DialogComponent {
   }
 
   /**
-   * Updates the dynamic personalization text overlay on the preview image when
+   * Updates the dynamic personalization text overlays on the preview image when the
    * variant/product has cb_personalization_image and cb_personalization_position metafields.
-   * Positions overlay in pixels from the visible (object-fit: contain) image rect so the
-   * image stays full size and text placement is correct at all viewports.
+   * Every text zone gets its own overlay, positioned in pixels from the visible (object-fit: contain)
+   * image rect so the image stays full size and text placement is correct at all viewports.
    */
   updateCbPreviewOverlay() {
     const imageUrl = this.dataset.cbPersonalizationImage;
-    const positionJson = this.dataset.cbPersonalizationPosition;
-
-    const overlay = (this.refs && this.refs.previewTextOverlay) || this.querySelector('.personalise-modal__preview-text-overlay');
-
-    // When no position (e.g. variant has image but no position), clear overlay so previous variant's text doesn't persist
-    if (!imageUrl || !positionJson) {
-      if (overlay) overlay.textContent = '';
-      return;
-    }
-    if (!overlay) return;
-
-    const wrap = this.querySelector('.personalise-modal__preview-image-wrap');
-    const img = wrap && wrap.querySelector('.personalise-modal__preview-image--dynamic');
+    const zones = imageUrl
+      ? parseTextZones(this.dataset.cbPersonalizationPosition, this.dataset.cbDobPersonalizationPosition)
+      : [];
+
+    // Overlays without a zone (e.g. variant has image but no position) are cleared so previous text doesn't persist
+    const overlays = this.#getZoneOverlays(zones);
+    this.#previewLayout = null;
+    if (!zones.length || overlays.length !== zones.length) return;
+
+    const wrap = /** @type {HTMLElement | null} */ (this.querySelector('.personalise-modal__preview-image-wrap'));
+    const img = /** @type {HTMLImageElement | null} */ (
+      wrap?.querySelector('.personalise-modal__preview-image--dynamic') ?? null
+    );
     if (img && !img.complete) {
       img.addEventListener('load', () => this.updateCbPreviewOverlay(), { once: true });
     }
 
-    let position;
-    try {
-      position = typeof positionJson === 'string' ? JSON.parse(positionJson) : positionJson;
-    } catch (e) {
-      return;
-    }
-    const xPct = position.x != null ? Number(position.x) : 20;
-    const yPct = position.y != null ? Number(position.y) : 20;
-    const fontSize = position.font_size != null ? Number(position.font_size) : 20;
-
     const supported = this.#getSupportedPersonalisationFields();
-    let name = '';
-    if (supported.babyName || supported.kidName || supported.mumName) {
-      const activePanel = this.querySelector('.personalise-name-tabs__panel.is-active');
-      const panelType = activePanel && activePanel.dataset.panel;
-      if (panelType === 'baby') {
-        const babyInput = (this.refs && this.refs.babyNameInput) || this.querySelector('[data-name-input="baby"]');
-        name = (babyInput && babyInput.value) || (this.personalisationData && this.personalisationData.babyName) || '';
-      } else if (panelType === 'kid') {
-        const kidInput = (this.refs && this.refs.kidNameInput) || this.querySelector('[data-name-input="kid"]');
-        name = (kidInput && kidInput.value) || (this.personalisationData && this.personalisationData.kidName) || '';
-      } else if (panelType === 'mum') {
-        const mumInput = (this.refs && this.refs.mumNameInput) || this.querySelector('[data-name-input="mum"]');
-        name = (mumInput && mumInput.value) || (this.personalisationData && this.personalisationData.mumName) || '';
-      }
-      name = String(name).trim();
-    } else {
-      const nameInput = (this.refs && this.refs.nameInput) || this.querySelector('#personalise-name');
-      const nameVal = (nameInput && nameInput.value) || (this.personalisationData && this.personalisationData.name) || '';
-      name = String(nameVal).trim();
-    }
     const colorName = supported.color ? ((this.personalisationData && this.personalisationData.color) || this.selectedColor || '') : '';
     const fontName = supported.font ? ((this.personalisationData && this.personalisationData.font) || this.selectedFont || '') : '';
 
-    overlay.textContent = name;
-    overlay.style.fontSize = `${fontSize}px`;
-    overlay.style.fontFamily = fontName ? `"${fontName}", sans-serif` : '';
-    overlay.style.transform = 'translate(-50%, 50%)';
-    overlay.style.top = '';
-
-    const colorMap = {
-      black: '#000000',
-      white: '#ffffff',
-      blue: '#DEE8EF',
-      gold: '#DEB035',
-      green: '#E4EFDB',
-      grey: '#E8EBEC',
-      gray: '#E8EBEC',
-      multicolour: '#8B4789',
-      orange: '#F8CF89',
-      pink: '#F7DDE2',
-      purple: '#F0D9E6',
-      red: '#BC3725',
-      silver: '#DEEBF7',
-      yellow: '#F9F3DB'
-    };
-    const colorKey = colorName && colorName.toLowerCase ? colorName.toLowerCase() : '';
-    const cssColor = (colorKey && colorMap[colorKey]) || colorName || '';
-    overlay.style.color = (supported.color && cssColor) ? cssColor : 'inherit';
+    const cssColor = getColorPreview(colorName);
+    const color = (supported.color && cssColor) ? cssColor : 'inherit';
+    const fontFamily = getFontFamily(fontName);
+
+    const rect = this.#getPreviewImageRect(wrap, img);
+    /** @type {import('@theme/personalisation-proof').ProofLayer[]} */
+    const layers = [];
+
+    zones.forEach((zone, index) => {
+      const overlay = overlays[index];
+      if (!overlay) return;
+      const text = this.#getZoneText(zone, supported);
+
+      overlay.textContent = text;
+      overlay.style.display = text ? '' : 'none';
+      overlay.style.fontSize = `${zone.fontSize}px`;
+      overlay.style.fontFamily = fontFamily;
+      overlay.style.color = color;
+      overlay.style.top = '';
+      if (!text) return;
+
+      // Measured at the zone's font size, before any shrink or rotation
+      const maxWidth = rect && zone.maxWidth ? (rect.width * zone.maxWidth) / 100 : null;
+      const { fontSize, condense } = fitTextToZone(zone, overlay.scrollWidth, maxWidth);
+      const { transform, transformOrigin, textAlign } = getZoneStyle(zone, condense);
+      overlay.style.fontSize = `${fontSize}px`;
+      overlay.style.transform = transform;
+      overlay.style.transformOrigin = transformOrigin;
+      overlay.style.textAlign = textAlign;
+
+      if (!rect) return;
+      overlay.style.left = Math.round(rect.left + (rect.width * zone.x) / 100) + 'px';
+      overlay.style.bottom = Math.round(rect.bottom + (rect.height * zone.y) / 100) + 'px';
+
+      layers.push({
+        text,
+        x: zone.x,
+        y: zone.y,
+        fontSize,
+        fontFamily,
+        color: getComputedStyle(overlay).color,
+        rotation: zone.rotation,
+        align: zone.align,
+        condense,
+      });
+    });
 
-    if (!wrap || !img || !img.naturalWidth) return;
-    const wrapW = wrap.clientWidth;
-    const wrapH = wrap.clientHeight;
-    if (!wrapW || !wrapH) return;
-    const nw = img.naturalWidth;
-    const nh = img.naturalHeight;
-    const scale = Math.min(wrapW / nw, wrapH / nh);
-    const vW = nw * scale;
-    const vH = nh * scale;
-    const vL = (wrapW - vW) / 2;
-    const vT = (wrapH - vH) / 2;
-    const leftPx = vL + (vW * xPct / 100);
-    const bottomPx = wrapH - vT - (vH * (1 - yPct / 100));
-    overlay.style.left = Math.round(leftPx) + 'px';
-    overlay.style.bottom = Math.round(bottomPx) + 'px';
-    this.updateDobPreviewOverlay();
+    if (rect && img) {
+      this.#previewLayout = { width: img.naturalWidth, height: img.naturalHeight, displayWidth: rect.width, layers };
+    }
   }
 
   /**
-   * Updates the DOB preview overlay on the dynamic preview image when the product has
-   * cb_dob_personalization_poisition metafield (variant or product). Positions overlay in pixels
-   * from the visible (object-fit: contain) image rect.
+   * Updates the DOB preview overlay. The date of birth (cb_dob_personalization_poisition) is one of
+   * the text zones, so this re-renders every zone.
    */
   updateDobPreviewOverlay() {
-    const positionJson = this.dataset.cbDobPersonalizationPosition;
-    if (!positionJson) {
-      const dobOverlay = (this.refs && this.refs.previewDobOverlay) || this.querySelector('.personalise-modal__preview-dob-overlay');
-      if (dobOverlay) {
-        dobOverlay.style.display = 'none';
-        dobOverlay.textContent = '';
-      }
-      return;
-    }
+    this.updateCbPreviewOverlay();
+  }
 
+  /**
+   * Gets an overlay for each text zone. The name and DOB overlays from the snippet are reused and an
+   * overlay is added for every further zone; overlays no zone uses are cleared or removed.
+   * @param {import('@theme/personalisation-layout').TextZone[]} zones
+   * @returns {HTMLElement[]} The overlays, in zone order (empty when there is no preview image)
+   */
+  #getZoneOverlays(zones) {
     const wrap = this.querySelector('.personalise-modal__preview-image-wrap');
-    const img = wrap && wrap.querySelector('.personalise-modal__preview-image--dynamic');
-    if (img && !img.complete) {
-      img.addEventListener('load', () => this.updateDobPreviewOverlay(), { once: true });
-    }
-
+    const textOverlay = (this.refs && this.refs.previewTextOverlay) || this.querySelector('.personalise-modal__preview-text-overlay');
     const dobOverlay = (this.refs && this.refs.previewDobOverlay) || this.querySelector('.personalise-modal__preview-dob-overlay');
-    if (!dobOverlay) return;
+    /** @type {HTMLElement[]} */
+    const zoneOverlays = wrap ? Array.from(wrap.querySelectorAll('[data-zone-overlay]')) : [];
 
-    let position;
-    try {
-      position = typeof positionJson === 'string' ? JSON.parse(positionJson) : positionJson;
-    } catch (e) {
-      dobOverlay.style.display = 'none';
-      return;
+    /** @type {Record<string, HTMLElement | null>} */
+    const unused = {
+      text: textOverlay instanceof HTMLElement ? textOverlay : null,
+      dob: dobOverlay instanceof HTMLElement ? dobOverlay : null,
+    };
+
+    for (const overlay of Object.values(unused)) {
+      if (!overlay) continue;
+      overlay.textContent = '';
+      overlay.style.display = 'none';
     }
+    if (!wrap) return [];
+
+    const overlays = zones.map((zone) => {
+      const slot = zone.field === 'dob' ? 'dob' : 'text';
+      let overlay = unused[slot] || zoneOverlays.shift();
+      unused[slot] = null;
 
-    // Get DOB value from either personalized_dob or optional_fields input
-    const dobInput = this.refs?.dobInput || this.querySelector('input[name="properties[Date of Birth]"]');
-    const optionalDobInput = this.refs?.optionalDobInput || this.querySelector('#dob_field_val');
-    let dobValue = '';
-    if (dobInput?.value?.trim()) {
-      dobValue = dobInput.value.trim();
-    } else if (optionalDobInput?.value) {
-      const d = new Date(optionalDobInput.value);
-      if (!isNaN(d.getTime())) {
-        const dd = String(d.getDate()).padStart(2, '0');
-        const mm = String(d.getMonth() + 1).padStart(2, '0');
-        const yyyy = d.getFullYear();
-        dobValue = `${dd}-${mm}-${yyyy}`;
+      if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.className = 'personalise-modal__preview-text-overlay';
+        overlay.setAttribute('aria-hidden', 'true');
+        overlay.setAttribute('data-zone-overlay', '');
+        wrap.append(overlay);
       }
-    } else if (this.personalisationData?.dob) {
-      dobValue = this.personalisationData.dob;
-    } else if (this.personalisationData?.optionalDob) {
-      dobValue = this.personalisationData.optionalDob;
-    }
 
-    if (!dobValue) {
-      dobOverlay.style.display = 'none';
-      dobOverlay.textContent = '';
-      return;
+      overlay.dataset.zone = zone.name;
+      return overlay;
+    });
+
+    zoneOverlays.forEach((overlay) => overlay.remove());
+    return overlays;
+  }
+
+  /**
+   * Gets the text a zone shows: the field's input value, falling back to the saved personalisation.
+   * @param {import('@theme/personalisation-layout').TextZone} zone
+   * @param {Record<string, boolean>} supported - Fields this product supports
+   * @returns {string}
+   */
+  #getZoneText(zone, supported) {
+    let keys = [zone.field];
+
+    if (zone.field === 'name' && (supported.babyName || supported.kidName || supported.mumName)) {
+      // The name zone shows whichever name tab is active
+      const activePanel = this.querySelector('.personalise-name-tabs__panel.is-active');
+      const tab = activePanel instanceof HTMLElement ? activePanel.dataset.panel : undefined;
+      const tabField = PERSONALISATION_FIELDS.find((field) => field.tab && field.tab === tab);
+      keys = tabField ? [tabField.key] : [];
+    } else if (zone.field === 'dob') {
+      // Products tagged optional_fields ask for the date of birth with a date picker instead
+      keys = ['dob', 'optionalDob'];
     }
 
-    const xPct = position.x != null ? Number(position.x) : 20;
-    const yPct = position.y != null ? Number(position.y) : 20;
-    const fontSize = position.font_size != null ? Number(position.font_size) : 20;
+    const fields = keys.flatMap((key) => {
+      const field = getPersonalisationField(key);
+      return field && field.type !== 'font' && field.type !== 'color' ? [field] : [];
+    });
+    const value =
+      fields.map((field) => (this.#getFieldInput(field) ? this.#readFieldValue(field) : null)).find(hasPersonalisationValue) ??
+      fields.map((field) => this.personalisationData?.[field.key]).find(hasPersonalisationValue);
 
-    const supported = this.#getSupportedPersonalisationFields();
-    const colorName = supported.color ? ((this.personalisationData && this.personalisationData.color) || this.selectedColor || '') : '';
-    const fontName = supported.font ? ((this.personalisationData && this.personalisationData.font) || this.selectedFont || '') : '';
+    return value ? String(value).trim() : '';
+  }
 
-    const colorMap = {
-      black: '#000000',
-      white: '#ffffff',
-      blue: '#DEE8EF',
-      gold: '#DEB035',
-      green: '#E4EFDB',
-      grey: '#E8EBEC',
-      gray: '#E8EBEC',
-      multicolour: '#8B4789',
-      orange: '#F8CF89',
-      pink: '#F7DDE2',
-      purple: '#F0D9E6',
-      red: '#BC3725',
-      silver: '#DEEBF7',
-      yellow: '#F9F3DB'
-    };
-    const colorKey = colorName && colorName.toLowerCase ? colorName.toLowerCase() : '';
-    const cssColor = (colorKey && colorMap[colorKey]) || colorName || '';
-
-    dobOverlay.textContent = dobValue;
-    dobOverlay.style.fontSize = `${fontSize}px`;
-    dobOverlay.style.fontFamily = fontName ? `"${fontName}", sans-serif` : '';
-    dobOverlay.style.transform = 'translate(-50%, 50%)';
-    dobOverlay.style.top = '';
-    dobOverlay.style.color = (supported.color && cssColor) ? cssColor : 'inherit';
-    dobOverlay.style.display = '';
-
-    if (!wrap || !img || !img.naturalWidth) return;
+  /**
+   * Gets the visible rect of the preview image (object-fit: contain) inside its wrap.
+   * @param {HTMLElement | null} wrap - The preview image wrap
+   * @param {HTMLImageElement | null} img - The dynamic preview image
+   * @returns {{ left: number, bottom: number, width: number, height: number } | null} Offsets from the
+   *   wrap's left and bottom edges and size in px, or null before the image is laid out
+   */
+  #getPreviewImageRect(wrap, img) {
+    if (!wrap || !img || !img.naturalWidth) return null;
     const wrapW = wrap.clientWidth;
     const wrapH = wrap.clientHeight;
-    if (!wrapW || !wrapH) return;
-    const nw = img.naturalWidth;
-    const nh = img.naturalHeight;
-    const scale = Math.min(wrapW / nw, wrapH / nh);
-    const vW = nw * scale;
-    const vH = nh * scale;
-    const vL = (wrapW - vW) / 2;
-    const vT = (wrapH - vH) / 2;
-    const leftPx = vL + (vW * xPct / 100);
-    const bottomPx = wrapH - vT - (vH * (1 - yPct / 100));
-    dobOverlay.style.left = Math.round(leftPx) + 'px';
-    dobOverlay.style.bottom = Math.round(bottomPx) + 'px';
+    if (!wrapW || !wrapH) return null;
+
+    const scale = Math.min(wrapW / img.naturalWidth, wrapH / img.naturalHeight);
+    const width = img.naturalWidth * scale;
+    const height = img.naturalHeight * scale;
+    return { left: (wrapW - width) / 2, bottom: (wrapH - height) / 2, width, height };
+  }
+
+  /**
+   * Renders the preview into a proof image so the cart and the order show exactly what was approved.
+   * @returns {Promise<File | null>} The PNG, or null when the product has no dynamic preview or
+   *   nothing is written on it
+   */
+  async #createPersonalisationProof() {
+    const imageUrl = this.dataset.cbPersonalizationImage;
+    if (!imageUrl) return null;
+
+    // Refresh the overlays so the proof matches the values being saved
+    this.updateCbPreviewOverlay();
+    if (!this.#previewLayout) return null;
+
+    return renderPersonalisationProof({ imageUrl, ...this.#previewLayout });
   }
 
   /**
@@ -2249,11 +2163,12 @@ export class PersonaliseDialogComponent extends DialogComponent {
    * @param {Event} event - The input event
    */
   handleNameInput = (event) => {
-    const input = event.target;
+    const input = /** @type {HTMLInputElement} */ (event.target);
     const value = input.value;
+    const field = getPersonalisationField('name');
     
     // Remove special characters (only allow letters, numbers, and spaces)
-    const sanitized = value.replace(/[^a-zA-Z0-9\s]/g, '');
+    const sanitized = field ? sanitizeFieldValue(field, value) : value;
     if (sanitized !== value) {
       input.value = sanitized;
     }
@@ -2272,11 +2187,12 @@ export class PersonaliseDialogComponent extends DialogComponent {
    * @param {Event} event - The input event
    */
   handleNameTabInput = (event) => {
-    const input = event.target;
-    const tabType = input.dataset.nameInput; // 'baby', 'kid', or 'mum'
+    const input = /** @type {HTMLInputElement} */ (event.target);
+    const tabType = input.dataset.nameInput ?? ''; // 'baby', 'kid', or 'mum'
+    const field = PERSONALISATION_FIELDS.find((f) => f.tab === tabType);
     
     // Remove special characters (only allow letters, numbers, and spaces)
-    const sanitized = input.value.replace(/[^a-zA-Z0-9\s]/g, '');
+    const sanitized = field ? sanitizeFieldValue(field, input.value) : input.value;
     if (sanitized !== input.value) {
       input.value = sanitized;
     }
@@ -2288,12 +2204,8 @@ export class PersonaliseDialogComponent extends DialogComponent {
     this.updateNameTabCharCounter(tabType, length);
     
     // Update personalisation data
-    if (tabType === 'baby') {
-      this.personalisationData.babyName = value;
-    } else if (tabType === 'kid') {
-      this.personalisationData.kidName = value;
-    } else if (tabType === 'mum') {
-      this.personalisationData.mumName = value;
+    if (field) {
+      this.personalisationData[field.key] = value;
     }
     
     // Show/hide tick icon based on whether value exists
@@ -2454,6 +2366,7 @@ export class PersonaliseDialogComponent extends DialogComponent {
 
     const fontName = button.dataset.font;
     this.selectFontByName(fontName);
+    this.#funnel.fieldEdited('font', fontName);
   };
 
   /**
@@ -2539,12 +2452,16 @@ export class PersonaliseDialogComponent extends DialogComponent {
         }
       });
       
+      // Validate entered values and show inline errors (empty fields are only reported on save)
+      const hasInvalidField = Object.keys(this.#validateFields()).length > 0;
+      
       // Disable save button if any required field is missing:
       // 1. Name input exists but is empty (for personalized_name products)
       // 2. Any baby/kid/mum name input exists but is empty
       // 3. Font field exists but no font is selected
       // 4. Color field exists but no color is selected
       // 5. Any other required field is missing
+      // 6. Any entered value is invalid
       if (nameInput && !hasName) {
         this.refs.saveButton.disabled = true;
       } else if (babyNameRequired || kidNameRequired || mumNameRequired) {
@@ -2553,7 +2470,7 @@ export class PersonaliseDialogComponent extends DialogComponent {
         this.refs.saveButton.disabled = true;
       } else if (colorRequired) {
         this.refs.saveButton.disabled = true;
-      } else if (hasMissingRequiredField) {
+      } else if (hasMissingRequiredField || hasInvalidField) {
         this.refs.saveButton.disabled = true;
       } else {
         // All required fields have values, enable save button
@@ -2575,100 +2492,76 @@ export class PersonaliseDialogComponent extends DialogComponent {
     
     // Validate required fields (name is required for personalized_name products)
     if (nameInput && !name) {
+      this.#funnel.validationFailed({ name: 'required' });
       return;
     }
 
-    // Collect Baby/Kid/Mum name values from inputs FIRST
-    const babyNameInput = this.refs.babyNameInput || this.querySelector('[data-name-input="baby"]');
-    const babyNameValue = babyNameInput && babyNameInput.value.trim() ? babyNameInput.value.trim() : null;
-    
-    const kidNameInput = this.refs.kidNameInput || this.querySelector('[data-name-input="kid"]');
-    const kidNameValue = kidNameInput && kidNameInput.value.trim() ? kidNameInput.value.trim() : null;
-    
-    const mumNameInput = this.refs.mumNameInput || this.querySelector('[data-name-input="mum"]');
-    const mumNameValue = mumNameInput && mumNameInput.value.trim() ? mumNameInput.value.trim() : null;
+    // Validate every field and show inline errors (covers the cart edit flow too)
+    const errors = this.#validateFields({ requireValues: true });
+    if (Object.keys(errors).length > 0) {
+      this.#funnel.validationFailed(errors);
+      this.#focusFirstInvalidField(errors);
+      return;
+    }
 
     // Collect all personalisation data - only include values for fields this product supports
     const supported = this.#getSupportedPersonalisationFields();
-    const personalisation = {
-      name: supported.name ? name : null,
-      font: supported.font ? (this.personalisationData.font || this.selectedFont) : null,
-      color: supported.color ? (this.personalisationData.color || this.selectedColor) : null,
-      dob: null,
-      schoolYear: null,
-      name1: null,
-      name2: null,
-      name3: null,
-      name4: null,
-      textbox: null,
-      message: null,
-      optionalDob: null,
-      time: null,
-      weight: null,
-      babyName: supported.babyName ? babyNameValue : null,
-      kidName: supported.kidName ? kidNameValue : null,
-      mumName: supported.mumName ? mumNameValue : null
-    };
-
-    // Collect optional fields (only from inputs that exist = product supports them)
-    const dobInput = this.refs.dobInput || this.querySelector('input[name="properties[Date of Birth]"]');
-    if (dobInput) personalisation.dob = dobInput.value.trim();
-
-    const schoolYearInput = this.refs.schoolYearInput || this.querySelector('input[name="properties[School Year]"]');
-    if (schoolYearInput) personalisation.schoolYear = schoolYearInput.value.trim();
-
-    const name1Input = this.refs.name1Input || this.querySelector('input[name="properties[Name 1]"]');
-    if (name1Input) personalisation.name1 = name1Input.value.trim();
-
-    const name2Input = this.refs.name2Input || this.querySelector('input[name="properties[Name 2]"]');
-    if (name2Input) personalisation.name2 = name2Input.value.trim();
+    const personalisation = createEmptyPersonalisation();
 
-    const name3Input = this.refs.name3Input || this.querySelector('input[name="properties[Name 3]"]');
-    if (name3Input) personalisation.name3 = name3Input.value.trim();
-
-    const name4Input = this.refs.name4Input || this.querySelector('input[name="properties[Name 4]"]');
-    if (name4Input) personalisation.name4 = name4Input.value.trim();
-
-    const textboxInput = this.refs.textboxInput || this.querySelector('[name="properties[Personalisation:]"]');
-    if (textboxInput) personalisation.textbox = textboxInput.value.trim();
-
-    const messageInput = this.refs.messageInput || this.querySelector('textarea[name="properties[Message]"]');
-    if (messageInput) personalisation.message = messageInput.value.trim();
-
-    const optionalDobInput = this.refs.optionalDobInput || this.querySelector('#dob_field_val');
-    if (optionalDobInput && optionalDobInput.value) {
-      // Convert date input (YYYY-MM-DD) to dd-mm-yyyy format
-      const date = new Date(optionalDobInput.value);
-      const day = String(date.getDate()).padStart(2, '0');
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const year = date.getFullYear();
-      personalisation.optionalDob = `${day}-${month}-${year}`;
+    for (const field of PERSONALISATION_FIELDS) {
+      personalisation[field.key] = supported[field.key] ? this.#readFieldValue(field) : null;
     }
 
-    const timeInput = this.refs.timeInput || this.querySelector('input[name="properties[Time]"]');
-    if (timeInput) personalisation.time = timeInput.value.trim();
-
-    const weightInput = this.refs.weightInput || this.querySelector('input[name="properties[Weight]"]');
-    if (weightInput) personalisation.weight = weightInput.value.trim();
-
     // Update personalisationData for next time
-    if (babyNameValue !== null) this.personalisationData.babyName = babyNameValue;
-    if (kidNameValue !== null) this.personalisationData.kidName = kidNameValue;
-    if (mumNameValue !== null) this.personalisationData.mumName = mumNameValue;
+    for (const field of PERSONALISATION_FIELDS) {
+      if (field.tab && personalisation[field.key]) this.personalisationData[field.key] = personalisation[field.key];
+    }
 
     // Only keep fields this product supports (prevents Product A's font/color etc. being saved for Product B)
     const filteredPersonalisation = this.#filterToSupportedFields(personalisation);
 
     // Check if we're editing from cart context
     const cartContext = window.cartPersonalizationContext;
+
+    if (cartContext && cartContext.key) {
+      const changes = getPersonalisationChanges(
+        cartContext.properties,
+        personalisationToProperties(filteredPersonalisation)
+      );
+
+      if (changes.length === 0) {
+        this.#funnel.saved(filteredPersonalisation);
+        window.cartPersonalizationContext = null;
+        this.closeDialog();
+        return;
+      }
+
+      // Show the shopper what changes on the line first, the next click saves
+      const signature = JSON.stringify(changes);
+      if (signature !== this.#confirmedCartChanges) {
+        this.#confirmedCartChanges = signature;
+        this.#renderCartChanges(changes);
+        return;
+      }
+    }
+
+    // Render the proof while the preview is still on screen
+    const proof = await this.#createPersonalisationProof();
     
     // Declare form variable outside if/else so it's accessible later
     let form = null;
     
-    if (cartContext && cartContext.cartLine) {
+    if (cartContext && cartContext.key) {
       // Update cart item properties ONLY - do NOT update product page form
       // The product page form should keep its original personalization
-      await this.#updateCartItemProperties(cartContext, filteredPersonalisation);
+      const saved = await this.#updateCartItemProperties(
+        cartContext,
+        personalisationToProperties(filteredPersonalisation),
+        proof
+      );
+      // Keep the modal open so the shopper sees the error and can try again
+      if (!saved) return;
+      this.#funnel.saved(filteredPersonalisation);
       
       // Find form only for event detail, but don't modify it
       form = this.closest('product-form-component')?.querySelector('form[data-type="add-to-cart-form"]');
@@ -2683,6 +2576,8 @@ export class PersonaliseDialogComponent extends DialogComponent {
       }
       
     } else {
+      this.#funnel.saved(filteredPersonalisation);
+
       // Write personalisation directly to form inputs (not to storage)
       // CRITICAL: Use #getProductForm() to get the form for THIS product (by product ID)
       // This prevents adding wrong product when personalise-dialog is in body or multiple forms exist
@@ -2694,23 +2589,7 @@ export class PersonaliseDialogComponent extends DialogComponent {
         existingProps.forEach(input => {
           const name = input.name;
           // Only remove personalisation-related properties, not gift message or other properties
-          if (name.includes('[Name]') || 
-              name.includes('[Text Font]') || 
-              name.includes('[Text Color]') || 
-              name.includes('[Date of Birth]') || 
-              name.includes('[School Year]') || 
-              name.includes('[Name 1]') || 
-              name.includes('[Name 2]') || 
-              name.includes('[Name 3]') || 
-              name.includes('[Name 4]') || 
-              name.includes('[Personalisation:]') || 
-              name.includes('[Personalise Date of Birth]') || 
-              name.includes('[Time]') || 
-              name.includes('[Weight]') ||
-              name.includes('[Baby\'s Name]') ||
-              name.includes('[Kid\'s Name]') ||
-              name.includes('[Mum\'s Name]') ||
-              name.includes('[Message]')) {
+          if (isPersonalisationInputName(name)) {
             input.remove();
           }
         });
@@ -2732,23 +2611,11 @@ export class PersonaliseDialogComponent extends DialogComponent {
           }
         };
         
-        if (filteredPersonalisation.name) addProperty('properties[Name]', filteredPersonalisation.name);
-        if (filteredPersonalisation.font) addProperty('properties[Text Font]', filteredPersonalisation.font);
-        if (filteredPersonalisation.color) addProperty('properties[Text Color]', filteredPersonalisation.color);
-        if (filteredPersonalisation.dob) addProperty('properties[Date of Birth]', filteredPersonalisation.dob);
-        if (filteredPersonalisation.schoolYear) addProperty('properties[School Year]', filteredPersonalisation.schoolYear);
-        if (filteredPersonalisation.name1) addProperty('properties[Name 1]', filteredPersonalisation.name1);
-        if (filteredPersonalisation.name2) addProperty('properties[Name 2]', filteredPersonalisation.name2);
-        if (filteredPersonalisation.name3) addProperty('properties[Name 3]', filteredPersonalisation.name3);
-        if (filteredPersonalisation.name4) addProperty('properties[Name 4]', filteredPersonalisation.name4);
-        if (filteredPersonalisation.textbox) addProperty('properties[Personalisation:]', filteredPersonalisation.textbox);
-        if (filteredPersonalisation.message) addProperty('properties[Message]', filteredPersonalisation.message);
-        if (filteredPersonalisation.optionalDob) addProperty('properties[Personalise Date of Birth]', filteredPersonalisation.optionalDob);
-        if (filteredPersonalisation.time) addProperty('properties[Time]', filteredPersonalisation.time);
-        if (filteredPersonalisation.weight) addProperty('properties[Weight]', filteredPersonalisation.weight);
-        if (filteredPersonalisation.babyName) addProperty('properties[Baby\'s Name]', filteredPersonalisation.babyName);
-        if (filteredPersonalisation.kidName) addProperty('properties[Kid\'s Name]', filteredPersonalisation.kidName);
-        if (filteredPersonalisation.mumName) addProperty('properties[Mum\'s Name]', filteredPersonalisation.mumName);
+        for (const [property, value] of Object.entries(personalisationToProperties(filteredPersonalisation))) {
+          addProperty(`properties[${property}]`, value);
+        }
+
+        setFormProof(form, proof);
         
         // Verify inputs were added
         const addedInputs = form.querySelectorAll('input[name^="properties["]');
@@ -2935,113 +2802,102 @@ export class PersonaliseDialogComponent extends DialogComponent {
   };
 
   /**
-   * Updates cart item properties using cart/change.js
-   * @param {Object} cartContext - The cart context with cartLine, productId, variantId
-   * @param {Object} personalisation - The personalisation data
+   * Saves the personalisation to the cart line being edited. The line is addressed by key and keeps
+   * its other properties, see `@theme/cart-line-personalisation`.
+   * @param {{ key: string, cartItems?: HTMLElement }} cartContext - The cart context set by the cart
+   *   items component
+   * @param {Record<string, string>} properties - The personalisation properties
+   * @param {File | null} proof - The proof image of the new personalisation
+   * @returns {Promise<boolean>} Whether the line was updated. On failure the error is shown in the modal
    * @private
    */
-  async #updateCartItemProperties(cartContext, personalisation) {
+  async #updateCartItemProperties(cartContext, properties, proof) {
+    const saveButton = /** @type {HTMLButtonElement} */ (this.refs.saveButton);
+    const cartItems = /** @type {any} */ (
+      cartContext.cartItems?.isConnected ? cartContext.cartItems : document.querySelector('cart-items-component')
+    );
+
+    this.#showCartError(null);
+    saveButton.disabled = true;
+
     try {
-      // First, fetch current cart to get the existing quantity for this line item
-      const cartResponse = await fetch('/cart.js');
-      const currentCart = await cartResponse.json();
-      
-      // Find the line item by line index (1-based)
-      const lineIndex = parseInt(cartContext.cartLine) - 1; // Convert to 0-based index
-      const currentCartItem = currentCart.items[lineIndex];
-      
-      if (!currentCartItem) {
-        throw new Error('Cart item not found');
-      }
-      
-      // Get the current quantity to preserve it
-      const currentQuantity = currentCartItem.quantity || 1;
-      
-      // Convert personalisation object to properties format for cart API
-      const properties = {};
-      
-      if (personalisation.name) properties['Name'] = personalisation.name;
-      if (personalisation.name1) properties['Name 1'] = personalisation.name1;
-      if (personalisation.name2) properties['Name 2'] = personalisation.name2;
-      if (personalisation.name3) properties['Name 3'] = personalisation.name3;
-      if (personalisation.name4) properties['Name 4'] = personalisation.name4;
-      if (personalisation.babyName) properties['Baby\'s Name'] = personalisation.babyName;
-      if (personalisation.kidName) properties['Kid\'s Name'] = personalisation.kidName;
-      if (personalisation.mumName) properties['Mum\'s Name'] = personalisation.mumName;
-      if (personalisation.dob) properties['Date of Birth'] = personalisation.dob;
-      if (personalisation.optionalDob) properties['Personalise Date of Birth'] = personalisation.optionalDob;
-      if (personalisation.schoolYear) properties['School Year'] = personalisation.schoolYear;
-      if (personalisation.color) properties['Text Color'] = personalisation.color;
-      if (personalisation.font) properties['Text Font'] = personalisation.font;
-      if (personalisation.textbox) properties['Personalisation:'] = personalisation.textbox;
-      if (personalisation.message) properties['Message'] = personalisation.message;
-      if (personalisation.time) properties['Time'] = personalisation.time;
-      if (personalisation.weight) properties['Weight'] = personalisation.weight;
-      
-      // Get cart sections to update - find all cart-items-components
-      const cartItemsComponents = document.querySelectorAll('cart-items-component');
-      const sectionIdSet = new Set();
-      cartItemsComponents.forEach(comp => {
-        if (comp.dataset?.sectionId) {
-          sectionIdSet.add(comp.dataset.sectionId);
-        }
-      });
-      const sectionIds = Array.from(sectionIdSet).join(',');
-      
-      // Build request body - include quantity to preserve it
-      const body = {
-        line: cartContext.cartLine,
-        quantity: currentQuantity,
-        properties: properties
-      };
-      
-      // Add sections parameter if we have section IDs (comma-separated string)
-      if (sectionIds) {
-        body.sections = sectionIds;
-        // Also include sections_url for proper section rendering
-        body.sections_url = window.location.pathname;
+      if (typeof cartItems?.updateLinePersonalisation !== 'function') {
+        throw new Error('Your cart could not be updated. Please refresh the page and try again.');
       }
-      
-      // Update cart via AJAX
-      const response = await fetch('/cart/change.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(body)
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Cart update failed: ${response.statusText}`);
-      }
-      
-      const cart = await response.json();
-      
-      // If cart API returned sections, use them to update the DOM
-      if (cart.sections) {
-        // Update each section
-        Object.keys(cart.sections).forEach(sectionId => {
-          if (cart.sections[sectionId]) {
-            morphSection(sectionId, cart.sections[sectionId]);
-          }
-        });
-      } else if (sectionIds) {
-        // Fetch updated cart sections manually
-        const sectionsResponse = await fetch(`/?sections=${sectionIds}`);
-        const sectionsData = await sectionsResponse.json();
-        
-        Object.keys(sectionsData).forEach(sectionId => {
-          if (sectionsData[sectionId]) {
-            morphSection(sectionId, sectionsData[sectionId]);
-          }
-        });
-      } else {
-        // Fallback: reload the page
-        window.location.reload();
-      }
-      
+
+      await cartItems.updateLinePersonalisation(cartContext.key, properties, proof);
+      return true;
     } catch (error) {
       console.error('Error updating cart item properties:', error);
+      this.#showCartError(error instanceof Error ? error.message : String(error));
+      return false;
+    } finally {
+      saveButton.disabled = false;
+    }
+  }
+
+  /**
+   * Lists what the save changes on the cart line, before and after.
+   * @param {import('@theme/cart-line-personalisation').PersonalisationChange[]} changes
+   */
+  #renderCartChanges(changes) {
+    const { cartChanges, saveButton } = this.refs;
+    if (!(cartChanges instanceof HTMLElement) || !(saveButton instanceof HTMLElement)) return;
+
+    const title = document.createElement('p');
+    title.className = 'personalise-modal__cart-changes-title';
+    title.textContent = 'Please check your changes:';
+
+    const list = document.createElement('dl');
+    list.className = 'personalise-modal__cart-changes-list';
+
+    for (const change of changes) {
+      const term = document.createElement('dt');
+      term.textContent = change.label.replace(/:$/, '');
+
+      const before = document.createElement('del');
+      before.textContent = change.before || 'None';
+      const after = document.createElement('ins');
+      after.textContent = change.after || 'None';
+
+      const detail = document.createElement('dd');
+      detail.append(before, ' \u2192 ', after);
+      list.append(term, detail);
+    }
+
+    cartChanges.replaceChildren(title, list);
+    cartChanges.hidden = false;
+
+    this.#saveButtonText ??= saveButton.textContent?.trim() ?? '';
+    saveButton.textContent = 'CONFIRM CHANGES';
+  }
+
+  /**
+   * Shows or clears the error of a cart line update.
+   * @param {string | null} message
+   */
+  #showCartError(message) {
+    const { cartError } = this.refs;
+    if (!(cartError instanceof HTMLElement)) return;
+
+    cartError.textContent = message ?? '';
+    cartError.hidden = !message;
+  }
+
+  /**
+   * Clears the changes and error of a previous cart line edit.
+   */
+  #resetCartChanges() {
+    const { cartChanges, saveButton } = this.refs;
+
+    this.#confirmedCartChanges = '';
+    this.#showCartError(null);
+    if (cartChanges instanceof HTMLElement) {
+      cartChanges.replaceChildren();
+      cartChanges.hidden = true;
+    }
+    if (saveButton instanceof HTMLElement && this.#saveButtonText !== null) {
+      saveButton.textContent = this.#saveButtonText;
     }
   }
 
@@ -3086,23 +2942,7 @@ export class PersonaliseDialogComponent extends DialogComponent {
     existingProps.forEach(input => {
       const name = input.name;
       // Only remove personalisation-related properties, not gift message or other properties
-      if (name.includes('[Name]') || 
-          name.includes('[Text Font]') || 
-          name.includes('[Text Color]') || 
-          name.includes('[Date of Birth]') || 
-          name.includes('[School Year]') || 
-          name.includes('[Name 1]') || 
-          name.includes('[Name 2]') || 
-          name.includes('[Name 3]') || 
-          name.includes('[Name 4]') || 
-          name.includes('[Personalisation:]') || 
-          name.includes('[Personalise Date of Birth]') || 
-          name.includes('[Time]') || 
-          name.includes('[Weight]') ||
-          name.includes('[Baby\'s Name]') ||
-          name.includes('[Kid\'s Name]') ||
-          name.includes('[Mum\'s Name]') ||
-          name.includes('[Message]')) {
+      if (isPersonalisationInputName(name)) {
         input.remove();
       }
     });
@@ -3119,72 +2959,8 @@ export class PersonaliseDialogComponent extends DialogComponent {
     };
 
     // Add all personalisation properties (filtered to supported fields only)
-    if (filtered.name) {
-      addProperty('properties[Name]', filtered.name);
-    }
-
-    if (filtered.font) {
-      addProperty('properties[Text Font]', filtered.font);
-    }
-
-    if (filtered.color) {
-      addProperty('properties[Text Color]', filtered.color);
-    }
-
-    if (filtered.dob) {
-      addProperty('properties[Date of Birth]', filtered.dob);
-    }
-
-    if (filtered.schoolYear) {
-      addProperty('properties[School Year]', filtered.schoolYear);
-    }
-
-    if (filtered.name1) {
-      addProperty('properties[Name 1]', filtered.name1);
-    }
-
-    if (filtered.name2) {
-      addProperty('properties[Name 2]', filtered.name2);
-    }
-
-    if (filtered.name3) {
-      addProperty('properties[Name 3]', filtered.name3);
-    }
-
-    if (filtered.name4) {
-      addProperty('properties[Name 4]', filtered.name4);
-    }
-
-    if (filtered.textbox) {
-      addProperty('properties[Personalisation:]', filtered.textbox);
-    }
-
-    if (filtered.message) {
-      addProperty('properties[Message]', filtered.message);
-    }
-
-    if (filtered.optionalDob) {
-      addProperty('properties[Personalise Date of Birth]', filtered.optionalDob);
-    }
-
-    if (filtered.time) {
-      addProperty('properties[Time]', filtered.time);
-    }
-
-    if (filtered.weight) {
-      addProperty('properties[Weight]', filtered.weight);
-    }
-
-    if (filtered.babyName) {
-      addProperty('properties[Baby\'s Name]', filtered.babyName);
-    }
-
-    if (filtered.kidName) {
-      addProperty('properties[Kid\'s Name]', filtered.kidName);
-    }
-
-    if (filtered.mumName) {
-      addProperty('properties[Mum\'s Name]', filtered.mumName);
+    for (const [property, value] of Object.entries(personalisationToProperties(filtered))) {
+      addProperty(`properties[${property}]`, value);
     }
     
     // Also set up a listener to re-add fields before form submission
@@ -3223,95 +2999,7 @@ export class PersonaliseDialogComponent extends DialogComponent {
       }
       
       // Read personalisation directly from form inputs (not from storage)
-      const personalisation = {};
-      
-      // Read all personalisation fields from form
-      const nameInput = targetForm.querySelector('input[name="properties[Name]"]');
-      if (nameInput && nameInput.value.trim()) {
-        personalisation.name = nameInput.value.trim();
-      }
-      
-      const fontInput = targetForm.querySelector('input[name="properties[Text Font]"]:checked') || 
-                        targetForm.querySelector('input[name="properties[Text Font]"]');
-      if (fontInput && fontInput.value.trim()) {
-        personalisation.font = fontInput.value.trim();
-      }
-      
-      const colorInput = targetForm.querySelector('input[name="properties[Text Color]"]:checked') || 
-                         targetForm.querySelector('input[name="properties[Text Color]"]');
-      if (colorInput && colorInput.value.trim()) {
-        personalisation.color = colorInput.value.trim();
-      }
-      
-      const dobInput = targetForm.querySelector('input[name="properties[Date of Birth]"]');
-      if (dobInput && dobInput.value.trim()) {
-        personalisation.dob = dobInput.value.trim();
-      }
-      
-      const schoolYearInput = targetForm.querySelector('input[name="properties[School Year]"]');
-      if (schoolYearInput && schoolYearInput.value.trim()) {
-        personalisation.schoolYear = schoolYearInput.value.trim();
-      }
-      
-      const name1Input = targetForm.querySelector('input[name="properties[Name 1]"]');
-      if (name1Input && name1Input.value.trim()) {
-        personalisation.name1 = name1Input.value.trim();
-      }
-      
-      const name2Input = targetForm.querySelector('input[name="properties[Name 2]"]');
-      if (name2Input && name2Input.value.trim()) {
-        personalisation.name2 = name2Input.value.trim();
-      }
-      
-      const name3Input = targetForm.querySelector('input[name="properties[Name 3]"]');
-      if (name3Input && name3Input.value.trim()) {
-        personalisation.name3 = name3Input.value.trim();
-      }
-      
-      const name4Input = targetForm.querySelector('input[name="properties[Name 4]"]');
-      if (name4Input && name4Input.value.trim()) {
-        personalisation.name4 = name4Input.value.trim();
-      }
-      
-      const textboxInput = targetForm.querySelector('[name="properties[Personalisation:]"]');
-      if (textboxInput && textboxInput.value.trim()) {
-        personalisation.textbox = textboxInput.value.trim();
-      }
-      
-      const messageInput = targetForm.querySelector('textarea[name="properties[Message]"]');
-      if (messageInput && messageInput.value.trim()) {
-        personalisation.message = messageInput.value.trim();
-      }
-      
-      const optionalDobInput = targetForm.querySelector('input[name="properties[Personalise Date of Birth]"]');
-      if (optionalDobInput && optionalDobInput.value.trim()) {
-        personalisation.optionalDob = optionalDobInput.value.trim();
-      }
-      
-      const timeInput = targetForm.querySelector('input[name="properties[Time]"]');
-      if (timeInput && timeInput.value.trim()) {
-        personalisation.time = timeInput.value.trim();
-      }
-      
-      const weightInput = targetForm.querySelector('input[name="properties[Weight]"]');
-      if (weightInput && weightInput.value.trim()) {
-        personalisation.weight = weightInput.value.trim();
-      }
-      
-      const babyNameInput = targetForm.querySelector('input[name="properties[Baby\'s Name]"]');
-      if (babyNameInput && babyNameInput.value.trim()) {
-        personalisation.babyName = babyNameInput.value.trim();
-      }
-      
-      const kidNameInput = targetForm.querySelector('input[name="properties[Kid\'s Name]"]');
-      if (kidNameInput && kidNameInput.value.trim()) {
-        personalisation.kidName = kidNameInput.value.trim();
-      }
-      
-      const mumNameInput = targetForm.querySelector('input[name="properties[Mum\'s Name]"]');
-      if (mumNameInput && mumNameInput.value.trim()) {
-        personalisation.mumName = mumNameInput.value.trim();
-      }
+      const personalisation = readPersonalisationFromForm(targetForm);
       
       // Check if we have any personalisation data from form inputs
       let hasPersonalisation = Object.keys(personalisation).length > 0;
@@ -3361,25 +3049,8 @@ export class PersonaliseDialogComponent extends DialogComponent {
         existingProps.forEach(input => {
           const name = input.name;
           // Only remove personalisation-related properties, not gift message or other properties
-          // Check for exact matches or specific patterns - be very specific to avoid removing Gift Message
-          const isPersonalisation = 
-            name === 'properties[Name]' ||
-            name === 'properties[Name 1]' ||
-            name === 'properties[Name 2]' ||
-            name === 'properties[Name 3]' ||
-            name === 'properties[Name 4]' ||
-            name.includes('[Text Font]') || 
-            name.includes('[Text Color]') || 
-            (name.includes('[Date of Birth]') && !name.includes('Gift')) || 
-            name.includes('[School Year]') || 
-            name.includes('[Personalisation:]') || 
-            name.includes('[Personalise Date of Birth]') || 
-            name.includes('[Time]') || 
-            name.includes('[Weight]') ||
-            name.includes('[Baby\'s Name]') ||
-            name.includes('[Kid\'s Name]') ||
-            name.includes('[Mum\'s Name]') ||
-            (name === 'properties[Message]' && !name.includes('Gift'));
+          // Match exact property names to avoid removing Gift Message
+          const isPersonalisation = isPersonalisationInputName(name);
           
           if (isPersonalisation) {
             input.remove();
@@ -3412,55 +3083,13 @@ export class PersonaliseDialogComponent extends DialogComponent {
           }
         };
         
-        if (personalisation.name) addProperty('properties[Name]', personalisation.name);
-        if (personalisation.font) addProperty('properties[Text Font]', personalisation.font);
-        if (personalisation.color) addProperty('properties[Text Color]', personalisation.color);
-        if (personalisation.dob) addProperty('properties[Date of Birth]', personalisation.dob);
-        if (personalisation.schoolYear) addProperty('properties[School Year]', personalisation.schoolYear);
-        if (personalisation.name1) addProperty('properties[Name 1]', personalisation.name1);
-        if (personalisation.name2) addProperty('properties[Name 2]', personalisation.name2);
-        if (personalisation.name3) addProperty('properties[Name 3]', personalisation.name3);
-        if (personalisation.name4) addProperty('properties[Name 4]', personalisation.name4);
-        if (personalisation.textbox) addProperty('properties[Personalisation:]', personalisation.textbox);
-        if (personalisation.message) addProperty('properties[Message]', personalisation.message);
-        if (personalisation.optionalDob) addProperty('properties[Personalise Date of Birth]', personalisation.optionalDob);
-        if (personalisation.time) addProperty('properties[Time]', personalisation.time);
-        if (personalisation.weight) addProperty('properties[Weight]', personalisation.weight);
-        if (personalisation.babyName) {
-          addProperty('properties[Baby\'s Name]', personalisation.babyName);
-          console.log('Added Baby\'s Name to form:', personalisation.babyName);
-        }
-        if (personalisation.kidName) {
-          addProperty('properties[Kid\'s Name]', personalisation.kidName);
-          console.log('Added Kid\'s Name to form:', personalisation.kidName);
-        }
-        if (personalisation.mumName) {
-          addProperty('properties[Mum\'s Name]', personalisation.mumName);
-          console.log('Added Mum\'s Name to form:', personalisation.mumName);
+        for (const field of PERSONALISATION_FIELDS) {
+          if (personalisation[field.key]) addProperty(getPropertyInputName(field), personalisation[field.key]);
         }
         
         // Verify inputs are in the form
         const verifyInputs = targetForm.querySelectorAll('input[name^="properties["]');
-        const personalisationInputs = Array.from(verifyInputs).filter(input => {
-          const name = input.name;
-          return name === 'properties[Name]' ||
-                 name.includes('[Text Font]') || 
-                 name.includes('[Text Color]') || 
-                 name.includes('[Date of Birth]') || 
-                 name.includes('[School Year]') || 
-                 name.includes('[Name 1]') || 
-                 name.includes('[Name 2]') || 
-                 name.includes('[Name 3]') || 
-                 name.includes('[Name 4]') || 
-                 name.includes('[Personalisation:]') || 
-                 name.includes('[Personalise Date of Birth]') || 
-                 name.includes('[Time]') || 
-                 name.includes('[Weight]') ||
-                 name.includes('[Baby\'s Name]') ||
-                 name.includes('[Kid\'s Name]') ||
-                 name.includes('[Mum\'s Name]') ||
-                 name === 'properties[Message]';
-        });
+        const personalisationInputs = Array.from(verifyInputs).filter(input => isPersonalisationInputName(input.name));
         
         console.log('Successfully added all personalisation fields to form before submit');
         console.log('Verification: Found', personalisationInputs.length, 'personalisation inputs in form after adding');
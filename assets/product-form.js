@@ -1,8 +1,33 @@
 import { Component } from '@theme/component';
 import { fetchConfig, preloadImage, onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, CartUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import {
+  ThemeEvents,
+  CartAddEvent,
+  CartErrorEvent,
+  CartUpdateEvent,
+  SelectionAddEvent,
+  VariantUpdateEvent,
+} from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart-store';
+import { getProductCartQuantity } from '@theme/quantity-rules';
+import {
+  PER_ITEM_SOURCE,
+  WRAP_INSTANCE_PROPERTY,
+  WRAP_SOURCE_PROPERTY,
+  createWrapInstanceId,
+  getRememberedWrapSelection,
+  getSelectedWrapOptions,
+} from '@theme/gift-wrap-linkage';
 import { morph } from '@theme/morph';
+import {
+  PERSONALISATION_FIELDS,
+  getPropertyInputName,
+  isPersonalisationInputName,
+  propertiesToPersonalisation,
+} from '@theme/personalisation-schema';
+import { summarisePersonalisationErrors, validatePersonalisation } from '@theme/personalisation-validation';
+import { PROOF_PROPERTY } from '@theme/personalisation-proof';
 
 // Error message display duration - gives users time to read the message
 const ERROR_MESSAGE_DISPLAY_DURATION = 10000;
@@ -156,10 +181,26 @@ if (!customElements.get('add-to-cart-component')) {
   customElements.define('add-to-cart-component', AddToCartComponent);
 }
 
+/**
+ * Leaves out the properties posted by the gift card recipient form, whose `Message` is not the
+ * personalisation message and has its own length limit.
+ * @param {HTMLFormElement} form
+ * @param {Record<string, string>} properties - The submitted properties, by name
+ * @returns {Record<string, string>}
+ */
+function getPersonalisationProperties(form, properties) {
+  const personalisationProperties = { ...properties };
+  for (const element of form.querySelectorAll('gift-card-recipient-form [name^="properties["]')) {
+    const propertyName = element.getAttribute('name')?.match(/^properties\[(.+)\]$/)?.[1];
+    if (propertyName) delete personalisationProperties[propertyName];
+  }
+  return personalisationProperties;
+}
+
 /**
  * A custom element that manages a product form.
  *
- * @typedef {{items: Array<{quantity: number, variant_id: number}>}} Cart
+ * @typedef {{items: Array<{quantity: number, variant_id: number, product_id: number}>}} Cart
  *
  * @typedef {object} ProductFormRefs
  * @property {HTMLInputElement} variantId - The form input for submitting the variant ID.
@@ -319,7 +360,7 @@ class ProductFormComponent extends Component {
     // Use public API to update quantity selector
     const quantitySelector = /** @type {any | undefined} */ (this.querySelector('quantity-selector-component'));
     if (quantitySelector?.setCartQuantity) {
-      quantitySelector.setCartQuantity(cartQty);
+      quantitySelector.setCartQuantity(cartQty, getProductCartQuantity(cart, quantitySelector.dataset.productId));
     }
 
     // Update quantity label if it exists
@@ -337,8 +378,7 @@ class ProductFormComponent extends Component {
     if (!variantIdInput?.value) return 0;
 
     try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
+      const cart = await cartStore.get();
 
       return this.#updateCartQuantityFromData(cart);
     } catch (error) {
@@ -363,6 +403,29 @@ class ProductFormComponent extends Component {
     }
   };
 
+  /**
+   * Offers the item to a builder on the page (e.g. party favours), which may collect it instead of the
+   * cart. See `SelectionAddEvent`.
+   *
+   * @param {FormData} formData - The form data of the submission.
+   * @param {Record<string, string>} properties - The line item properties submitted.
+   * @returns {boolean} Whether the item was taken, so must not be added to the cart.
+   */
+  #offerToSelection(formData, properties) {
+    const variantId = (formData.get('id') || '').toString();
+    if (!variantId) return false;
+
+    const event = new SelectionAddEvent({
+      productId: this.dataset.productId || '',
+      variantId,
+      quantity: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault) || 1,
+      properties: Object.fromEntries(Object.entries(properties).filter(([, value]) => value.trim() !== '')),
+      quantityRule: this.refs.quantitySelector?.quantityRule,
+    });
+
+    return !this.dispatchEvent(event);
+  }
+
   /**
    * Handles the submit event for the product form.
    *
@@ -399,6 +462,12 @@ class ProductFormComponent extends Component {
 
     if (!form) throw new Error('Product form element missing');
 
+    // The gift card recipient form lists its own errors
+    const recipientForm = /** @type {(HTMLElement & { validate?: () => boolean }) | null} */ (
+      this.querySelector('gift-card-recipient-form')
+    );
+    if (recipientForm?.validate && !recipientForm.validate()) return;
+
     // Check if personalization confirmation is required and checked
     if (!this.#isPersonalisationConfirmed()) {
       // Disable all add to cart buttons and return early
@@ -419,26 +488,7 @@ class ProductFormComponent extends Component {
 
         const errorTemplate = this.dataset.quantityErrorMax || '';
         const errorMessage = errorTemplate.replace('{{ maximum }}', validation.maxQuantity?.toString() || '');
-        if (addToCartTextError) {
-          addToCartTextError.classList.remove('hidden');
-
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = errorMessage;
-          } else {
-            const newTextNode = document.createTextNode(errorMessage);
-            addToCartTextError.appendChild(newTextNode);
-          }
-
-          this.#setLiveRegionText(errorMessage);
-
-          if (this.#timeout) clearTimeout(this.#timeout);
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
-            this.#clearLiveRegionText();
-          }, ERROR_MESSAGE_DISPLAY_DURATION);
-        }
+        this.#showErrorMessage(errorMessage);
 
         setTimeout(() => {
           // Re-enable ALL add-to-cart buttons
@@ -488,24 +538,7 @@ class ProductFormComponent extends Component {
       const existingProps = form.querySelectorAll('input[name^="properties["], textarea[name^="properties["]');
       existingProps.forEach(input => {
         const name = input.name;
-        const isPersonalisation = 
-          name === 'properties[Name]' ||
-          name === 'properties[Name 1]' ||
-          name === 'properties[Name 2]' ||
-          name === 'properties[Name 3]' ||
-          name === 'properties[Name 4]' ||
-          name.includes('[Text Font]') || 
-          name.includes('[Text Color]') || 
-          (name.includes('[Date of Birth]') && !name.includes('Gift')) || 
-          name.includes('[School Year]') || 
-          name.includes('[Personalisation:]') || 
-          name.includes('[Personalise Date of Birth]') || 
-          name.includes('[Time]') || 
-          name.includes('[Weight]') ||
-          name.includes('[Baby\'s Name]') ||
-          name.includes('[Kid\'s Name]') ||
-          name.includes('[Mum\'s Name]') ||
-          (name === 'properties[Message]' && !name.includes('Gift'));
+        const isPersonalisation = isPersonalisationInputName(name);
         
         if (isPersonalisation) {
           input.remove();
@@ -529,47 +562,14 @@ class ProductFormComponent extends Component {
         }
       };
       
-      if (personalisation.name) addProperty('properties[Name]', personalisation.name);
-      if (personalisation.font) addProperty('properties[Text Font]', personalisation.font);
-      if (personalisation.color) addProperty('properties[Text Color]', personalisation.color);
-      if (personalisation.dob) addProperty('properties[Date of Birth]', personalisation.dob);
-      if (personalisation.schoolYear) addProperty('properties[School Year]', personalisation.schoolYear);
-      if (personalisation.name1) addProperty('properties[Name 1]', personalisation.name1);
-      if (personalisation.name2) addProperty('properties[Name 2]', personalisation.name2);
-      if (personalisation.name3) addProperty('properties[Name 3]', personalisation.name3);
-      if (personalisation.name4) addProperty('properties[Name 4]', personalisation.name4);
-      if (personalisation.textbox) addProperty('properties[Personalisation:]', personalisation.textbox);
-      if (personalisation.message) addProperty('properties[Message]', personalisation.message);
-      if (personalisation.optionalDob) addProperty('properties[Personalise Date of Birth]', personalisation.optionalDob);
-      if (personalisation.time) addProperty('properties[Time]', personalisation.time);
-      if (personalisation.weight) addProperty('properties[Weight]', personalisation.weight);
-      if (personalisation.babyName) addProperty('properties[Baby\'s Name]', personalisation.babyName);
-      if (personalisation.kidName) addProperty('properties[Kid\'s Name]', personalisation.kidName);
-      if (personalisation.mumName) addProperty('properties[Mum\'s Name]', personalisation.mumName);
+      for (const field of PERSONALISATION_FIELDS) {
+        if (personalisation[field.key]) addProperty(getPropertyInputName(field), personalisation[field.key]);
+      }
     }
     
     // Also check if form has personalisation inputs
     const personalisationInputs = form.querySelectorAll('input[name^="properties["]');
-    const actualPersonalisationInputs = Array.from(personalisationInputs).filter(input => {
-      const name = input.name;
-      return name === 'properties[Name]' ||
-             name.includes('[Text Font]') || 
-             name.includes('[Text Color]') || 
-             name.includes('[Date of Birth]') || 
-             name.includes('[School Year]') || 
-             name.includes('[Name 1]') || 
-             name.includes('[Name 2]') || 
-             name.includes('[Name 3]') || 
-             name.includes('[Name 4]') || 
-             name.includes('[Personalisation:]') || 
-             name.includes('[Personalise Date of Birth]') || 
-             name.includes('[Time]') || 
-             name.includes('[Weight]') ||
-             name.includes('[Baby\'s Name]') ||
-             name.includes('[Kid\'s Name]') ||
-             name.includes('[Mum\'s Name]') ||
-             name === 'properties[Message]';
-    });
+    const actualPersonalisationInputs = Array.from(personalisationInputs).filter(input => isPersonalisationInputName(input.name));
     console.log('ProductFormComponent: Found', actualPersonalisationInputs.length, 'personalisation inputs in form before FormData');
     if (actualPersonalisationInputs.length > 0) {
       actualPersonalisationInputs.forEach(input => {
@@ -584,26 +584,7 @@ class ProductFormComponent extends Component {
     
     // Double-check: if no personalisation in FormData, add it directly
     const formDataEntries = Array.from(formData.entries());
-    const personalisationEntries = formDataEntries.filter(([key]) => {
-      const name = key;
-      return name === 'properties[Name]' ||
-             name.includes('[Text Font]') || 
-             name.includes('[Text Color]') || 
-             name.includes('[Date of Birth]') || 
-             name.includes('[School Year]') || 
-             name.includes('[Name 1]') || 
-             name.includes('[Name 2]') || 
-             name.includes('[Name 3]') || 
-             name.includes('[Name 4]') || 
-             name.includes('[Personalisation:]') || 
-             name.includes('[Personalise Date of Birth]') || 
-             name.includes('[Time]') || 
-             name.includes('[Weight]') ||
-             name.includes('[Baby\'s Name]') ||
-             name.includes('[Kid\'s Name]') ||
-             name.includes('[Mum\'s Name]') ||
-             name === 'properties[Message]';
-    });
+    const personalisationEntries = formDataEntries.filter(([key]) => isPersonalisationInputName(key));
     
     console.log('ProductFormComponent: FormData contains', personalisationEntries.length, 'personalisation properties');
     if (personalisationEntries.length > 0) {
@@ -636,23 +617,9 @@ class ProductFormComponent extends Component {
           }
         };
         
-        if (personalisation.name) addToFormData('properties[Name]', personalisation.name);
-        if (personalisation.font) addToFormData('properties[Text Font]', personalisation.font);
-        if (personalisation.color) addToFormData('properties[Text Color]', personalisation.color);
-        if (personalisation.dob) addToFormData('properties[Date of Birth]', personalisation.dob);
-        if (personalisation.schoolYear) addToFormData('properties[School Year]', personalisation.schoolYear);
-        if (personalisation.name1) addToFormData('properties[Name 1]', personalisation.name1);
-        if (personalisation.name2) addToFormData('properties[Name 2]', personalisation.name2);
-        if (personalisation.name3) addToFormData('properties[Name 3]', personalisation.name3);
-        if (personalisation.name4) addToFormData('properties[Name 4]', personalisation.name4);
-        if (personalisation.textbox) addToFormData('properties[Personalisation:]', personalisation.textbox);
-        if (personalisation.message) addToFormData('properties[Message]', personalisation.message);
-        if (personalisation.optionalDob) addToFormData('properties[Personalise Date of Birth]', personalisation.optionalDob);
-        if (personalisation.time) addToFormData('properties[Time]', personalisation.time);
-        if (personalisation.weight) addToFormData('properties[Weight]', personalisation.weight);
-        if (personalisation.babyName) addToFormData('properties[Baby\'s Name]', personalisation.babyName);
-        if (personalisation.kidName) addToFormData('properties[Kid\'s Name]', personalisation.kidName);
-        if (personalisation.mumName) addToFormData('properties[Mum\'s Name]', personalisation.mumName);
+        for (const field of PERSONALISATION_FIELDS) {
+          if (personalisation[field.key]) addToFormData(getPropertyInputName(field), personalisation[field.key]);
+        }
         
         console.log('Added personalisation directly to FormData');
       } else {
@@ -660,6 +627,27 @@ class ProductFormComponent extends Component {
       }
     }
 
+    // Block the request when the personalisation would be rejected by the modal's validation
+    /** @type {Record<string, string>} */
+    const submittedProperties = {};
+    for (const [key, value] of formData.entries()) {
+      const propertyName = key.match(/^properties\[(.+)\]$/)?.[1];
+      if (propertyName && typeof value === 'string') submittedProperties[propertyName] = value;
+    }
+    const personalisationValidation = validatePersonalisation(
+      propertiesToPersonalisation(getPersonalisationProperties(form, submittedProperties))
+    );
+    if (!personalisationValidation.valid) {
+      const message = `Please check your personalisation. ${summarisePersonalisationErrors(personalisationValidation.errors)}`;
+      this.#showErrorMessage(message);
+      this.dispatchEvent(
+        new CartErrorEvent(form.getAttribute('id') || '', message, message, personalisationValidation.errors)
+      );
+      return;
+    }
+
+    if (this.#offerToSelection(formData, submittedProperties)) return;
+
     const cartItemsComponents = document.querySelectorAll('cart-items-component');
     let cartItemComponentsSectionIds = [];
     cartItemsComponents.forEach((item) => {
@@ -688,62 +676,53 @@ class ProductFormComponent extends Component {
 
     const giftWrapMessageInput = /** @type {HTMLInputElement | null} */ (getAssociatedField('[data-gift-message-input]'));
     let giftWrapMessage = giftWrapMessageInput?.value?.trim() || '';
-    const giftWrapInstanceId = (formData.get('properties[_gift_wrap_instance_id]') || '').toString().trim();
-    const giftWrapCheckbox = /** @type {HTMLInputElement | null} */ (getAssociatedField('.chk_add_gift'));
-    const christmasGiftCheckbox = /** @type {HTMLInputElement | null} */ (getAssociatedField('.christmas-chk_add_gift'));
-    let hasGiftWrapSelected = !!(giftWrapCheckbox?.checked || christmasGiftCheckbox?.checked);
+    const giftWrapInstanceId = (formData.get(`properties[${WRAP_INSTANCE_PROPERTY}]`) || '').toString().trim();
+    const selectedWrapOptions = getSelectedWrapOptions(form);
+    let hasGiftWrapSelected = selectedWrapOptions.length > 0;
     let fallbackGiftWrapInstanceId = giftWrapInstanceId;
 
     const productId = this.dataset.productId;
-    const storedGiftWrap = productId && window.currentGiftWrapState?.[productId];
+    const storedGiftWrap = productId ? getRememberedWrapSelection(productId) : undefined;
     if (storedGiftWrap) {
-      if (!giftWrapMessage && storedGiftWrap.giftMessage) giftWrapMessage = storedGiftWrap.giftMessage;
-      if (!hasGiftWrapSelected && (storedGiftWrap.giftWrapChecked || storedGiftWrap.christmasChecked)) {
+      if (!giftWrapMessage && storedGiftWrap.message) giftWrapMessage = storedGiftWrap.message;
+      if (!hasGiftWrapSelected && storedGiftWrap.variantIds.length > 0) {
         hasGiftWrapSelected = true;
       }
     }
 
     const getGiftWrapInstanceId = () => {
-      if (fallbackGiftWrapInstanceId) return fallbackGiftWrapInstanceId;
-      fallbackGiftWrapInstanceId = `gw_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+      if (!fallbackGiftWrapInstanceId) fallbackGiftWrapInstanceId = createWrapInstanceId();
       return fallbackGiftWrapInstanceId;
     };
 
+    const mainVariantId = (formData.get('id') || '').toString();
+    const mainQuantity = Number(formData.get('quantity')) || Number(this.dataset.quantityDefault);
+
+    // Wraps added with a product wrap each item, so the cart keeps their quantity in step with it
     /** @type {Array<{id: string, quantity: number, properties: Record<string, string>}>} */
     const giftWrapItems = [];
     if (productId) {
-      const addGiftWrapItem = (variantId) => {
-        if (!variantId) return;
-        const resolvedGiftWrapInstanceId = getGiftWrapInstanceId();
+      const wrapVariantIds =
+        selectedWrapOptions.length > 0
+          ? selectedWrapOptions.map((option) => option.value)
+          : storedGiftWrap?.variantIds ?? [];
+
+      for (const variantId of wrapVariantIds) {
+        /** @type {Record<string, string>} */
         const properties = {
           _added_with_product: productId,
-          _gift_wrap_source: 'product_page',
+          [WRAP_SOURCE_PROPERTY]: PER_ITEM_SOURCE,
+          [WRAP_INSTANCE_PROPERTY]: getGiftWrapInstanceId(),
         };
-        if (resolvedGiftWrapInstanceId) properties._gift_wrap_instance_id = resolvedGiftWrapInstanceId;
         if (giftWrapMessage) properties._gift_wrap_message = giftWrapMessage;
         giftWrapItems.push({
           id: String(variantId),
-          quantity: 1,
+          quantity: mainQuantity,
           properties,
         });
-      };
-
-      if (giftWrapCheckbox?.checked && giftWrapCheckbox.value) {
-        addGiftWrapItem(giftWrapCheckbox.value);
-      } else if (storedGiftWrap?.giftWrapChecked && storedGiftWrap.giftWrapVariantId) {
-        addGiftWrapItem(storedGiftWrap.giftWrapVariantId);
-      }
-
-      if (christmasGiftCheckbox?.checked && christmasGiftCheckbox.value) {
-        addGiftWrapItem(christmasGiftCheckbox.value);
-      } else if (storedGiftWrap?.christmasChecked && storedGiftWrap.christmasVariantId) {
-        addGiftWrapItem(storedGiftWrap.christmasVariantId);
       }
     }
 
-    const mainVariantId = (formData.get('id') || '').toString();
-    const mainQuantity = Number(formData.get('quantity')) || Number(this.dataset.quantityDefault);
-
     let requestConfig;
     if (giftWrapItems.length > 0 && mainVariantId) {
       /** @type {Record<string, string>} */
@@ -759,24 +738,32 @@ class ProductFormComponent extends Component {
         mainProperties['Gift Message'] = giftWrapMessage;
       }
       if (fallbackGiftWrapInstanceId) {
-        mainProperties._gift_wrap_instance_id = fallbackGiftWrapInstanceId;
+        mainProperties[WRAP_INSTANCE_PROPERTY] = fallbackGiftWrapInstanceId;
       }
 
       const sections = cartItemComponentsSectionIds.join(',');
-      const requestBody = JSON.stringify({
-        items: [
-          {
-            id: mainVariantId,
-            quantity: mainQuantity,
-            properties: mainProperties,
-          },
-          ...giftWrapItems,
-        ],
-        sections,
-        sections_url: window.location.pathname,
-      });
+      const items = [{ id: mainVariantId, quantity: mainQuantity, properties: mainProperties }, ...giftWrapItems];
+      const proof = formData.get(`properties[${PROOF_PROPERTY}]`);
+
+      if (proof instanceof File) {
+        // JSON cannot carry the proof image, so the items are sent as a multipart form
+        const itemsFormData = new FormData();
+        items.forEach((item, index) => {
+          itemsFormData.append(`items[${index}][id]`, item.id);
+          itemsFormData.append(`items[${index}][quantity]`, String(item.quantity));
+          for (const [name, value] of Object.entries(item.properties)) {
+            itemsFormData.append(`items[${index}][properties][${name}]`, value);
+          }
+        });
+        itemsFormData.append(`items[0][properties][${PROOF_PROPERTY}]`, proof);
+        itemsFormData.append('sections', sections);
+        itemsFormData.append('sections_url', window.location.pathname);
 
-      requestConfig = fetchConfig('json', { body: requestBody });
+        requestConfig = fetchConfig('javascript', { body: itemsFormData });
+      } else {
+        const requestBody = JSON.stringify({ items, sections, sections_url: window.location.pathname });
+        requestConfig = fetchConfig('json', { body: requestBody });
+      }
     } else {
       if (hasGiftWrapSelected && giftWrapMessage) {
         formData.set('properties[Gift Message]', giftWrapMessage);
@@ -911,6 +898,35 @@ class ProductFormComponent extends Component {
     liveRegion.textContent = '';
   }
 
+  /**
+   * Shows an error message under the add to cart button and announces it, hiding it again after
+   * a delay.
+   * @param {string} message - The error message
+   */
+  #showErrorMessage(message) {
+    const { addToCartTextError } = this.refs;
+    if (!addToCartTextError) return;
+
+    addToCartTextError.classList.remove('hidden');
+
+    const textNode = addToCartTextError.childNodes[2];
+    if (textNode) {
+      textNode.textContent = message;
+    } else {
+      const newTextNode = document.createTextNode(message);
+      addToCartTextError.appendChild(newTextNode);
+    }
+
+    this.#setLiveRegionText(message);
+
+    if (this.#timeout) clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(() => {
+      if (!addToCartTextError) return;
+      addToCartTextError.classList.add('hidden');
+      this.#clearLiveRegionText();
+    }, ERROR_MESSAGE_DISPLAY_DURATION);
+  }
+
   /**
    * Morphs or removes/adds an element based on current and new element states
    * @param {Element | null | undefined} currentElement - The current element in the DOM
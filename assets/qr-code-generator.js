@@ -1176,6 +1176,136 @@ function isSupportCanvas() {
   return typeof CanvasRenderingContext2D != 'undefined';
 }
 
+/**
+ * Corner radius of a module for a module style, as a fraction of the module
+ *
+ * @param {QRCodeOptions['moduleStyle']} sModuleStyle
+ * @returns {number}
+ */
+function getModuleRadius(sModuleStyle) {
+  switch (sModuleStyle) {
+    case 'rounded':
+      return 0.3;
+    case 'dots':
+      return 0.5;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * The area of the logo, in modules from the top left corner of the quiet zone. Modules under it are
+ * covered, and read back from the error correction, so it is kept under a tenth of the code.
+ *
+ * @param {number} nCount module count of the code
+ * @param {QRCodeOptions} htOption
+ * @returns {{ x: number, y: number, size: number } | null}
+ */
+function getLogoBox(nCount, htOption) {
+  if (!htOption.logo) {
+    return null;
+  }
+
+  var nLogoSize = Math.min(Math.max(Number(htOption.logoSize) || 0.2, 0.1), 0.3);
+  var nSize = Math.ceil(nCount * nLogoSize);
+  // Keep the logo centred on a module
+  if (nSize % 2 !== nCount % 2) {
+    nSize++;
+  }
+  var nOffset = htOption.quietZone + (nCount - nSize) / 2;
+
+  return { x: nOffset, y: nOffset, size: nSize };
+}
+
+/**
+ * @param {string} sValue
+ * @returns {string}
+ */
+function escapeAttribute(sValue) {
+  return String(sValue)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * SVG path of a module, with rounded corners when nRadius is set
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} nRadius fraction of the module
+ * @returns {string}
+ */
+function getModulePath(x, y, nRadius) {
+  if (!nRadius) {
+    return 'M' + x + ' ' + y + 'h1v1h-1z';
+  }
+
+  var r = nRadius;
+  var nSide = 1 - 2 * r;
+  var sArc = 'a' + r + ' ' + r + ' 0 0 1 ';
+
+  return (
+    'M' + (x + r) + ' ' + y +
+    'h' + nSide + sArc + r + ' ' + r +
+    'v' + nSide + sArc + -r + ' ' + r +
+    'h' + -nSide + sArc + -r + ' ' + -r +
+    'v' + -nSide + sArc + r + ' ' + -r +
+    'z'
+  );
+}
+
+/**
+ * Renders the code as SVG markup, with its colours, module style, quiet zone and logo
+ *
+ * @param {QRCodeModel} oQRCode
+ * @param {QRCodeOptions} htOption
+ * @param {{ width?: string, height?: string }} [htSize] size of the svg element, the option sizes by default
+ * @returns {string}
+ */
+function createSVGMarkup(oQRCode, htOption, htSize) {
+  var nCount = oQRCode.getModuleCount();
+  var nQuietZone = htOption.quietZone;
+  var nViewBoxSize = nCount + nQuietZone * 2;
+  var nRadius = getModuleRadius(htOption.moduleStyle);
+  var aPath = [];
+
+  for (var row = 0; row < nCount; row++) {
+    for (var col = 0; col < nCount; col++) {
+      if (oQRCode.isDark(row, col)) {
+        aPath.push(getModulePath(col + nQuietZone, row + nQuietZone, nRadius));
+      }
+    }
+  }
+
+  var aMarkup = [
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ' + nViewBoxSize + ' ' + nViewBoxSize + '"' +
+      ' width="' + escapeAttribute((htSize && htSize.width) || String(htOption.width)) + '"' +
+      ' height="' + escapeAttribute((htSize && htSize.height) || String(htOption.height)) + '"' +
+      ' role="img" aria-label="' + escapeAttribute(htOption.alt) + '">',
+    '<rect width="100%" height="100%" fill="' + escapeAttribute(htOption.colorLight) + '"/>',
+    '<path fill="' + escapeAttribute(htOption.colorDark) + '"' +
+      (nRadius ? '' : ' shape-rendering="crispEdges"') +
+      ' d="' + aPath.join('') + '"/>',
+  ];
+
+  var oLogoBox = getLogoBox(nCount, htOption);
+  if (oLogoBox) {
+    aMarkup.push(
+      '<rect x="' + oLogoBox.x + '" y="' + oLogoBox.y + '" width="' + oLogoBox.size + '" height="' + oLogoBox.size + '"' +
+        ' rx="' + nRadius + '" fill="' + escapeAttribute(htOption.logoBackground || htOption.colorLight) + '"/>',
+      '<image href="' + escapeAttribute(htOption.logo) + '"' +
+        ' x="' + (oLogoBox.x + 0.5) + '" y="' + (oLogoBox.y + 0.5) + '"' +
+        ' width="' + (oLogoBox.size - 1) + '" height="' + (oLogoBox.size - 1) + '"' +
+        ' preserveAspectRatio="xMidYMid meet"/>'
+    );
+  }
+
+  aMarkup.push('</svg>');
+  return aMarkup.join('');
+}
+
 var svgDrawer = (function () {
   /**
    * @param {Element} el
@@ -1190,51 +1320,8 @@ var svgDrawer = (function () {
    * @param {QRCodeModel} oQRCode
    */
   Drawing.prototype.draw = function (oQRCode) {
-    var _htOption = this._htOption;
-    var _el = this._el;
-    var nCount = oQRCode.getModuleCount();
-
     this.clear();
-
-    /**
-     * @param {string} tag
-     * @param {Record<string, string>} attrs
-     * @returns {SVGElement}
-     */
-    function makeSVG(tag, attrs) {
-      var el = document.createElementNS('http://www.w3.org/2000/svg', tag);
-      for (var k in attrs) {
-        if (attrs.hasOwnProperty(k)) {
-          const value = attrs[k];
-          if (value !== undefined) {
-            el.setAttribute(k, value);
-          }
-        }
-      }
-      return el;
-    }
-
-    var svg = makeSVG('svg', {
-      viewBox: '0 0 ' + String(nCount) + ' ' + String(nCount),
-      width: '100%',
-      height: '100%',
-      fill: _htOption.colorLight,
-    });
-    svg.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:xlink', 'http://www.w3.org/1999/xlink');
-    _el.appendChild(svg);
-
-    svg.appendChild(makeSVG('rect', { fill: _htOption.colorLight, width: '100%', height: '100%' }));
-    svg.appendChild(makeSVG('rect', { fill: _htOption.colorDark, width: '1', height: '1', id: 'template' }));
-
-    for (var row = 0; row < nCount; row++) {
-      for (var col = 0; col < nCount; col++) {
-        if (oQRCode.isDark(row, col)) {
-          var child = makeSVG('use', { x: String(col), y: String(row) });
-          child.setAttributeNS('http://www.w3.org/1999/xlink', 'href', '#template');
-          svg.appendChild(child);
-        }
-      }
-    }
+    this._el.insertAdjacentHTML('beforeend', createSVGMarkup(oQRCode, this._htOption, { width: '100%', height: '100%' }));
   };
   Drawing.prototype.clear = function () {
     while (this._el.hasChildNodes() && this._el.lastChild) this._el.removeChild(this._el.lastChild);
@@ -1320,7 +1407,14 @@ var Drawing = useSVG
   : (function () {
       // Drawing in Canvas
       function onMakeImage() {
-        this._elImage.src = this._elCanvas.toDataURL('image/png');
+        try {
+          this._elImage.src = this._elCanvas.toDataURL('image/png');
+        } catch (error) {
+          // A logo without CORS taints the canvas, which is shown instead
+          this._elImage.style.display = 'none';
+          this._elCanvas.style.display = 'block';
+          return;
+        }
         this._elImage.style.display = 'block';
         this._elCanvas.style.display = 'none';
       }
@@ -1352,6 +1446,8 @@ var Drawing = useSVG
         this._el.appendChild(this._elImage);
         /** @type {boolean|null} */
         this._bSupportDataURI = null;
+        /** Counts draws, so a logo loaded for an earlier code is not drawn */
+        this._nDrawCount = 0;
       };
 
       /**
@@ -1365,19 +1461,35 @@ var Drawing = useSVG
         var _htOption = this._htOption;
 
         var nCount = oQRCode.getModuleCount();
-        var nWidth = _htOption.width / nCount;
-        var nHeight = _htOption.height / nCount;
+        var nQuietZone = _htOption.quietZone;
+        var nWidth = _htOption.width / (nCount + nQuietZone * 2);
+        var nHeight = _htOption.height / (nCount + nQuietZone * 2);
         var nRoundedWidth = Math.round(nWidth);
         var nRoundedHeight = Math.round(nHeight);
+        var nRadius = getModuleRadius(_htOption.moduleStyle) * Math.min(nWidth, nHeight);
 
         _elImage.style.display = 'none';
         this.clear();
 
+        _oContext.fillStyle = _htOption.colorLight;
+        _oContext.fillRect(0, 0, _htOption.width, _htOption.height);
+
         for (var row = 0; row < nCount; row++) {
           for (var col = 0; col < nCount; col++) {
             var bIsDark = oQRCode.isDark(row, col);
-            var nLeft = col * nWidth;
-            var nTop = row * nHeight;
+            var nLeft = (col + nQuietZone) * nWidth;
+            var nTop = (row + nQuietZone) * nHeight;
+
+            if (nRadius && typeof _oContext.roundRect == 'function') {
+              if (bIsDark) {
+                _oContext.fillStyle = _htOption.colorDark;
+                _oContext.beginPath();
+                _oContext.roundRect(nLeft, nTop, nWidth, nHeight, nRadius);
+                _oContext.fill();
+              }
+              continue;
+            }
+
             _oContext.strokeStyle = bIsDark ? _htOption.colorDark : _htOption.colorLight;
             _oContext.lineWidth = 1;
             _oContext.fillStyle = bIsDark ? _htOption.colorDark : _htOption.colorLight;
@@ -1391,6 +1503,68 @@ var Drawing = useSVG
         }
 
         this._bIsPainted = true;
+        this._nDrawCount++;
+
+        var oLogoBox = getLogoBox(nCount, _htOption);
+        if (oLogoBox) {
+          this.drawLogo(oLogoBox, nWidth, nHeight, nRadius);
+        }
+      };
+
+      /**
+       * Draws the logo over the centre of the code once it has loaded, and makes the image again
+       *
+       * @param {{ x: number, y: number, size: number }} oLogoBox in modules
+       * @param {number} nWidth module width
+       * @param {number} nHeight module height
+       * @param {number} nRadius module corner radius
+       */
+      Drawing.prototype.drawLogo = function (oLogoBox, nWidth, nHeight, nRadius) {
+        var self = this;
+        var nDrawCount = this._nDrawCount;
+        var _htOption = this._htOption;
+        var elLogo = new Image();
+        // Without CORS the canvas cannot be read back, and stays shown instead of the image
+        elLogo.crossOrigin = 'anonymous';
+
+        elLogo.onload = function () {
+          // The code was drawn again while the logo loaded
+          if (nDrawCount !== self._nDrawCount) {
+            return;
+          }
+
+          var _oContext = self._oContext;
+          var nLeft = oLogoBox.x * nWidth;
+          var nTop = oLogoBox.y * nHeight;
+          var nBoxWidth = oLogoBox.size * nWidth;
+          var nBoxHeight = oLogoBox.size * nHeight;
+
+          _oContext.fillStyle = _htOption.logoBackground || _htOption.colorLight;
+          if (nRadius && typeof _oContext.roundRect == 'function') {
+            _oContext.beginPath();
+            _oContext.roundRect(nLeft, nTop, nBoxWidth, nBoxHeight, nRadius);
+            _oContext.fill();
+          } else {
+            _oContext.fillRect(nLeft, nTop, nBoxWidth, nBoxHeight);
+          }
+
+          // Fit the logo inside the box, half a module from its edges
+          var nInnerWidth = nBoxWidth - nWidth;
+          var nInnerHeight = nBoxHeight - nHeight;
+          var nScale = Math.min(nInnerWidth / elLogo.naturalWidth, nInnerHeight / elLogo.naturalHeight);
+          var nLogoWidth = elLogo.naturalWidth * nScale;
+          var nLogoHeight = elLogo.naturalHeight * nScale;
+          _oContext.drawImage(
+            elLogo,
+            nLeft + (nBoxWidth - nLogoWidth) / 2,
+            nTop + (nBoxHeight - nLogoHeight) / 2,
+            nLogoWidth,
+            nLogoHeight
+          );
+
+          self.makeImage();
+        };
+        elLogo.src = _htOption.logo;
       };
 
       /**
@@ -1571,6 +1745,19 @@ QRCode.prototype.clear = function () {
   this._oDrawing.clear();
 };
 
+/**
+ * The code as SVG markup, e.g. to download or print it at any size
+ *
+ * @return {String}
+ */
+QRCode.prototype.toSVG = function () {
+  if (!this._oQRCode) {
+    throw new Error('No code has been made');
+  }
+
+  return createSVGMarkup(this._oQRCode, this._htOption);
+};
+
 /**
  * @name QRCode.CorrectLevel
  */
@@ -1592,6 +1779,19 @@ QRCode.CorrectLevel = QRErrorCorrectLevel;
  * oQRCode.clear(); // Clear the QRCode.
  * oQRCode.makeCode("http://map.naver.com"); // Re-create the QRCode.
  *
+ * @example
+ * // A branded code: colours, rounded modules, a 4 module quiet zone and a centred logo.
+ * // With a logo the error correction is always H, so the covered modules can be read back.
+ * var oQRCode = new QRCode(el, {
+ *    text : "https://example.com",
+ *    colorDark : "#7295bb",
+ *    moduleStyle : "rounded",
+ *    quietZone : 4,
+ *    logo : "/logo.png",
+ *    useSVG : true
+ * });
+ * oQRCode.toSVG(); // SVG markup of the code
+ *
  * @typedef {Object} QRCodeOptions
  * @property {string} text  QRCode link data
  * @property {number} width
@@ -1602,6 +1802,11 @@ QRCode.CorrectLevel = QRErrorCorrectLevel;
  * @property {string} colorLight
  * @property {typeof QRErrorCorrectLevel[keyof typeof QRErrorCorrectLevel]} correctLevel
  * @property {boolean} useSVG
+ * @property {number} quietZone  blank modules around the code; scanners expect 4
+ * @property {'square'|'rounded'|'dots'} moduleStyle
+ * @property {string} logo  URL of an image drawn over the centre of the code
+ * @property {number} logoSize  width of the logo, as a fraction of the code, from 0.1 to 0.3
+ * @property {string} logoBackground  colour behind the logo, colorLight by default
  *
  * QRCodeOptions, but with properties optional so its easier to pass in only the properties you want to change
  * @typedef {Object} QRCodePartialOptions
@@ -1614,6 +1819,11 @@ QRCode.CorrectLevel = QRErrorCorrectLevel;
  * @property {string} [colorLight]
  * @property {typeof QRErrorCorrectLevel[keyof typeof QRErrorCorrectLevel]} [correctLevel]
  * @property {boolean} [useSVG]
+ * @property {number} [quietZone]
+ * @property {'square'|'rounded'|'dots'} [moduleStyle]
+ * @property {string} [logo]
+ * @property {number} [logoSize]
+ * @property {string} [logoBackground]
  * @param {HTMLElement|String} el target element or 'id' attribute of element.
  * @param {QRCodePartialOptions|String} vOption
  */
@@ -1631,6 +1841,11 @@ export function QRCode(el, vOption) {
     colorLight: '#ffffff',
     correctLevel: QRErrorCorrectLevel.H,
     useSVG: false,
+    quietZone: 0,
+    moduleStyle: 'square',
+    logo: '',
+    logoSize: 0.2,
+    logoBackground: '',
   };
 
   /**
@@ -1641,6 +1856,13 @@ export function QRCode(el, vOption) {
     ...(typeof vOption === 'string' ? { text: vOption } : vOption),
   };
 
+  this._htOption.quietZone = Math.max(0, Math.round(Number(this._htOption.quietZone) || 0));
+
+  // The logo covers modules, which only the highest error correction can read back
+  if (this._htOption.logo) {
+    this._htOption.correctLevel = QRErrorCorrectLevel.H;
+  }
+
   if (typeof el == 'string') {
     const element = document.getElementById(el);
     if (!element) {
@@ -1649,13 +1871,10 @@ export function QRCode(el, vOption) {
     el = element;
   }
 
-  if (this._htOption.useSVG) {
-    Drawing = svgDrawer;
-  }
-
   this._el = el;
   this._oQRCode = null;
-  this._oDrawing = new Drawing(this._el, this._htOption);
+  // Only this code is drawn as SVG, other codes on the page keep the default drawing
+  this._oDrawing = this._htOption.useSVG ? new svgDrawer(this._el, this._htOption) : new Drawing(this._el, this._htOption);
 
   if (this._htOption.text) {
     this.makeCode(this._htOption.text);
@@ -1,7 +1,16 @@
 import { QRCode } from '@theme/qr-code-generator';
+import { buildPersonalisationUrl } from '@theme/personalisation-link';
 /**
  * A custom element that displays a QR code image.
  *
+ * The code holds `data-identifier`, or a link: `data-url` links to any page of the shop (e.g. a gift
+ * card), and `data-product-url` links to a product with its personalise modal filled in from
+ * `data-variant-id` and `data-properties`, the line item properties as JSON.
+ *
+ * The code can be branded with `data-color-dark`, `data-color-light`, `data-module-style` (square,
+ * rounded or dots), `data-quiet-zone` (in modules), `data-logo` (an image URL) and `data-logo-size` (a
+ * fraction of the code). `data-format="svg"` renders an SVG instead of an image, e.g. for print.
+ *
  * @extends {HTMLElement}
  */
 class QRCodeImage extends HTMLElement {
@@ -19,13 +28,44 @@ class QRCodeImage extends HTMLElement {
     this.#height = isNaN(parseInt(heightAttribute)) ? this.#height : parseInt(heightAttribute);
     this.#alt = this.getAttribute('alt') ?? this.#alt;
 
+    const { colorDark, colorLight, moduleStyle, quietZone, logo, logoSize, format } = this.dataset;
+
     new QRCode(this, {
-      text: this.getAttribute('data-identifier') || '',
+      text: this.#getText(),
       width: this.#width,
       height: this.#height,
       alt: this.#alt,
+      ...(colorDark && { colorDark }),
+      ...(colorLight && { colorLight }),
+      ...((moduleStyle === 'rounded' || moduleStyle === 'dots') && { moduleStyle }),
+      ...(quietZone && { quietZone: parseInt(quietZone) }),
+      ...(logo && { logo }),
+      ...(logoSize && { logoSize: parseFloat(logoSize) }),
+      useSVG: format === 'svg',
     });
   }
+
+  /**
+   * @returns {string} The text of the code
+   */
+  #getText() {
+    const { identifier, url, productUrl, variantId, properties } = this.dataset;
+
+    if (productUrl) {
+      /** @type {Record<string, any>} */
+      let lineProperties = {};
+      try {
+        lineProperties = JSON.parse(properties || '{}') ?? {};
+      } catch (error) {
+        console.error('Invalid QR code properties:', error);
+      }
+      return buildPersonalisationUrl({ url: productUrl, variantId, properties: lineProperties });
+    }
+
+    if (url) return new URL(url, window.location.origin).toString();
+
+    return identifier || '';
+  }
 }
 
 if (!customElements.get('qr-code-image')) {
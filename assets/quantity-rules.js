@@ -0,0 +1,110 @@
+import { parseIntOrDefault } from '@theme/utilities';
+
+/**
+ * Quantity rules of a variant: its minimum, maximum and increment, and the most of its product that
+ * can be in the cart across all variants.
+ *
+ * Rules are resolved by `snippets/quantity-rule.liquid` from metafields, `qty_` tags and Shopify's
+ * native quantity rule, and rendered on the quantity input of `snippets/quantity-selector.liquid` as
+ * `min`, `max`, `step` and `data-cart-max`. This module reads them back and does the arithmetic, so
+ * every quantity selector applies them the same way.
+ */
+
+/**
+ * @typedef {Object} QuantityRule
+ * @property {number} min
+ * @property {number | null} max - Most of the variant in the cart, null for no limit
+ * @property {number} increment
+ * @property {number | null} cartMax - Most of the product in the cart across its variants, null for
+ *   no limit
+ */
+
+/**
+ * @param {HTMLInputElement} input - The quantity input
+ * @returns {QuantityRule}
+ */
+export function readQuantityRule(input) {
+  return {
+    min: parseIntOrDefault(input.min, 1),
+    max: parseIntOrDefault(input.max, null),
+    increment: Math.max(parseIntOrDefault(input.step, 1), 1),
+    cartMax: parseIntOrDefault(input.dataset.cartMax, null),
+  };
+}
+
+/**
+ * Raises the minimum of a rule, rounded up to a multiple of its increment.
+ * @param {QuantityRule} rule
+ * @param {number} minimum - e.g. the minimum of the section a product is sold in
+ * @returns {QuantityRule}
+ */
+export function withMinimum(rule, minimum) {
+  if (minimum <= rule.min) return rule;
+
+  const min = Math.ceil(minimum / rule.increment) * rule.increment;
+
+  return {
+    ...rule,
+    min,
+    max: rule.max === null ? null : Math.max(rule.max, min),
+  };
+}
+
+/**
+ * The most of a variant that can be added to the cart.
+ * @param {QuantityRule} rule
+ * @param {Object} inCart
+ * @param {number} inCart.variant - Of the variant
+ * @param {number} inCart.product - Of the product across all its variants
+ * @returns {number | null} Null for no limit
+ */
+export function getAddableQuantity(rule, inCart) {
+  const limits = [];
+  if (rule.max !== null) limits.push(rule.max - inCart.variant);
+  if (rule.cartMax !== null) limits.push(rule.cartMax - inCart.product);
+  if (limits.length === 0) return null;
+
+  return Math.max(Math.min(...limits), 0);
+}
+
+/**
+ * Snaps a quantity to the nearest one the rule allows at or below `max`: at least the minimum and
+ * a whole number of increments above it.
+ * @param {number} quantity
+ * @param {QuantityRule} rule
+ * @param {number | null} [max] - Defaults to the rule's maximum
+ * @returns {number}
+ */
+export function snapQuantity(quantity, rule, max = rule.max) {
+  const { min, increment } = rule;
+  const steps = Math.round((Math.max(quantity, min) - min) / increment);
+  let snapped = min + steps * increment;
+
+  if (max !== null && snapped > max) {
+    snapped = min + Math.floor((max - min) / increment) * increment;
+  }
+
+  return Math.max(snapped, min);
+}
+
+/**
+ * @param {number} quantity
+ * @param {QuantityRule} rule
+ * @returns {boolean} Whether the quantity is a whole number of increments above the minimum
+ */
+export function isAlignedQuantity(quantity, rule) {
+  return (quantity - rule.min) % rule.increment === 0;
+}
+
+/**
+ * @param {{ items?: Array<{ product_id: number, quantity: number }> } | null | undefined} cart
+ * @param {string | number} productId
+ * @returns {number} How many of the product, across all its variants, are in the cart
+ */
+export function getProductCartQuantity(cart, productId) {
+  if (!cart?.items) return 0;
+
+  return cart.items
+    .filter((item) => String(item.product_id) === String(productId))
+    .reduce((total, item) => total + item.quantity, 0);
+}
@@ -3,6 +3,7 @@ import { Component } from '@theme/component';
 import { CartUpdateEvent, ThemeEvents, VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { DialogComponent, DialogCloseEvent, DialogOpenEvent } from '@theme/dialog';
 import { mediaQueryLarge, isMobileBreakpoint, getIOSVersion, onAnimationEnd } from '@theme/utilities';
+import { getSetItems, saveSetItems } from '@theme/build-your-set-storage';
 
 /**
  * Updates Build Your Set "Add to Set" button disabled state from confirmation checkbox.
@@ -618,6 +619,7 @@ export class QuickAddComponent extends Component {
       modalContent.removeAttribute('data-party-favours');
     }
 
+    this.#applySectionMinimum(modalContent);
     this.#syncVariantSelection(modalContent);
     
     // Ensure close button handler is re-attached after content is loaded
@@ -899,6 +901,19 @@ export class QuickAddComponent extends Component {
     }
   }
 
+  /**
+   * Applies the minimum quantity of the section the product card is in (e.g. party favours) to the
+   * modal's quantity selector, or clears the one applied for a previous product
+   * @param {Element} modalContent - The modal content element
+   */
+  #applySectionMinimum(modalContent) {
+    const section = /** @type {HTMLElement | null} */ (this.closest('[data-minimum-quantity]'));
+    const minimum = Number(section?.dataset.minimumQuantity) || 0;
+    const quantitySelector = /** @type {any} */ (modalContent.querySelector('quantity-selector-component'));
+
+    quantitySelector?.applyMinimum?.(minimum);
+  }
+
   /**
    * Syncs the variant selection from the product card to the modal
    * @param {Element} modalContent - The modal content element
@@ -1746,7 +1761,8 @@ export class QuickAddComponent extends Component {
             }
           }
           
-          if (productData.needs_personalization && !productData.product_tags) {
+          // Tags are needed for personalisation and for Build Your Set slots matched by tag
+          if (!productData.product_tags) {
             let tagsUrl = null;
             
             // Try to construct URL from available data
@@ -1803,16 +1819,14 @@ export class QuickAddComponent extends Component {
                       ? data.product.tags 
                       : data.product.tags.split(',').map(t => t.trim());
                     
-                    // Update session storage with tags
-                    const storageKey = 'build-your-set-session-cart';
+                    // Update the stored set with tags
                     try {
-                      const stored = sessionStorage.getItem(storageKey);
-                      if (stored) {
-                        const sessionCart = JSON.parse(stored);
-                        const existingIndex = sessionCart.findIndex(item => item.variant_id === variantId);
-                        if (existingIndex >= 0) {
-                          sessionCart[existingIndex].product_tags = tags;
-                          sessionStorage.setItem(storageKey, JSON.stringify(sessionCart));
+                      const sessionCart = getSetItems();
+                      if (sessionCart.length) {
+                        const existingItem = sessionCart.find(item => item.variant_id === variantId);
+                        if (existingItem) {
+                          existingItem.product_tags = tags;
+                          saveSetItems(sessionCart);
                           // Update button attribute with tags for future clicks
                           productData.product_tags = tags;
                           customButton.setAttribute('data-product-data', JSON.stringify(productData));
@@ -1839,16 +1853,7 @@ export class QuickAddComponent extends Component {
         // Get quantity from form (use currentForm which reflects latest DOM)
         const quantityInput = currentForm?.querySelector('input[name="quantity"]');
         const quantity = quantityInput ? Number(quantityInput.value) || 1 : 1;
-        const storageKey = 'build-your-set-session-cart';
-        let sessionCart = [];
-        try {
-          const stored = sessionStorage.getItem(storageKey);
-          if (stored) {
-            sessionCart = JSON.parse(stored);
-          }
-        } catch (error) {
-          sessionCart = [];
-        }
+        const sessionCart = getSetItems();
         
         // Check if variant already exists - if exists, update product data but keep quantity at 1
         // If not exists, add new product with quantity 1
@@ -1875,7 +1880,7 @@ export class QuickAddComponent extends Component {
         }
         
         try {
-          sessionStorage.setItem(storageKey, JSON.stringify(sessionCart));
+          saveSetItems(sessionCart);
           
           // Dispatch event to update sticky bar immediately
           document.dispatchEvent(new CustomEvent('build-your-set-updated', {
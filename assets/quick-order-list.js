@@ -1,7 +1,8 @@
 import { Component } from '@theme/component';
 import { CartAddEvent, QuantitySelectorUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, fetchConfig, resetShimmer } from '@theme/utilities';
+import { debounce, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
+import { cartMutations, CartMutationError } from '@theme/cart-mutation-queue';
 
 /**
  * A custom element that manages the quick order list section.
@@ -32,6 +33,9 @@ class QuickOrderListComponent extends Component {
   /** @type {AbortController|null} */
   #abortController = null;
 
+  /** Counts quantity changes, so only the response to the latest one renders the list. */
+  #quantityUpdateCount = 0;
+
   /** @type {(event: Event) => void} */
   #debouncedHandleQuantityUpdate;
 
@@ -204,64 +208,48 @@ class QuickOrderListComponent extends Component {
 
     this.#clearSuccessMessage();
     this.#clearErrorMessage();
-    this.#applyShimmerEffects(idsToRemove);
 
-    this.#abortController?.abort();
-    this.#abortController = new AbortController();
-
-    try {
-      /** @type {Record<string, number>} */
-      const updates = {};
+    /** @type {Record<string, number>} */
+    const updates = {};
+    for (const variantId of idsToRemove) {
+      updates[String(variantId)] = 0;
+    }
 
-      if (idsToRemove.length > 0) {
-        for (const variantId of idsToRemove) {
-          updates[String(variantId)] = 0;
-        }
-      }
+    if (Object.keys(updates).length === 0) return;
 
-      if (Object.keys(updates).length === 0) {
-        resetShimmer(this);
-        return;
-      }
+    this.#applyShimmerEffects(idsToRemove);
 
-      const sectionIds = this.#getSectionIds();
-      const sectionsUrl = new URL(window.location.pathname, window.location.origin);
-      sectionsUrl.searchParams.set('page', this.currentPage.toString());
+    // Responses to quantity changes queued before this one no longer render the list
+    ++this.#quantityUpdateCount;
 
-      const body = JSON.stringify({
-        updates: updates,
-        sections: sectionIds.join(','),
-        sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
+    const sectionsUrl = new URL(window.location.pathname, window.location.origin);
+    sectionsUrl.searchParams.set('page', this.currentPage.toString());
 
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
+    try {
+      const data = await cartMutations.enqueue({
+        url: Theme.routes.cart_update_url,
+        body: () => ({
+          updates,
+          sections: this.#getSectionIds().join(','),
+          sections_url: sectionsUrl.pathname + sectionsUrl.search,
+        }),
       });
 
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
-
       resetShimmer(this);
-
-      if (data.errors) {
-        this.#showErrorMessage(data.errors);
-      } else {
-        this.#updateSectionHTML(data);
-        this.#toggleConfirmationPanel(false);
-
-        document.dispatchEvent(
-          new CartAddEvent(data, this.id, {
-            source: 'quick-order-remove-all',
-            sections: data.sections,
-          })
-        );
-      }
+      this.#updateSectionHTML(data);
+      this.#toggleConfirmationPanel(false);
+
+      document.dispatchEvent(
+        new CartAddEvent(data, this.id, {
+          source: 'quick-order-remove-all',
+          sections: data.sections,
+        })
+      );
     } catch (error) {
-      if (error.name !== 'AbortError') {
-        resetShimmer(this);
-        throw error;
-      }
+      resetShimmer(this);
+      this.#showErrorMessage(
+        error instanceof CartMutationError ? error.message : 'Your cart could not be updated. Please try again.'
+      );
     }
   }
 
@@ -300,63 +288,54 @@ class QuickOrderListComponent extends Component {
 
     this.#applyShimmerEffects([variantId]);
 
-    this.#disableQuickOrderListItems();
-    this.#abortController?.abort();
-    this.#abortController = new AbortController();
+    const update = ++this.#quantityUpdateCount;
 
-    try {
-      /** @type {Record<string, number>} */
-      const updates = {};
-      updates[variantId] = quantity;
-
-      // Include page parameter in sections URL to maintain pagination state
-      const sectionsUrl = new URL(window.location.pathname, window.location.origin);
-      sectionsUrl.searchParams.set('page', this.currentPage.toString());
-
-      const body = JSON.stringify({
-        updates: updates,
-        sections: this.#getSectionIds().join(','),
-        sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
+    // Include page parameter in sections URL to maintain pagination state
+    const sectionsUrl = new URL(window.location.pathname, window.location.origin);
+    sectionsUrl.searchParams.set('page', this.currentPage.toString());
 
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
+    try {
+      const data = await cartMutations.enqueue({
+        url: Theme.routes.cart_update_url,
+        body: () => ({
+          updates: { [variantId]: quantity },
+          sections: this.#getSectionIds().join(','),
+          sections_url: sectionsUrl.pathname + sectionsUrl.search,
+        }),
+        key: `quick-order:${variantId}`,
+        rollback: () => {
+          if (quantityInput) quantityInput.value = String(currentCartQuantity);
+        },
       });
 
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
+      // A newer quantity change will render the list
+      if (update !== this.#quantityUpdateCount) return;
 
       resetShimmer(this);
+      this.#updateSectionHTML(data);
 
-      if (data.errors) {
-        this.#showErrorMessage(data.errors);
-        if (this.dataset.sectionId) {
-          const url = new URL(window.location.href);
-          url.searchParams.set('page', this.currentPage.toString());
-          await sectionRenderer.renderSection(this.dataset.sectionId, { cache: false, url });
-        }
-      } else {
-        this.#updateSectionHTML(data);
-
-        const quantityAdded = quantity - currentCartQuantity;
-        if (quantityAdded > 0) {
-          this.#showSuccessMessage(quantityAdded);
-        }
-
-        document.dispatchEvent(
-          new CartAddEvent(data, this.id, {
-            source: 'quick-order-quantity',
-            variantId: variantId,
-            sections: data.sections,
-          })
-        );
+      const quantityAdded = quantity - currentCartQuantity;
+      if (quantityAdded > 0) {
+        this.#showSuccessMessage(quantityAdded);
       }
+
+      document.dispatchEvent(
+        new CartAddEvent(data, this.id, {
+          source: 'quick-order-quantity',
+          variantId: variantId,
+          sections: data.sections,
+        })
+      );
     } catch (error) {
-      if (error.name !== 'AbortError') {
-        this.#enableQuickOrderListItems();
-        resetShimmer(this);
-        throw error;
+      resetShimmer(this);
+      this.#showErrorMessage(
+        error instanceof CartMutationError ? error.message : 'Your cart could not be updated. Please try again.'
+      );
+
+      if (this.dataset.sectionId) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('page', this.currentPage.toString());
+        await sectionRenderer.renderSection(this.dataset.sectionId, { cache: false, url });
       }
     }
   }
@@ -0,0 +1,247 @@
+import { Component } from '@theme/component';
+import { debounce } from '@theme/utilities';
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two points, by the haversine formula.
+ * @param {{ latitude: number, longitude: number }} from
+ * @param {{ latitude: number, longitude: number }} to
+ * @returns {number} In kilometres
+ */
+export function getDistance(from, to) {
+  const toRadians = (/** @type {number} */ degrees) => (degrees * Math.PI) / 180;
+  const latitudeDelta = toRadians(to.latitude - from.latitude);
+  const longitudeDelta = toRadians(to.longitude - from.longitude);
+
+  const a =
+    Math.sin(latitudeDelta / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(longitudeDelta / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * @param {string} text
+ * @returns {string} Lower case, without accents and runs of whitespace, for matching
+ */
+function normalize(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * @param {number} kilometres
+ * @returns {string}
+ */
+function formatDistance(kilometres) {
+  return new Intl.NumberFormat(undefined, {
+    style: 'unit',
+    unit: 'kilometer',
+    maximumFractionDigits: kilometres < 10 ? 1 : 0,
+  }).format(kilometres);
+}
+
+/**
+ * @typedef {Object} Refs
+ * @property {HTMLInputElement} searchInput
+ * @property {HTMLSelectElement} countrySelect
+ * @property {HTMLButtonElement} [locateButton]
+ * @property {HTMLElement} status
+ * @property {HTMLElement} emptyMessage
+ * @property {HTMLElement} countryList
+ * @property {HTMLElement[]} [countries]
+ */
+
+/**
+ * Stocklist finder: narrows the stockists rendered by `sections/stocklist.liquid` by a text search
+ * across their names and addresses and by country, and sorts them by distance from the shopper when
+ * they share their location. Distances are worked out from the coordinates set on each location, so
+ * no map service is needed.
+ *
+ * The search and country are kept in the URL hash (e.g. `#q=mall&country=uae`), so a filtered list
+ * can be shared. The shopper's location never is.
+ *
+ * @extends {Component<Refs>}
+ */
+class StocklistFinderComponent extends Component {
+  requiredRefs = ['searchInput', 'countrySelect', 'status', 'emptyMessage', 'countryList'];
+
+  /** @type {{ latitude: number, longitude: number } | null} */
+  #position = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    window.addEventListener('hashchange', this.#readHash);
+    this.#readHash();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    window.removeEventListener('hashchange', this.#readHash);
+  }
+
+  /**
+   * Applies the search and country, and keeps them in the URL hash.
+   */
+  filter() {
+    this.#render();
+    this.#writeHash();
+  }
+
+  filterAsYouType = debounce(() => this.filter(), 200);
+
+  /**
+   * Clears the search and country.
+   */
+  reset() {
+    this.refs.searchInput.value = '';
+    this.refs.countrySelect.value = '';
+    this.filter();
+    this.refs.searchInput.focus();
+  }
+
+  /**
+   * Asks for the shopper's location and sorts the stockists nearest first.
+   */
+  locate() {
+    const { locateButton, status } = this.refs;
+
+    if (!('geolocation' in navigator)) {
+      status.textContent = 'Your browser cannot share your location.';
+      return;
+    }
+
+    locateButton?.setAttribute('aria-busy', 'true');
+    status.textContent = 'Finding your location…';
+
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        locateButton?.removeAttribute('aria-busy');
+        this.#position = { latitude: coords.latitude, longitude: coords.longitude };
+        this.#render();
+      },
+      (error) => {
+        locateButton?.removeAttribute('aria-busy');
+        status.textContent =
+          error.code === error.PERMISSION_DENIED
+            ? 'Allow location access to sort stockists by distance.'
+            : 'Your location could not be found. Please try again.';
+      },
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 300000 }
+    );
+  }
+
+  #readHash = () => {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const { searchInput, countrySelect } = this.refs;
+
+    searchInput.value = params.get('q') ?? '';
+
+    const country = params.get('country') ?? '';
+    const hasCountry = Array.from(countrySelect.options).some((option) => option.value === country);
+    countrySelect.value = hasCountry ? country : '';
+
+    this.#render();
+  };
+
+  #writeHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const query = this.refs.searchInput.value.trim();
+    const country = this.refs.countrySelect.value;
+
+    if (query) params.set('q', query);
+    else params.delete('q');
+    if (country) params.set('country', country);
+    else params.delete('country');
+
+    const url = new URL(window.location.href);
+    url.hash = params.toString();
+
+    // Replace rather than push, so typing a search does not fill the history
+    history.replaceState(history.state, '', url);
+  }
+
+  #render() {
+    const { searchInput, countrySelect, status, emptyMessage, countryList, countries = [] } = this.refs;
+    const words = normalize(searchInput.value).split(' ').filter(Boolean);
+    const country = countrySelect.value;
+
+    let visibleCount = 0;
+
+    /** @type {Array<{ element: HTMLElement, nearest: number }>} */
+    const countryDistances = [];
+
+    for (const countryElement of countries) {
+      const locations = /** @type {HTMLElement[]} */ (Array.from(countryElement.querySelectorAll('[data-location]')));
+      const isCountryShown = !country || countryElement.dataset.country === country;
+      let nearest = Infinity;
+      let shownInCountry = 0;
+
+      for (const location of locations) {
+        const text = normalize(location.dataset.searchText || location.textContent || '');
+        const isShown = isCountryShown && words.every((word) => text.includes(word));
+        location.hidden = !isShown;
+        if (isShown) shownInCountry += 1;
+
+        const distance = this.#getLocationDistance(location);
+        location.dataset.distanceValue = distance === null ? '' : String(distance);
+        if (isShown && distance !== null) nearest = Math.min(nearest, distance);
+
+        const distanceElement = location.querySelector('[data-distance]');
+        if (distanceElement instanceof HTMLElement) {
+          distanceElement.hidden = distance === null;
+          distanceElement.textContent = distance === null ? '' : `${formatDistance(distance)} away`;
+        }
+      }
+
+      if (this.#position) {
+        const list = countryElement.querySelector('[data-location-list]');
+        list?.append(...sortByDistance(locations));
+      }
+
+      countryElement.hidden = shownInCountry === 0;
+      visibleCount += shownInCountry;
+      countryDistances.push({ element: countryElement, nearest });
+    }
+
+    if (this.#position) {
+      countryList.append(
+        ...countryDistances.sort((first, second) => first.nearest - second.nearest).map(({ element }) => element)
+      );
+    }
+
+    emptyMessage.hidden = visibleCount > 0;
+
+    const found = `${visibleCount} ${visibleCount === 1 ? 'stockist' : 'stockists'}`;
+    status.textContent = this.#position ? `${found}, nearest first` : found;
+  }
+
+  /**
+   * @param {HTMLElement} location
+   * @returns {number | null} Distance from the shopper in kilometres, null when either is unknown
+   */
+  #getLocationDistance(location) {
+    const latitude = parseFloat(location.dataset.latitude ?? '');
+    const longitude = parseFloat(location.dataset.longitude ?? '');
+    if (!this.#position || Number.isNaN(latitude) || Number.isNaN(longitude)) return null;
+
+    return getDistance(this.#position, { latitude, longitude });
+  }
+}
+
+/**
+ * @param {HTMLElement[]} locations - With `data-distance-value`, empty when unknown
+ * @returns {HTMLElement[]} Nearest first, those without a distance last in their order
+ */
+function sortByDistance(locations) {
+  const distanceOf = (/** @type {HTMLElement} */ location) =>
+    location.dataset.distanceValue ? Number(location.dataset.distanceValue) : Infinity;
+
+  return [...locations].sort((first, second) => distanceOf(first) - distanceOf(second));
+}
+
+if (!customElements.get('stocklist-finder-component')) {
+  customElements.define('stocklist-finder-component', StocklistFinderComponent);
+}
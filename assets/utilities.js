@@ -257,6 +257,19 @@ export function formatMoney(value) {
   return valueWithNoSpaces;
 }
 
+/**
+ * Format an amount of money in the storefront's currency
+ * @param {number} cents The amount in cents, as returned by the cart and product APIs
+ * @param {string} [currency] The currency code, e.g. the cart's. Defaults to the active currency
+ * @returns {string} The formatted amount
+ */
+export function formatCurrency(cents, currency = window.Shopify?.currency?.active) {
+  const amount = cents / 100;
+  if (!currency) return amount.toFixed(2);
+
+  return new Intl.NumberFormat(window.Shopify?.locale || undefined, { style: 'currency', currency }).format(amount);
+}
+
 /**
  * Check if the document is ready/loaded and call the callback when it is.
  * @param {() => void} callback The function to call when the document is ready.